@@ -95,6 +95,41 @@ class ProductRepository {
   async deleteById(id, trx = this.db) {
     return trx('items').where({ id }).del();
   }
+
+  /**
+   * Modifier groups offered for an item, with their options: the groups assigned to the item
+   * itself first, then those of its category.
+   */
+  async findModifierGroupsForItem(item, trx = this.db) {
+    const assignments = await trx('modifier_group_assignments')
+      .where('item_id', item.id)
+      .orWhere('category_id', item.associated_category_unique_identifier)
+      .orderByRaw('CASE WHEN item_id IS NULL THEN 1 ELSE 0 END')
+      .orderBy('sort_order', 'asc')
+      .orderBy('id', 'asc');
+    const groupIds = [...new Set(assignments.map(assignment => assignment.modifier_group_id))];
+    if (groupIds.length === 0) return [];
+
+    const groups = await trx('modifier_groups').whereIn('id', groupIds);
+    const options = await trx('modifier_options')
+      .whereIn('modifier_group_id', groupIds)
+      .orderBy('sort_order', 'asc')
+      .orderBy('id', 'asc');
+    return groupIds
+      .map(id => groups.find(group => group.id === id))
+      .filter(Boolean)
+      .map(group => ({
+        ...group,
+        group_names: parseJsonIfNeeded(group.group_names),
+        options: options
+          .filter(option => option.modifier_group_id === group.id)
+          .map(option => ({
+            ...option,
+            option_names: parseJsonIfNeeded(option.option_names),
+            price_delta: parseFloat(option.price_delta)
+          }))
+      }));
+  }
 }
 
 module.exports = { ProductRepository };
\ No newline at end of file
@@ -96,6 +96,34 @@ class TransactionRepository {
     const [updated] = await trx('active_transaction_items').where({ id: transactionItemId }).update(updateData).returning('*');
     return updated;
   }
+
+  async deleteEmptyItems(transactionId, trx = this.db) {
+    // Emptied modifier lines go first, then the emptied line they belonged to
+    let deleted = 0;
+    let count;
+    do {
+      count = await trx('active_transaction_items')
+        .where({ active_transaction_id: transactionId, quantity: 0 })
+        .whereNotExists(function() {
+          this.select('id').from('active_transaction_items as children')
+            .whereRaw('children.parent_transaction_item_id = active_transaction_items.id');
+        })
+        .del();
+      deleted += count;
+    } while (count > 0);
+    return deleted;
+  }
+
+  async addPayment(paymentData, trx = this.db) {
+    const [newPayment] = await trx('transaction_payments').insert(paymentData).returning('*');
+    return newPayment;
+  }
+
+  async getPaymentsByTransactionId(transactionId, trx = this.db) {
+    return trx('transaction_payments')
+      .where({ active_transaction_id: transactionId })
+      .orderBy('position', 'asc');
+  }
 }
 
 module.exports = { TransactionRepository };
\ No newline at end of file
@@ -29,36 +29,178 @@ class ReportingRepository {
     
     const result = [];
     
-    for (const originalItem of originalItems) {
-      // Add the original item
-      result.push(originalItem);
+    // Add an item followed by its modifications (modifier lines, storno lines and the modifier lines of those)
+    const addWithModifications = (item) => {
+      result.push(item);
       
       // Add any modifications for this item, sorted by their creation time
       const itemModifications = modifications
-        .filter(mod => mod.parent_transaction_item_id === originalItem.id)
+        .filter(mod => mod.parent_transaction_item_id === item.id)
         .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
       
-      result.push(...itemModifications);
-    }
+      itemModifications.forEach(addWithModifications);
+    };
+    originalItems.forEach(addWithModifications);
     
-    // Add any orphaned modifications (items with parent_transaction_item_id that don't match any original item)
+    // Add any orphaned modifications (items with parent_transaction_item_id that don't match any item)
     const orphanedModifications = modifications.filter(mod => 
-      !originalItems.some(orig => orig.id === mod.parent_transaction_item_id)
+      !items.some(item => item.id === mod.parent_transaction_item_id)
     );
     result.push(...orphanedModifications);
     
     return result;
   }
 
-  // Placeholder for more complex sales report queries
-  async getSalesReport(startDate, trx = this.db) {
-    // In a real system, this would query a dedicated 'transactions' or 'orders' table.
-    // Using 'items' as a proxy for now as in the original service.
-    return trx('items')
-      .where('created_at', '>=', startDate.toISOString())
-      .sum('item_price_value as totalRevenue')
-      .count('id as transactionCount')
+  /**
+   * Signature counter and TSE transaction number range of the fiscal log entries in (afterId, upToId],
+   * per TSE serial. Entries documented as unsigned (TSE outage) carry no signature counter and are skipped.
+   */
+  async getTseSignatureRange(afterId = null, upToId = null, trx = this.db) {
+    let query = trx('fiscal_log').whereRaw("json_extract(tse_response, '$.signature_counter') IS NOT NULL");
+    if (afterId) query = query.where('id', '>', afterId);
+    if (upToId) query = query.where('id', '<=', upToId);
+    return query
+      .groupByRaw("json_extract(tse_response, '$.tse_serial_number')")
+      .select(
+        trx.raw("json_extract(tse_response, '$.tse_serial_number') as tse_serial_number"),
+        trx.raw("MIN(CAST(json_extract(tse_response, '$.signature_counter') AS INTEGER)) as first_signature_counter"),
+        trx.raw("MAX(CAST(json_extract(tse_response, '$.signature_counter') AS INTEGER)) as last_signature_counter"),
+        trx.raw("MIN(CAST(json_extract(tse_response, '$.transaction_number') AS INTEGER)) as first_transaction_number"),
+        trx.raw("MAX(CAST(json_extract(tse_response, '$.transaction_number') AS INTEGER)) as last_transaction_number"),
+        trx.raw('COUNT(*) as signature_count')
+      );
+  }
+
+  /**
+   * Totals of the finished transactions whose business date lies within [startDate, endDate].
+   * @param {{startDate: string, endDate: string}} range - Business dates (YYYY-MM-DD), inclusive
+   */
+  async getSalesSummary(range, trx = this.db) {
+    const totals = await this._finishedTransactions(trx, range)
+      .select(
+        trx.raw('COUNT(*) as transaction_count'),
+        trx.raw('SUM(at.total_amount) as revenue'),
+        trx.raw('SUM(at.tax_amount) as tax')
+      )
+      .first();
+    const items = await this._finishedTransactions(trx, range)
+      .join('active_transaction_items as ati', 'ati.active_transaction_id', 'at.id')
+      .select(trx.raw('SUM(ati.quantity) as quantity'))
       .first();
+    return { ...totals, quantity: items.quantity };
+  }
+
+  /**
+   * Sales of the finished transactions within the range grouped by
+   * 'category', 'hour', 'user', 'payment_type' or 'tax_rate'.
+   * Rows: group_key, label, revenue, transaction_count, quantity (line based groups only).
+   * Payment types return the split payment rows and, for transactions finished before split
+   * payments, the single payment_type of the transaction as separate rows (legacy: true).
+   */
+  async getSalesGroupedBy(groupBy, range, trx = this.db) {
+    switch (groupBy) {
+      case 'category':
+        return this._finishedTransactions(trx, range)
+          .join('active_transaction_items as ati', 'ati.active_transaction_id', 'at.id')
+          .leftJoin('items as i', 'ati.item_id', 'i.id')
+          .leftJoin('categories as c', 'i.associated_category_unique_identifier', 'c.id')
+          .groupBy('c.id', 'c.category_names')
+          .select(
+            'c.id as group_key',
+            'c.category_names as label',
+            trx.raw('SUM(ati.total_price) as revenue'),
+            trx.raw('COUNT(DISTINCT at.id) as transaction_count'),
+            trx.raw('SUM(ati.quantity) as quantity')
+          );
+      case 'tax_rate':
+        return this._finishedTransactions(trx, range)
+          .join('active_transaction_items as ati', 'ati.active_transaction_id', 'at.id')
+          .groupBy('ati.tax_rate')
+          .select(
+            'ati.tax_rate as group_key',
+            trx.raw('SUM(ati.total_price) as revenue'),
+            trx.raw('SUM(ati.tax_amount) as tax'),
+            trx.raw('COUNT(DISTINCT at.id) as transaction_count'),
+            trx.raw('SUM(ati.quantity) as quantity')
+          );
+      case 'hour':
+        // Finished transactions are not updated afterwards, updated_at is the finishing time
+        return this._finishedTransactions(trx, range)
+          .groupByRaw("CAST(strftime('%H', at.updated_at, 'localtime') AS INTEGER)")
+          .select(
+            trx.raw("CAST(strftime('%H', at.updated_at, 'localtime') AS INTEGER) as group_key"),
+            trx.raw('SUM(at.total_amount) as revenue'),
+            trx.raw('COUNT(*) as transaction_count')
+          );
+      case 'user':
+        return this._finishedTransactions(trx, range)
+          .leftJoin('users as u', 'at.user_id', 'u.id')
+          .groupBy('at.user_id', 'u.full_name', 'u.username')
+          .select(
+            'at.user_id as group_key',
+            trx.raw('COALESCE(u.full_name, u.username) as label'),
+            trx.raw('SUM(at.total_amount) as revenue'),
+            trx.raw('COUNT(*) as transaction_count')
+          );
+      case 'payment_type': {
+        const splitPayments = await this._finishedTransactions(trx, range)
+          .join('transaction_payments as tp', 'tp.active_transaction_id', 'at.id')
+          .groupBy('tp.payment_type')
+          .select(
+            'tp.payment_type as group_key',
+            trx.raw('SUM(tp.amount) as revenue'),
+            trx.raw('COUNT(DISTINCT at.id) as transaction_count')
+          );
+        const legacyPayments = await this._finishedTransactions(trx, range)
+          .whereNotExists(function() {
+            this.select('id').from('transaction_payments').whereRaw('transaction_payments.active_transaction_id = at.id');
+          })
+          .groupBy('at.payment_type')
+          .select(
+            'at.payment_type as group_key',
+            trx.raw('SUM(at.total_amount) as revenue'),
+            trx.raw('COUNT(*) as transaction_count')
+          );
+        return [...splitPayments, ...legacyPayments.map(row => ({ ...row, legacy: true }))];
+      }
+      default:
+        throw new Error(`Unsupported groupBy '${groupBy}'`);
+    }
+  }
+
+  /**
+   * Quantity and revenue per catalog item within the range, including items without sales.
+   * Storno and price correction lines reference the same item and are netted in.
+   */
+  async getItemSales(range, trx = this.db) {
+    const sales = this._finishedTransactions(trx, range)
+      .join('active_transaction_items as ati', 'ati.active_transaction_id', 'at.id')
+      .groupBy('ati.item_id')
+      .select(
+        'ati.item_id',
+        trx.raw('SUM(ati.quantity) as quantity'),
+        trx.raw('SUM(ati.total_price) as revenue'),
+        trx.raw('COUNT(DISTINCT at.id) as transaction_count')
+      )
+      .as('sales');
+
+    return trx('items')
+      .leftJoin(sales, 'items.id', 'sales.item_id')
+      .select(
+        'items.id',
+        'items.display_names',
+        'items.associated_category_unique_identifier as category_id',
+        trx.raw('COALESCE(sales.quantity, 0) as quantity'),
+        trx.raw('COALESCE(sales.revenue, 0) as revenue'),
+        trx.raw('COALESCE(sales.transaction_count, 0) as transaction_count')
+      );
+  }
+
+  _finishedTransactions(trx, { startDate, endDate }) {
+    let query = trx('active_transactions as at').where('at.status', 'finished');
+    if (startDate) query = query.where('at.business_date', '>=', startDate);
+    if (endDate) query = query.where('at.business_date', '<=', endDate);
+    return query;
   }
 }
 
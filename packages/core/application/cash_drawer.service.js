@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const loggingService = require('./logging.service');
+const closingService = require('./closing.service');
+const printerService = require('./printer_service');
+const printQueueService = require('./print_queue.service');
+const taxService = require('./tax.service');
+const websocketService = require('./websocket.service');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+const { roundAmount } = require('../utils/number-helper');
+const { GV_TYP, getBusinessCaseLabel } = require('../utils/dsfinvk/business_cases');
+
+// Euro notes and coins in cents, counts are stored keyed by these
+const DENOMINATIONS = [50000, 20000, 10000, 5000, 2000, 1000, 500, 200, 100, 50, 20, 10, 5, 2, 1];
+// Movements recorded by the staff and the direction of the money: 1 into the drawer, -1 out of it.
+// Geldtransit goes either way (to the bank or safe, or back), its direction is given with the amount.
+const MOVEMENT_DIRECTIONS = {
+  [GV_TYP.PRIVATEINLAGE]: 1,
+  [GV_TYP.PRIVATENTNAHME]: -1,
+  [GV_TYP.TRINKGELD_AN]: -1,
+  [GV_TYP.GELDTRANSIT]: null
+};
+// Permission to open the drawer without a sale and to take money in or out
+const CASH_DRAWER_PERMISSION = 'cash_drawer.open';
+const CASH_ZAHLART_TYP = 'Bar';
+
+/**
+ * CashDrawerService manages the cash drawer: opening it, the shifts and the cash movements.
+ *
+ * The drawer opens on its own when a sale or a return is settled in cash; opening it otherwise
+ * needs the cash_drawer.open permission (or manager rights) and is logged.
+ *
+ * A shift starts with the count of the opening float and ends with a blind count: the staff counts
+ * by denomination without seeing the expected amount, the difference is shown afterwards.
+ * Cash that is not a sale is a receipt of its own (transaction_type 'cash_movement') with one line
+ * of its DSFinV-K business case, paid in cash and signed by the TSE like a sale:
+ * - Anfangsbestand: the opening float of the first shift of a business day,
+ * - Privateinlage / Privatentnahme, Geldtransit and tip payouts (TrinkgeldAN) during a shift,
+ * - DifferenzSollIst: the difference of a count against the cash expected by the books.
+ * The cash expected is the cash of all receipts not yet closed (ClosingService.calculateOpenCash),
+ * so after a count the books always match the drawer. The business day can only be closed once
+ * the shift is ended.
+ */
+class CashDrawerService {
+
+  /**
+   * Opens the drawer and logs why.
+   * @param {object} options
+   * @param {number} [options.userId]
+   * @param {string} options.reason - e.g. 'cash_tender', 'cash_refund', 'manual' or the GV_TYP of a movement
+   * @param {number} [options.transactionId] - Receipt the drawer was opened for
+   * @param {string} [options.note] - Note of the staff when opened manually
+   * @returns {Promise<object>} Result of PrinterService.openCashDrawer, errors are returned, not thrown
+   */
+  async openDrawer({ userId = null, reason, transactionId = null, note = null }) {
+    const result = await printerService.openCashDrawer();
+    await loggingService.logOperationalEvent('CASH_DRAWER_OPENED', userId, {
+      reason,
+      note,
+      active_transaction_id: transactionId,
+      printer: result.printer || null,
+      opened: result.status === 'success',
+      error: result.status === 'success' ? null : result.message
+    });
+    if (result.status !== 'success') {
+      logger.warn({ service: 'CashDrawerService', function: 'openDrawer', reason, transactionId, error: result.message });
+    }
+    return result;
+  }
+
+  /**
+   * Opens the drawer without a sale.
+   * @param {object} user - Current user (AuthService.getCurrentUser)
+   * @param {string} [note] - Why the drawer is opened
+   * @returns {Promise<object>} Result of PrinterService.openCashDrawer
+   */
+  async openDrawerManually(user, note = null) {
+    this.assertPermission(user);
+    return this.openDrawer({ userId: user.id, reason: 'manual', note });
+  }
+
+  /**
+   * @param {object} user - Current user (AuthService.getCurrentUser)
+   * @returns {boolean} Whether the user may open the drawer and record cash movements
+   */
+  canUseDrawer(user) {
+    if (!user) return false;
+    const permissions = Array.isArray(user.permissions) ? user.permissions : [];
+    return !!user.can_approve_changes || permissions.includes('all') || permissions.includes(CASH_DRAWER_PERMISSION);
+  }
+
+  assertPermission(user) {
+    if (!this.canUseDrawer(user)) {
+      throw new Error(`Insufficient permissions - ${CASH_DRAWER_PERMISSION} required`);
+    }
+  }
+
+  /**
+   * The open shift with its movements so far. The expected cash is left out, the count at the end
+   * of the shift is blind.
+   * @returns {Promise<{shift: object|null, denominations: number[], movement_types: string[]}>}
+   */
+  async getCurrentShift() {
+    const shift = await db('cash_drawer_shifts').where('status', 'open').orderBy('id', 'desc').first();
+    return {
+      shift: shift ? await this._toShiftStatus(shift, { withExpected: false }) : null,
+      denominations: DENOMINATIONS,
+      movement_types: Object.keys(MOVEMENT_DIRECTIONS)
+    };
+  }
+
+  /**
+   * Starts a shift with the count of the opening float. The first shift of a business day books
+   * the float as Anfangsbestand, later shifts book a difference against the cash left in the drawer.
+   * @param {object} options
+   * @param {number} options.userId
+   * @param {object} options.denominations - Count by denomination, cents => number of notes/coins
+   * @returns {Promise<object>} The shift (see _toShiftStatus)
+   */
+  async openShift({ userId, denominations }) {
+    const count = this._sumDenominations(denominations);
+    logger.info({ service: 'CashDrawerService', function: 'openShift', userId, count });
+
+    let movement = null;
+    const shiftId = await db.transaction(async (trx) => {
+      const openShift = await trx('cash_drawer_shifts').where('status', 'open').first();
+      if (openShift) {
+        throw new Error(`Cash drawer shift ${openShift.id} is still open.`);
+      }
+
+      const businessDate = await closingService.getOpenBusinessDate(trx);
+      const expected = roundAmount(await closingService.calculateOpenCash(trx));
+      const hasFloat = await trx('active_transaction_items as ati')
+        .join('active_transactions as at', 'ati.active_transaction_id', 'at.id')
+        .whereNull('at.closing_id')
+        .where('at.status', 'finished')
+        .where('ati.gv_typ', GV_TYP.ANFANGSBESTAND)
+        .first('ati.id');
+
+      const now = new Date().toISOString();
+      const [shift] = await trx('cash_drawer_shifts').insert({
+        status: 'open',
+        business_date: businessDate,
+        opened_by: userId,
+        opened_at: now,
+        opening_count: count,
+        opening_denominations: JSON.stringify(this._normalizeDenominations(denominations)),
+        opening_expected: expected,
+        created_at: now,
+        updated_at: now
+      }).returning('*');
+
+      // Cash taken in before the first shift of the day is part of the count, not of the float
+      const gvTyp = !hasFloat && count >= expected ? GV_TYP.ANFANGSBESTAND : GV_TYP.DIFFERENZ_SOLL_IST;
+      const amount = roundAmount(count - expected);
+      if (gvTyp === GV_TYP.ANFANGSBESTAND || amount !== 0) {
+        movement = await this._createMovementReceipt(trx, { shift, userId, gvTyp, amount, reason: 'Schichtbeginn' });
+        await trx('cash_drawer_shifts').where('id', shift.id).update({ opening_transaction_id: movement.transaction.id });
+      }
+      return shift.id;
+    });
+
+    if (movement) {
+      await this._afterMovement(movement, userId, { openDrawer: movement.gvTyp === GV_TYP.ANFANGSBESTAND });
+    }
+    await loggingService.logOperationalEvent('CASH_DRAWER_SHIFT_OPENED', userId, { shift_id: shiftId, opening_count: count });
+    return this._broadcastShift(shiftId);
+  }
+
+  /**
+   * Records money put into or taken out of the drawer during a shift, e.g. a Privatentnahme.
+   * @param {object} options
+   * @param {number} options.userId
+   * @param {string} options.type - GV_TYP, one of MOVEMENT_DIRECTIONS
+   * @param {number} options.amount - Positive amount
+   * @param {string} [options.direction] - 'in' or 'out', only for Geldtransit
+   * @param {string} options.reason - Why, printed on the receipt
+   * @returns {Promise<object>} The movement receipt
+   */
+  async recordMovement({ userId, type, amount, direction = null, reason }) {
+    if (!Object.prototype.hasOwnProperty.call(MOVEMENT_DIRECTIONS, type)) {
+      throw new Error(`Unknown cash movement '${type}', expected one of ${Object.keys(MOVEMENT_DIRECTIONS).join(', ')}.`);
+    }
+    const value = roundAmount(parseFloat(amount));
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`Invalid amount '${amount}' for ${type}.`);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new Error(`A reason is required for ${type}.`);
+    }
+    let sign = MOVEMENT_DIRECTIONS[type];
+    if (sign === null) {
+      if (!['in', 'out'].includes(direction)) {
+        throw new Error(`The direction of ${type} must be 'in' or 'out'.`);
+      }
+      sign = direction === 'in' ? 1 : -1;
+    }
+    logger.info({ service: 'CashDrawerService', function: 'recordMovement', userId, type, amount: sign * value });
+
+    const movement = await db.transaction(async (trx) => {
+      const shift = await trx('cash_drawer_shifts').where('status', 'open').first();
+      if (!shift) {
+        throw new Error('No cash drawer shift is open, start one with the count of the opening float.');
+      }
+      return this._createMovementReceipt(trx, { shift, userId, gvTyp: type, amount: sign * value, reason: String(reason).trim() });
+    });
+
+    await this._afterMovement(movement, userId, { openDrawer: true });
+    await this._broadcastShift(movement.transaction.cash_drawer_shift_id);
+    return this._toMovement(movement.transaction, movement.gvTyp, movement.reason);
+  }
+
+  /**
+   * Ends the shift with the blind count of the drawer. A difference against the expected cash is
+   * booked as DifferenzSollIst.
+   * @param {object} options
+   * @param {number} options.userId
+   * @param {object} options.denominations - Count by denomination, cents => number of notes/coins
+   * @returns {Promise<object>} The closed shift with expected cash, counted cash and difference
+   */
+  async closeShift({ userId, denominations }) {
+    const counted = this._sumDenominations(denominations);
+    logger.info({ service: 'CashDrawerService', function: 'closeShift', userId, counted });
+
+    let movement = null;
+    const shiftId = await db.transaction(async (trx) => {
+      const shift = await trx('cash_drawer_shifts').where('status', 'open').first();
+      if (!shift) {
+        throw new Error('No cash drawer shift is open.');
+      }
+
+      const expected = roundAmount(await closingService.calculateOpenCash(trx));
+      const difference = roundAmount(counted - expected);
+      if (difference !== 0) {
+        movement = await this._createMovementReceipt(trx, {
+          shift,
+          userId,
+          gvTyp: GV_TYP.DIFFERENZ_SOLL_IST,
+          amount: difference,
+          reason: 'Schichtende'
+        });
+      }
+
+      const now = new Date().toISOString();
+      await trx('cash_drawer_shifts').where('id', shift.id).update({
+        status: 'closed',
+        closed_by: userId,
+        closed_at: now,
+        expected_cash: expected,
+        counted_cash: counted,
+        counted_denominations: JSON.stringify(this._normalizeDenominations(denominations)),
+        cash_difference: difference,
+        difference_transaction_id: movement ? movement.transaction.id : null,
+        updated_at: now
+      });
+      return shift.id;
+    });
+
+    if (movement) {
+      await this._afterMovement(movement, userId, { openDrawer: false });
+    }
+    const shift = await this._broadcastShift(shiftId);
+    await loggingService.logOperationalEvent('CASH_DRAWER_SHIFT_CLOSED', userId, {
+      shift_id: shiftId,
+      expected_cash: shift.expected_cash,
+      counted_cash: shift.counted_cash,
+      cash_difference: shift.cash_difference
+    });
+    return shift;
+  }
+
+  /**
+   * Creates and signs the receipt of a cash movement: one line of the business case without an
+   * item, not taxable, and a cash payment of the same amount (negative for money taken out).
+   */
+  async _createMovementReceipt(trx, { shift, userId, gvTyp, amount, reason }) {
+    const now = new Date().toISOString();
+    const uuid = crypto.randomUUID();
+    const metadata = { cash_movement: { gv_typ: gvTyp, reason } };
+
+    const [transaction] = await trx('active_transactions').insert({
+      uuid,
+      status: 'active',
+      user_id: userId,
+      business_date: await closingService.getOpenBusinessDate(trx),
+      transaction_type: 'cash_movement',
+      cash_drawer_shift_id: shift.id,
+      metadata: JSON.stringify(metadata),
+      created_at: now,
+      updated_at: now
+    }).returning('*');
+
+    const startLog = await loggingService.logFiscalEvent('startTransaction', userId, { transaction_uuid: uuid, metadata }, trx);
+    if (!startLog.success) {
+      throw new Error(`Failed to create fiscal log for the cash movement: ${startLog.error}`);
+    }
+
+    await trx('active_transaction_items').insert({
+      active_transaction_id: transaction.id,
+      item_id: null,
+      gv_typ: gvTyp,
+      quantity: 1,
+      unit_price: amount,
+      total_price: amount,
+      tax_rate: 0,
+      tax_amount: 0,
+      created_at: now,
+      updated_at: now
+    });
+    await trx('transaction_payments').insert({
+      active_transaction_id: transaction.id,
+      position: 1,
+      payment_type: CASH_ZAHLART_TYP,
+      zahlart_typ: CASH_ZAHLART_TYP,
+      tendered_amount: amount,
+      amount,
+      change_amount: 0
+    });
+
+    // processData like a sale (Beleg^<gross per tax rate>^<payments>), the amount is not taxable
+    const taxRatesOrder = await taxService.getProcessDataTaxRates(trx);
+    const bruttoSteuerumsaetze = taxRatesOrder.map(rate => (rate === 0 ? amount : 0).toFixed(2)).join('_');
+    const processData = `Beleg^${bruttoSteuerumsaetze}^${amount.toFixed(2)}:${CASH_ZAHLART_TYP}`;
+
+    const finishLog = await loggingService.logFiscalEvent('finishTransaction', userId, {
+      transaction_uuid: uuid,
+      processType: 'Kassenbeleg-V1',
+      processData,
+      payment_type: CASH_ZAHLART_TYP,
+      payments: [{ type: CASH_ZAHLART_TYP, amount, tendered: amount, change: 0 }],
+      final_amount: amount,
+      cash_movement: { gv_typ: gvTyp, shift_id: shift.id }
+    }, trx);
+    if (!finishLog.success) {
+      throw new Error(`Failed to sign the cash movement: ${finishLog.error}`);
+    }
+    if (finishLog.deferred) {
+      metadata.tse_failed = true;
+    }
+
+    const [finished] = await trx('active_transactions').where('id', transaction.id).update({
+      status: 'finished',
+      payment_type: CASH_ZAHLART_TYP,
+      payment_amount: amount,
+      total_amount: amount,
+      tax_amount: 0,
+      metadata: JSON.stringify(metadata),
+      updated_at: new Date().toISOString()
+    }).returning('*');
+
+    return { transaction: finished, gvTyp, reason, amount, fiscalLogId: finishLog.log ? finishLog.log.id : null };
+  }
+
+  /**
+   * Logs the movement operationally, opens the drawer and prints the receipt.
+   * Drawer and printer problems do not affect the (already committed) movement.
+   */
+  async _afterMovement(movement, userId, { openDrawer }) {
+    const { transaction, gvTyp, reason, amount, fiscalLogId } = movement;
+    await loggingService.logOperationalEvent('CASH_MOVEMENT', userId, {
+      transaction_uuid: transaction.uuid,
+      gv_typ: gvTyp,
+      amount,
+      reason,
+      shift_id: transaction.cash_drawer_shift_id
+    });
+    if (openDrawer) {
+      await this.openDrawer({ userId, reason: gvTyp, transactionId: transaction.id });
+    }
+
+    try {
+      const items = await db('active_transaction_items').where('active_transaction_id', transaction.id).orderBy('id', 'asc');
+      const payments = await db('transaction_payments').where('active_transaction_id', transaction.id).orderBy('position', 'asc');
+      const fiscalLog = fiscalLogId ? await db('fiscal_log').where('id', fiscalLogId).first() : null;
+      const receiptData = await printerService._prepareReceiptData({ ...transaction, items, payments }, fiscalLog);
+      await printQueueService.printReceipt(receiptData, {
+        transactionId: transaction.id,
+        userId,
+        title: `${getBusinessCaseLabel(gvTyp)} №${transaction.id}`
+      });
+    } catch (error) {
+      logger.error({ service: 'CashDrawerService', function: '_afterMovement', transactionId: transaction.id, error: error.message });
+      await loggingService.logOperationalEvent('print_failed', userId, { transaction_uuid: transaction.uuid, print_error: error.message });
+      websocketService.broadcast('displayAgentMessage', {
+        timestamp: new Date().toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }),
+        type: 'agent',
+        message: `Druckfehler ${getBusinessCaseLabel(gvTyp)}: ${error.message}`,
+        style: 'error'
+      });
+    }
+  }
+
+  async _broadcastShift(shiftId) {
+    const shift = await db('cash_drawer_shifts').where('id', shiftId).first();
+    const status = await this._toShiftStatus(shift, { withExpected: shift.status === 'closed' });
+    // Clients of other cashiers only learn that the shift changed, not the count
+    websocketService.broadcast('cashDrawerShiftUpdated', { id: status.id, status: status.status });
+    return status;
+  }
+
+  /**
+   * Shift as shown to the staff, with its cash movements.
+   */
+  async _toShiftStatus(shift, { withExpected }) {
+    const movements = await db('active_transactions')
+      .where('cash_drawer_shift_id', shift.id)
+      .where('status', 'finished')
+      .orderBy('id', 'asc');
+    const status = {
+      id: shift.id,
+      status: shift.status,
+      business_date: shift.business_date,
+      opened_by: shift.opened_by,
+      opened_at: shift.opened_at,
+      opening_count: parseFloat(shift.opening_count),
+      opening_denominations: parseJsonIfNeeded(shift.opening_denominations) || {},
+      closed_by: shift.closed_by,
+      closed_at: shift.closed_at,
+      movements: movements.map(tx => {
+        const cashMovement = (parseJsonIfNeeded(tx.metadata) || {}).cash_movement || {};
+        return this._toMovement(tx, cashMovement.gv_typ, cashMovement.reason);
+      })
+    };
+    if (withExpected) {
+      status.expected_cash = parseFloat(shift.expected_cash);
+      status.counted_cash = parseFloat(shift.counted_cash);
+      status.counted_denominations = parseJsonIfNeeded(shift.counted_denominations) || {};
+      status.cash_difference = parseFloat(shift.cash_difference);
+    }
+    return status;
+  }
+
+  _toMovement(transaction, gvTyp, reason) {
+    return {
+      transaction_id: transaction.id,
+      uuid: transaction.uuid,
+      gv_typ: gvTyp,
+      label: getBusinessCaseLabel(gvTyp),
+      amount: parseFloat(transaction.total_amount),
+      reason: reason || null,
+      created_at: transaction.created_at
+    };
+  }
+
+  /**
+   * Only known denominations with whole, non-negative counts; zero counts are dropped.
+   * @returns {Object<string, number>} cents => count
+   */
+  _normalizeDenominations(denominations) {
+    if (!denominations || typeof denominations !== 'object' || Array.isArray(denominations)) {
+      throw new Error('The count must be given by denomination (cents => number of notes/coins).');
+    }
+    const counts = {};
+    for (const [key, value] of Object.entries(denominations)) {
+      const cents = Number(key);
+      const count = Number(value);
+      if (!DENOMINATIONS.includes(cents)) {
+        throw new Error(`Unknown denomination '${key}', expected cents of a euro note or coin.`);
+      }
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Invalid count '${value}' for denomination ${key}.`);
+      }
+      if (count > 0) counts[cents] = count;
+    }
+    return counts;
+  }
+
+  // Summed in cents, so the total has no floating point error
+  _sumDenominations(denominations) {
+    const counts = this._normalizeDenominations(denominations);
+    const cents = Object.entries(counts).reduce((sum, [denomination, count]) => sum + Number(denomination) * count, 0);
+    return cents / 100;
+  }
+}
+
+module.exports = new CashDrawerService();
@@ -62,6 +62,11 @@ async function updateExistingCategory(id, updates) {
             if (updates.type) {
                 updateData.category_type = updates.type;
             }
+
+            // Handle printer role update (kitchen/bar tickets), an empty role stops sending the category
+            if (updates.printer_role !== undefined) {
+                updateData.printer_role = updates.printer_role ? String(updates.printer_role).trim() : null;
+            }
             
             // Update audit trail
             const currentAudit = JSON.parse(currentCategory.audit_trail || '{}');
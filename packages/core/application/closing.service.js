@@ -0,0 +1,431 @@
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const loggingService = require('./logging.service');
+const taxService = require('./tax.service');
+const { GV_TYP, SALES_GV_TYPES } = require('../utils/dsfinvk/business_cases');
+const { toLocalDateString } = require('../utils/date-helper');
+
+const DEFAULT_KASSE_ID = 'kasse_1';
+// Fallback DSFinV-K tax key for rates without a dsfinvk_vat_mapping entry ('Nicht Steuerbar')
+const DEFAULT_UST_SCHLUESSEL = 5;
+const CASH_ZAHLART_TYP = 'Bar';
+// Stornos that were actually executed; pending and rejected requests are not counted
+const EXECUTED_STORNO_STATUSES = ['automatic', 'approved'];
+
+/**
+ * ClosingService implements the daily cash point closing (Kassenabschluss / Z closing).
+ *
+ * Closing a business day
+ * - assigns all finished and cancelled transactions of the day (and earlier unclosed days) to a
+ *   new closing with the next sequential Z_NR, which freezes them,
+ * - stores the totals per tax rate, payment type and business case, plus the storno totals,
+ *   parked orders and counted cash printed on the Z-report,
+ * - signs the closing as a fiscal event,
+ * - carries open (active/parked) transactions over to the next business day.
+ * A cash drawer shift still open (see CashDrawerService) must be ended with its count first.
+ * Transactions of a closed business day can no longer be changed. DSFinV-K exports and the
+ * end-of-day anchor read the stored closings.
+ */
+class ClosingService {
+
+  /**
+   * Closes a business day.
+   * @param {object} [options]
+   * @param {string} [options.businessDate] - YYYY-MM-DD, defaults to the current open business day
+   * @param {number} [options.userId] - User performing the closing
+   * @param {number} [options.countedCash] - Counted cash drawer amount, if the drawer was counted
+   * @returns {Promise<{success: boolean, closing: object, carried_over: number, tse_failed: boolean}>}
+   */
+  async closeBusinessDay({ businessDate = null, userId = null, countedCash = null } = {}) {
+    logger.info({ service: 'ClosingService', function: 'closeBusinessDay', businessDate, userId, countedCash });
+
+    const cashCounted = this._parseCountedCash(countedCash);
+
+    let carriedOver = 0;
+    let tseFailed = false;
+    const closingId = await db.transaction(async (trx) => {
+      const openBusinessDate = await this.getOpenBusinessDate(trx);
+      const targetDate = businessDate || openBusinessDate;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
+        throw new Error(`Invalid business date '${targetDate}', expected YYYY-MM-DD.`);
+      }
+      if (targetDate > openBusinessDate) {
+        throw new Error(`Business day ${targetDate} has not started yet.`);
+      }
+
+      const openShift = await trx('cash_drawer_shifts').where('status', 'open').first();
+      if (openShift) {
+        throw new Error(`Cash drawer shift ${openShift.id} is still open, end it with the cash count before closing the business day.`);
+      }
+
+      const lastClosing = await trx('cashpoint_closings').orderBy('z_nr', 'desc').first();
+      if (lastClosing && toLocalDateString(lastClosing.business_date) >= targetDate) {
+        throw new Error(`Business day ${targetDate} cannot be closed: the last closing (Z_NR ${lastClosing.z_nr}) is for ${toLocalDateString(lastClosing.business_date)}.`);
+      }
+
+      const closedAt = new Date().toISOString();
+      const [closing] = await trx('cashpoint_closings').insert({
+        z_nr: lastClosing ? lastClosing.z_nr + 1 : 1,
+        kasse_id: DEFAULT_KASSE_ID,
+        business_date: targetDate,
+        closed_at: closedAt,
+        closed_by: userId
+      }).returning('*');
+
+      // Freeze the day: every finished or cancelled transaction not yet closed belongs to this closing
+      await trx('active_transactions')
+        .whereNull('closing_id')
+        .whereIn('status', ['finished', 'cancelled'])
+        .where('business_date', '<=', targetDate)
+        .update({ closing_id: closing.id });
+
+      const parked = await trx('active_transactions')
+        .where('status', 'parked')
+        .where('business_date', '<=', targetDate)
+        .count('id as count')
+        .first();
+
+      // Open tables stay open, they are finished (and closed) on the next business day
+      carriedOver = await trx('active_transactions')
+        .whereIn('status', ['active', 'parked'])
+        .where('business_date', '<=', targetDate)
+        .update({ business_date: this._nextDate(targetDate) });
+
+      const totals = await this._calculateTotals(closing.id, trx);
+      const stornos = await this._calculateStornoTotals(lastClosing ? lastClosing.closed_at : null, closedAt, trx);
+
+      const fiscalPayload = {
+        closing: {
+          z_nr: closing.z_nr,
+          kasse_id: closing.kasse_id,
+          business_date: targetDate,
+          closed_at: closedAt,
+          transaction_count: totals.transaction_count,
+          cancelled_count: totals.cancelled_count,
+          total_gross: totals.total_gross.toFixed(2),
+          total_payments: totals.total_payments.toFixed(2),
+          total_cash: totals.total_cash.toFixed(2),
+          vat: totals.vat.map(v => ({ ust_schluessel: v.ust_schluessel, gross: v.gross.toFixed(2) })),
+          payments: totals.payments.map(p => ({ type: p.payment_type, zahlart_typ: p.zahlart_typ, amount: p.amount.toFixed(2) }))
+        }
+      };
+      const fiscalLog = await loggingService.logFiscalEvent('cashpointClosing', userId, fiscalPayload, trx);
+      if (!fiscalLog.success) {
+        throw new Error(`Failed to sign the closing: ${fiscalLog.error}`);
+      }
+      tseFailed = !!fiscalLog.deferred;
+      const lastFiscalLog = await trx('fiscal_log').max('id as id').first();
+
+      await trx('cashpoint_closings').where('id', closing.id).update({
+        transaction_count: totals.transaction_count,
+        cancelled_count: totals.cancelled_count,
+        total_gross: totals.total_gross,
+        total_net: totals.total_net,
+        total_tax: totals.total_tax,
+        total_payments: totals.total_payments,
+        total_cash: totals.total_cash,
+        first_transaction_at: totals.first_transaction_at,
+        last_transaction_at: totals.last_transaction_at,
+        parked_count: Number(parked.count),
+        storno_count: stornos.count,
+        storno_total: stornos.total,
+        cash_counted: cashCounted,
+        last_fiscal_log_id: lastFiscalLog ? lastFiscalLog.id : null,
+        pending_fiscal_operation_id: fiscalLog.deferred ? fiscalLog.pendingOperationId : null,
+        tse_failed: tseFailed,
+        updated_at: new Date().toISOString()
+      });
+
+      for (const v of totals.vat) {
+        await trx('cashpoint_closing_vat').insert({ closing_id: closing.id, ...v });
+      }
+      for (const p of totals.payments) {
+        await trx('cashpoint_closing_payments').insert({ closing_id: closing.id, ...p });
+      }
+      for (const bc of totals.business_cases) {
+        await trx('cashpoint_closing_business_cases').insert({ closing_id: closing.id, ...bc });
+      }
+
+      return closing.id;
+    });
+
+    const closing = await this.getClosing(closingId);
+    await loggingService.logOperationalEvent('CASHPOINT_CLOSING', userId, {
+      z_nr: closing.z_nr,
+      business_date: closing.business_date,
+      transaction_count: closing.transaction_count,
+      total_gross: closing.total_gross,
+      carried_over_transactions: carriedOver,
+      tse_failed: tseFailed
+    });
+    logger.info({ service: 'ClosingService', z_nr: closing.z_nr, business_date: closing.business_date, carriedOver }, 'Business day closed');
+
+    if (process.env.HIERO_TOPIC_ID) {
+      // Anchoring is best effort; the closing itself is complete at this point
+      loggingService.anchorEndOfDay(closing.business_date).catch(error => {
+        logger.error({ service: 'ClosingService', function: 'anchorEndOfDay', error: error.message });
+      });
+    }
+
+    return { success: true, closing, carried_over: carriedOver, tse_failed: tseFailed };
+  }
+
+  /**
+   * Calculates the running totals of the open business day without closing it (X-report):
+   * all finished and cancelled transactions not yet assigned to a closing, the stornos since the
+   * last closing and the orders that are still open.
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<object>} Totals in the shape of a stored closing
+   */
+  async calculateOpenTotals(trx = db) {
+    const lastClosing = await trx('cashpoint_closings').orderBy('z_nr', 'desc').first();
+    const totals = await this._calculateTotals(null, trx);
+    const stornos = await this._calculateStornoTotals(lastClosing ? lastClosing.closed_at : null, null, trx);
+    const openCounts = await trx('active_transactions')
+      .whereIn('status', ['active', 'parked'])
+      .groupBy('status')
+      .select('status', trx.raw('COUNT(*) as count'));
+    const countOf = (status) => {
+      const row = openCounts.find(c => c.status === status);
+      return row ? Number(row.count) : 0;
+    };
+
+    return {
+      ...totals,
+      business_date: await this.getOpenBusinessDate(trx),
+      period_start: lastClosing ? lastClosing.closed_at : null,
+      last_z_nr: lastClosing ? lastClosing.z_nr : null,
+      last_fiscal_log_id: lastClosing ? lastClosing.last_fiscal_log_id : null,
+      active_count: countOf('active'),
+      parked_count: countOf('parked'),
+      storno_count: stornos.count,
+      storno_total: stornos.total
+    };
+  }
+
+  /**
+   * Cash in the drawer by the books: the cash payments of the finished transactions not yet
+   * closed, including the cash movements (opening float, withdrawals, differences).
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<number>}
+   */
+  async calculateOpenCash(trx = db) {
+    const payments = await this._calculatePaymentTotals(null, trx);
+    return payments.filter(p => p.zahlart_typ === CASH_ZAHLART_TYP).reduce((sum, p) => sum + p.amount, 0);
+  }
+
+  /**
+   * Returns the business day new transactions belong to: today (local calendar day), or the day
+   * after the last closing if today has already been closed.
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<string>} YYYY-MM-DD
+   */
+  async getOpenBusinessDate(trx = db) {
+    const today = toLocalDateString(new Date());
+    const lastClosing = await trx('cashpoint_closings').orderBy('z_nr', 'desc').first();
+    if (!lastClosing) return today;
+
+    const lastClosedDate = toLocalDateString(lastClosing.business_date);
+    return lastClosedDate >= today ? this._nextDate(lastClosedDate) : today;
+  }
+
+  /**
+   * Throws if the business day has already been closed.
+   * @param {string|Date} businessDate
+   * @param {object} [trx] - Knex transaction
+   */
+  async assertBusinessDayOpen(businessDate, trx = db) {
+    if (!businessDate) return;
+    const date = toLocalDateString(businessDate);
+    const closing = await trx('cashpoint_closings').where('business_date', '>=', date).orderBy('z_nr', 'asc').first();
+    if (closing) {
+      throw new Error(`Business day ${date} is closed (Z_NR ${closing.z_nr}), changes are no longer allowed.`);
+    }
+  }
+
+  /**
+   * Loads a closing with its totals per tax rate, payment type and business case.
+   * @param {number} closingId
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<object|null>}
+   */
+  async getClosing(closingId, trx = db) {
+    const closing = await trx('cashpoint_closings').where('id', closingId).first();
+    return closing ? this._withDetails(closing, trx) : null;
+  }
+
+  async getClosingByZNr(zNr, trx = db) {
+    const closing = await trx('cashpoint_closings').where('z_nr', zNr).first();
+    return closing ? this._withDetails(closing, trx) : null;
+  }
+
+  async getClosingByBusinessDate(businessDate, trx = db) {
+    const closing = await trx('cashpoint_closings').where('business_date', toLocalDateString(businessDate)).first();
+    return closing ? this._withDetails(closing, trx) : null;
+  }
+
+  /**
+   * Lists the closings of a period (by business date), ordered by Z_NR.
+   * @param {object} [options]
+   * @param {string} [options.startDate] - YYYY-MM-DD
+   * @param {string} [options.endDate] - YYYY-MM-DD
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<object[]>}
+   */
+  async listClosings({ startDate = null, endDate = null } = {}, trx = db) {
+    let query = trx('cashpoint_closings').orderBy('z_nr', 'asc');
+    if (startDate) query = query.where('business_date', '>=', toLocalDateString(startDate));
+    if (endDate) query = query.where('business_date', '<=', toLocalDateString(endDate));
+    const closings = await query;
+    return Promise.all(closings.map(closing => this._withDetails(closing, trx)));
+  }
+
+  async _withDetails(closing, trx) {
+    const vat = await trx('cashpoint_closing_vat').where('closing_id', closing.id).orderBy('ust_schluessel', 'asc');
+    const payments = await trx('cashpoint_closing_payments').where('closing_id', closing.id).orderBy('id', 'asc');
+    const businessCases = await trx('cashpoint_closing_business_cases').where('closing_id', closing.id).orderBy('id', 'asc');
+    return {
+      ...closing,
+      business_date: toLocalDateString(closing.business_date),
+      vat,
+      payments,
+      business_cases: businessCases
+    };
+  }
+
+  /**
+   * Calculates the totals of the transactions assigned to a closing,
+   * or of the transactions not yet closed if closingId is null.
+   */
+  async _calculateTotals(closingId, trx) {
+    const counts = await this._whereClosing(trx('active_transactions as at'), closingId)
+      .whereIn('at.status', ['finished', 'cancelled'])
+      .groupBy('at.status')
+      .select('at.status', trx.raw('COUNT(*) as count'), trx.raw('MIN(at.created_at) as first_at'), trx.raw('MAX(at.updated_at) as last_at'));
+    const finished = counts.find(c => c.status === 'finished');
+    const cancelled = counts.find(c => c.status === 'cancelled');
+
+    const lines = await this._whereClosing(trx('active_transaction_items as ati'), closingId)
+      .join('active_transactions as at', 'ati.active_transaction_id', 'at.id')
+      .where('at.status', 'finished')
+      .groupBy('ati.gv_typ', 'ati.tax_rate')
+      .select('ati.gv_typ', 'ati.tax_rate', trx.raw('SUM(ati.total_price) as total_price'));
+
+    const vatMapping = await trx('dsfinvk_vat_mapping').select('*');
+    const ustSchluessel = (rate) => {
+      const mapping = vatMapping.find(m => parseFloat(m.internal_tax_rate) === rate);
+      return mapping ? mapping.dsfinvk_ust_schluessel : DEFAULT_UST_SCHLUESSEL;
+    };
+
+    const breakdown = (caseLines) => taxService.buildTaxBreakdown(caseLines).map(b => ({
+      ust_schluessel: ustSchluessel(b.tax_rate),
+      tax_rate: b.tax_rate,
+      gross: b.gross,
+      net: b.net,
+      tax: b.tax
+    }));
+
+    // The totals per tax rate are the sales after discounts; cash movements only appear as business cases
+    const vat = breakdown(lines.filter(line => SALES_GV_TYPES.includes(line.gv_typ)));
+    const gvTypes = [...new Set(lines.map(line => line.gv_typ))]
+      .sort((a, b) => (a === GV_TYP.UMSATZ ? -1 : b === GV_TYP.UMSATZ ? 1 : a.localeCompare(b)));
+    const businessCases = gvTypes
+      .flatMap(gvTyp => breakdown(lines.filter(line => line.gv_typ === gvTyp)).map(b => ({ gv_typ: gvTyp, ...b })));
+    const payments = await this._calculatePaymentTotals(closingId, trx);
+
+    return {
+      transaction_count: finished ? Number(finished.count) : 0,
+      cancelled_count: cancelled ? Number(cancelled.count) : 0,
+      total_gross: vat.reduce((sum, v) => sum + v.gross, 0),
+      total_net: vat.reduce((sum, v) => sum + v.net, 0),
+      total_tax: vat.reduce((sum, v) => sum + v.tax, 0),
+      total_payments: payments.reduce((sum, p) => sum + p.amount, 0),
+      total_cash: payments.filter(p => p.zahlart_typ === CASH_ZAHLART_TYP).reduce((sum, p) => sum + p.amount, 0),
+      first_transaction_at: finished ? finished.first_at : null,
+      last_transaction_at: finished ? finished.last_at : null,
+      vat,
+      payments,
+      business_cases: businessCases
+    };
+  }
+
+  /**
+   * Sums the applied payment amounts per payment type of a closing.
+   * Transactions finished before split payments were introduced have no transaction_payments rows;
+   * for those the single payment_type of the transaction is used.
+   * @returns {Promise<Array<{payment_type: string, zahlart_typ: string, currency_code: string, amount: number}>>}
+   */
+  async _calculatePaymentTotals(closingId, trx) {
+    const splitPayments = await this._whereClosing(trx('transaction_payments as tp'), closingId)
+      .join('active_transactions as at', 'tp.active_transaction_id', 'at.id')
+      .where('at.status', 'finished')
+      .groupBy('tp.payment_type', 'tp.zahlart_typ', 'tp.currency_code')
+      .select('tp.payment_type', 'tp.zahlart_typ', 'tp.currency_code', trx.raw('SUM(tp.amount) as amount'));
+
+    const legacyPayments = await this._whereClosing(trx('active_transactions as at'), closingId)
+      .where('at.status', 'finished')
+      .whereNotExists(function() {
+        this.select('id').from('transaction_payments').whereRaw('transaction_payments.active_transaction_id = at.id');
+      })
+      .groupBy('at.payment_type')
+      .select('at.payment_type', trx.raw('SUM(at.total_amount) as amount'));
+
+    const totals = new Map();
+    for (const p of splitPayments) {
+      totals.set(p.payment_type, { payment_type: p.payment_type, zahlart_typ: p.zahlart_typ, currency_code: p.currency_code, amount: parseFloat(p.amount) });
+    }
+    for (const p of legacyPayments) {
+      const paymentType = p.payment_type || CASH_ZAHLART_TYP;
+      const existing = totals.get(paymentType);
+      if (existing) {
+        existing.amount += parseFloat(p.amount);
+      } else {
+        totals.set(paymentType, {
+          payment_type: paymentType,
+          zahlart_typ: paymentType === CASH_ZAHLART_TYP ? CASH_ZAHLART_TYP : 'Unbar',
+          currency_code: 'EUR',
+          amount: parseFloat(p.amount)
+        });
+      }
+    }
+    return [...totals.values()];
+  }
+
+  /**
+   * Sums the executed stornos logged in storno_log within (since, until].
+   * @param {string|Date|null} since - Exclusive lower bound, null for no bound
+   * @param {string|Date|null} until - Inclusive upper bound, null for now
+   * @returns {Promise<{count: number, total: number}>}
+   */
+  async _calculateStornoTotals(since, until, trx) {
+    let query = trx('storno_log').whereIn('approval_status', EXECUTED_STORNO_STATUSES);
+    if (since) query = query.where('created_at', '>', since);
+    if (until) query = query.where('created_at', '<=', until);
+    const result = await query.select(trx.raw('COUNT(*) as count'), trx.raw('SUM(storno_amount) as total')).first();
+    return {
+      count: Number(result.count),
+      total: parseFloat(result.total || 0)
+    };
+  }
+
+  // The transaction alias 'at' is resolved by the caller's joins
+  _whereClosing(query, closingId) {
+    return closingId === null ? query.whereNull('at.closing_id') : query.where('at.closing_id', closingId);
+  }
+
+  _parseCountedCash(countedCash) {
+    if (countedCash === null || countedCash === undefined || countedCash === '') return null;
+    const amount = parseFloat(countedCash);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new Error(`Invalid counted cash amount '${countedCash}'.`);
+    }
+    return Math.round(amount * 100) / 100;
+  }
+
+  _nextDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return toLocalDateString(new Date(year, month - 1, day + 1));
+  }
+}
+
+module.exports = new ClosingService();
@@ -0,0 +1,491 @@
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const loggingService = require('./logging.service');
+const scheduleService = require('./schedule.service');
+const taxService = require('./tax.service');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+const { roundAmount } = require('../utils/number-helper');
+const { GV_TYP } = require('../utils/dsfinvk/business_cases');
+
+const DISCOUNT_LINE_NOTE = 'DISCOUNT';
+// Discounts given by the staff and the permission each needs
+const DISCOUNT_PERMISSIONS = {
+  percent: 'discounts.apply',
+  amount: 'discounts.apply',
+  staff_meal: 'discounts.staff_meal'
+};
+// Permission to maintain the promotions
+const PROMOTION_PERMISSION = 'discounts.manage';
+const PROMOTION_TYPES = ['buy_x_pay_y', 'combo', 'category_percent'];
+const STAFF_MEAL_NAME = 'Personalverzehr';
+
+/**
+ * DiscountService calculates the discounts of a transaction.
+ *
+ * A discount is a DISCOUNT child line of the line it reduces with a negative amount, the tax rate of
+ * that line and GV_TYP 'Rabatt', so the receipt, the refund of a position and the DSFinV-K export
+ * (one Rabatt line per line, business cases by tax rate) need nothing else. A discount on the whole
+ * receipt is spread over its lines by their amounts.
+ *
+ * The discount lines are derived, after every change of the lines (recalculate), in this order:
+ * 1. promotions valid now, highest priority first: '2 für 1' and other buy_x_pay_y offers (the
+ *    cheapest units of each group of buy_quantity are free), combos (one unit of each component
+ *    for a fixed price) and a percentage off the items of categories; a unit is part of one
+ *    buy_x_pay_y or combo offer at most,
+ * 2. discounts of the staff on a line (transaction_discounts with a transaction_item_id),
+ * 3. discounts of the staff on the receipt, staff meals (Personalverzehr) included.
+ * Each one applies to what is left of a line after the ones before, so no line drops below 0.
+ * Discounts of the staff need a reason and the permission of their type.
+ */
+class DiscountService {
+
+  /**
+   * @param {object} user - Current user (AuthService.getCurrentUser)
+   * @param {string} discountType - 'percent', 'amount' or 'staff_meal'
+   * @returns {boolean} Whether the user may give the discount
+   */
+  canApplyDiscount(user, discountType) {
+    if (!user) return false;
+    const permissions = Array.isArray(user.permissions) ? user.permissions : [];
+    return !!user.can_approve_changes || permissions.includes('all') || permissions.includes(DISCOUNT_PERMISSIONS[discountType]);
+  }
+
+  /**
+   * @param {object} user - Current user (AuthService.getCurrentUser)
+   * @returns {boolean} Whether the user may maintain the promotions
+   */
+  canManagePromotions(user) {
+    if (!user) return false;
+    const permissions = Array.isArray(user.permissions) ? user.permissions : [];
+    return !!user.can_approve_changes || permissions.includes('all') || permissions.includes(PROMOTION_PERMISSION);
+  }
+
+  assertCanApplyDiscount(user, discountType) {
+    if (!Object.prototype.hasOwnProperty.call(DISCOUNT_PERMISSIONS, discountType)) {
+      throw new Error(`Unknown discount type '${discountType}', expected one of ${Object.keys(DISCOUNT_PERMISSIONS).join(', ')}.`);
+    }
+    if (!this.canApplyDiscount(user, discountType)) {
+      throw new Error(`Insufficient permissions - ${DISCOUNT_PERMISSIONS[discountType]} required`);
+    }
+  }
+
+  assertCanManagePromotions(user) {
+    if (!this.canManagePromotions(user)) {
+      throw new Error(`Insufficient permissions - ${PROMOTION_PERMISSION} required`);
+    }
+  }
+
+  /**
+   * Checks a discount of the staff and names it for the receipt.
+   * @param {object} discount
+   * @param {string} discount.type - 'percent', 'amount' or 'staff_meal'
+   * @param {number} [discount.value] - Percent or amount; a staff meal is 100 % unless given
+   * @param {string} [discount.reason] - Required, except for staff meals
+   * @returns {{discount_type: string, value: number, name: string, reason: string}}
+   */
+  normalizeDiscount({ type, value, reason }) {
+    const isStaffMeal = type === 'staff_meal';
+    const amount = roundAmount(parseFloat(isStaffMeal && (value === undefined || value === null || value === '') ? 100 : value));
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error(`Invalid discount value '${value}'.`);
+    }
+    if (type !== 'amount' && amount > 100) {
+      throw new Error(`A discount cannot be more than 100 % (${amount} %).`);
+    }
+    const text = reason && String(reason).trim() ? String(reason).trim() : (isStaffMeal ? STAFF_MEAL_NAME : null);
+    if (!text) {
+      throw new Error('A reason is required for a discount.');
+    }
+
+    let name;
+    if (isStaffMeal) {
+      name = amount === 100 ? STAFF_MEAL_NAME : `${STAFF_MEAL_NAME} ${this._formatPercent(amount)}`;
+    } else if (type === 'percent') {
+      name = `Rabatt ${this._formatPercent(amount)}`;
+    } else {
+      name = 'Rabatt';
+    }
+    return { discount_type: type, value: amount, name, reason: text };
+  }
+
+  /**
+   * Discounts of the staff on a transaction.
+   * @param {number} transactionId
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<object[]>}
+   */
+  async getTransactionDiscounts(transactionId, trx = db) {
+    const discounts = await trx('transaction_discounts').where('active_transaction_id', transactionId).orderBy('id', 'asc');
+    return discounts.map(discount => ({ ...discount, value: parseFloat(discount.value) }));
+  }
+
+  /**
+   * Records a discount of the staff on an active transaction; the lines follow with recalculate.
+   * @param {object} trx - Knex transaction
+   * @param {object} options
+   * @param {object} options.transaction - Active transaction
+   * @param {number|null} options.transactionItemId - Line, null for the whole receipt
+   * @param {object} options.discount - See normalizeDiscount
+   * @param {number} options.userId
+   * @returns {Promise<object>} The transaction discount
+   */
+  async addTransactionDiscount(trx, { transaction, transactionItemId, discount, userId }) {
+    if (transactionItemId) {
+      const line = await trx('active_transaction_items').where('id', transactionItemId).first();
+      if (!line || line.active_transaction_id !== transaction.id) {
+        throw new Error(`Transaction item with ID ${transactionItemId} not found in transaction ${transaction.id}.`);
+      }
+      if (line.parent_transaction_item_id) {
+        throw new Error(`Transaction item ${transactionItemId} is a dependent line; discount the line it belongs to.`);
+      }
+    }
+    const normalized = this.normalizeDiscount(discount);
+    const [created] = await trx('transaction_discounts').insert({
+      active_transaction_id: transaction.id,
+      transaction_item_id: transactionItemId || null,
+      ...normalized,
+      user_id: userId,
+      created_at: new Date().toISOString()
+    }).returning('*');
+    return { ...created, value: parseFloat(created.value) };
+  }
+
+  /**
+   * Takes back a discount of the staff; the lines follow with recalculate.
+   * @param {object} trx - Knex transaction
+   * @param {number} transactionId
+   * @param {number} discountId
+   * @returns {Promise<object>} The removed transaction discount
+   */
+  async removeTransactionDiscount(trx, transactionId, discountId) {
+    const discount = await trx('transaction_discounts').where({ id: discountId, active_transaction_id: transactionId }).first();
+    if (!discount) {
+      throw new Error(`Discount ${discountId} not found in transaction ${transactionId}.`);
+    }
+    await trx('active_transaction_items').where('transaction_discount_id', discountId).del();
+    await trx('transaction_discounts').where('id', discountId).del();
+    return { ...discount, value: parseFloat(discount.value) };
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.activeOnly] - Only promotions that are switched on
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<object[]>} Promotions by priority
+   */
+  async getPromotions({ activeOnly = false } = {}, trx = db) {
+    const query = trx('promotions').orderBy([{ column: 'priority', order: 'desc' }, { column: 'id', order: 'asc' }]);
+    if (activeOnly) {
+      query.where('is_active', true);
+    }
+    const promotions = await query;
+    return promotions.map(promotion => ({
+      ...promotion,
+      is_active: !!promotion.is_active,
+      config: parseJsonIfNeeded(promotion.config) || {},
+      schedule: parseJsonIfNeeded(promotion.schedule) || null
+    }));
+  }
+
+  /**
+   * Creates or updates a promotion.
+   * @param {number|null} promotionId - null to create
+   * @param {object} data - name, promotion_type, config, schedule, is_active, priority
+   * @param {number} [userId]
+   * @returns {Promise<object>} The promotion
+   */
+  async savePromotion(promotionId, data, userId = null) {
+    const promotion = this._normalizePromotion(data);
+    const row = {
+      ...promotion,
+      config: JSON.stringify(promotion.config),
+      schedule: promotion.schedule ? JSON.stringify(promotion.schedule) : null,
+      updated_at: new Date().toISOString()
+    };
+
+    let id = promotionId;
+    if (id) {
+      const updated = await db('promotions').where('id', id).update(row);
+      if (!updated) {
+        throw new Error(`Promotion ${id} not found.`);
+      }
+    } else {
+      const [created] = await db('promotions').insert(row).returning('*');
+      id = created.id;
+    }
+    await loggingService.logOperationalEvent(promotionId ? 'PROMOTION_UPDATED' : 'PROMOTION_CREATED', userId, { promotion_id: id, ...promotion });
+    return (await this.getPromotions()).find(p => p.id === id);
+  }
+
+  /**
+   * Deletes a promotion; lines it was given on keep their discount and name.
+   * @param {number} promotionId
+   * @param {number} [userId]
+   */
+  async deletePromotion(promotionId, userId = null) {
+    const deleted = await db('promotions').where('id', promotionId).del();
+    if (!deleted) {
+      throw new Error(`Promotion ${promotionId} not found.`);
+    }
+    await loggingService.logOperationalEvent('PROMOTION_DELETED', userId, { promotion_id: promotionId });
+  }
+
+  /**
+   * Derives the discount lines of a transaction from its lines, its promotions and the discounts of
+   * the staff, and returns the new totals. Discount lines that stay the same are kept.
+   * @param {number} transactionId
+   * @param {object} trx - Knex transaction
+   * @returns {Promise<{total_amount: number, tax_amount: number}>} Totals of all lines
+   */
+  async recalculate(transactionId, trx) {
+    const lines = await trx('active_transaction_items as ati')
+      .leftJoin('items as i', 'ati.item_id', 'i.id')
+      .where('ati.active_transaction_id', transactionId)
+      .select('ati.*', 'i.associated_category_unique_identifier as category_id')
+      .orderBy('ati.id', 'asc');
+    const isDiscountLine = (line) => line.notes === DISCOUNT_LINE_NOTE && !!line.discount_name;
+    const existing = lines.filter(isDiscountLine);
+
+    // A position is a line with its modifiers (and storno lines), without the derived discounts
+    const descendantsOf = (line) => lines
+      .filter(child => child.parent_transaction_item_id === line.id && !isDiscountLine(child))
+      .flatMap(child => [child, ...descendantsOf(child)]);
+    const positions = lines
+      .filter(line => !line.parent_transaction_item_id && line.item_id && (line.gv_typ || GV_TYP.UMSATZ) === GV_TYP.UMSATZ)
+      .map(line => {
+        const children = descendantsOf(line);
+        const quantity = parseFloat(line.quantity) + children
+          .filter(child => child.notes === 'STORNO')
+          .reduce((sum, child) => sum + parseFloat(child.quantity), 0);
+        const base = roundAmount([line, ...children].reduce((sum, l) => sum + parseFloat(l.total_price), 0));
+        return { line, quantity, base, remaining: base, freeUnits: Math.floor(quantity + 0.0005) };
+      })
+      .filter(position => position.quantity > 0 && position.base > 0);
+
+    const wanted = [];
+    const give = (position, amount, source) => {
+      const value = Math.min(roundAmount(amount), position.remaining);
+      if (!(value > 0)) return;
+      position.remaining = roundAmount(position.remaining - value);
+      const key = `${position.line.id}:${source.transaction_discount_id || ''}:${source.promotion_id || ''}`;
+      const line = wanted.find(w => w.key === key);
+      if (line) {
+        line.amount = roundAmount(line.amount + value);
+      } else {
+        wanted.push({ key, parent: position.line, amount: value, ...source });
+      }
+    };
+
+    if (positions.length > 0) {
+      const branchId = await scheduleService.getCurrentBranchId(trx);
+      const promotions = (await this.getPromotions({ activeOnly: true }, trx))
+        .filter(promotion => scheduleService.isRuleActive(promotion.schedule, { branchId }));
+      for (const promotion of promotions) {
+        this._applyPromotion(promotion, positions, give);
+      }
+
+      const discounts = await this.getTransactionDiscounts(transactionId, trx);
+      for (const discount of discounts.filter(d => d.transaction_item_id)) {
+        const position = positions.find(p => p.line.id === discount.transaction_item_id);
+        if (!position) continue;
+        const amount = discount.discount_type === 'amount' ? discount.value : position.remaining * discount.value / 100;
+        give(position, amount, this._discountSource(discount));
+      }
+      for (const discount of discounts.filter(d => !d.transaction_item_id)) {
+        const remaining = roundAmount(positions.reduce((sum, p) => sum + p.remaining, 0));
+        const total = discount.discount_type === 'amount'
+          ? Math.min(discount.value, remaining)
+          : roundAmount(remaining * discount.value / 100);
+        this._spread(positions, total).forEach(([position, amount]) => give(position, amount, this._discountSource(discount)));
+      }
+    }
+
+    await this._writeDiscountLines(transactionId, existing, wanted, trx);
+
+    const totals = await trx('active_transaction_items')
+      .where('active_transaction_id', transactionId)
+      .sum('total_price as total_amount')
+      .sum('tax_amount as tax_amount')
+      .first();
+    return {
+      total_amount: parseFloat(totals.total_amount) || 0,
+      tax_amount: parseFloat(totals.tax_amount) || 0
+    };
+  }
+
+  _discountSource(discount) {
+    return {
+      transaction_discount_id: discount.id,
+      promotion_id: null,
+      name: discount.name,
+      reason: discount.reason
+    };
+  }
+
+  _applyPromotion(promotion, positions, give) {
+    const { config } = promotion;
+    const source = { transaction_discount_id: null, promotion_id: promotion.id, name: promotion.name, reason: promotion.name };
+    const qualifies = (position, rule) =>
+      (rule.item_ids || []).map(Number).includes(position.line.item_id)
+      || (rule.category_ids || []).map(Number).includes(Number(position.line.category_id));
+
+    if (promotion.promotion_type === 'category_percent') {
+      positions
+        .filter(position => qualifies(position, config))
+        .forEach(position => give(position, position.remaining * config.percent / 100, source));
+      return;
+    }
+
+    // Single units of the positions that are not part of another offer yet, at what is left of their price
+    const unitsOf = (rule) => positions
+      .filter(position => position.freeUnits > 0 && qualifies(position, rule))
+      .flatMap(position => Array.from({ length: position.freeUnits }, () => ({ position, value: position.remaining / position.quantity })));
+
+    if (promotion.promotion_type === 'buy_x_pay_y') {
+      const buy = Number(config.buy_quantity);
+      const free = buy - Number(config.pay_quantity);
+      const units = unitsOf(config).sort((a, b) => b.value - a.value);
+      // Most expensive first: in each group of buy units the last (cheapest) ones are free
+      for (let start = 0; start + buy <= units.length; start += buy) {
+        const group = units.slice(start, start + buy);
+        group.forEach(unit => { unit.position.freeUnits -= 1; });
+        group.slice(buy - free).forEach(unit => give(unit.position, unit.value, source));
+      }
+      return;
+    }
+
+    if (promotion.promotion_type === 'combo') {
+      const price = parseFloat(config.price);
+      for (;;) {
+        // One unit of each component, the most expensive available, each unit used once
+        const taken = [];
+        for (const component of config.components) {
+          const unit = unitsOf(component)
+            .filter(candidate => candidate.position.freeUnits - taken.filter(t => t.position === candidate.position).length > 0)
+            .sort((a, b) => b.value - a.value)[0];
+          if (!unit) return;
+          taken.push(unit);
+        }
+        const value = taken.reduce((sum, unit) => sum + unit.value, 0);
+        if (value - price <= 0) return;
+        taken.forEach(unit => { unit.position.freeUnits -= 1; });
+        const saving = roundAmount(value - price);
+        this._spread(taken.map(unit => ({ remaining: unit.value, position: unit.position })), saving)
+          .forEach(([unit, amount]) => give(unit.position, amount, source));
+      }
+    }
+  }
+
+  /**
+   * Spreads an amount over entries by their remaining amount, to the cent; the rounding
+   * difference goes to the largest entry.
+   * @returns {Array<[object, number]>}
+   */
+  _spread(entries, total) {
+    const sum = entries.reduce((s, entry) => s + entry.remaining, 0);
+    if (!(total > 0) || !(sum > 0)) return [];
+    const shares = entries.map(entry => [entry, roundAmount(total * entry.remaining / sum)]);
+    const difference = roundAmount(total - shares.reduce((s, [, amount]) => s + amount, 0));
+    if (difference !== 0) {
+      const largest = shares.reduce((best, share) => (share[0].remaining > best[0].remaining ? share : best));
+      largest[1] = roundAmount(largest[1] + difference);
+    }
+    return shares;
+  }
+
+  async _writeDiscountLines(transactionId, existing, wanted, trx) {
+    const now = new Date().toISOString();
+    const keyOf = (line) => `${line.parent_transaction_item_id}:${line.transaction_discount_id || ''}:${line.promotion_id || ''}`;
+    const kept = new Set();
+
+    for (const discount of wanted) {
+      const taxRate = parseFloat(discount.parent.tax_rate);
+      const data = {
+        unit_price: -discount.amount,
+        total_price: -discount.amount,
+        tax_amount: -taxService.calculateTaxAmount(discount.amount, taxRate),
+        tax_rate: taxRate,
+        discount_name: discount.name,
+        discount_reason: discount.reason
+      };
+      const line = existing.find(l => keyOf(l) === discount.key && !kept.has(l.id));
+      if (line) {
+        kept.add(line.id);
+        if (roundAmount(-parseFloat(line.total_price)) !== discount.amount || parseFloat(line.tax_rate) !== taxRate
+          || line.discount_name !== discount.name) {
+          await trx('active_transaction_items').where('id', line.id).update({ ...data, updated_at: now });
+        }
+        continue;
+      }
+      await trx('active_transaction_items').insert({
+        ...data,
+        active_transaction_id: transactionId,
+        item_id: null,
+        quantity: 1,
+        notes: DISCOUNT_LINE_NOTE,
+        gv_typ: GV_TYP.RABATT,
+        course: discount.parent.course || null,
+        parent_transaction_item_id: discount.parent.id,
+        transaction_discount_id: discount.transaction_discount_id,
+        promotion_id: discount.promotion_id,
+        created_at: now,
+        updated_at: now
+      });
+    }
+
+    const obsolete = existing.filter(line => !kept.has(line.id)).map(line => line.id);
+    if (obsolete.length > 0) {
+      await trx('active_transaction_items').whereIn('id', obsolete).del();
+    }
+    if (wanted.length > 0 || obsolete.length > 0) {
+      logger.info({ service: 'DiscountService', transactionId, discountLines: wanted.length, removed: obsolete.length }, 'Discounts recalculated');
+    }
+  }
+
+  _normalizePromotion({ name, promotion_type, config = {}, schedule = null, is_active = true, priority = 0 }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('A promotion needs a name.');
+    }
+    if (!PROMOTION_TYPES.includes(promotion_type)) {
+      throw new Error(`Unknown promotion type '${promotion_type}', expected one of ${PROMOTION_TYPES.join(', ')}.`);
+    }
+    const ids = (values) => (Array.isArray(values) ? values.map(Number).filter(Number.isInteger) : []);
+    const selection = (rule) => ({ item_ids: ids(rule.item_ids), category_ids: ids(rule.category_ids) });
+    const isEmpty = (rule) => rule.item_ids.length === 0 && rule.category_ids.length === 0;
+
+    let normalized;
+    if (promotion_type === 'category_percent') {
+      const percent = parseFloat(config.percent);
+      normalized = { category_ids: ids(config.category_ids), percent };
+      if (normalized.category_ids.length === 0) throw new Error('A category promotion needs at least one category.');
+      if (!(percent > 0 && percent <= 100)) throw new Error(`Invalid percentage '${config.percent}'.`);
+    } else if (promotion_type === 'buy_x_pay_y') {
+      normalized = { ...selection(config), buy_quantity: Number(config.buy_quantity), pay_quantity: Number(config.pay_quantity) };
+      if (isEmpty(normalized)) throw new Error('A buy x pay y promotion needs items or categories.');
+      if (!Number.isInteger(normalized.buy_quantity) || !Number.isInteger(normalized.pay_quantity)
+        || normalized.pay_quantity < 0 || normalized.pay_quantity >= normalized.buy_quantity) {
+        throw new Error(`Invalid offer: buy ${config.buy_quantity}, pay ${config.pay_quantity}.`);
+      }
+    } else {
+      const components = Array.isArray(config.components) ? config.components.map(selection) : [];
+      normalized = { components, price: roundAmount(parseFloat(config.price)) };
+      if (components.length < 2 || components.some(isEmpty)) throw new Error('A combo needs at least two components with items or categories.');
+      if (!(normalized.price >= 0)) throw new Error(`Invalid combo price '${config.price}'.`);
+    }
+
+    return {
+      name: String(name).trim(),
+      promotion_type,
+      config: normalized,
+      schedule: schedule && Object.keys(schedule).length > 0 ? schedule : null,
+      is_active: !!is_active,
+      priority: Number(priority) || 0
+    };
+  }
+
+  _formatPercent(value) {
+    return `${String(value).replace('.', ',')} %`;
+  }
+}
+
+module.exports = new DiscountService();
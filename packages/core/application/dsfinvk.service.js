@@ -1,13 +1,46 @@
 const db = require('../db/knex');
 const logger = require('../config/logger');
 const xmlbuilder = require('xmlbuilder');
-const { Parser } = require('json2csv');
 const archiver = require('archiver');
 const fs = require('fs');
 const fsp = require('fs').promises;
 const path = require('path');
+const readline = require('readline');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const closingService = require('./closing.service');
+const taxService = require('./tax.service');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+const { DSFINVK_TABLES, getTable } = require('../utils/dsfinvk/tables');
+const { GV_TYP, CASH_PAYMENT_TYPES, getBusinessCaseLabel } = require('../utils/dsfinvk/business_cases');
+const { validateExport } = require('../utils/dsfinvk/validator');
+const { ExportProgress } = require('../utils/dsfinvk/progress');
+const { queryBatches, queryCursor, mapRows, writeCsv } = require('../utils/dsfinvk/stream');
+
+const TAXONOMIE_VERSION = '2.4';
+const BASE_CURRENCY = 'EUR';
+const DEFAULT_UST_SCHLUESSEL = 5; // 'Nicht Steuerbar'
+// Child lines documenting a change of their parent line; other child lines are Zusatzinfos
+const LINE_NOTES = ['STORNO', 'DISCOUNT', 'SURCHARGE'];
+const DATE_FORMAT = 'YYYY-MM-DD"T"hh:mm:ss.sss"Z"';
+// Rows a table is generated from, to weight the tables in the export progress (default: closings)
+const TABLE_PROGRESS_BASIS = {
+    transactions: 'transactions',
+    transactions_vat: 'transactions',
+    allocation_groups: 'transactions',
+    datapayment: 'transactions',
+    references: 'transactions',
+    transactions_tse: 'transactions',
+    lines: 'lines',
+    lines_vat: 'lines',
+    subitems: 'lines'
+};
+// Share of the progress percentage reached after each phase of the export
+const GENERATION_PROGRESS = 80;
+const VALIDATION_PROGRESS = 90;
+const PACKAGING_PROGRESS = 99;
+// Temporary directory in the export for rows that have to be sorted by closing before writing
+const TSE_ROWS_DIR = '.transactions_tse';
 
 // Helper to format numbers with a period decimal separator (DSFinV-K compliant)
 const formatNumber = (num, decimals = 2) => {
@@ -27,6 +60,13 @@ const formatDate = (date) => {
     }
 };
 
+// Splits a gross amount into net and tax at the given rate
+const splitGross = (gross, taxRate) => {
+    const grossValue = parseFloat(gross);
+    const net = grossValue / (1 + parseFloat(taxRate) / 100);
+    return { gross: grossValue, net, tax: grossValue - net };
+};
+
 class DsfinvkService {
 
     /**
@@ -99,18 +139,15 @@ class DsfinvkService {
         await fsp.mkdir(exportPath, { recursive: true });
 
         try {
-            const context = {
-                startDate: new Date(startDate).toISOString(),
-                endDate: new Date(`${endDate}T23:59:59.999Z`).toISOString(),
-                kassenabschlussNr: 1, 
-                kasseId: 'kasse_1' 
-            };
+            const progress = new ExportProgress();
+            const context = await this.buildExportContext(startDate, endDate, progress);
 
             await this.generateAllFiles(exportPath, context);
-            const zipPath = await this.createZipWithTar(exportPath, exportId, userFriendlyName);
+            const validation = await this.validateFiles(exportPath, progress);
+            const zipPath = await this.createZipWithTar(exportPath, exportId, userFriendlyName, progress);
             
-            logger.info({ exportId, zipPath }, 'DSFinV-K export package created successfully.');
-            return { success: true, path: zipPath, exportId };
+            logger.info({ exportId, zipPath, valid: validation.valid }, 'DSFinV-K export package created successfully.');
+            return { success: true, path: zipPath, exportId, validation };
         } catch (error) {
             logger.error({ service: 'DsfinvkService', function: 'generateSyncExport', error: error.message, stack: error.stack }, 'DSFinV-K export failed.');
             throw error;
@@ -123,6 +160,7 @@ class DsfinvkService {
      * Background processor for async exports
      */
     async processAsyncExport(jobId, options) {
+        let exportPath = null;
         try {
             // Update status to processing
             await db('export_jobs').where('job_id', jobId).update({
@@ -132,35 +170,37 @@ class DsfinvkService {
 
             const { startDate, endDate } = options;
             const exportId = `dsfinvk-export-${Date.now()}`;
-            const exportPath = path.join(__dirname, `../../../../tmp/${exportId}`);
+            exportPath = path.join(__dirname, `../../../../tmp/${exportId}`);
             
             // Create user-friendly filename for ZIP
             const userFriendlyName = `dsfinvk-export-${startDate}-to-${endDate}`;
             
             await fsp.mkdir(exportPath, { recursive: true });
 
-            const context = {
-                startDate: new Date(startDate).toISOString(),
-                endDate: new Date(`${endDate}T23:59:59.999Z`).toISOString(),
-                kassenabschlussNr: 1, 
-                kasseId: 'kasse_1' 
-            };
+            const progress = new ExportProgress(async ({ percent, step }) => {
+                try {
+                    await db('export_jobs').where('job_id', jobId).update({ progress: percent, progress_step: step, updated_at: new Date() });
+                } catch (error) {
+                    logger.warn({ jobId, error: error.message }, 'Failed to update DSFinV-K export progress.');
+                }
+            });
+            const context = await this.buildExportContext(startDate, endDate, progress);
 
             await this.generateAllFiles(exportPath, context);
-            const zipPath = await this.createZipWithTar(exportPath, exportId, userFriendlyName);
+            const validation = await this.validateFiles(exportPath, progress);
+            const zipPath = await this.createZipWithTar(exportPath, exportId, userFriendlyName, progress);
             
-            // Update job as complete
+            // Update job as complete, the validation report is shown before the download
             await db('export_jobs').where('job_id', jobId).update({
                 status: 'COMPLETE',
+                progress: 100,
+                progress_step: null,
                 file_path: zipPath,
+                validation_report: JSON.stringify(validation),
                 updated_at: new Date()
             });
 
             logger.info({ jobId, zipPath }, 'Async DSFinV-K export completed successfully.');
-            
-            // Cleanup temp directory
-            await fsp.rm(exportPath, { recursive: true, force: true });
-            
         } catch (error) {
             logger.error({ jobId, error: error.message, stack: error.stack }, 'Async DSFinV-K export failed.');
             
@@ -169,41 +209,161 @@ class DsfinvkService {
                 error_message: error.message,
                 updated_at: new Date()
             });
+        } finally {
+            if (exportPath) {
+                fsp.rm(exportPath, { recursive: true, force: true }).catch(err => logger.warn(`Failed to cleanup temp dir: ${err.message}`));
+            }
         }
     }
 
+    /**
+     * Builds the export context from the closings (Kassenabschluesse) of the period.
+     * Only closed business days are exported; every row carries the Z_NR of its closing.
+     * @param {string} startDate - First business date (YYYY-MM-DD)
+     * @param {string} endDate - Last business date (YYYY-MM-DD)
+     * @param {ExportProgress} [progress] - Progress of the export
+     */
+    async buildExportContext(startDate, endDate, progress = new ExportProgress()) {
+        const closings = await closingService.listClosings({ startDate, endDate });
+        if (closings.length === 0) {
+            throw new Error(`No closed business days (Kassenabschluss) between ${startDate} and ${endDate}.`);
+        }
+        const closingIds = closings.map(c => c.id);
+
+        // Row counts of the period, to weight the tables in the progress
+        const transactionCount = await db('active_transactions').whereIn('closing_id', closingIds).count('* as count').first();
+        const lineCount = await db('active_transaction_items as ati')
+            .join('active_transactions as at', 'ati.active_transaction_id', 'at.id')
+            .whereIn('at.closing_id', closingIds)
+            .count('* as count')
+            .first();
+
+        return {
+            startDate: new Date(startDate).toISOString(),
+            endDate: new Date(`${endDate}T23:59:59.999Z`).toISOString(),
+            closings,
+            closingIds,
+            closingsById: new Map(closings.map(c => [c.id, c])),
+            rowCounts: {
+                closings: closings.length,
+                transactions: parseInt(transactionCount.count, 10),
+                lines: parseInt(lineCount.count, 10)
+            },
+            progress
+        };
+    }
+
     /**
      * Generate all DSFinV-K files
      */
     async generateAllFiles(exportPath, context) {
+        const expectedRows = DSFINVK_TABLES.reduce((sum, table) => sum + this.expectedRows(table.key, context), 0);
+        await context.progress.startPhase('generation', 0, GENERATION_PROGRESS, expectedRows);
+
         await this.generateIndexXml(exportPath);
         // Stammdaten
+        await this.generateCashpointClosingCsv(exportPath, context);
+        await this.generateLocationsCsv(exportPath, context);
         await this.generateCashRegisterCsv(exportPath, context);
-        await this.generateTseCsv(exportPath, context);
+        await this.generateSlavesCsv(exportPath, context);
+        await this.generateAgenciesCsv(exportPath, context);
         await this.generateVatCsv(exportPath, context);
+        await this.generateTseCsv(exportPath, context);
         // Einzelaufzeichnungen
         await this.generateTransactionsCsv(exportPath, context);
-        await this.generateLinesCsv(exportPath, context);
         await this.generateTransactionsVatCsv(exportPath, context);
+        await this.generateAllocationGroupsCsv(exportPath, context);
+        await this.generateDataPaymentCsv(exportPath, context);
+        await this.generateReferencesCsv(exportPath, context);
+        await this.generateTransactionsTseCsv(exportPath, context);
+        await this.generateLinesCsv(exportPath, context);
+        await this.generateLinesVatCsv(exportPath, context);
+        await this.generateSubitemsCsv(exportPath, context);
         // Kassenabschluss
-        await this.generateCashpointClosingCsv(exportPath, context);
         await this.generateBusinessCasesCsv(exportPath, context);
         await this.generatePaymentTypesCsv(exportPath, context);
+        await this.generateCashPerCurrencyCsv(exportPath, context);
     }
 
-    async generateCsv(filePath, data, fields) {
-        if (!data || data.length === 0) {
-            await fsp.writeFile(filePath, fields.join(';') + '\n');
-            return;
+    /**
+     * @returns {number} Rows expected in a table of the export, see TABLE_PROGRESS_BASIS
+     */
+    expectedRows(tableKey, context) {
+        return context.rowCounts[TABLE_PROGRESS_BASIS[tableKey] || 'closings'];
+    }
+
+    /**
+     * Checks the generated files against the DSFinV-K table definitions (see utils/dsfinvk/validator.js).
+     * An export with errors is still packaged, the report tells the user what to correct.
+     * @param {string} exportPath - Export directory
+     * @param {ExportProgress} [progress] - Progress of the export
+     * @returns {Promise<object>} Validation report
+     */
+    async validateFiles(exportPath, progress = new ExportProgress()) {
+        await progress.startPhase('validation', GENERATION_PROGRESS, VALIDATION_PROGRESS);
+        const report = await validateExport(exportPath, { onProgress: (fraction) => progress.setFraction(fraction) });
+        if (report.valid) {
+            logger.info({ service: 'DsfinvkService', function: 'validateFiles', tables: report.tables }, 'DSFinV-K export passed validation.');
+        } else {
+            logger.warn({ service: 'DsfinvkService', function: 'validateFiles', errorCount: report.error_count, errorsByCheck: report.errors_by_check }, 'DSFinV-K export has validation errors.');
         }
-        const parser = new Parser({ fields, delimiter: ';', quote: '"' });
-        const csv = parser.parse(data);
-        await fsp.writeFile(filePath, csv);
+        return report;
     }
-    
+
+    /**
+     * Writes the rows of a DSFinV-K table with the columns defined in utils/dsfinvk/tables.js.
+     * Rows are streamed into the file, they must be grouped by closing in the order of context.closings.
+     * The files are staged in the export directory rather than piped into the TAR: the validator reads
+     * all tables side by side, and a TAR entry needs its size before its content (archiver holds
+     * streams of unknown size in memory). Memory stays bounded, disk use is the size of the export.
+     * @param {string} exportPath - Export directory
+     * @param {string} tableKey - Table key, e.g. 'transactions'
+     * @param {AsyncIterable<object>|object[]} rows - Rows keyed by column name, missing columns are written empty
+     * @param {object} context - Export context
+     */
+    async writeTable(exportPath, tableKey, rows, context) {
+        const table = getTable(tableKey);
+        const { progress } = context;
+        await progress.startStep(table.file, this.expectedRows(tableKey, context));
+        const counted = async function* () {
+            for await (const row of rows) {
+                await progress.advance();
+                yield row;
+            }
+        };
+        await writeCsv(path.join(exportPath, table.file), counted(), table.columns.map(column => column.name));
+    }
+
+    /**
+     * Rows of a query for each closing of the export, closing by closing in batches.
+     * @param {object} context - Export context
+     * @param {function(object): object} buildQuery - Returns the knex query for the rows of a closing
+     * @param {string} keyColumn - Unique column to page by, e.g. 'at.id'
+     * @param {string} [keyProperty] - Property of the key in the rows
+     * @returns {AsyncGenerator<object[]>}
+     */
+    async *closingBatches(context, buildQuery, keyColumn, keyProperty) {
+        for (const closing of context.closings) {
+            yield* queryBatches(() => buildQuery(closing), keyColumn, keyProperty);
+        }
+    }
+
+    /**
+     * Same as closingBatches, row by row.
+     * @returns {AsyncGenerator<object>}
+     */
+    async *closingRows(context, buildQuery, keyColumn, keyProperty) {
+        for (const closing of context.closings) {
+            yield* queryCursor(() => buildQuery(closing), keyColumn, keyProperty);
+        }
+    }
+
+    /**
+     * Writes index.xml describing every table of the export with its columns, types and keys.
+     */
     async generateIndexXml(exportPath) {
         logger.info('Generating index.xml...');
-        const xml = xmlbuilder.create('DataSet', { version: '1.0', encoding: 'UTF-8' })
+        const media = xmlbuilder.create('DataSet', { version: '1.0', encoding: 'UTF-8' })
             .dtd('gdpdu-01-09-2004.dtd')
             .ele('Version', '2.4')
             .up()
@@ -215,62 +375,42 @@ class DsfinvkService {
                 .ele('Comment', 'DSFinV-K 2.4 compliant export')
                 .up()
             .up()
-            .ele('Media')
-                .ele('Name', 'DSFinV-K Export')
-                .up()
-                .ele('Table')
-                    .ele('URL', 'cashpointclosing.csv')
-                    .up()
-                    .ele('Name', 'Stamm_Abschluss')
-                    .up()
-                .up()
-                .ele('Table')
-                    .ele('URL', 'location.csv')
-                    .up()
-                    .ele('Name', 'Stamm_Orte')
-                    .up()
-                .up()
-                .ele('Table')
-                    .ele('URL', 'cashregister.csv')
-                    .up()
-                    .ele('Name', 'Stamm_Kassen')
-                    .up()
-                .up()
-                .ele('Table')
-                    .ele('URL', 'tse.csv')
-                    .up()
-                    .ele('Name', 'Stamm_TSE')
-                    .up()
-                .up()
-                .ele('Table')
-                    .ele('URL', 'vat.csv')
-                    .up()
-                    .ele('Name', 'Stamm_USt')
-                    .up()
-                .up()
-                .ele('Table')
-                    .ele('URL', 'transactions.csv')
-                    .up()
-                    .ele('Name', 'Bonkopf')
-                    .up()
-                .up()
-                .ele('Table')
-                    .ele('URL', 'lines.csv')
-                    .up()
-                    .ele('Name', 'Bonpos')
-                    .up()
-                .up()
-                .ele('Table')
-                    .ele('URL', 'transactions_vat.csv')
-                    .up()
-                    .ele('Name', 'Bonkopf_USt')
-                    .up()
-                .up()
-            .up()
-            .end({ pretty: true });
-        
+            .ele('Media');
+        media.ele('Name', 'DSFinV-K Export');
+
+        for (const table of DSFINVK_TABLES) {
+            const tableElement = media.ele('Table');
+            tableElement.ele('URL', table.file);
+            tableElement.ele('Name', table.name);
+            tableElement.ele('Description', table.description);
+            tableElement.ele('DecimalSymbol', '.');
+            tableElement.ele('DigitGroupingSymbol', ',');
+
+            const variableLength = tableElement.ele('VariableLength');
+            variableLength.ele('ColumnDelimiter', ';');
+            variableLength.ele('RecordDelimiter').raw('&#13;&#10;');
+            variableLength.ele('TextEncapsulator', '"');
+
+            // GDPdU expects the key columns first
+            const keyColumns = table.columns.filter(column => table.primaryKey.includes(column.name));
+            const otherColumns = table.columns.filter(column => !table.primaryKey.includes(column.name));
+            for (const column of keyColumns) {
+                this.addColumnElement(variableLength.ele('VariablePrimaryKey'), column);
+            }
+            for (const column of otherColumns) {
+                this.addColumnElement(variableLength.ele('VariableColumn'), column);
+            }
+
+            for (const foreignKey of table.foreignKeys) {
+                const foreignKeyElement = variableLength.ele('ForeignKey');
+                foreignKey.columns.forEach(name => foreignKeyElement.ele('Name', name));
+                foreignKeyElement.ele('References', getTable(foreignKey.references).name);
+            }
+        }
+
+        const xml = media.end({ pretty: true });
         await fsp.writeFile(path.join(exportPath, 'index.xml'), xml);
-        
+
         // Create a minimal DTD file
         const dtdContent = `<!ELEMENT DataSet (Version, DataSupplier, Media+)>
 <!ELEMENT Version (#PCDATA)>
@@ -279,144 +419,233 @@ class DsfinvkService {
 <!ELEMENT Location (#PCDATA)>
 <!ELEMENT Comment (#PCDATA)>
 <!ELEMENT Media (Name, Table+)>
-<!ELEMENT Table (URL, Name, Range?, DecimalSymbol?, DigitGroupingSymbol?, VariableLength*)>
+<!ELEMENT Table (URL, Name, Description?, DecimalSymbol?, DigitGroupingSymbol?, VariableLength)>
 <!ELEMENT URL (#PCDATA)>
-<!ELEMENT Range (#PCDATA)>
+<!ELEMENT Description (#PCDATA)>
 <!ELEMENT DecimalSymbol (#PCDATA)>
 <!ELEMENT DigitGroupingSymbol (#PCDATA)>
-<!ELEMENT VariableLength (Name, MaxLength)>
-<!ELEMENT MaxLength (#PCDATA)>`;
+<!ELEMENT VariableLength (ColumnDelimiter?, RecordDelimiter?, TextEncapsulator?, VariablePrimaryKey+, VariableColumn*, ForeignKey*)>
+<!ELEMENT ColumnDelimiter (#PCDATA)>
+<!ELEMENT RecordDelimiter (#PCDATA)>
+<!ELEMENT TextEncapsulator (#PCDATA)>
+<!ELEMENT VariablePrimaryKey (Name, (Numeric | AlphaNumeric | Date), MaxLength?)>
+<!ELEMENT VariableColumn (Name, (Numeric | AlphaNumeric | Date), MaxLength?)>
+<!ELEMENT Numeric (Accuracy?)>
+<!ELEMENT Accuracy (#PCDATA)>
+<!ELEMENT AlphaNumeric EMPTY>
+<!ELEMENT Date (Format)>
+<!ELEMENT Format (#PCDATA)>
+<!ELEMENT MaxLength (#PCDATA)>
+<!ELEMENT ForeignKey (Name+, References)>
+<!ELEMENT References (#PCDATA)>`;
         await fsp.writeFile(path.join(exportPath, 'gdpdu-01-09-2004.dtd'), dtdContent);
     }
 
+    addColumnElement(element, column) {
+        element.ele('Name', column.name);
+        if (column.type === 'Numeric') {
+            const numeric = element.ele('Numeric');
+            if (column.accuracy > 0) numeric.ele('Accuracy', column.accuracy);
+        } else if (column.type === 'Date') {
+            element.ele('Date').ele('Format', DATE_FORMAT);
+        } else {
+            element.ele('AlphaNumeric');
+            element.ele('MaxLength', column.maxLength);
+        }
+    }
+
+    /**
+     * Returns the Z_KASSE_ID, Z_ERSTELLUNG and Z_NR columns of the closing a row belongs to.
+     * @param {object} closing - Stored closing (cashpoint_closings row)
+     */
+    closingFields(closing) {
+        return {
+            Z_KASSE_ID: closing.kasse_id,
+            Z_ERSTELLUNG: formatDate(closing.closed_at),
+            Z_NR: closing.z_nr
+        };
+    }
+
+    /**
+     * Master data of the cash register: the first POS device is the register (as for the TSE),
+     * further devices are its terminals. Location and operator come from the register's location.
+     */
+    async getMasterData() {
+        const devices = await db('pos_devices').select('*').orderBy('id', 'asc');
+        const register = devices[0] || null;
+        const location = (register && await db('dsfinvk_locations').where('pos_device_id', register.id).first())
+            || await db('dsfinvk_locations').orderBy('location_id', 'asc').first()
+            || null;
+        const branch = register && register.branch_id ? await db('branches').where('id', register.branch_id).first() : null;
+        const company = (branch && branch.company_id ? await db('companies').where('id', branch.company_id).first() : null)
+            || await db('companies').orderBy('id', 'asc').first()
+            || null;
+        return { register, terminals: devices.slice(1), location, company };
+    }
+
+    async getUstSchluesselMap() {
+        const vatMappings = await db('dsfinvk_vat_mapping').select('*');
+        return (taxRate) => {
+            const mapping = vatMappings.find(v => parseFloat(v.internal_tax_rate) === parseFloat(taxRate));
+            return mapping ? mapping.dsfinvk_ust_schluessel : DEFAULT_UST_SCHLUESSEL;
+        };
+    }
+
     async generateCashpointClosingCsv(exportPath, context) {
         logger.info('Generating cashpointclosing.csv (Stamm_Abschluss)...');
-        const totals = await db('active_transactions')
-            .where('status', 'finished')
-            .whereBetween('created_at', [context.startDate, context.endDate])
-            .sum('total_amount as total_payments')
-            .sum(db.raw(`CASE WHEN payment_type = 'Bar' THEN total_amount ELSE 0 END`))
-            .as('total_cash');
-
-        const data = [{
-            Z_KASSE_ID: context.kasseId,
-            Z_ERSTELLUNG: formatDate(new Date()),
-            Z_NR: context.kassenabschlussNr,
-            Z_SE_ZAHLUNGEN: formatNumber(totals[0].total_payments || 0),
-            Z_SE_BARZAHLUNGEN: formatNumber(totals[0].total_cash || 0)
-        }];
-        const fields = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR', 'Z_SE_ZAHLUNGEN', 'Z_SE_BARZAHLUNGEN'];
-        await this.generateCsv(path.join(exportPath, 'cashpointclosing.csv'), data, fields);
-    }
+        const { location, company } = await this.getMasterData();
 
-    async generateBusinessCasesCsv(exportPath, context) {
-        logger.info('Generating businesscases.csv (Z_GV_Typ)...');
-        const businessCases = await db('active_transaction_items as ati')
-            .join('active_transactions as at', 'ati.active_transaction_id', 'at.id')
-            .leftJoin('dsfinvk_vat_mapping as dvm', 'ati.tax_rate', 'dvm.internal_tax_rate')
-            .where('at.status', 'finished')
-            .whereBetween('at.created_at', [context.startDate, context.endDate])
-            .groupBy('dvm.dsfinvk_ust_schluessel', 'ati.tax_rate')
-            .select(
-                'dvm.dsfinvk_ust_schluessel as UST_SCHLUESSEL',
-                'ati.tax_rate',
-                db.raw('SUM(ati.total_price) as Z_UMS_BRUTTO')
-            );
-
-        const data = businessCases.map(bc => {
-            const brutto = parseFloat(bc.Z_UMS_BRUTTO);
-            const taxRate = parseFloat(bc.tax_rate);
-            const netto = brutto / (1 + taxRate / 100);
-            const ust = brutto - netto;
+        // First and last receipt of each closing
+        const ranges = await db('active_transactions')
+            .whereIn('closing_id', context.closingIds)
+            .groupBy('closing_id')
+            .select('closing_id', db.raw('MIN(id) as first_id'), db.raw('MAX(id) as last_id'));
+        const boundaryIds = ranges.flatMap(r => [r.first_id, r.last_id]);
+        const uuids = new Map((await db('active_transactions').whereIn('id', boundaryIds).select('id', 'uuid')).map(t => [t.id, t.uuid]));
+
+        const data = context.closings.map(closing => {
+            const range = ranges.find(r => r.closing_id === closing.id);
             return {
-                Z_KASSE_ID: context.kasseId,
-                Z_ERSTELLUNG: formatDate(new Date()),
-                Z_NR: context.kassenabschlussNr,
-                GV_TYP: 'Umsatz',
-                UST_SCHLUESSEL: bc.UST_SCHLUESSEL || 5,
-                Z_UMS_BRUTTO: formatNumber(brutto, 5),
-                Z_UMS_NETTO: formatNumber(netto, 5),
-                Z_UST: formatNumber(ust, 5)
+                ...this.closingFields(closing),
+                Z_BUCHUNGSTAG: closing.business_date,
+                TAXONOMIE_VERSION,
+                Z_START_ID: range ? uuids.get(range.first_id) : '',
+                Z_ENDE_ID: range ? uuids.get(range.last_id) : '',
+                NAME: company ? company.company_full_name : (location ? location.loc_name : ''),
+                STRASSE: location ? location.loc_strasse : '',
+                PLZ: location ? location.loc_plz : '',
+                ORT: location ? location.loc_ort : '',
+                LAND: location ? location.loc_land : '',
+                STNR: location ? location.loc_stnr : '',
+                USTID: location ? location.loc_ustid : '',
+                Z_SE_ZAHLUNGEN: formatNumber(closing.total_payments),
+                Z_SE_BARZAHLUNGEN: formatNumber(closing.total_cash)
             };
         });
-        const fields = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR', 'GV_TYP', 'UST_SCHLUESSEL', 'Z_UMS_BRUTTO', 'Z_UMS_NETTO', 'Z_UST'];
-        await this.generateCsv(path.join(exportPath, 'businesscases.csv'), data, fields);
+        await this.writeTable(exportPath, 'cashpointclosing', data, context);
+    }
+
+    async generateBusinessCasesCsv(exportPath, context) {
+        logger.info('Generating businesscases.csv (Z_GV_Typ)...');
+        const data = context.closings.flatMap(closing => closing.business_cases.map(bc => ({
+            ...this.closingFields(closing),
+            GV_TYP: bc.gv_typ,
+            UST_SCHLUESSEL: bc.ust_schluessel,
+            Z_UMS_BRUTTO: formatNumber(bc.gross, 5),
+            Z_UMS_NETTO: formatNumber(bc.net, 5),
+            Z_UST: formatNumber(bc.tax, 5)
+        })));
+        await this.writeTable(exportPath, 'businesscases', data, context);
     }
 
     async generatePaymentTypesCsv(exportPath, context) {
         logger.info('Generating payment.csv (Z_Zahlart)...');
-        const payments = await db('active_transactions')
-            .where('status', 'finished')
-            .whereBetween('created_at', [context.startDate, context.endDate])
-            .groupBy('payment_type')
-            .select('payment_type as ZAHLART_NAME', db.raw('SUM(total_amount) as Z_ZAHLART_BETRAG'));
-
-        const data = payments.map(p => ({
-            Z_KASSE_ID: context.kasseId,
-            Z_ERSTELLUNG: formatDate(new Date()),
-            Z_NR: context.kassenabschlussNr,
-            ZAHLART_TYP: p.ZAHLART_NAME === 'Bar' ? 'Bar' : 'Unbar',
-            ZAHLART_NAME: p.ZAHLART_NAME,
-            Z_ZAHLART_BETRAG: formatNumber(p.Z_ZAHLART_BETRAG)
-        }));
-        const fields = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR', 'ZAHLART_TYP', 'ZAHLART_NAME', 'Z_ZAHLART_BETRAG'];
-        await this.generateCsv(path.join(exportPath, 'payment.csv'), data, fields);
+        const data = context.closings.flatMap(closing => closing.payments.map(p => ({
+            ...this.closingFields(closing),
+            ZAHLART_TYP: p.zahlart_typ,
+            ZAHLART_NAME: p.payment_type,
+            Z_ZAHLART_BETRAG: formatNumber(p.amount)
+        })));
+        await this.writeTable(exportPath, 'payment', data, context);
+    }
+
+    async generateCashPerCurrencyCsv(exportPath, context) {
+        logger.info('Generating cash_per_currency.csv (Z_Waehrungen)...');
+        const data = context.closings.flatMap(closing => {
+            const cashByCurrency = new Map();
+            for (const payment of closing.payments.filter(p => p.zahlart_typ === 'Bar')) {
+                const currency = payment.currency_code || BASE_CURRENCY;
+                cashByCurrency.set(currency, (cashByCurrency.get(currency) || 0) + parseFloat(payment.amount));
+            }
+            return [...cashByCurrency].map(([currency, amount]) => ({
+                ...this.closingFields(closing),
+                ZAHLART_WAEH: currency,
+                ZAHLART_BETRAG_WAEH: formatNumber(amount)
+            }));
+        });
+        await this.writeTable(exportPath, 'cash_per_currency', data, context);
     }
-    
+
     async generateLocationsCsv(exportPath, context) {
         logger.info('Generating location.csv (Stamm_Orte)...');
-        const locations = await db('dsfinvk_locations').select('*');
-        const data = locations.map(loc => ({
-            Z_KASSE_ID: context.kasseId,
-            Z_ERSTELLUNG: formatDate(new Date()),
-            Z_NR: context.kassenabschlussNr,
-            LOC_NAME: loc.loc_name,
-        }));
-        const fields = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR', 'LOC_NAME'];
-        await this.generateCsv(path.join(exportPath, 'location.csv'), data, fields);
+        const { location } = await this.getMasterData();
+        const data = location ? context.closings.map(closing => ({
+            ...this.closingFields(closing),
+            LOC_NAME: location.loc_name,
+            LOC_STRASSE: location.loc_strasse,
+            LOC_PLZ: location.loc_plz,
+            LOC_ORT: location.loc_ort,
+            LOC_LAND: location.loc_land,
+            LOC_USTID: location.loc_ustid
+        })) : [];
+        await this.writeTable(exportPath, 'location', data, context);
     }
-    
+
     async generateVatCsv(exportPath, context) {
         logger.info('Generating vat.csv (Stamm_USt)...');
         const vatMappings = await db('dsfinvk_vat_mapping').select('*').orderBy('dsfinvk_ust_schluessel', 'asc');
-        const data = vatMappings.map(v => ({
-            Z_KASSE_ID: context.kasseId,
-            Z_ERSTELLUNG: formatDate(new Date()),
-            Z_NR: context.kassenabschlussNr,
+        const data = context.closings.flatMap(closing => vatMappings.map(v => ({
+            ...this.closingFields(closing),
             UST_SCHLUESSEL: v.dsfinvk_ust_schluessel,
             UST_SATZ: formatNumber(v.internal_tax_rate, 2),
-            UST_BESCHR: v.description
-        }));
-        const fields = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR', 'UST_SCHLUESSEL', 'UST_SATZ', 'UST_BESCHR'];
-        await this.generateCsv(path.join(exportPath, 'vat.csv'), data, fields);
+            UST_BESCHR: (v.description || '').slice(0, 55) // AlphaNumeric(55)
+        })));
+        await this.writeTable(exportPath, 'vat', data, context);
     }
 
     async generateCashRegisterCsv(exportPath, context) {
         logger.info('Generating cashregister.csv (Stamm_Kassen)...');
-        const devices = await db('pos_devices').select('*');
-        const data = devices.map(d => ({
-            Z_KASSE_ID: context.kasseId,
-            Z_ERSTELLUNG: formatDate(new Date()),
-            Z_NR: context.kassenabschlussNr,
-            KASSE_BRAND: d.kasse_brand || 'ecKasse',
-            KASSE_MODELL: d.kasse_modell || 'e-Series',
-            KASSE_SERIENNR: d.kasse_seriennr || `dev-${d.id}`,
-            KASSE_SW_BRAND: d.kasse_sw_brand || 'ecKasse',
-            KASSE_SW_VERSION: d.kasse_sw_version || '2.0.0',
-            KASSE_BASISWAEH_CODE: 'EUR',
+        const { register } = await this.getMasterData();
+        const data = register ? context.closings.map(closing => ({
+            ...this.closingFields(closing),
+            KASSE_BRAND: register.kasse_brand || 'ecKasse',
+            KASSE_MODELL: register.kasse_modell || 'e-Series',
+            KASSE_SERIENNR: register.kasse_seriennr || `dev-${register.id}`,
+            KASSE_SW_BRAND: register.kasse_sw_brand || 'ecKasse',
+            KASSE_SW_VERSION: register.kasse_sw_version || '2.0.0',
+            KASSE_BASISWAEH_CODE: BASE_CURRENCY,
             KEINE_UST_ZUORDNUNG: '0'
-        }));
-        const fields = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR', 'KASSE_BRAND', 'KASSE_MODELL', 'KASSE_SERIENNR', 'KASSE_SW_BRAND', 'KASSE_SW_VERSION', 'KASSE_BASISWAEH_CODE', 'KEINE_UST_ZUORDNUNG'];
-        await this.generateCsv(path.join(exportPath, 'cashregister.csv'), data, fields);
+        })) : [];
+        await this.writeTable(exportPath, 'cashregister', data, context);
     }
-    
+
+    async generateSlavesCsv(exportPath, context) {
+        logger.info('Generating slaves.csv (Stamm_Terminals)...');
+        const { terminals } = await this.getMasterData();
+        const data = context.closings.flatMap(closing => terminals.map(d => ({
+            ...this.closingFields(closing),
+            TERMINAL_ID: `dev-${d.id}`,
+            TERMINAL_BRAND: d.kasse_brand || 'ecKasse',
+            TERMINAL_MODELL: d.kasse_modell || d.pos_device_type,
+            TERMINAL_SERIENNR: d.kasse_seriennr || `dev-${d.id}`,
+            TERMINAL_SW_BRAND: d.kasse_sw_brand || 'ecKasse',
+            TERMINAL_SW_VERSION: d.kasse_sw_version || '2.0.0'
+        })));
+        await this.writeTable(exportPath, 'slaves', data, context);
+    }
+
+    async generateAgenciesCsv(exportPath, context) {
+        logger.info('Generating pa.csv (Stamm_Agenturen)...');
+        const agencies = await db('dsfinvk_agencies').select('*').orderBy('id', 'asc');
+        const data = context.closings.flatMap(closing => agencies.map(a => ({
+            ...this.closingFields(closing),
+            AGENTUR_ID: a.id,
+            AGENTUR_NAME: a.agentur_name,
+            AGENTUR_STRASSE: a.agentur_strasse,
+            AGENTUR_PLZ: a.agentur_plz,
+            AGENTUR_ORT: a.agentur_ort,
+            AGENTUR_LAND: a.agentur_land,
+            AGENTUR_STNR: a.agentur_stnr,
+            AGENTUR_USTID: a.agentur_ustid
+        })));
+        await this.writeTable(exportPath, 'pa', data, context);
+    }
+
     async generateTseCsv(exportPath, context) {
         logger.info('Generating tse.csv (Stamm_TSE)...');
         const tseData = await db('dsfinvk_tse').select('*');
-        const data = tseData.map(t => ({
-            Z_KASSE_ID: context.kasseId,
-            Z_ERSTELLUNG: formatDate(new Date()),
-            Z_NR: context.kassenabschlussNr,
+        const data = context.closings.flatMap(closing => tseData.map(t => ({
+            ...this.closingFields(closing),
             TSE_ID: t.id,
             TSE_SERIAL: t.tse_serial,
             TSE_SIG_ALGO: t.tse_sig_algo,
@@ -425,101 +654,393 @@ class DsfinvkService {
             TSE_PUBLIC_KEY: t.tse_public_key,
             TSE_ZERTIFIKAT_I: t.tse_zertifikat_i,
             TSE_ZERTIFIKAT_II: t.tse_zertifikat_ii
-        }));
-        const fields = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR', 'TSE_ID', 'TSE_SERIAL', 'TSE_SIG_ALGO', 'TSE_ZEITFORMAT', 'TSE_PD_ENCODING', 'TSE_PUBLIC_KEY', 'TSE_ZERTIFIKAT_I', 'TSE_ZERTIFIKAT_II'];
-        await this.generateCsv(path.join(exportPath, 'tse.csv'), data, fields);
+        })));
+        await this.writeTable(exportPath, 'tse', data, context);
     }
 
     async generateTransactionsCsv(exportPath, context) {
         logger.info('Generating transactions.csv (Bonkopf)...');
-        const transactions = await db('active_transactions as at')
+        const transactions = this.closingRows(context, (closing) => db('active_transactions as at')
             .leftJoin('users', 'at.user_id', 'users.id')
-            .whereBetween('at.created_at', [context.startDate, context.endDate])
-            .select('at.*', 'users.bediener_id', 'users.full_name as bediener_name');
-        const data = transactions.map(tx => ({
-            Z_KASSE_ID: context.kasseId,
-            Z_ERSTELLUNG: formatDate(new Date()),
-            Z_NR: context.kassenabschlussNr,
+            .where('at.closing_id', closing.id)
+            .select('at.*', 'users.bediener_id', 'users.full_name as bediener_name'), 'at.id');
+        const data = mapRows(transactions, tx => ({
+            ...this.closingFields(context.closingsById.get(tx.closing_id)),
             BON_ID: tx.uuid,
             BON_NR: tx.bon_nr || tx.id,
-            BON_TYP: 'Beleg',
-            BON_STORNO: tx.status === 'cancelled' ? '1' : '0',
+            BON_TYP: tx.status === 'cancelled' ? 'AVBelegabbruch' : 'Beleg',
+            // Only a refund of the complete receipt reverses it; partial returns are regular receipts with negative lines
+            BON_STORNO: tx.refund_type === 'full' ? '1' : '0',
             BON_START: formatDate(tx.bon_start || tx.created_at),
             BON_ENDE: formatDate(tx.bon_end || tx.updated_at),
             BEDIENER_ID: tx.bediener_id || `user-${tx.user_id}`,
             BEDIENER_NAME: tx.bediener_name,
             UMS_BRUTTO: formatNumber(tx.total_amount)
         }));
-        const fields = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR', 'BON_ID', 'BON_NR', 'BON_TYP', 'BON_STORNO', 'BON_START', 'BON_ENDE', 'BEDIENER_ID', 'BEDIENER_NAME', 'UMS_BRUTTO'];
-        await this.generateCsv(path.join(exportPath, 'transactions.csv'), data, fields);
+        await this.writeTable(exportPath, 'transactions', data, context);
     }
-    
-    async generateLinesCsv(exportPath, context) {
-        logger.info('Generating lines.csv (Bonpos)...');
-        const items = await db('active_transaction_items as ati')
-            .join('active_transactions as at', 'ati.active_transaction_id', 'at.id')
-            .join('items as i', 'ati.item_id', 'i.id')
-            .whereBetween('at.created_at', [context.startDate, context.endDate])
-            .select('at.uuid as BON_ID', 'ati.id as POS_ZEILE', 'i.display_names', 'ati.quantity as MENGE', 'ati.unit_price as STK_BR', 'i.source_unique_identifier as ART_NR');
 
-        const data = items.map(item => {
-            let displayNames = {};
-            try {
-                displayNames = typeof item.display_names === 'string' ? JSON.parse(item.display_names) : item.display_names;
-            } catch (e) {
-                displayNames = { receipt: { de: 'Unknown Item' } };
+    async generateAllocationGroupsCsv(exportPath, context) {
+        logger.info('Generating allocation_groups.csv (Bonkopf_AbrKreis)...');
+        const transactions = this.closingRows(context, (closing) => db('active_transactions')
+            .where('closing_id', closing.id)
+            .select('id', 'closing_id', 'uuid', 'metadata'), 'id');
+        const data = async function* () {
+            for await (const tx of transactions) {
+                const table = (parseJsonIfNeeded(tx.metadata) || {}).table;
+                if (table === undefined || table === null || table === '') continue;
+                yield {
+                    ...this.closingFields(context.closingsById.get(tx.closing_id)),
+                    BON_ID: tx.uuid,
+                    ABRECHNUNGSKREIS: String(table)
+                };
             }
-            
-            return {
-                Z_KASSE_ID: context.kasseId,
-                Z_ERSTELLUNG: formatDate(new Date()),
-                Z_NR: context.kassenabschlussNr,
-                BON_ID: item.BON_ID,
-                POS_ZEILE: item.POS_ZEILE,
-                GV_TYP: 'Umsatz',
-                ARTIKELTEXT: displayNames.receipt?.de || displayNames.button?.de || 'Unknown Item',
-                MENGE: formatNumber(item.MENGE, 3),
-                FAKTOR: '1,000',
-                EINHEIT: 'Stk',
-                STK_BR: formatNumber(item.STK_BR, 5),
-                ART_NR: item.ART_NR || ''
+        }.call(this);
+        await this.writeTable(exportPath, 'allocation_groups', data, context);
+    }
+
+    async generateDataPaymentCsv(exportPath, context) {
+        logger.info('Generating datapayment.csv (Bonkopf_Zahlarten)...');
+        const batches = this.closingBatches(context, (closing) => db('active_transactions')
+            .where('closing_id', closing.id)
+            .where('status', 'finished')
+            .select('id', 'closing_id', 'uuid', 'payment_type', 'total_amount'), 'id');
+
+        const data = async function* () {
+            for await (const transactions of batches) {
+                const payments = await db('transaction_payments')
+                    .whereIn('active_transaction_id', transactions.map(tx => tx.id))
+                    .orderBy('position', 'asc');
+                yield* transactions.flatMap(tx => this.dataPaymentRows(context, tx, payments.filter(p => p.active_transaction_id === tx.id)));
+            }
+        }.call(this);
+        await this.writeTable(exportPath, 'datapayment', data, context);
+    }
+
+    /**
+     * Bonkopf_Zahlarten rows of a receipt, one per payment type and currency.
+     */
+    dataPaymentRows(context, tx, txPayments) {
+        // Transactions finished before split payments have no stored tenders
+        const tenders = txPayments.length > 0
+            ? txPayments
+            : [{
+                payment_type: tx.payment_type || 'Bar',
+                zahlart_typ: CASH_PAYMENT_TYPES.includes(tx.payment_type || 'Bar') ? 'Bar' : 'Unbar',
+                currency_code: BASE_CURRENCY,
+                amount: tx.total_amount
+            }];
+
+        const grouped = new Map();
+        for (const tender of tenders) {
+            const currency = tender.currency_code || BASE_CURRENCY;
+            const key = `${tender.zahlart_typ}|${tender.payment_type}|${currency}`;
+            const entry = grouped.get(key) || { zahlart_typ: tender.zahlart_typ, payment_type: tender.payment_type, currency, amount: 0 };
+            entry.amount += parseFloat(tender.amount);
+            grouped.set(key, entry);
+        }
+        return [...grouped.values()].map(entry => ({
+            ...this.closingFields(context.closingsById.get(tx.closing_id)),
+            BON_ID: tx.uuid,
+            ZAHLART_TYP: entry.zahlart_typ,
+            ZAHLART_NAME: entry.payment_type,
+            // Currency columns are only filled for foreign currencies
+            ZAHLWAEH_CODE: entry.currency === BASE_CURRENCY ? '' : entry.currency,
+            BASISWAEH_BETRAG: formatNumber(entry.amount)
+        }));
+    }
+
+    async generateReferencesCsv(exportPath, context) {
+        logger.info('Generating references.csv (Bon_Referenzen)...');
+        const refunds = this.closingRows(context, (closing) => db('active_transactions as at')
+            .join('active_transactions as orig', 'at.refund_of_transaction_id', 'orig.id')
+            .leftJoin('cashpoint_closings as oc', 'orig.closing_id', 'oc.id')
+            .where('at.closing_id', closing.id)
+            .select(
+                'at.id',
+                'at.closing_id',
+                'at.uuid',
+                'at.refund_type',
+                'orig.uuid as ref_bon_id',
+                'orig.bon_end as ref_bon_end',
+                'orig.updated_at as ref_updated_at',
+                'oc.kasse_id as ref_kasse_id',
+                'oc.z_nr as ref_z_nr'
+            ), 'at.id');
+        const data = mapRows(refunds, refund => ({
+            ...this.closingFields(context.closingsById.get(refund.closing_id)),
+            BON_ID: refund.uuid,
+            REF_TYP: 'Transaktion',
+            REF_NAME: refund.refund_type === 'full' ? 'Storno' : 'Retoure',
+            REF_DATUM: formatDate(refund.ref_bon_end || refund.ref_updated_at),
+            REF_KASSE_ID: refund.ref_kasse_id,
+            REF_Z_NR: refund.ref_z_nr,
+            REF_BON_ID: refund.ref_bon_id
+        }));
+        await this.writeTable(exportPath, 'references', data, context);
+    }
+
+    /**
+     * TSE transactions of the receipts, taken from the TSE responses stored with the
+     * finishTransaction entries of the fiscal log. Receipts finished during a TSE outage that
+     * could not be signed later are written with TSE_TA_FEHLER.
+     *
+     * The fiscal log is in log order and receipts signed deferred are logged after their closing,
+     * so the rows are first collected per closing in temporary files and then written in closing order.
+     */
+    async generateTransactionsTseCsv(exportPath, context) {
+        logger.info('Generating transactions_tse.csv (TSE_Transaktionen)...');
+        const rowsDir = path.join(exportPath, TSE_ROWS_DIR);
+        await fsp.mkdir(rowsDir, { recursive: true });
+
+        try {
+            // Receipts signed deferred are logged after their closing, so only the lower bound is known
+            const firstClosing = context.closings[0];
+            const previousClosing = await db('cashpoint_closings')
+                .where('z_nr', '<', firstClosing.z_nr)
+                .orderBy('z_nr', 'desc')
+                .first();
+            const firstLogId = previousClosing && previousClosing.last_fiscal_log_id ? previousClosing.last_fiscal_log_id : 0;
+            const fiscalLogs = queryBatches(() => db('fiscal_log')
+                .where('event_type', 'finishTransaction')
+                .where('id', '>', firstLogId), 'id');
+
+            const tseDevices = await db('dsfinvk_tse').select('id', 'tse_serial').orderBy('id', 'asc');
+            const currentTse = tseDevices[tseDevices.length - 1];
+
+            for await (const logs of fiscalLogs) {
+                const entries = logs.map(log => ({ log, payload: parseJsonIfNeeded(log.payload_for_tse) || {} }));
+                const uuids = entries.map(entry => entry.payload.transaction_uuid).filter(Boolean);
+                const transactions = uuids.length > 0
+                    ? await db('active_transactions').whereIn('closing_id', context.closingIds).whereIn('uuid', uuids).select('closing_id', 'uuid')
+                    : [];
+                const transactionsByUuid = new Map(transactions.map(tx => [tx.uuid, tx]));
+
+                const rowsByClosing = new Map();
+                for (const { log, payload } of entries) {
+                    const tx = transactionsByUuid.get(payload.transaction_uuid);
+                    if (!tx) continue;
+                    const row = this.transactionTseRow(context, tx, log, payload, tseDevices, currentTse);
+                    rowsByClosing.set(tx.closing_id, (rowsByClosing.get(tx.closing_id) || '') + JSON.stringify(row) + '\n');
+                }
+                for (const [closingId, rows] of rowsByClosing) {
+                    await fsp.appendFile(path.join(rowsDir, `${closingId}.ndjson`), rows);
+                }
+            }
+
+            const data = async function* () {
+                for (const closing of context.closings) {
+                    const file = path.join(rowsDir, `${closing.id}.ndjson`);
+                    if (!fs.existsSync(file)) continue;
+                    for await (const line of readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })) {
+                        if (line) yield JSON.parse(line);
+                    }
+                }
             };
-        });
-        const fields = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR', 'BON_ID', 'POS_ZEILE', 'GV_TYP', 'ARTIKELTEXT', 'MENGE', 'FAKTOR', 'EINHEIT', 'STK_BR', 'ART_NR'];
-        await this.generateCsv(path.join(exportPath, 'lines.csv'), data, fields);
+            await this.writeTable(exportPath, 'transactions_tse', data(), context);
+        } finally {
+            await fsp.rm(rowsDir, { recursive: true, force: true });
+        }
     }
-    
-    async generateTransactionsVatCsv(exportPath, context) {
-        logger.info('Generating transactions_vat.csv (Bonkopf_USt)...');
-        const vatData = await db('active_transaction_items as ati')
+
+    transactionTseRow(context, tx, log, payload, tseDevices, currentTse) {
+        const response = parseJsonIfNeeded(log.tse_response) || {};
+        const signed = !!response.signature;
+        const tse = tseDevices.find(t => t.tse_serial === response.tse_serial_number) || currentTse;
+        return {
+            ...this.closingFields(context.closingsById.get(tx.closing_id)),
+            BON_ID: tx.uuid,
+            TSE_ID: tse ? tse.id : '',
+            TSE_TANR: signed ? response.transaction_number : '',
+            TSE_TA_START: formatDate(response.start_time || response.original_operation_time || log.timestamp_utc),
+            TSE_TA_ENDE: formatDate(response.log_time || log.timestamp_utc),
+            TSE_TA_VORGANGSART: response.process_type || payload.processType || 'Kassenbeleg-V1',
+            TSE_TA_SIGZ: signed ? response.signature_counter : '',
+            TSE_TA_SIG: signed ? response.signature : '',
+            TSE_TA_FEHLER: signed ? '' : `TSE ausgefallen${response.error ? `: ${response.error}` : ''}`,
+            TSE_TA_VORGANGSDATEN: response.process_data !== undefined ? response.process_data : (payload.processData || '')
+        };
+    }
+
+    /**
+     * Lines of the exported receipts, closing by closing. Child lines that are not storno/discount/surcharge
+     * lines (e.g. components of a menu, selected modifiers) are Zusatzinfos of their parent line rather than
+     * lines of their own; their amounts are part of the parent line (subitems_total), so that the lines of a
+     * receipt still add up to its total. Lines of cash movements and vouchers have no item; voucher lines
+     * carry the voucher code.
+     * @returns {AsyncGenerator<object>}
+     */
+    async *exportLines(context) {
+        const lines = this.closingRows(context, (closing) => db('active_transaction_items as ati')
             .join('active_transactions as at', 'ati.active_transaction_id', 'at.id')
-            .leftJoin('dsfinvk_vat_mapping as dvm', 'ati.tax_rate', 'dvm.internal_tax_rate')
-            .whereBetween('at.created_at', [context.startDate, context.endDate])
-            .groupBy('at.uuid', 'dvm.dsfinvk_ust_schluessel', 'ati.tax_rate')
+            .leftJoin('items as i', 'ati.item_id', 'i.id')
+            .leftJoin('categories as c', 'i.associated_category_unique_identifier', 'c.id')
+            .leftJoin('vouchers as v', 'ati.voucher_id', 'v.id')
+            .where('at.closing_id', closing.id)
             .select(
-                'at.uuid as BON_ID',
-                'dvm.dsfinvk_ust_schluessel as UST_SCHLUESSEL',
-                db.raw('SUM(ati.total_price) as BON_BRUTTO'),
-                'ati.tax_rate'
-            );
-        const data = vatData.map(v => {
-            const brutto = parseFloat(v.BON_BRUTTO);
-            const taxRate = parseFloat(v.tax_rate);
-            const netto = brutto / (1 + taxRate / 100);
-            const ust = brutto - netto;
-            return {
-                Z_KASSE_ID: context.kasseId,
-                Z_ERSTELLUNG: formatDate(new Date()),
-                Z_NR: context.kassenabschlussNr,
-                BON_ID: v.BON_ID,
-                UST_SCHLUESSEL: v.UST_SCHLUESSEL || 5, // Default to 'Nicht Steuerbar' if no mapping
-                BON_BRUTTO: formatNumber(brutto, 5),
-                BON_NETTO: formatNumber(netto, 5),
-                BON_UST: formatNumber(ust, 5)
+                'ati.*',
+                'v.code as voucher_code',
+                'at.closing_id',
+                'at.uuid as bon_id',
+                'at.metadata as transaction_metadata',
+                'i.display_names',
+                'i.source_unique_identifier',
+                'i.dsfinvk_agency_id',
+                'c.id as category_id',
+                'c.category_names',
+                db('active_transaction_items as sub')
+                    .whereRaw('sub.parent_transaction_item_id = ati.id')
+                    .where(q => q.whereNull('sub.notes').orWhereNotIn('sub.notes', LINE_NOTES))
+                    .sum('sub.total_price')
+                    .as('subitems_total')
+            ), 'ati.id');
+        for await (const line of lines) {
+            yield {
+                ...line,
+                subitems_total: parseFloat(line.subitems_total) || 0,
+                is_subitem: !!line.parent_transaction_item_id && !LINE_NOTES.includes(line.notes)
             };
-        });
-        const fields = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR', 'BON_ID', 'UST_SCHLUESSEL', 'BON_BRUTTO', 'BON_NETTO', 'BON_UST'];
-        await this.generateCsv(path.join(exportPath, 'transactions_vat.csv'), data, fields);
+        }
+    }
+
+    getLineName(line) {
+        if (line.modifier_name) {
+            return line.modifier_name;
+        }
+        if (line.discount_name) {
+            return line.discount_name;
+        }
+        if (line.voucher_code) {
+            return `${getBusinessCaseLabel(line.gv_typ)} ${line.voucher_code}`;
+        }
+        if (!line.item_id) {
+            return getBusinessCaseLabel(line.gv_typ);
+        }
+        let displayNames = {};
+        try {
+            displayNames = (typeof line.display_names === 'string' ? JSON.parse(line.display_names) : line.display_names) || {};
+        } catch (e) {
+            displayNames = { receipt: { de: 'Unknown Item' } };
+        }
+        return displayNames.receipt?.de || displayNames.button?.de || 'Unknown Item';
+    }
+
+    async generateLinesCsv(exportPath, context) {
+        logger.info('Generating lines.csv (Bonpos)...');
+        const data = async function* () {
+            for await (const line of this.exportLines(context)) {
+                if (line.is_subitem) continue;
+                const categoryNames = parseJsonIfNeeded(line.category_names) || {};
+                yield {
+                    ...this.closingFields(context.closingsById.get(line.closing_id)),
+                    BON_ID: line.bon_id,
+                    POS_ZEILE: line.id,
+                    GV_TYP: line.gv_typ || GV_TYP.UMSATZ,
+                    ARTIKELTEXT: this.getLineName(line),
+                    INHAUS: taxService.getConsumptionContext({ metadata: line.transaction_metadata }) === 'in_house' ? '1' : '0',
+                    P_STORNO: line.notes === 'STORNO' ? '1' : '0',
+                    AGENTUR_ID: line.dsfinvk_agency_id || '',
+                    ART_NR: line.source_unique_identifier || '',
+                    WARENGR_ID: line.category_id || '',
+                    WARENGR: categoryNames.de || '',
+                    MENGE: formatNumber(line.quantity, 3),
+                    FAKTOR: formatNumber(1, 3),
+                    EINHEIT: 'Stk',
+                    STK_BR: formatNumber(parseFloat(line.unit_price) + (parseFloat(line.quantity) ? line.subitems_total / parseFloat(line.quantity) : 0), 5)
+                };
+            }
+        }.call(this);
+        await this.writeTable(exportPath, 'lines', data, context);
+    }
+
+    async generateLinesVatCsv(exportPath, context) {
+        logger.info('Generating lines_vat.csv (Bonpos_USt)...');
+        const ustSchluessel = await this.getUstSchluesselMap();
+
+        const data = async function* () {
+            for await (const line of this.exportLines(context)) {
+                if (line.is_subitem) continue;
+                const { gross, net, tax } = splitGross(parseFloat(line.total_price) + line.subitems_total, line.tax_rate);
+                yield {
+                    ...this.closingFields(context.closingsById.get(line.closing_id)),
+                    BON_ID: line.bon_id,
+                    POS_ZEILE: line.id,
+                    UST_SCHLUESSEL: ustSchluessel(line.tax_rate),
+                    POS_BRUTTO: formatNumber(gross, 5),
+                    POS_NETTO: formatNumber(net, 5),
+                    POS_UST: formatNumber(tax, 5)
+                };
+            }
+        }.call(this);
+        await this.writeTable(exportPath, 'lines_vat', data, context);
+    }
+
+    async generateSubitemsCsv(exportPath, context) {
+        logger.info('Generating subitems.csv (Bonpos_Zusatzinfo)...');
+        const ustSchluessel = await this.getUstSchluesselMap();
+
+        const data = async function* () {
+            for await (const line of this.exportLines(context)) {
+                if (!line.is_subitem) continue;
+                const categoryNames = parseJsonIfNeeded(line.category_names) || {};
+                const { gross, net, tax } = splitGross(line.total_price, line.tax_rate);
+                yield {
+                    ...this.closingFields(context.closingsById.get(line.closing_id)),
+                    BON_ID: line.bon_id,
+                    POS_ZEILE: line.parent_transaction_item_id,
+                    ZI_ART_NR: line.source_unique_identifier || '',
+                    ZI_NAME: this.getLineName(line),
+                    ZI_WARENGR_ID: line.category_id || '',
+                    ZI_WARENGR: categoryNames.de || '',
+                    ZI_MENGE: formatNumber(line.quantity, 3),
+                    ZI_FAKTOR: formatNumber(1, 3),
+                    ZI_EINHEIT: 'Stk',
+                    ZI_UST_SCHLUESSEL: ustSchluessel(line.tax_rate),
+                    ZI_BASISPREIS_BRUTTO: formatNumber(gross, 5),
+                    ZI_BASISPREIS_NETTO: formatNumber(net, 5),
+                    ZI_BASISPREIS_UST: formatNumber(tax, 5)
+                };
+            }
+        }.call(this);
+        await this.writeTable(exportPath, 'subitems', data, context);
+    }
+
+    async generateTransactionsVatCsv(exportPath, context) {
+        logger.info('Generating transactions_vat.csv (Bonkopf_USt)...');
+        const batches = this.closingBatches(context, (closing) => db('active_transactions')
+            .where('closing_id', closing.id)
+            .select('id'), 'id');
+
+        const data = async function* () {
+            for await (const transactions of batches) {
+                const vatData = await db('active_transaction_items as ati')
+                    .join('active_transactions as at', 'ati.active_transaction_id', 'at.id')
+                    .leftJoin('dsfinvk_vat_mapping as dvm', 'ati.tax_rate', 'dvm.internal_tax_rate')
+                    .whereIn('at.id', transactions.map(tx => tx.id))
+                    .groupBy('at.id', 'at.closing_id', 'at.uuid', 'dvm.dsfinvk_ust_schluessel', 'ati.tax_rate')
+                    .select(
+                        'at.closing_id',
+                        'at.uuid as BON_ID',
+                        'dvm.dsfinvk_ust_schluessel as UST_SCHLUESSEL',
+                        // Quoted, PostgreSQL lowercases unquoted aliases
+                        db.raw('SUM(ati.total_price) as "BON_BRUTTO"'),
+                        'ati.tax_rate'
+                    )
+                    .orderBy('at.id', 'asc');
+                for (const v of vatData) {
+                    const { gross, net, tax } = splitGross(v.BON_BRUTTO, v.tax_rate);
+                    yield {
+                        ...this.closingFields(context.closingsById.get(v.closing_id)),
+                        BON_ID: v.BON_ID,
+                        UST_SCHLUESSEL: v.UST_SCHLUESSEL || DEFAULT_UST_SCHLUESSEL, // 'Nicht Steuerbar' if no mapping
+                        BON_BRUTTO: formatNumber(gross, 5),
+                        BON_NETTO: formatNumber(net, 5),
+                        BON_UST: formatNumber(tax, 5)
+                    };
+                }
+            }
+        }.call(this);
+        await this.writeTable(exportPath, 'transactions_vat', data, context);
     }
 
     /**
@@ -527,9 +1048,9 @@ class DsfinvkService {
      * @param {string} sourceDir - Directory to archive
      * @param {string} exportId - Technical export ID (timestamp-based)
      * @param {string} userFriendlyName - User-friendly name for the ZIP file (optional)
+     * @param {ExportProgress} progress - Progress of the export (optional)
      */
-    async createZipWithTar(sourceDir, exportId, userFriendlyName = null) {
-        const tarPath = path.join(__dirname, `../../../../tmp/${exportId}.tar`);
+    async createZipWithTar(sourceDir, exportId, userFriendlyName = null, progress = new ExportProgress()) {
         const zipFilename = userFriendlyName ? `${userFriendlyName}.zip` : `${exportId}.zip`;
         const zipPath = path.join(__dirname, `../../../../tmp/${zipFilename}`);
         
@@ -537,20 +1058,16 @@ class DsfinvkService {
         const tarNameInZip = `${exportId}.tar`;
         
         try {
-            // First create TAR archive
-            await this.createTarArchive(sourceDir, tarPath);
-            
-            // Then embed TAR into ZIP with proper technical name for TAR, user-friendly name for ZIP
-            await this.createZipArchive(tarPath, zipPath, tarNameInZip);
-            
-            // Cleanup intermediate TAR file
-            await fsp.unlink(tarPath);
+            await progress.startPhase('packaging', VALIDATION_PROGRESS, PACKAGING_PROGRESS);
+
+            // The TAR archive is streamed straight into the ZIP entry, no intermediate TAR file is written
+            const tar = this.createTarArchive(sourceDir, progress);
+            await this.createZipArchive(tar, zipPath, tarNameInZip);
             
             return zipPath;
         } catch (error) {
             // Cleanup on error
             try {
-                await fsp.unlink(tarPath);
                 await fsp.unlink(zipPath);
             } catch (cleanupError) {
                 logger.warn('Failed to cleanup files during error:', cleanupError.message);
@@ -560,37 +1077,40 @@ class DsfinvkService {
     }
 
     /**
-     * Creates TAR archive from directory
+     * Creates a TAR archive stream of the directory. The files are read from disk as the archive is
+     * consumed, with their size from fs.stat; see writeTable why the CSV files are written to disk first.
+     * @returns {import('archiver').Archiver} Readable TAR stream
      */
-    async createTarArchive(sourceDir, outPath) {
-        return new Promise((resolve, reject) => {
-            const output = fs.createWriteStream(outPath);
-            const archive = archiver('tar');
-            
-            output.on('close', () => {
-                logger.info(`${archive.pointer()} total bytes written to TAR: ${outPath}`);
-                resolve();
-            });
-            
-            archive.on('warning', (err) => {
-                if (err.code === 'ENOENT') { 
-                    logger.warn('Archiver warning:', err); 
-                } else { 
-                    reject(err); 
-                }
-            });
-            
-            archive.on('error', (err) => reject(err));
-            archive.pipe(output);
-            archive.directory(sourceDir, false);
-            archive.finalize();
+    createTarArchive(sourceDir, progress) {
+        const archive = archiver('tar');
+
+        archive.on('warning', (err) => {
+            if (err.code === 'ENOENT') { 
+                logger.warn('Archiver warning:', err); 
+            } else { 
+                archive.emit('error', err); 
+            }
+        });
+
+        archive.on('progress', ({ fs: { totalBytes, processedBytes } }) => {
+            if (totalBytes > 0) {
+                progress.setFraction(processedBytes / totalBytes).catch(() => {});
+            }
+        });
+
+        archive.on('end', () => {
+            logger.info(`${archive.pointer()} total bytes written to TAR of ${sourceDir}`);
         });
+
+        archive.directory(sourceDir, false);
+        archive.finalize();
+        return archive;
     }
 
     /**
-     * Creates ZIP archive containing the TAR file
+     * Creates ZIP archive containing the TAR stream
      */
-    async createZipArchive(tarPath, zipPath, tarNameInZip) {
+    async createZipArchive(tarStream, zipPath, tarNameInZip) {
         return new Promise((resolve, reject) => {
             const output = fs.createWriteStream(zipPath);
             const archive = archiver('zip', { zlib: { level: 9 } }); // Maximum compression
@@ -608,9 +1128,13 @@ class DsfinvkService {
                 }
             });
             
+            tarStream.on('error', (err) => {
+                archive.abort();
+                reject(err);
+            });
             archive.on('error', (err) => reject(err));
             archive.pipe(output);
-            archive.file(tarPath, { name: tarNameInZip });
+            archive.append(tarStream, { name: tarNameInZip });
             archive.finalize();
         });
     }
@@ -620,7 +1144,7 @@ class DsfinvkService {
      */
     async getJobStatus(jobId) {
         const job = await db('export_jobs')
-            .select('id', 'job_id', 'status', 'error_message', 'download_token', 'expires_at', 'created_at', 'updated_at')
+            .select('id', 'job_id', 'status', 'error_message', 'download_token', 'expires_at', 'progress', 'progress_step', 'validation_report', 'created_at', 'updated_at')
             .where('job_id', jobId)
             .first();
             
@@ -628,7 +1152,7 @@ class DsfinvkService {
             throw new Error('Job not found');
         }
         
-        return job;
+        return { ...job, validation_report: parseJsonIfNeeded(job.validation_report) };
     }
 
     /**
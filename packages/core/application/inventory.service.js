@@ -0,0 +1,526 @@
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const loggingService = require('./logging.service');
+const websocketService = require('./websocket.service');
+const scheduleService = require('./schedule.service');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+const { roundQuantity } = require('../utils/number-helper');
+
+// Permission to maintain stock items and recipes and to book goods receipts and counts
+const INVENTORY_PERMISSION = 'inventory.manage';
+const MOVEMENT_TYPES = ['sale', 'return', 'goods_receipt', 'count'];
+// Lines that only change the price of the line they belong to
+const PRICE_LINE_NOTES = ['DISCOUNT', 'SURCHARGE'];
+
+/**
+ * InventoryService keeps the stock (Warenbestand) of the goods used by the items on sale.
+ *
+ * A stock item is counted in its own unit ('kg', 'l', 'Stk', ...). The recipe of an item lists the
+ * quantity of each stock item used per unit sold; a bottled drink is a recipe with one ingredient.
+ * Every change of a stock quantity is a stock movement with the quantity after it:
+ * - sale / return: booked once a receipt or a return is finished, for the net quantity of each item
+ *   on it (storno lines cancel out, modifier options with an item count like the item),
+ * - goods_receipt: goods delivered, with the supplier reference,
+ * - count: a stock count, the variance against the books is the change.
+ *
+ * Falling to or below the low stock threshold of a stock item is broadcast to the staff. Items with
+ * disable_when_out_of_stock are not sellable (item_flags.is_sellable false, marked out_of_stock)
+ * while a stock item of their recipe is used up, and sellable again after the next goods receipt.
+ * Stock may go negative: a sale is never refused for the books being off.
+ */
+class InventoryService {
+
+  /**
+   * @param {object} user - Current user (AuthService.getCurrentUser)
+   * @returns {boolean} Whether the user may maintain the stock
+   */
+  canManageInventory(user) {
+    if (!user) return false;
+    const permissions = Array.isArray(user.permissions) ? user.permissions : [];
+    return !!user.can_approve_changes || permissions.includes('all') || permissions.includes(INVENTORY_PERMISSION);
+  }
+
+  assertPermission(user) {
+    if (!this.canManageInventory(user)) {
+      throw new Error(`Insufficient permissions - ${INVENTORY_PERMISSION} required`);
+    }
+  }
+
+  /**
+   * @returns {Promise<object[]>} All stock items (see _toStockItem), by name
+   */
+  async getStockItems() {
+    const stockItems = await db('stock_items').orderBy('name', 'asc');
+    return stockItems.map(stockItem => this._toStockItem(stockItem));
+  }
+
+  /**
+   * Creates or updates a stock item. The quantity on hand only changes with goods receipts and
+   * counts, a new stock item starts at 0.
+   * @param {number|null} stockItemId - null to create
+   * @param {object} data
+   * @param {string} data.name
+   * @param {string} [data.unit]
+   * @param {number|null} [data.low_stock_threshold] - null for no warning
+   * @param {number} [userId]
+   * @returns {Promise<object>} The stock item
+   */
+  async saveStockItem(stockItemId, { name, unit, low_stock_threshold = null }, userId = null) {
+    if (!name || !String(name).trim()) {
+      throw new Error('A stock item needs a name.');
+    }
+    const threshold = low_stock_threshold === null || low_stock_threshold === undefined || low_stock_threshold === ''
+      ? null
+      : this._parseQuantity(low_stock_threshold, 'low stock threshold');
+    const data = {
+      name: String(name).trim(),
+      unit: unit && String(unit).trim() ? String(unit).trim() : 'Stk',
+      low_stock_threshold: threshold,
+      updated_at: new Date().toISOString()
+    };
+
+    let id = stockItemId;
+    if (id) {
+      const updated = await db('stock_items').where('id', id).update(data);
+      if (!updated) {
+        throw new Error(`Stock item ${id} not found.`);
+      }
+    } else {
+      const [created] = await db('stock_items').insert(data).returning('*');
+      id = created.id;
+    }
+    await loggingService.logOperationalEvent(stockItemId ? 'STOCK_ITEM_UPDATED' : 'STOCK_ITEM_CREATED', userId, { stock_item_id: id, ...data });
+    return this._toStockItem(await db('stock_items').where('id', id).first());
+  }
+
+  /**
+   * Latest movements, e.g. to check a variance.
+   * @param {object} [options]
+   * @param {number} [options.stockItemId] - Only the movements of this stock item
+   * @param {number} [options.limit]
+   * @returns {Promise<object[]>}
+   */
+  async getStockMovements({ stockItemId = null, limit = 50 } = {}) {
+    const query = db('stock_movements as sm')
+      .join('stock_items as si', 'sm.stock_item_id', 'si.id')
+      .select('sm.*', 'si.name', 'si.unit')
+      .orderBy('sm.id', 'desc')
+      .limit(limit);
+    if (stockItemId) {
+      query.where('sm.stock_item_id', stockItemId);
+    }
+    const movements = await query;
+    return movements.map(movement => ({
+      ...movement,
+      quantity: parseFloat(movement.quantity),
+      quantity_after: parseFloat(movement.quantity_after),
+      expected_quantity: movement.expected_quantity === null ? null : parseFloat(movement.expected_quantity),
+      counted_quantity: movement.counted_quantity === null ? null : parseFloat(movement.counted_quantity)
+    }));
+  }
+
+  /**
+   * @param {number} itemId
+   * @returns {Promise<{item_id: number, disable_when_out_of_stock: boolean, ingredients: object[]}>}
+   */
+  async getRecipe(itemId) {
+    const item = await db('items').where('id', itemId).first('id', 'disable_when_out_of_stock');
+    if (!item) {
+      throw new Error(`Item ${itemId} not found.`);
+    }
+    const ingredients = await db('item_recipes as ir')
+      .join('stock_items as si', 'ir.stock_item_id', 'si.id')
+      .where('ir.item_id', itemId)
+      .select('ir.stock_item_id', 'ir.quantity', 'si.name', 'si.unit')
+      .orderBy('si.name', 'asc');
+    return {
+      item_id: item.id,
+      disable_when_out_of_stock: !!item.disable_when_out_of_stock,
+      ingredients: ingredients.map(ingredient => ({ ...ingredient, quantity: parseFloat(ingredient.quantity) }))
+    };
+  }
+
+  /**
+   * Replaces the recipe of an item.
+   * @param {number} itemId
+   * @param {object} recipe
+   * @param {Array<{stock_item_id: number, quantity: number}>} recipe.ingredients - Quantity per unit sold
+   * @param {boolean} [recipe.disable_when_out_of_stock]
+   * @param {number} [userId]
+   * @returns {Promise<object>} The recipe (see getRecipe)
+   */
+  async setRecipe(itemId, { ingredients = [], disable_when_out_of_stock = false }, userId = null) {
+    const rows = ingredients.map(ingredient => ({
+      item_id: itemId,
+      stock_item_id: Number(ingredient.stock_item_id),
+      quantity: this._parseQuantity(ingredient.quantity, 'recipe quantity', { positive: true })
+    }));
+    if (new Set(rows.map(row => row.stock_item_id)).size !== rows.length) {
+      throw new Error('A stock item can only be listed once in a recipe.');
+    }
+
+    await db.transaction(async (trx) => {
+      const item = await trx('items').where('id', itemId).first('id');
+      if (!item) {
+        throw new Error(`Item ${itemId} not found.`);
+      }
+      if (rows.length > 0) {
+        const known = await trx('stock_items').whereIn('id', rows.map(row => row.stock_item_id)).pluck('id');
+        const unknown = rows.find(row => !known.includes(row.stock_item_id));
+        if (unknown) {
+          throw new Error(`Stock item ${unknown.stock_item_id} not found.`);
+        }
+      }
+      await trx('item_recipes').where('item_id', itemId).del();
+      if (rows.length > 0) {
+        await trx('item_recipes').insert(rows);
+      }
+      await trx('items').where('id', itemId).update({ disable_when_out_of_stock: !!disable_when_out_of_stock });
+    });
+
+    await loggingService.logOperationalEvent('ITEM_RECIPE_UPDATED', userId, {
+      item_id: itemId,
+      ingredients: rows.map(({ stock_item_id, quantity }) => ({ stock_item_id, quantity })),
+      disable_when_out_of_stock: !!disable_when_out_of_stock
+    });
+    const items = await this._updateAvailability({ itemIds: [itemId] }, userId);
+    if (items.length > 0) {
+      websocketService.broadcast('stockLevelChanged', { stock_items: [], items });
+    }
+    return this.getRecipe(itemId);
+  }
+
+  /**
+   * Books the stock used by a finished receipt ('sale') or taken back with a return ('return').
+   * A receipt is booked only once, so booking again after a failure is safe.
+   * @param {number} transactionId - Finished receipt or return (transaction_type 'refund')
+   * @param {string} movementType - 'sale' or 'return'
+   * @param {number} [userId]
+   * @returns {Promise<object[]>} The stock changes
+   */
+  async bookTransaction(transactionId, movementType, userId = null) {
+    if (!['sale', 'return'].includes(movementType)) {
+      throw new Error(`Unknown stock booking '${movementType}', expected 'sale' or 'return'.`);
+    }
+
+    const changes = await db.transaction(async (trx) => {
+      const booked = await trx('stock_movements')
+        .where({ active_transaction_id: transactionId, movement_type: movementType })
+        .first('id');
+      if (booked) {
+        logger.info({ service: 'InventoryService', transactionId, movementType }, 'Stock already booked');
+        return [];
+      }
+
+      const soldQuantities = await this._getSoldQuantities(transactionId, trx);
+      if (soldQuantities.size === 0) return [];
+
+      const recipes = await trx('item_recipes').whereIn('item_id', [...soldQuantities.keys()]);
+      const deltas = new Map();
+      for (const recipe of recipes) {
+        const delta = -soldQuantities.get(recipe.item_id) * parseFloat(recipe.quantity);
+        deltas.set(recipe.stock_item_id, (deltas.get(recipe.stock_item_id) || 0) + delta);
+      }
+
+      const result = [];
+      for (const [stockItemId, delta] of deltas) {
+        if (roundQuantity(delta) === 0) continue;
+        result.push(await this._applyMovement(trx, {
+          stockItemId,
+          movementType,
+          quantity: delta,
+          transactionId,
+          userId
+        }));
+      }
+      return result;
+    });
+
+    if (changes.length > 0) {
+      logger.info({ service: 'InventoryService', transactionId, movementType, stockItems: changes.length }, 'Stock booked');
+      await this._afterStockChange(changes, userId);
+    }
+    return changes;
+  }
+
+  /**
+   * Books a delivery of goods.
+   * @param {object} options
+   * @param {number} options.userId
+   * @param {Array<{stock_item_id: number, quantity: number}>} options.lines - Quantities received
+   * @param {string} [options.reference] - Supplier, delivery note number
+   * @param {string} [options.note]
+   * @returns {Promise<object[]>} The stock changes
+   */
+  async recordGoodsReceipt({ userId, lines, reference = null, note = null }) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error('A goods receipt needs at least one line.');
+    }
+    const receipt = lines.map(line => ({
+      stockItemId: Number(line.stock_item_id),
+      quantity: this._parseQuantity(line.quantity, 'quantity received', { positive: true })
+    }));
+    logger.info({ service: 'InventoryService', function: 'recordGoodsReceipt', userId, lines: receipt.length, reference });
+
+    const changes = await db.transaction(async (trx) => {
+      const result = [];
+      for (const { stockItemId, quantity } of receipt) {
+        result.push(await this._applyMovement(trx, {
+          stockItemId,
+          movementType: 'goods_receipt',
+          quantity,
+          reference,
+          note,
+          userId
+        }));
+      }
+      return result;
+    });
+
+    await loggingService.logOperationalEvent('STOCK_GOODS_RECEIPT', userId, {
+      reference,
+      lines: changes.map(change => ({ stock_item_id: change.stock_item.id, quantity: change.quantity }))
+    });
+    await this._afterStockChange(changes, userId);
+    return changes;
+  }
+
+  /**
+   * Books a stock count. The counted quantity replaces the quantity on hand, the variance against
+   * the books is kept with the movement (also when there is none, to document the count).
+   * @param {object} options
+   * @param {number} options.userId
+   * @param {Array<{stock_item_id: number, counted_quantity: number}>} options.lines
+   * @param {string} [options.note]
+   * @returns {Promise<object[]>} The stock changes, quantity is the variance
+   */
+  async recordCount({ userId, lines, note = null }) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error('A stock count needs at least one line.');
+    }
+    const count = lines.map(line => ({
+      stockItemId: Number(line.stock_item_id),
+      counted: this._parseQuantity(line.counted_quantity, 'counted quantity')
+    }));
+    if (count.some(line => line.counted < 0)) {
+      throw new Error('A counted quantity cannot be negative.');
+    }
+    logger.info({ service: 'InventoryService', function: 'recordCount', userId, lines: count.length });
+
+    const changes = await db.transaction(async (trx) => {
+      const result = [];
+      for (const { stockItemId, counted } of count) {
+        result.push(await this._applyMovement(trx, {
+          stockItemId,
+          movementType: 'count',
+          countedQuantity: counted,
+          note,
+          userId
+        }));
+      }
+      return result;
+    });
+
+    await loggingService.logOperationalEvent('STOCK_COUNTED', userId, {
+      note,
+      lines: changes.map(change => ({
+        stock_item_id: change.stock_item.id,
+        expected_quantity: change.quantity_before,
+        counted_quantity: change.quantity_after,
+        variance: change.quantity
+      }))
+    });
+    await this._afterStockChange(changes, userId);
+    return changes;
+  }
+
+  /**
+   * Net quantity sold per item of a receipt. Storno lines are negative and cancel their line.
+   * Lines of a return are negative too; a return only copies the positions, so the modifier options
+   * of a returned position are taken from the original receipt. Discount and surcharge lines only
+   * change the price of their line.
+   */
+  async _getSoldQuantities(transactionId, trx) {
+    const lines = await trx('active_transaction_items').where('active_transaction_id', transactionId);
+    const quantities = new Map();
+    const add = (itemId, quantity) => {
+      if (!itemId) return;
+      quantities.set(itemId, (quantities.get(itemId) || 0) + quantity);
+    };
+    lines
+      .filter(line => !PRICE_LINE_NOTES.includes(line.notes))
+      .forEach(line => add(line.item_id, parseFloat(line.quantity)));
+
+    const returned = lines.filter(line => line.refunded_transaction_item_id);
+    if (returned.length > 0) {
+      const modifierLines = await trx('active_transaction_items')
+        .whereIn('parent_transaction_item_id', returned.map(line => line.refunded_transaction_item_id))
+        .whereNotNull('modifier_name')
+        .whereNotNull('item_id');
+      for (const line of returned) {
+        modifierLines
+          .filter(modifierLine => modifierLine.parent_transaction_item_id === line.refunded_transaction_item_id)
+          .forEach(modifierLine => add(modifierLine.item_id, parseFloat(line.quantity) * parseFloat(modifierLine.modifier_quantity)));
+      }
+    }
+    return quantities;
+  }
+
+  /**
+   * Changes the quantity of a stock item and records the movement. A count sets the quantity to the
+   * counted quantity, every other movement adds its (signed) quantity.
+   * @returns {Promise<{stock_item: object, movement_type: string, quantity: number, quantity_before: number, quantity_after: number}>}
+   */
+  async _applyMovement(trx, { stockItemId, movementType, quantity = null, countedQuantity = null, transactionId = null, reference = null, note = null, userId = null }) {
+    if (!MOVEMENT_TYPES.includes(movementType)) {
+      throw new Error(`Unknown stock movement '${movementType}'.`);
+    }
+    const stockItem = await trx('stock_items').where('id', stockItemId).first();
+    if (!stockItem) {
+      throw new Error(`Stock item ${stockItemId} not found.`);
+    }
+
+    const before = parseFloat(stockItem.quantity);
+    const after = roundQuantity(movementType === 'count' ? countedQuantity : before + quantity);
+    const change = roundQuantity(after - before);
+    const now = new Date().toISOString();
+
+    await trx('stock_items').where('id', stockItemId).update({ quantity: after, updated_at: now });
+    await trx('stock_movements').insert({
+      stock_item_id: stockItemId,
+      movement_type: movementType,
+      quantity: change,
+      quantity_after: after,
+      expected_quantity: movementType === 'count' ? before : null,
+      counted_quantity: movementType === 'count' ? after : null,
+      active_transaction_id: transactionId,
+      reference,
+      note,
+      user_id: userId,
+      created_at: now
+    });
+
+    return {
+      stock_item: this._toStockItem({ ...stockItem, quantity: after }),
+      movement_type: movementType,
+      quantity: change,
+      quantity_before: before,
+      quantity_after: after
+    };
+  }
+
+  /**
+   * Warns the staff about stock items that fell to their threshold or ran out, updates the
+   * availability of the items using them and tells the clients.
+   */
+  async _afterStockChange(changes, userId) {
+    const warnings = [];
+    for (const { stock_item: stockItem, quantity_before: before, quantity_after: after } of changes) {
+      const threshold = stockItem.low_stock_threshold;
+      if (after <= 0 && before > 0) {
+        warnings.push(`${stockItem.name} ist aufgebraucht`);
+      } else if (threshold !== null && after <= threshold && before > threshold) {
+        warnings.push(`${stockItem.name}: noch ${after} ${stockItem.unit} (Mindestbestand ${threshold} ${stockItem.unit})`);
+      }
+    }
+
+    let items = [];
+    try {
+      items = await this._updateAvailability({ stockItemIds: changes.map(change => change.stock_item.id) }, userId);
+    } catch (error) {
+      logger.error({ service: 'InventoryService', function: '_afterStockChange', error: error.message });
+    }
+
+    if (warnings.length > 0) {
+      logger.warn({ service: 'InventoryService', warnings }, 'Low stock');
+      websocketService.broadcast('displayAgentMessage', {
+        timestamp: new Date().toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }),
+        type: 'agent',
+        message: `Lagerbestand niedrig: ${warnings.join(', ')}`,
+        style: 'warning'
+      });
+    }
+    websocketService.broadcast('stockLevelChanged', {
+      stock_items: changes.map(change => change.stock_item),
+      items
+    });
+  }
+
+  /**
+   * Disables the items with disable_when_out_of_stock whose recipe uses a stock item that is used up,
+   * and enables those disabled for that reason once all their stock items are back.
+   * Items not for sale for another reason are left alone.
+   * @param {object} scope
+   * @param {number[]} [scope.stockItemIds] - Items using these stock items
+   * @param {number[]} [scope.itemIds] - These items
+   * @returns {Promise<Array<{id: number, available: boolean, availability_reason: string|null}>>} The items whose
+   *   flags changed, available as evaluated by ScheduleService
+   */
+  async _updateAvailability({ stockItemIds = [], itemIds = [] }, userId = null) {
+    const candidates = new Set(itemIds);
+    if (stockItemIds.length > 0) {
+      (await db('item_recipes').whereIn('stock_item_id', stockItemIds).pluck('item_id'))
+        .forEach(itemId => candidates.add(itemId));
+    }
+    if (candidates.size === 0) return [];
+
+    const items = await db('items').whereIn('id', [...candidates]);
+    const ingredients = await db('item_recipes as ir')
+      .join('stock_items as si', 'ir.stock_item_id', 'si.id')
+      .whereIn('ir.item_id', [...candidates])
+      .select('ir.item_id', 'si.name', 'si.quantity');
+
+    const branchId = await scheduleService.getCurrentBranchId();
+    const changed = [];
+    for (const item of items) {
+      const flags = parseJsonIfNeeded(item.item_flags) || {};
+      const usedUp = ingredients.filter(ingredient => ingredient.item_id === item.id && parseFloat(ingredient.quantity) <= 0);
+      const outOfStock = !!item.disable_when_out_of_stock && usedUp.length > 0;
+
+      if (outOfStock && !flags.out_of_stock && flags.is_sellable !== false) {
+        flags.out_of_stock = true;
+        flags.is_sellable = false;
+      } else if (!outOfStock && flags.out_of_stock) {
+        delete flags.out_of_stock;
+        flags.is_sellable = true;
+      } else {
+        continue;
+      }
+
+      await db('items').where('id', item.id).update({ item_flags: JSON.stringify(flags) });
+      await loggingService.logOperationalEvent(outOfStock ? 'ITEM_OUT_OF_STOCK' : 'ITEM_BACK_IN_STOCK', userId, {
+        item_id: item.id,
+        stock_items: usedUp.map(ingredient => ingredient.name)
+      });
+      const { available, availability_reason } = scheduleService.evaluateItem({ ...item, item_flags: flags }, { branchId });
+      changed.push({ id: item.id, available, availability_reason });
+    }
+    return changed;
+  }
+
+  _toStockItem(stockItem) {
+    const quantity = parseFloat(stockItem.quantity);
+    const threshold = stockItem.low_stock_threshold === null || stockItem.low_stock_threshold === undefined
+      ? null
+      : parseFloat(stockItem.low_stock_threshold);
+    return {
+      id: stockItem.id,
+      name: stockItem.name,
+      unit: stockItem.unit,
+      quantity,
+      low_stock_threshold: threshold,
+      is_low: threshold !== null && quantity <= threshold,
+      is_out: quantity <= 0
+    };
+  }
+
+  _parseQuantity(value, label, { positive = false } = {}) {
+    const quantity = roundQuantity(parseFloat(value));
+    if (!Number.isFinite(quantity) || (positive && quantity <= 0)) {
+      throw new Error(`Invalid ${label} '${value}'.`);
+    }
+    return quantity;
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,218 @@
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const loggingService = require('./logging.service');
+const printQueueService = require('./print_queue.service');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+
+// Lines added when a receipt is finished (see TransactionManagementService), never sent to the kitchen
+const COMPLIANCE_LINE_NOTES = ['STORNO', 'DISCOUNT', 'SURCHARGE'];
+const STATION_LABELS = { kitchen: 'KÜCHE', bar: 'BAR' };
+// Events that send the open lines without the "send to kitchen" action, e.g. 'item_added,parked'
+const AUTO_SEND_TRIGGERS = (process.env.KITCHEN_TICKET_TRIGGERS || 'parked')
+  .split(',')
+  .map(trigger => trigger.trim())
+  .filter(Boolean);
+const QUANTITY_EPSILON = 0.0005;
+
+/**
+ * KitchenTicketService prints order tickets (Bons) for the kitchen, the bar and other stations.
+ *
+ * Lines are routed by the printer role of their item's category (categories.printer_role) to the
+ * printer having that role. Every line remembers the quantity already printed
+ * (kitchen_sent_quantity), so sending again only prints what changed: added quantities on an
+ * order ticket, reduced or removed quantities on a cancel slip. Tickets go through the print queue
+ * (see PrintQueueService), so a line counts as sent once its ticket is queued; tickets that cannot
+ * be printed are retried or redirected to another printer there.
+ */
+class KitchenTicketService {
+  constructor() {
+    // Sends of the same transaction run one after the other, so no line is printed twice
+    this.sending = new Map();
+  }
+
+  /**
+   * Sends the open lines if the event is configured as trigger (KITCHEN_TICKET_TRIGGERS). Nobody
+   * waits for the result, the print queue reports printed and failed tickets to the terminals.
+   * @param {string} trigger - 'item_added' or 'parked'
+   * @param {number} transactionId
+   * @param {number} userId
+   * @returns {Promise<Object|null>} Result of sendToKitchen, null if the event is no trigger or failed
+   */
+  async handleTrigger(trigger, transactionId, userId) {
+    if (!AUTO_SEND_TRIGGERS.includes(trigger)) return null;
+
+    try {
+      return await this.sendToKitchen(transactionId, { userId, trigger });
+    } catch (error) {
+      logger.error({ service: 'KitchenTicketService', function: 'handleTrigger', trigger, transactionId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Queues tickets for the lines not yet sent (or changed since) of an active or parked
+   * transaction, one ticket per printer role and kind (order or cancel).
+   * @param {number} transactionId
+   * @param {object} [options]
+   * @param {number} [options.userId] - User sending, the waiter printed is the owner of the transaction
+   * @param {string} [options.trigger] - 'manual', 'item_added' or 'parked', for the log
+   * @returns {Promise<{transaction_id: number, table: string, tickets: object[]}>}
+   */
+  async sendToKitchen(transactionId, { userId = null, trigger = 'manual' } = {}) {
+    const previous = this.sending.get(transactionId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this._send(transactionId, userId, trigger));
+    this.sending.set(transactionId, run);
+    try {
+      return await run;
+    } finally {
+      if (this.sending.get(transactionId) === run) {
+        this.sending.delete(transactionId);
+      }
+    }
+  }
+
+  async _send(transactionId, userId, trigger) {
+    logger.info({ service: 'KitchenTicketService', function: 'sendToKitchen', transactionId, userId, trigger });
+
+    const transaction = await db('active_transactions').where('id', transactionId).first();
+    if (!transaction || !['active', 'parked'].includes(transaction.status)) {
+      throw new Error(`Active or parked transaction with ID ${transactionId} not found.`);
+    }
+
+    const metadata = parseJsonIfNeeded(transaction.metadata) || {};
+    const table = metadata.table ? String(metadata.table) : '-';
+    const waiter = await db('users').where('id', transaction.user_id || userId).select('full_name').first();
+    const tickets = await this.getOpenTickets(transactionId);
+
+    const results = [];
+    for (const ticket of tickets) {
+      const ticketData = {
+        station: STATION_LABELS[ticket.role] || ticket.role.toUpperCase(),
+        title: ticket.title,
+        is_cancel: ticket.kind === 'cancel',
+        table,
+        waiter: waiter ? waiter.full_name : '-',
+        transaction_id: transaction.id,
+        printed_at: new Date().toLocaleString('de-DE', {
+          timeZone: 'Europe/Berlin',
+          day: '2-digit',
+          month: '2-digit',
+          year: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit'
+        }),
+        items: ticket.items
+      };
+      const job = await printQueueService.enqueue({
+        documentType: 'kitchen_ticket',
+        role: ticket.role,
+        data: ticketData,
+        title: `${ticket.title} ${ticketData.station} Tisch ${table}`,
+        transactionId: transaction.id,
+        userId
+      });
+      await this._markSent(ticket.lines);
+      await loggingService.logOperationalEvent('kitchen_ticket_sent', userId, {
+        transaction_uuid: transaction.uuid,
+        printer_role: ticket.role,
+        kind: ticket.kind,
+        trigger,
+        print_job_id: job.id,
+        items: ticket.lines.map(line => ({ transaction_item_id: line.id, quantity: line.delta }))
+      });
+
+      results.push({
+        role: ticket.role,
+        station: ticketData.station,
+        kind: ticket.kind,
+        title: ticket.title,
+        items: ticket.items.length,
+        print_job_id: job.id,
+        status: job.status
+      });
+    }
+
+    logger.info({ service: 'KitchenTicketService', transactionId, trigger, tickets: results.length });
+    return { transaction_id: transaction.id, table, tickets: results };
+  }
+
+  /**
+   * Lists the tickets sending the transaction would print, without printing them.
+   * Lines whose category has no printer role are not sent.
+   * @param {number} transactionId
+   * @returns {Promise<Array<{role: string, kind: string, title: string, items: object[], lines: object[]}>>}
+   *   Items as printed (sorted by course), lines with the quantity to mark as sent
+   */
+  async getOpenTickets(transactionId) {
+    const rows = await db('active_transaction_items as ati')
+      .leftJoin('items as i', 'ati.item_id', 'i.id')
+      .leftJoin('categories as c', 'i.associated_category_unique_identifier', 'c.id')
+      .where('ati.active_transaction_id', transactionId)
+      .select('ati.id', 'ati.parent_transaction_item_id', 'ati.quantity', 'ati.kitchen_sent_quantity', 'ati.course', 'ati.notes',
+        'ati.modifier_name', 'ati.modifier_quantity', 'i.display_names', 'c.printer_role')
+      .orderBy('ati.id', 'asc');
+
+    const itemName = (row) => {
+      if (row.modifier_name) {
+        // Modifier lines print as selected per unit of their parent, e.g. "2x Extra Käse"
+        const perUnit = parseFloat(row.modifier_quantity) || 1;
+        return perUnit > 1 ? `${perUnit}x ${row.modifier_name}` : row.modifier_name;
+      }
+      const names = parseJsonIfNeeded(row.display_names) || {};
+      return (names.menu && names.menu.de) || `Artikel ${row.id}`;
+    };
+
+    const tickets = new Map();
+    const sentRoles = new Set();
+    for (const row of rows) {
+      if (row.parent_transaction_item_id || !row.printer_role) continue;
+
+      const quantity = parseFloat(row.quantity);
+      const sentQuantity = parseFloat(row.kitchen_sent_quantity) || 0;
+      if (sentQuantity > 0) sentRoles.add(row.printer_role);
+      const delta = quantity - sentQuantity;
+      if (Math.abs(delta) < QUANTITY_EPSILON) continue;
+
+      const kind = delta > 0 ? 'order' : 'cancel';
+      const key = `${row.printer_role}:${kind}`;
+      if (!tickets.has(key)) {
+        tickets.set(key, { role: row.printer_role, kind, items: [], lines: [] });
+      }
+      const ticket = tickets.get(key);
+      ticket.items.push({
+        quantity: delta,
+        name: itemName(row),
+        course: row.course || null,
+        modifiers: rows
+          .filter(child => child.parent_transaction_item_id === row.id && !COMPLIANCE_LINE_NOTES.includes(child.notes))
+          .map(itemName),
+        notes: COMPLIANCE_LINE_NOTES.includes(row.notes) ? null : row.notes
+      });
+      ticket.lines.push({ id: row.id, quantity, delta });
+    }
+
+    return [...tickets.values()].map(ticket => ({
+      ...ticket,
+      title: ticket.kind === 'cancel' ? 'STORNO' : (sentRoles.has(ticket.role) ? 'NACHBESTELLUNG' : 'BESTELLUNG'),
+      // Lines without a course first, then course by course in the order they were added
+      items: [...ticket.items].sort((a, b) => (a.course || 0) - (b.course || 0))
+    }));
+  }
+
+  /**
+   * Records the quantities of a queued ticket as sent.
+   * @param {Array<{id: number, quantity: number}>} lines - Lines with the quantity printed
+   */
+  async _markSent(lines) {
+    const sentAt = new Date().toISOString();
+    await db.transaction(async (trx) => {
+      for (const line of lines) {
+        await trx('active_transaction_items')
+          .where('id', line.id)
+          .update({ kitchen_sent_quantity: line.quantity, kitchen_sent_at: sentAt });
+      }
+    });
+  }
+}
+
+module.exports = new KitchenTicketService();
@@ -10,7 +10,7 @@ const logger = require('../config/logger');
 const knex = require('../db/knex');
 const { handleGeminiError, createGeminiErrorLog } = require('../utils/geminiErrorHandler');
 const { searchProducts } = require('./search.service');
-const { generateSalesReport } = require('./reporting.service');
+const { ReportingService } = require('./reporting.service');
 const { ProductService } = require('./product.service');
 const { services } = require('../index');
 
@@ -176,22 +176,29 @@ const createProductDeclaration = {
 
 const getSalesReportDeclaration = {
     name: "getSalesReport",
-    description: "Use this tool to get a sales report for a specific period. Supported periods are 'today', 'week', and 'month'. The data can also be grouped by 'category' or 'hour'. For example: 'show me the sales report for this week grouped by category'.",
+    description: "Use this tool to get a sales report over the finished receipts of a period. Supported periods are 'today', 'yesterday', 'week' and 'month'; for other ranges pass startDate and endDate. The data can also be grouped by 'category', 'hour', 'user', 'payment_type' or 'tax_rate'. For example: 'show me the sales report for this week grouped by category' or 'card payments from 1 to 15 September'.",
     parameters: {
         type: Type.OBJECT,
         properties: {
             period: {
                 type: Type.STRING,
                 description: "Time period for the report",
-                enum: ["today", "week", "month"]
+                enum: ["today", "yesterday", "week", "month"]
+            },
+            startDate: {
+                type: Type.STRING,
+                description: "First business date of a custom range (YYYY-MM-DD), overrides period"
+            },
+            endDate: {
+                type: Type.STRING,
+                description: "Last business date of a custom range (YYYY-MM-DD), defaults to startDate"
             },
             groupBy: {
                 type: Type.STRING,
                 description: "How to group the report data",
-                enum: ["category", "hour", "none"]
+                enum: ["category", "hour", "user", "payment_type", "tax_rate", "none"]
             }
-        },
-        required: ["period"]
+        }
     }
 };
 
@@ -305,7 +312,12 @@ const toolFunctions = {
         try {
             const period = args.period || 'today';
             const groupBy = args.groupBy || 'none';
-            const report = await generateSalesReport({ period, groupBy });
+            const report = await createReportingService().generateSalesReport({
+                period,
+                startDate: args.startDate || null,
+                endDate: args.endDate || null,
+                groupBy
+            });
             return report;
         } catch (error) {
             logger.error({ tool: 'getSalesReport', error: error.message }, 'Error in getSalesReport tool');
@@ -375,6 +387,16 @@ const toolFunctions = {
     }
 };
 
+/**
+ * Creates a ReportingService on the repository of the configured database (see desktop/server/start.js)
+ */
+function createReportingService() {
+    const { PostgreSQLAdapter } = require('../../adapters/database/postgresql');
+    const { SQLiteAdapter } = require('../../adapters/database/sqlite');
+    const databaseAdapter = process.env.DB_CLIENT === 'pg' ? new PostgreSQLAdapter(knex) : new SQLiteAdapter(knex);
+    return new ReportingService(databaseAdapter.getReportingRepository(), services.closing);
+}
+
 /**
  * Get prioritized models for fallback usage
  */
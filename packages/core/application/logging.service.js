@@ -2,6 +2,8 @@ const db = require('../db/knex');
 const logger = require('../config/logger');
 const crypto = require('crypto');
 const hieroService = require('./hiero.service');
+const tseService = require('./tse.service');
+const tseOutageService = require('./tse_outage.service');
 const { parseJsonIfNeeded } = require('../utils/db-helper');
 
 /**
@@ -14,10 +16,12 @@ class LoggingService {
 
   /**
    * Logs a fiscal event, ensuring atomicity and dual integrity (TSE + internal hash chain).
+   * If the TSE is unavailable the operation is queued for deferred signing (see TseOutageService)
+   * and the result is successful with `deferred: true` and no fiscal log entry.
    * @param {string} event_type The type of event (e.g., 'finishTransaction').
    * @param {number} user_id The ID of the user performing the action.
    * @param {object} payload_for_tse The data to be sent to the TSE.
-   * @returns {Promise<{success: boolean, log?: object, error?: string}>}
+   * @returns {Promise<{success: boolean, log?: object, deferred?: boolean, error?: string}>}
    */
   async logFiscalEvent(event_type, user_id, payload_for_tse, trx = null) {
     const operation_id = crypto.randomUUID();
@@ -38,14 +42,19 @@ class LoggingService {
       const [pendingOp] = await dbInstance('pending_fiscal_operations').insert({
         operation_id,
         status: 'PENDING',
+        event_type,
+        user_id,
         payload_for_tse: JSON.stringify(payload_for_tse)
       }).returning('id');
       pendingOperationId = pendingOp.id || pendingOp;
 
-      // Step 2: Simulate the call to the external TSE API.
-      const tse_response = await this.simulateTseSign(payload_for_tse);
+      // Step 2: Sign the event with the configured TSE provider.
+      // During an outage nothing is signed until the queued operations have been resolved, to keep their order.
+      const tse_response = tseOutageService.isActive()
+        ? { success: false, error: 'TSE outage in progress' }
+        : await tseService.signFiscalEvent(event_type, payload_for_tse, dbInstance);
       if (!tse_response.success) {
-        throw new Error(tse_response.error);
+        return await this._deferFiscalOperation(dbInstance, pendingOperationId, operation_id, event_type, tse_response.error);
       }
 
       // Step 3: Update the pending record to 'TSE_SUCCESS'.
@@ -84,8 +93,27 @@ class LoggingService {
     }
   }
 
+  /**
+   * Queues an operation that could not be signed because of a TSE outage.
+   * The sale goes on; the TseOutageService signs or documents the operation later.
+   */
+  async _deferFiscalOperation(dbInstance, pendingOperationId, operation_id, event_type, error) {
+    await dbInstance('pending_fiscal_operations')
+      .where('id', pendingOperationId)
+      .update({
+        status: 'TSE_FAILED',
+        tse_outage: true,
+        last_error: error
+      });
+    tseOutageService.recordDeferredOperation(error);
+
+    logger.warn({ msg: 'TSE unavailable, fiscal operation queued for deferred signing.', operation_id, event_type, error });
+    return { success: true, deferred: true, log: null, pendingOperationId, error };
+  }
+
   /**
    * Commits a TSE-successful operation from the pending log to the final fiscal_log.
+   * Operations that were DOCUMENTED after a TSE outage are committed as unsigned.
    * This function is idempotent and can be called by the recovery process.
    * @param {number} pendingOpId The ID of the record in the pending_fiscal_operations table.
    * @param {string} event_type The type of event being logged.
@@ -111,7 +139,7 @@ class LoggingService {
         logger.warn({ msg: 'Attempted to re-commit an already committed fiscal operation.', operation_id: operation.operation_id });
         return { success: true, message: 'Operation already committed.' };
       }
-      if (operation.status !== 'TSE_SUCCESS') throw new Error(`Cannot commit operation with status '${operation.status}'.`);
+      if (!['TSE_SUCCESS', 'DOCUMENTED'].includes(operation.status)) throw new Error(`Cannot commit operation with status '${operation.status}'.`);
 
       const lastLog = await trx('fiscal_log').orderBy('id', 'desc').first();
       const previous_log_hash = lastLog ? lastLog.current_log_hash : '0'.repeat(64);
@@ -124,14 +152,13 @@ class LoggingService {
         timestamp_utc: new Date().toISOString(),
         event_type,
         user_id,
-        transaction_number_tse: tseResponseData.transaction_number,
-        payload_for_tse: JSON.stringify(payloadForTse), // Re-stringify for consistent storage
+        transaction_number_tse: tseResponseData.transaction_number || 0, // 0 = not signed (TSE outage)
+        payload_for_tse: this.canonicalJson(payloadForTse), // Key-sorted, so the hash survives jsonb normalization
         tse_response: JSON.stringify(tseResponseData), // Re-stringify for consistent storage
         previous_log_hash
       };
       
-      const canonicalString = `${newLogEntry.log_id}${newLogEntry.timestamp_utc}${newLogEntry.event_type}${newLogEntry.transaction_number_tse}${newLogEntry.payload_for_tse}${newLogEntry.previous_log_hash}`;
-      const current_log_hash = crypto.createHash('sha256').update(canonicalString).digest('hex');
+      const current_log_hash = this.computeLogHash(this.buildFiscalCanonicalString(newLogEntry));
 
       const [insertedLog] = await trx('fiscal_log').insert({ ...newLogEntry, current_log_hash }).returning('*');
 
@@ -155,12 +182,11 @@ class LoggingService {
           timestamp_utc: new Date().toISOString(),
           event_type,
           user_id,
-          details: JSON.stringify(details),
+          details: this.canonicalJson(details),
           previous_log_hash
         };
 
-        const canonicalString = `${newLogEntry.log_id}${newLogEntry.timestamp_utc}${newLogEntry.event_type}${newLogEntry.user_id}${newLogEntry.details}${newLogEntry.previous_log_hash}`;
-        const current_log_hash = crypto.createHash('sha256').update(canonicalString).digest('hex');
+        const current_log_hash = this.computeLogHash(this.buildOperationalCanonicalString(newLogEntry));
 
         const [insertedLog] = await trx('operational_log').insert({ ...newLogEntry, current_log_hash }).returning('*');
 
@@ -173,6 +199,41 @@ class LoggingService {
     }
   }
 
+  /**
+   * Builds the string hashed into fiscal_log.current_log_hash.
+   * Also used by the LogIntegrityService to verify the chain.
+   * @param {object} entry - fiscal_log entry with payload_for_tse as canonical JSON (see canonicalJson)
+   * @returns {string}
+   */
+  buildFiscalCanonicalString(entry) {
+    return `${entry.log_id}${entry.timestamp_utc}${entry.event_type}${entry.transaction_number_tse}${entry.payload_for_tse}${entry.previous_log_hash}`;
+  }
+
+  /**
+   * Builds the string hashed into operational_log.current_log_hash.
+   * @param {object} entry - operational_log entry with details as canonical JSON (see canonicalJson)
+   * @returns {string}
+   */
+  buildOperationalCanonicalString(entry) {
+    return `${entry.log_id}${entry.timestamp_utc}${entry.event_type}${entry.user_id}${entry.details}${entry.previous_log_hash}`;
+  }
+
+  /**
+   * JSON with the keys of every object sorted. PostgreSQL returns jsonb with its own key order, so the
+   * log hashes cover this form, which is the same before and after the round trip through the database.
+   * @param {*} value
+   * @returns {string}
+   */
+  canonicalJson(value) {
+    return JSON.stringify(value, (key, nested) => (nested && typeof nested === 'object' && !Array.isArray(nested)
+      ? Object.keys(nested).sort().reduce((sorted, name) => ({ ...sorted, [name]: nested[name] }), {})
+      : nested));
+  }
+
+  computeLogHash(canonicalString) {
+    return crypto.createHash('sha256').update(canonicalString).digest('hex');
+  }
+
   /**
    * Logs a system/debug event.
    */
@@ -191,24 +252,6 @@ class LoggingService {
     }
   }
 
-  /**
-   * Simulates a call to a TSE provider.
-   * @returns {Promise<object>} A simulated successful TSE response.
-   */
-  async simulateTseSign(payload) {
-    await new Promise(resolve => setTimeout(resolve, 20)); // Simulate network latency
-    return {
-      success: true,
-      data: {
-        transaction_number: Math.floor(Date.now() / 1000) - 1700000000 + Math.floor(Math.random() * 100),
-        signature_counter: Math.floor(Math.random() * 100000),
-        log_time: new Date().toISOString(),
-        signature: crypto.createHash('sha256').update(JSON.stringify(payload)).digest('base64'),
-        tse_serial_number: 'mock-tse-serial-12345'
-      }
-    };
-  }
-
   /**
    * Anchors the start-of-day fiscal state to the Hiero Consensus Service.
    * This creates a cryptographic checkpoint of the fiscal log state at the beginning of each day.
@@ -288,32 +331,42 @@ class LoggingService {
 
   /**
    * Anchors the end-of-day fiscal state to the Hiero Consensus Service.
-   * This creates a cryptographic checkpoint of all fiscal events that occurred during the day.
+   * This creates a cryptographic checkpoint of all fiscal events covered by the closing
+   * (Kassenabschluss) of the business day, so the business day must have been closed.
    * 
-   * @param {string} date - The date in YYYY-MM-DD format (defaults to today)
+   * @param {string} date - The business date in YYYY-MM-DD format (defaults to today)
    * @returns {Promise<{success: boolean, result?: object, error?: string}>}
    */
   async anchorEndOfDay(date = null) {
     try {
       const targetDate = date || new Date().toISOString().split('T')[0];
-      const startOfDay = `${targetDate}T00:00:00.000Z`;
-      const endOfDay = `${targetDate}T23:59:59.999Z`;
       
       logger.info({ 
         msg: 'Starting end-of-day anchor process',
         date: targetDate
       });
 
-      // Get all fiscal log entries for the target day
+      const closing = await db('cashpoint_closings').where('business_date', targetDate).first();
+      if (!closing) {
+        throw new Error(`No closing found for business day ${targetDate}, the day has to be closed first.`);
+      }
+      const previousClosing = await db('cashpoint_closings')
+        .where('z_nr', '<', closing.z_nr)
+        .orderBy('z_nr', 'desc')
+        .first();
+      const firstLogId = previousClosing ? previousClosing.last_fiscal_log_id || 0 : 0;
+      const lastLogId = closing.last_fiscal_log_id || 0;
+
+      // Get all fiscal log entries covered by this closing
       const dayLogs = await db('fiscal_log')
-        .where('timestamp_utc', '>=', startOfDay)
-        .where('timestamp_utc', '<=', endOfDay)
-        .orderBy('timestamp_utc', 'asc');
+        .where('id', '>', firstLogId)
+        .where('id', '<=', lastLogId)
+        .orderBy('id', 'asc');
 
-      // Get cumulative fiscal log state (from beginning of time up to end of day)
+      // Get cumulative fiscal log state (from beginning of time up to this closing)
       const cumulativeLogs = await db('fiscal_log')
-        .where('timestamp_utc', '<=', endOfDay)
-        .orderBy('timestamp_utc', 'asc');
+        .where('id', '<=', lastLogId)
+        .orderBy('id', 'asc');
 
       // Calculate the daily hash and cumulative hash
       const dailyHash = hieroService.createDailyHash(dayLogs);
@@ -330,6 +383,8 @@ class LoggingService {
       const anchorMessage = JSON.stringify({
         type: 'END_OF_DAY_ANCHOR',
         date: targetDate,
+        zNr: closing.z_nr,
+        closingTotalGross: closing.total_gross,
         dailyLogCount: dayLogs.length,
         cumulativeLogCount: cumulativeLogs.length,
         dailyHash: dailyHash,
@@ -349,6 +404,7 @@ class LoggingService {
       // Log the successful anchor operation
       await this.logOperationalEvent('END_DAY_ANCHOR', 1, {
         date: targetDate,
+        z_nr: closing.z_nr,
         hcs_transaction_id: result.result.transactionId,
         daily_hash: dailyHash,
         cumulative_hash: cumulativeHash,
@@ -369,6 +425,7 @@ class LoggingService {
         success: true, 
         result: {
           date: targetDate,
+          zNr: closing.z_nr,
           transactionId: result.result.transactionId,
           dailyHash: dailyHash,
           cumulativeHash: cumulativeHash,
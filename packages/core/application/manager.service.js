@@ -521,6 +521,13 @@ class ManagerService {
 
         await trx('items').where('id', productId).update(updateData);
 
+        if (Array.isArray(proposedData.modifier_group_ids)) {
+            await trx('modifier_group_assignments').where('item_id', productId).del();
+            for (const [index, groupId] of proposedData.modifier_group_ids.entries()) {
+                await trx('modifier_group_assignments').insert({ modifier_group_id: Number(groupId), item_id: productId, sort_order: index });
+            }
+        }
+
         return {
             success: true,
             message: 'Product updated successfully',
@@ -0,0 +1,307 @@
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const loggingService = require('./logging.service');
+const printerService = require('./printer_service');
+const websocketService = require('./websocket.service');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+// Wait before the next attempt by the number of attempts made, the last delay repeats
+const RETRY_DELAYS_MS = [5000, 15000, 30000, 60000];
+const MAX_ATTEMPTS = 5;
+// Printer role of each document type, kitchen tickets name their role themselves
+const DEFAULT_ROLES = { receipt: 'receipts' };
+
+/**
+ * PrintQueueService prints receipts and kitchen tickets through a persistent queue (print_jobs).
+ *
+ * A job goes from 'queued' to 'sending' to 'done'. Every attempt tries the printers having the
+ * job's role in their configured order, so a second printer with the same role takes over when the
+ * first one is off or out of paper. Failed attempts are retried with a growing delay; after
+ * MAX_ATTEMPTS the job is 'failed' and waits for the staff to retry it or redirect it to another
+ * printer. Every change of a job is broadcast as 'printJobUpdated'.
+ */
+class PrintQueueService {
+  constructor() {
+    this.processing = false;
+    this.timer = null;
+  }
+
+  /**
+   * Resumes the queue after a start of the server. Jobs interrupted while sending are sent again,
+   * a receipt printed twice is preferable to a lost one.
+   */
+  async start() {
+    const interrupted = await db('print_jobs')
+      .where('status', JOB_STATUS.SENDING)
+      .update({ status: JOB_STATUS.QUEUED, next_attempt_at: new Date().toISOString(), updated_at: new Date().toISOString() });
+    if (interrupted > 0) {
+      logger.warn({ service: 'PrintQueueService', function: 'start', interrupted }, 'Requeued print jobs interrupted by a restart');
+    }
+    this._wake();
+  }
+
+  /**
+   * Adds a print job to the queue; it is printed in the background.
+   * @param {object} job
+   * @param {string} job.documentType - 'receipt' or 'kitchen_ticket'
+   * @param {object} job.data - Data for the document template
+   * @param {string} [job.role] - Printer role, defaults to the role of the document type
+   * @param {string} [job.title] - Shown to the staff, e.g. "Beleg №42"
+   * @param {number} [job.transactionId] - Transaction the document belongs to
+   * @param {number} [job.userId] - User the job was printed for
+   * @param {boolean} [job.isCopy] - Reprint of a receipt
+   * @returns {Promise<object>} The job (see _toStatus)
+   */
+  async enqueue({ documentType, data, role = DEFAULT_ROLES[documentType], title = null, transactionId = null, userId = null, isCopy = false }) {
+    if (!role) {
+      throw new Error(`No printer role given for ${documentType} print job`);
+    }
+    const now = new Date().toISOString();
+    const [job] = await db('print_jobs').insert({
+      document_type: documentType,
+      title,
+      printer_role: role,
+      payload: JSON.stringify(data),
+      is_copy: isCopy,
+      active_transaction_id: transactionId,
+      user_id: userId,
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now
+    }).returning('*');
+
+    logger.info({ service: 'PrintQueueService', function: 'enqueue', jobId: job.id, documentType, role, transactionId });
+    this._broadcast(job);
+    this._wake();
+    return this._toStatus(job);
+  }
+
+  /**
+   * Queues the receipt of a finished transaction.
+   * @param {object} receiptData - Receipt data, see PrinterService._prepareReceiptData
+   * @param {object} [options]
+   * @param {number} [options.transactionId]
+   * @param {number} [options.userId]
+   * @param {string} [options.title]
+   * @returns {Promise<object>} The job
+   */
+  async printReceipt(receiptData, { transactionId = null, userId = null, title = null } = {}) {
+    return this.enqueue({
+      documentType: 'receipt',
+      data: printerService.processReceiptData(receiptData),
+      title: title || `Beleg №${transactionId || receiptData.receipt_number}`,
+      transactionId,
+      userId,
+      isCopy: !!receiptData.is_copy
+    });
+  }
+
+  /**
+   * Queues a copy of the receipt of a finished transaction, printed as "Kopie".
+   * @param {number} transactionId
+   * @param {number} [userId]
+   * @returns {Promise<object>} The job
+   */
+  async reprintReceipt(transactionId, userId = null) {
+    logger.info({ service: 'PrintQueueService', function: 'reprintReceipt', transactionId, userId });
+    const receiptData = await printerService.loadReceiptData(transactionId);
+    return this.printReceipt({ ...receiptData, is_copy: true }, {
+      transactionId: parseInt(transactionId),
+      userId,
+      title: `Kopie Beleg №${transactionId}`
+    });
+  }
+
+  /**
+   * Sends a job again right away, optionally on another printer.
+   * @param {number} jobId
+   * @param {object} [options]
+   * @param {string} [options.printerId] - Printer to redirect the job to; without one the printers
+   *   of the job's role are used again
+   * @param {number} [options.userId]
+   * @returns {Promise<object>} The job
+   */
+  async retryJob(jobId, { printerId = null, userId = null } = {}) {
+    const job = await db('print_jobs').where('id', jobId).first();
+    if (!job) {
+      throw new Error(`Print job with ID ${jobId} not found`);
+    }
+    if (![JOB_STATUS.FAILED, JOB_STATUS.QUEUED].includes(job.status)) {
+      throw new Error(`Print job ${jobId} cannot be retried (status: ${job.status})`);
+    }
+    if (printerId && !printerService.getPrinterById(printerId)) {
+      throw new Error(`Printer with ID ${printerId} not found`);
+    }
+
+    const now = new Date().toISOString();
+    const [updated] = await db('print_jobs').where('id', jobId).update({
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      next_attempt_at: now,
+      target_printer_id: printerId,
+      updated_at: now
+    }).returning('*');
+
+    logger.info({ service: 'PrintQueueService', function: 'retryJob', jobId, printerId, userId });
+    this._broadcast(updated);
+    this._wake();
+    return this._toStatus(updated);
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.statuses] - Only jobs in these states
+   * @param {number} [options.limit]
+   * @returns {Promise<object[]>} Jobs, newest first
+   */
+  async getJobs({ statuses = null, limit = 50 } = {}) {
+    const query = db('print_jobs').orderBy('id', 'desc').limit(limit);
+    if (Array.isArray(statuses) && statuses.length > 0) {
+      query.whereIn('status', statuses);
+    }
+    const jobs = await query;
+    return jobs.map(job => this._toStatus(job));
+  }
+
+  /**
+   * Prints the jobs that are due one after the other, then waits for the next retry.
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+    try {
+      for (;;) {
+        const job = await db('print_jobs')
+          .where('status', JOB_STATUS.QUEUED)
+          .where('next_attempt_at', '<=', new Date().toISOString())
+          .orderBy('id', 'asc')
+          .first();
+        if (!job) break;
+        await this._processJob(job);
+      }
+    } finally {
+      this.processing = false;
+    }
+    await this._scheduleNextRun();
+  }
+
+  async _processJob(job) {
+    const attempts = job.attempts + 1;
+    await this._update(job.id, { status: JOB_STATUS.SENDING, attempts });
+
+    const printers = job.target_printer_id
+      ? [printerService.getPrinterById(job.target_printer_id)].filter(Boolean)
+      : printerService.getPrintersByRole(job.printer_role);
+    const data = parseJsonIfNeeded(job.payload);
+
+    let result = { status: 'error', message: `No printer configured for ${job.printer_role} role` };
+    let printer = null;
+    for (printer of printers) {
+      result = await printerService.printDocument(printer, job.document_type, data);
+      if (result.status === 'success') break;
+      logger.warn({ service: 'PrintQueueService', jobId: job.id, printer: printer.name, error: result.message }, 'Print attempt failed');
+    }
+
+    if (result.status === 'success') {
+      const done = await this._update(job.id, {
+        status: JOB_STATUS.DONE,
+        printer_id: printer.id,
+        printed_at: new Date().toISOString(),
+        last_error: null
+      });
+      this._notify(`${job.title || 'Druckauftrag'} gedruckt (${printer.name})`, 'print-success');
+      return done;
+    }
+
+    if (attempts >= MAX_ATTEMPTS) {
+      const failed = await this._update(job.id, { status: JOB_STATUS.FAILED, last_error: result.message });
+      await loggingService.logOperationalEvent('print_failed', job.user_id, {
+        print_job_id: job.id,
+        document_type: job.document_type,
+        active_transaction_id: job.active_transaction_id,
+        print_error: result.message
+      });
+      this._notify(`Druckfehler ${job.title || 'Druckauftrag'}: ${result.message}`, 'print-error');
+      return failed;
+    }
+
+    const delay = RETRY_DELAYS_MS[Math.min(attempts - 1, RETRY_DELAYS_MS.length - 1)];
+    return this._update(job.id, {
+      status: JOB_STATUS.QUEUED,
+      next_attempt_at: new Date(Date.now() + delay).toISOString(),
+      last_error: result.message
+    });
+  }
+
+  async _scheduleNextRun() {
+    const next = await db('print_jobs').where('status', JOB_STATUS.QUEUED).min('next_attempt_at as next_attempt_at').first();
+    if (!next || !next.next_attempt_at) return;
+    const delay = Math.max(new Date(next.next_attempt_at).getTime() - Date.now(), 0);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._wake(), delay);
+    // A pending retry must not keep the process alive
+    this.timer.unref();
+  }
+
+  _wake() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    setImmediate(() => {
+      this.processQueue().catch(error => {
+        logger.error({ service: 'PrintQueueService', function: 'processQueue', error: error.message });
+      });
+    });
+  }
+
+  async _update(jobId, data) {
+    const [job] = await db('print_jobs').where('id', jobId).update({ ...data, updated_at: new Date().toISOString() }).returning('*');
+    this._broadcast(job);
+    return job;
+  }
+
+  _broadcast(job) {
+    websocketService.broadcast('printJobUpdated', this._toStatus(job));
+  }
+
+  _notify(message, style) {
+    websocketService.broadcast('displayAgentMessage', {
+      timestamp: new Date().toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }),
+      type: 'agent',
+      message,
+      style
+    });
+  }
+
+  /**
+   * Job as shown to the staff, without the document data.
+   */
+  _toStatus(job) {
+    return {
+      id: job.id,
+      document_type: job.document_type,
+      title: job.title,
+      printer_role: job.printer_role,
+      target_printer_id: job.target_printer_id,
+      printer_id: job.printer_id,
+      is_copy: !!job.is_copy,
+      active_transaction_id: job.active_transaction_id,
+      status: job.status,
+      attempts: job.attempts,
+      max_attempts: MAX_ATTEMPTS,
+      next_attempt_at: job.next_attempt_at,
+      last_error: job.last_error,
+      printed_at: job.printed_at,
+      created_at: job.created_at
+    };
+  }
+}
+
+module.exports = new PrintQueueService();
@@ -3,10 +3,25 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const CoreController = require('../utils/printers/core_controller');
 const systemTools = require('../utils/printers/system_tools');
+const driverRegistry = require('../utils/printers/driver_registry');
+const escposRenderer = require('../utils/printers/escpos_renderer');
 const db = require('../db/knex');
 const logger = require('../config/logger');
+const taxService = require('./tax.service');
+const voucherService = require('./voucher.service');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+const { buildReceiptTseData } = require('../utils/tse/receipt_qr');
+const { getBusinessCaseLabel } = require('../utils/dsfinvk/business_cases');
 
 const PRINTERS_CONFIG_PATH = path.join(__dirname, '../config/printers.json');
+// Template of each document type in config/
+const DOCUMENT_TEMPLATES = {
+  receipt: 'receipt_template.json',
+  report: 'report_template.json',
+  kitchen_ticket: 'kitchen_ticket_template.json'
+};
+// Driver rendering previews when no receipts printer is configured
+const DEFAULT_PREVIEW_MODEL = 'HPRT_TP80K';
 
 /**
  * Service to manage all printer-related operations.
@@ -66,168 +81,400 @@ class PrinterService {
     return this.printers.find(p => p.roles.includes(role));
   }
 
+  /**
+   * Finds all printers with a role, the primary (first configured) printer first.
+   * @param {string} role - The role to search for
+   * @returns {object[]} Printers to fail over to in this order
+   */
+  getPrintersByRole(role) {
+    return this.printers.filter(p => p.roles.includes(role));
+  }
+
+  /**
+   * @param {string} printerId - ID of the printer
+   * @returns {object | undefined} The printer object or undefined if not found.
+   */
+  getPrinterById(printerId) {
+    return this.printers.find(p => p.id === printerId);
+  }
+
+  /**
+   * Replaces the roles of a configured printer, e.g. ['kitchen'] for the kitchen ticket printer.
+   * @param {string} printerId - ID of the printer
+   * @param {string[]} roles - Roles the printer takes over
+   * @returns {Promise<object>} The updated printer
+   */
+  async updatePrinterRoles(printerId, roles) {
+    const printer = this.printers.find(p => p.id === printerId);
+    if (!printer) {
+      throw new Error(`Printer with ID ${printerId} not found`);
+    }
+    if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string' || !role.trim())) {
+      throw new Error('roles must be an array of role names');
+    }
+    printer.roles = [...new Set(roles.map(role => role.trim()))];
+    await this.savePrinters();
+    logger.info({ service: 'PrinterService', function: 'updatePrinterRoles', printer: printer.name, roles: printer.roles });
+    return printer;
+  }
+
   /**
    * Initiates the auto-discovery and configuration process.
    * @param {object} [options] - Optional configuration options
    * @param {string} [options.networkRange] - Optional network range to scan (e.g., '192.168.0.0/24')
+   * @param {number} [options.port] - RAW port to scan instead of 9100, e.g. of scripts/printer_emulator.js
    */
   async startAutoConfiguration(options = {}) {
-    // Dynamically load all driver modules from the drivers directory
-    const driversDir = path.join(__dirname, '../utils/printers/drivers');
-    const driverFiles = await fs.readdir(driversDir);
-    const printerModules = driverFiles.map(file => require(path.join(driversDir, file)));
+    // One driver per capability profile, the controller matches the printers found to them
+    const printerModules = driverRegistry.loadDrivers();
 
     const controller = new CoreController(printerModules, systemTools, this, options);
     await controller.startConfiguration();
   }
 
   /**
-   * Prints a receipt using the configured printer and template
-   * Enhanced to handle detailed receipt data from transaction service
+   * Validates receipt data and fills in the defaults the receipt template relies on.
+   * @param {Object} receiptData - Receipt data, see _prepareReceiptData
+   * @returns {Object} Receipt data ready for the receipt template
+   */
+  processReceiptData(receiptData) {
+    if (!receiptData || typeof receiptData !== 'object') {
+      throw new Error('Invalid receipt data provided');
+    }
+
+    if (!receiptData.items || !Array.isArray(receiptData.items)) {
+      throw new Error('Receipt data must contain items array');
+    }
+
+    if (!receiptData.total || !receiptData.receipt_number) {
+      throw new Error('Receipt data must contain total amount and receipt number');
+    }
+
+    return {
+      business_name: receiptData.business_name || 'ecKasse Store',
+      business_address: receiptData.business_address || 'Address not configured',
+      business_phone: receiptData.business_phone || 'Phone not configured',
+      receipt_number: receiptData.receipt_number,
+      date_time: receiptData.date_time || new Date().toLocaleString('de-DE'),
+      cashier_name: receiptData.cashier_name || 'System',
+      // Further line fields (e.g. voucher codes and balances) are kept for the template
+      items: receiptData.items.map(item => ({
+        ...item,
+        name: String(item.name || 'Unknown Item'),
+        quantity: Number(item.quantity || 1),
+        unit_price: Number(item.unit_price || 0),
+        total_price: Number(item.total_price || 0),
+        // Modifier options print indented below their item (see escpos_driver items_list)
+        is_modifier: !!item.is_modifier,
+        parent_transaction_item_id: item.parent_transaction_item_id || null,
+        // Pricing schedule of the unit price, printed as "Preis: <rule>"
+        price_rule: item.price_rule || null,
+        // Discount lines print below their item with the reason the staff gave
+        is_discount: !!item.is_discount,
+        discount_name: item.discount_name || null,
+        discount_reason: item.discount_reason || null,
+        tax_rate: Number(item.tax_rate || 0)
+      })),
+      subtotal: String(receiptData.subtotal || '0.00'),
+      tax_rate: Number(receiptData.tax_rate || 19),
+      tax_amount: String(receiptData.tax_amount || '0.00'),
+      tax_breakdown: receiptData.tax_breakdown || [],
+      consumption_context: receiptData.consumption_context || 'in_house',
+      total: String(receiptData.total),
+      payment_method: receiptData.payment_method || 'Cash',
+      payments: receiptData.payments || [],
+      tse_qr_data: receiptData.tse_failed ? '' : (receiptData.tse_qr_data || ''),
+      // Serial, transaction number, times and signature counter printed below the QR code
+      tse_info: receiptData.tse_failed ? null : (receiptData.tse_info || null),
+      tse_signed: !receiptData.tse_failed && !!receiptData.tse_qr_data,
+      tse_failed: !!receiptData.tse_failed,
+      is_refund: !!receiptData.is_refund,
+      refund_of_receipt_number: receiptData.refund_of_receipt_number || '',
+      refund_reason: receiptData.refund_reason || '',
+      // Reprints are marked as "Kopie"
+      is_copy: !!receiptData.is_copy,
+      // Cash movements (see CashDrawerService) print their business case and reason
+      is_cash_movement: !!receiptData.is_cash_movement,
+      cash_movement_reason: receiptData.cash_movement_reason || '',
+      // Vouchers sold, each printed on a voucher slip with its code as QR code
+      vouchers: receiptData.vouchers || [],
+      table_number: receiptData.table_number || null,
+      farewell_message: receiptData.farewell_message || 'Thank you for your visit!'
+    };
+  }
+
+  /**
+   * Prints a receipt right away on the receipts printer. Receipts of transactions go through the
+   * print queue instead (see PrintQueueService), which retries and fails over to other printers.
    * @param {Object} receiptData - The comprehensive receipt data to print
    * @returns {Promise<Object>} Result object with status and details
    */
   async printReceipt(receiptData) {
     console.log('[PrinterService] Starting receipt print process...');
-    console.log('[PrinterService] Receipt data received:', {
-      receipt_number: receiptData.receipt_number,
-      items_count: receiptData.items?.length || 0,
-      total: receiptData.total,
-      payment_method: receiptData.payment_method
-    });
-    
+
     try {
-      // Validate essential receipt data
-      if (!receiptData || typeof receiptData !== 'object') {
-        throw new Error('Invalid receipt data provided');
-      }
-      
-      if (!receiptData.items || !Array.isArray(receiptData.items)) {
-        throw new Error('Receipt data must contain items array');
-      }
-      
-      if (!receiptData.total || !receiptData.receipt_number) {
-        throw new Error('Receipt data must contain total amount and receipt number');
-      }
-      
-      // Load the receipt template
-      const templatePath = path.join(__dirname, '../config/receipt_template.json');
-      const templateContent = await fs.readFile(templatePath, 'utf-8');
-      const template = JSON.parse(templateContent);
-      
-      console.log('[PrinterService] Receipt template loaded successfully');
-      
-      // Find the active printer for receipts role
+      const processedReceiptData = this.processReceiptData(receiptData);
+
       const receiptPrinter = this.getPrinterByRole('receipts');
       if (!receiptPrinter) {
         throw new Error('No printer configured for receipts role');
       }
-      
-      console.log(`[PrinterService] Using printer: ${receiptPrinter.name} (${receiptPrinter.model}) at ${receiptPrinter.ip_address}`);
-      
-      // Load the appropriate driver module
-      const driversDir = path.join(__dirname, '../utils/printers/drivers');
-      let driverModule = null;
-      
-      try {
-        // Try to load driver by model name
-        const modelFileName = receiptPrinter.model.toLowerCase().replace(/[^a-z0-9]/g, '_') + '.js';
-        const driverPath = path.join(driversDir, modelFileName);
-        driverModule = require(driverPath);
-        console.log(`[PrinterService] Loaded driver: ${driverModule.modelName}`);
-      } catch (driverError) {
-        // Try to find a matching driver by checking all available drivers
-        const driverFiles = await fs.readdir(driversDir);
-        const printerModules = driverFiles.map(file => require(path.join(driversDir, file)));
-        
-        driverModule = printerModules.find(module => 
-          module.modelName.toLowerCase().includes(receiptPrinter.model.toLowerCase()) ||
-          receiptPrinter.model.toLowerCase().includes(module.modelName.toLowerCase())
-        );
-        
-        if (!driverModule) {
-          throw new Error(`No compatible driver found for printer model: ${receiptPrinter.model}`);
-        }
-        
-        console.log(`[PrinterService] Found compatible driver: ${driverModule.modelName}`);
+
+      const printResult = await this.printDocument(receiptPrinter, 'receipt', processedReceiptData);
+      if (printResult.status !== 'success') {
+        return printResult;
       }
-      
-      // Ensure receiptData contains all required fields with defaults
-      const processedReceiptData = {
-        business_name: receiptData.business_name || 'ecKasse Store',
-        business_address: receiptData.business_address || 'Address not configured',
-        business_phone: receiptData.business_phone || 'Phone not configured',
-        receipt_number: receiptData.receipt_number,
-        date_time: receiptData.date_time || new Date().toLocaleString('de-DE'),
-        cashier_name: receiptData.cashier_name || 'System',
-        items: receiptData.items.map(item => ({
-          name: String(item.name || 'Unknown Item'),
-          quantity: Number(item.quantity || 1),
-          unit_price: Number(item.unit_price || 0),
-          total_price: Number(item.total_price || 0)
-        })),
-        subtotal: String(receiptData.subtotal || '0.00'),
-        tax_rate: Number(receiptData.tax_rate || 19),
-        tax_amount: String(receiptData.tax_amount || '0.00'),
-        total: String(receiptData.total),
-        payment_method: receiptData.payment_method || 'Cash',
-        tse_qr_data: receiptData.tse_qr_data || 'TSE:DEMO:DATA',
-        farewell_message: receiptData.farewell_message || 'Thank you for your visit!'
+      return {
+        ...printResult,
+        message: 'Receipt printed successfully',
+        items_printed: processedReceiptData.items.length,
+        receipt_number: processedReceiptData.receipt_number
       };
-      
-      console.log('[PrinterService] Processed receipt data for printing:', {
-        items_processed: processedReceiptData.items.length,
-        total_amount: processedReceiptData.total,
-        has_tse_data: !!processedReceiptData.tse_qr_data
-      });
-      
-      // Generate print commands using the driver
-      const printCommands = driverModule.generatePrintCommands(processedReceiptData, template);
-      console.log(`[PrinterService] Generated ${printCommands.length} bytes of print commands`);
-      
-      // Create port object for the printer
-      const printerPort = {
-        type: receiptPrinter.port_type || 'LAN',
-        ip: receiptPrinter.ip_address,
-        port: receiptPrinter.port || 9100
+    } catch (error) {
+      console.error('[PrinterService] ❌ Receipt printing error:', error);
+      return {
+        status: 'error',
+        message: error.message,
+        error: error.name
       };
-      
-      // Send commands to printer using system tools
-      const printResult = await systemTools.execute_printer_command(printerPort, printCommands, 10000);
-      
-      if (printResult.status === 'success') {
-        console.log('[PrinterService] ✅ Receipt printed successfully');
+    }
+  }
+
+  /**
+   * Prints an X- or Z-report (see ReportingService) on the receipts printer using report_template.json
+   * @param {Object} reportData - Report data from ReportingService.generateXReport/generateZReport
+   * @returns {Promise<Object>} Result object with status and details
+   */
+  async printReport(reportData) {
+    logger.info({ service: 'PrinterService', function: 'printReport', report_type: reportData?.report_type, z_nr: reportData?.z_nr });
+
+    if (!reportData || !reportData.report_type) {
+      return { status: 'error', message: 'Invalid report data provided' };
+    }
+    const reportPrinter = this.getPrinterByRole('receipts');
+    if (!reportPrinter) {
+      return { status: 'error', message: 'No printer configured for receipts role' };
+    }
+
+    return this.printDocument(reportPrinter, 'report', {
+      business_name: 'ecKasse Demo Store',
+      ...reportData
+    });
+  }
+
+  /**
+   * Renders a document with the template of its type and the driver of the printer, and sends it.
+   * Network printers reporting paper out, an open cover or offline are not sent to, so the print
+   * queue can take another printer instead of losing the document in the printer's buffer.
+   * @param {Object} printer - Printer configuration
+   * @param {string} documentType - 'receipt', 'report' or 'kitchen_ticket' (see DOCUMENT_TEMPLATES)
+   * @param {Object} data - Data for the template
+   * @returns {Promise<Object>} Result object with status and details, errors are returned, not thrown
+   */
+  async printDocument(printer, documentType, data) {
+    try {
+      const template = await this._loadTemplate(documentType);
+      const driverModule = await this._loadDriver(printer);
+
+      const printCommands = driverModule.generatePrintCommands(data, template);
+      const port = this._getPort(printer);
+
+      const printerStatus = await driverModule.getPrinterStatus(port);
+      const notReady = this._describeNotReady(printerStatus);
+      if (notReady) {
+        logger.warn({ service: 'PrinterService', function: 'printDocument', documentType, printer: printer.name, error: notReady });
         return {
-          status: 'success',
-          message: 'Receipt printed successfully',
-          printer: receiptPrinter.name,
-          model: receiptPrinter.model,
-          bytesSize: printCommands.length,
-          items_printed: processedReceiptData.items.length,
-          receipt_number: processedReceiptData.receipt_number
+          status: 'error',
+          message: `Printer not ready: ${notReady}`,
+          printer: printer.name,
+          model: printer.model,
+          error_details: printerStatus
         };
-      } else {
-        console.error('[PrinterService] ❌ Print failed:', printResult.message);
+      }
+
+      const printResult = await systemTools.execute_printer_command(port, printCommands, 10000);
+
+      if (printResult.status !== 'success') {
+        logger.error({ service: 'PrinterService', function: 'printDocument', documentType, printer: printer.name, error: printResult.message });
         return {
           status: 'error',
           message: `Print failed: ${printResult.message}`,
-          printer: receiptPrinter.name,
-          model: receiptPrinter.model,
+          printer: printer.name,
+          model: printer.model,
           error_details: printResult.error || 'Unknown printer error'
         };
       }
-      
+
+      logger.info({ service: 'PrinterService', function: 'printDocument', documentType, printer: printer.name, bytes: printCommands.length }, 'Document printed');
+      return {
+        status: 'success',
+        message: `Printed on ${printer.name}`,
+        printer: printer.name,
+        model: printer.model,
+        bytesSize: printCommands.length
+      };
     } catch (error) {
-      console.error('[PrinterService] ❌ Receipt printing error:', error);
+      logger.error({ service: 'PrinterService', function: 'printDocument', documentType, printer: printer.name, error: error.message });
       return {
         status: 'error',
         message: error.message,
-        error: error.name,
-        stack: error.stack
+        printer: printer.name,
+        error: error.name
       };
     }
   }
 
+  /**
+   * Opens the cash drawer connected to the drawer kick-out port of a printer.
+   * @param {Object} [printer] - Printer configuration, defaults to the receipts printer
+   * @returns {Promise<Object>} Result object with status and message, errors are returned, not thrown
+   */
+  async openCashDrawer(printer = this.getPrinterByRole('receipts')) {
+    if (!printer) {
+      return { status: 'error', message: 'No printer configured for receipts role' };
+    }
+    try {
+      const driverModule = await this._loadDriver(printer);
+      if (typeof driverModule.controlCashDrawer !== 'function') {
+        return { status: 'error', message: `Driver ${driverModule.modelName} cannot open a cash drawer`, printer: printer.name };
+      }
+      const result = await driverModule.controlCashDrawer(this._getPort(printer));
+      logger.info({ service: 'PrinterService', function: 'openCashDrawer', printer: printer.name, status: result.status, message: result.message });
+      return { ...result, printer: printer.name };
+    } catch (error) {
+      logger.error({ service: 'PrinterService', function: 'openCashDrawer', printer: printer.name, error: error.message });
+      return { status: 'error', message: error.message, printer: printer.name };
+    }
+  }
+
+  /**
+   * Renders a document the way the printer prints it, as text and PNG (see escpos_renderer), e.g.
+   * to check a template while editing it.
+   * @param {Object} [options]
+   * @param {string} [options.documentType='receipt'] - See DOCUMENT_TEMPLATES
+   * @param {Object} [options.data] - Data for the template, merged over the template's sample_data
+   * @param {Object} [options.template] - Template to render instead of the stored one
+   * @param {string} [options.model] - Printer model or profile id whose driver generates the commands,
+   *   defaults to the model of the receipts printer
+   * @param {number} [options.paperWidth] - Paper width in mm (58 or 80), defaults to the printer profile's
+   * @param {string[]} [options.formats] - 'text' and/or 'png'
+   * @param {string} [options.encoding] - 'utf8' or 'codepage', see escpos_renderer.parseEscPos
+   * @returns {Promise<Object>} Preview with the text, the PNG as base64 and the template used
+   */
+  async previewDocument({ documentType = 'receipt', data = null, template = null, model = null, paperWidth = null, formats, encoding } = {}) {
+    const documentTemplate = template || await this._loadTemplate(documentType);
+    if (!documentTemplate.template) {
+      throw new Error('Template must contain a "template" section');
+    }
+    const receiptsPrinter = this.getPrinterByRole('receipts');
+    const printerModel = model || (receiptsPrinter && receiptsPrinter.model) || DEFAULT_PREVIEW_MODEL;
+    const driverModule = await this._loadDriver({ model: printerModel });
+    paperWidth = paperWidth || driverModule.profile.paper.width_mm;
+
+    let documentData = { ...(documentTemplate.sample_data || {}), ...(data || {}) };
+    if (documentType === 'receipt') {
+      documentData = this.processReceiptData(documentData);
+    }
+
+    const printCommands = driverModule.generatePrintCommands(documentData, documentTemplate, { paperWidth });
+    const preview = escposRenderer.renderPreview(printCommands, { paperWidth, formats, encoding });
+
+    logger.info({ service: 'PrinterService', function: 'previewDocument', documentType, model: driverModule.modelName, paperWidth, bytes: printCommands.length });
+    return {
+      ...preview,
+      png: preview.png ? preview.png.toString('base64') : undefined,
+      document_type: documentType,
+      model: driverModule.modelName,
+      bytes: printCommands.length,
+      template: documentTemplate
+    };
+  }
+
+  /**
+   * @param {Object} printerStatus - Result of systemTools.getPrinterStatus
+   * @returns {string|null} Why the printer cannot print, null if it can or did not answer
+   */
+  _describeNotReady(printerStatus) {
+    if (printerStatus.status === 'ERROR') return printerStatus.message;
+    if (printerStatus.status !== 'SUCCESS') return null;
+    if (printerStatus.paperOut) return 'paper out';
+    if (printerStatus.coverOpen) return 'cover open';
+    if (!printerStatus.online) return 'offline';
+    return null;
+  }
+
+  /**
+   * @param {Object} printer - Printer configuration
+   * @returns {Object} Port object of system_tools
+   */
+  _getPort(printer) {
+    return {
+      type: printer.port_type || 'LAN',
+      ip: printer.ip_address,
+      port: printer.port || 9100
+    };
+  }
+
+  /**
+   * @param {string} documentType - See DOCUMENT_TEMPLATES
+   * @returns {Promise<Object>} The stored template of the document type
+   */
+  async _loadTemplate(documentType) {
+    const templateFile = DOCUMENT_TEMPLATES[documentType];
+    if (!templateFile) {
+      throw new Error(`Unknown document type: ${documentType}`);
+    }
+    return JSON.parse(await fs.readFile(path.join(__dirname, '../config', templateFile), 'utf-8'));
+  }
+
+  /**
+   * Loads the driver module for a configured printer: by the profile it was matched to during
+   * auto-configuration, otherwise by its model (see driver_registry.findDriver).
+   * @param {Object} printer - Printer configuration
+   * @returns {Promise<Object>} Driver module
+   */
+  async _loadDriver(printer) {
+    const driverModule = driverRegistry.findDriver(printer.profile) || driverRegistry.findDriver(printer.model);
+    if (!driverModule) {
+      throw new Error(`No compatible driver found for printer model: ${printer.model}`);
+    }
+    console.log(`[PrinterService] Loaded driver: ${driverModule.modelName}`);
+    return driverModule;
+  }
+
+  /**
+   * Capability profiles of the supported printers, e.g. to choose the model of a printer added by hand.
+   * @returns {Object[]} Profiles with their model name and capabilities
+   */
+  getPrinterProfiles() {
+    return driverRegistry.loadDrivers().map(driver => ({
+      id: driver.profile.id,
+      model: driver.modelName,
+      manufacturer: driver.manufacturer,
+      description: driver.profile.description,
+      capabilities: driver.getCapabilities()
+    }));
+  }
+
+  /**
+   * Receipt fields of a voucher line: the code for its name, the balance left after a redemption.
+   * @param {Object} item - Transaction line
+   * @param {{issued: Object[], redemptions: Object[]}} receiptVouchers - See VoucherService.getReceiptVouchers
+   * @returns {Object} Empty for other lines
+   */
+  _voucherLineData(item, receiptVouchers) {
+    if (!item.voucher_id) return {};
+    const redemption = receiptVouchers.redemptions.find(r => r.transaction_item_id === item.id);
+    const issued = receiptVouchers.issued.find(voucher => voucher.id === item.voucher_id);
+    const code = redemption ? redemption.code : issued ? issued.code : null;
+    return {
+      name: code ? `${getBusinessCaseLabel(item.gv_typ)} ${code}` : getBusinessCaseLabel(item.gv_typ),
+      is_voucher: true,
+      voucher_code: code,
+      voucher_balance: redemption ? redemption.balance_after.toFixed(2) : null
+    };
+  }
+
   /**
    * Prepares comprehensive receipt data for printing by gathering all necessary information
    * @param {Object} finishedTransaction - The completed transaction object with items
@@ -263,12 +510,32 @@ class PrinterService {
         vat_id: 'DE987654321'
       };
 
+      // Vouchers sold (printed on slips of their own) and redeemed (with the balance left)
+      const receiptVouchers = await voucherService.getReceiptVouchers(finishedTransaction.id);
+      const formatDate = (date) => date.split('-').reverse().join('.');
+
       // Process transaction items for receipt format
       const receiptItems = finishedTransaction.items.map(item => {
-        const itemName = item.display_names?.menu?.de || `Item ${item.item_id}`;
+        // Discount lines print below the line they reduce
+        const isDiscount = item.notes === 'DISCOUNT';
+        // Lines without an item (cash movements) are named by their business case
+        const itemName = item.modifier_name
+          || (isDiscount ? item.discount_name || getBusinessCaseLabel(item.gv_typ) : null)
+          || item.display_names?.menu?.de || (item.item_id ? `Item ${item.item_id}` : getBusinessCaseLabel(item.gv_typ));
         
         return {
           name: itemName,
+          transaction_item_id: item.id,
+          parent_transaction_item_id: item.parent_transaction_item_id || null,
+          // Modifier lines print indented below the line they modify
+          is_modifier: !!item.modifier_name,
+          is_discount: isDiscount,
+          discount_name: isDiscount ? item.discount_name || null : null,
+          discount_reason: item.discount_reason || null,
+          // Voucher lines name their code, a redemption the balance left on the voucher
+          ...this._voucherLineData(item, receiptVouchers),
+          // Pricing schedule (e.g. happy hour) the unit price comes from
+          price_rule: item.price_rule || null,
           quantity: item.quantity,
           unit_price: parseFloat(item.unit_price),
           total_price: parseFloat(item.total_price),
@@ -287,13 +554,32 @@ class PrinterService {
         arr.filter(v => v === a).length >= arr.filter(v => v === b).length ? a : b
       );
 
+      // Gross/net/tax per resolved tax rate; vouchers are not taxable
+      const taxBreakdown = taxService.buildTaxBreakdown(receiptItems.filter(item => !item.is_voucher));
+      const transactionMetadata = parseJsonIfNeeded(finishedTransaction.metadata) || {};
+
+      // Tenders used to settle the transaction; transactions finished before split payments have none stored
+      const storedPayments = finishedTransaction.payments || [];
+      // Paid in full with vouchers: the redemptions are lines, there is no payment
+      const receiptPayments = storedPayments.length > 0
+        ? storedPayments.map(payment => ({
+            payment_type: payment.payment_type,
+            tendered_amount: parseFloat(payment.tendered_amount),
+            amount: parseFloat(payment.amount),
+            change_amount: parseFloat(payment.change_amount || 0)
+          }))
+        : receiptVouchers.redemptions.length > 0 ? [] : [{
+            payment_type: finishedTransaction.payment_type || 'Bar',
+            tendered_amount: parseFloat(finishedTransaction.payment_amount) || total,
+            amount: total,
+            change_amount: 0
+          }];
+
       // Generate receipt number from transaction UUID
       const receiptNumber = `R-${finishedTransaction.uuid.split('-')[0].toUpperCase()}`;
 
-      // Prepare TSE QR data from fiscal log
-      const tseQrData = fiscalLog?.log_data ? 
-        `TSE:${fiscalLog.log_number}:${finishedTransaction.uuid}:${dateTime.replace(/[:\s]/g, '')}:${total.toFixed(2)}EUR:${primaryTaxRate}%` :
-        `TSE:DEMO:${finishedTransaction.uuid}:${dateTime.replace(/[:\s]/g, '')}:${total.toFixed(2)}EUR:${primaryTaxRate}%`;
+      // QR code and text block of the TSE signature, none for receipts signed without TSE (outage)
+      const tseData = await this._loadReceiptTseData(fiscalLog);
 
       // Determine cashier name (placeholder - would come from user service)
       const cashierName = 'System User';
@@ -308,18 +594,35 @@ class PrinterService {
         subtotal: subtotal.toFixed(2),
         tax_rate: primaryTaxRate,
         tax_amount: taxAmount.toFixed(2), 
+        tax_breakdown: taxBreakdown,
+        consumption_context: taxService.getConsumptionContext(finishedTransaction),
         total: total.toFixed(2),
         payment_method: finishedTransaction.payment_type || 'Cash',
         payment_amount: finishedTransaction.payment_amount,
-        tse_qr_data: tseQrData,
+        payments: receiptPayments,
+        tse_qr_data: tseData ? tseData.qr_data : '',
+        tse_info: tseData ? tseData.info : null,
+        // Finished during a TSE outage (see TseOutageService), printed as "TSE ausgefallen"
+        tse_failed: !!transactionMetadata.tse_failed,
+        // Return receipts (see RefundService) name the receipt they refer to
+        is_refund: finishedTransaction.transaction_type === 'refund',
+        refund_of_receipt_number: transactionMetadata.refund_of ? `R-${transactionMetadata.refund_of.split('-')[0].toUpperCase()}` : null,
+        refund_reason: transactionMetadata.refund_reason || null,
+        is_cash_movement: finishedTransaction.transaction_type === 'cash_movement',
+        cash_movement_reason: transactionMetadata.cash_movement ? transactionMetadata.cash_movement.reason : null,
+        // One voucher slip each, with the code as QR code (see escpos_driver)
+        vouchers: receiptVouchers.issued.map(voucher => ({
+          code: voucher.code,
+          amount: voucher.initial_amount.toFixed(2),
+          expires_at: formatDate(voucher.expires_at)
+        })),
         farewell_message: 'Vielen Dank für Ihren Besuch! • Powered by ecKasse',
         
         // Additional metadata for advanced features
         transaction_uuid: finishedTransaction.uuid,
-        fiscal_log_number: fiscalLog?.log_number || 'DEMO',
+        fiscal_log_id: fiscalLog?.id || null,
         // FIX: Use robust JSON parsing to handle both objects and strings
-        table_number: finishedTransaction.metadata ? 
-          (typeof finishedTransaction.metadata === 'string' ? JSON.parse(finishedTransaction.metadata).table : finishedTransaction.metadata.table) : null
+        table_number: transactionMetadata.table || null
       };
 
       logger.info({ 
@@ -342,105 +645,84 @@ class PrinterService {
   }
 
   /**
-   * Reprints a receipt for a completed transaction
-   * @param {number} transactionId - The ID of the completed transaction
-   * @returns {Promise<Object>} Result object with status and details
+   * Builds the TSE data of a receipt from its fiscal log entry and the master data of the TSE
+   * that signed it (tse_devices, dsfinvk_tse).
+   * @param {Object|null} fiscalLog - fiscal_log entry of the finishTransaction event
+   * @returns {Promise<{qr_data: string, info: Object}|null>} Null if the receipt was not signed
    */
-  async reprintReceipt(transactionId) {
-    console.log(`[PrinterService] Starting receipt reprint for transaction ID: ${transactionId}...`);
-    
-    try {
-      // Validate transaction ID
-      if (!transactionId || isNaN(parseInt(transactionId))) {
-        throw new Error('Invalid transaction ID provided');
-      }
-
-      // Fetch the completed transaction with items
-      const transaction = await db('active_transactions')
-        .where('id', transactionId)
-        .first();
-
-      if (!transaction) {
-        throw new Error(`Transaction with ID ${transactionId} not found`);
-      }
-
-      if (transaction.status !== 'finished') {
-        throw new Error(`Transaction ${transactionId} is not completed (status: ${transaction.status})`);
-      }
-
-      // Fetch transaction items
-      const items = await db('active_transaction_items')
-        .leftJoin('items', 'active_transaction_items.item_id', 'items.id')
-        .select(
-          'active_transaction_items.*',
-          'items.display_names',
-          'items.item_price_value'
-        )
-        .where('active_transaction_items.active_transaction_id', transactionId);
-
-      const completeTransaction = {
-        ...transaction,
-        items: items.map(item => ({
-          ...item,
-          display_names: item.display_names ? JSON.parse(item.display_names) : null
-        }))
-      };
-
-      // Try to find the corresponding fiscal log entry
-      let fiscalLog = null;
-      try {
-        fiscalLog = await db('fiscal_log')
-          .where('log_data', 'like', `%${transaction.uuid}%`)
-          .where('event_type', 'finishTransaction')
-          .orderBy('created_at', 'desc')
-          .first();
-      } catch (fiscalError) {
-        console.warn(`[PrinterService] Could not find fiscal log for transaction ${transactionId}:`, fiscalError.message);
-      }
-
-      console.log(`[PrinterService] Retrieved transaction data:`, {
-        uuid: transaction.uuid,
-        status: transaction.status,
-        total: transaction.total_amount,
-        items_count: items.length,
-        has_fiscal_log: !!fiscalLog
-      });
+  async _loadReceiptTseData(fiscalLog) {
+    const tseResponse = parseJsonIfNeeded(fiscalLog?.tse_response);
+    if (!tseResponse || !tseResponse.signature) return null;
+
+    const serial = tseResponse.tse_serial_number;
+    const [device, dsfinvkTse] = serial
+      ? await Promise.all([
+          db('tse_devices').where('tse_serial', serial).first(),
+          db('dsfinvk_tse').where('tse_serial', serial).orderBy('id', 'desc').first()
+        ])
+      : [null, null];
+
+    return buildReceiptTseData(tseResponse, {
+      client_id: device?.client_id,
+      tse_serial: dsfinvkTse?.tse_serial,
+      tse_sig_algo: dsfinvkTse?.tse_sig_algo,
+      tse_zeitformat: dsfinvkTse?.tse_zeitformat,
+      tse_public_key: dsfinvkTse?.tse_public_key
+    });
+  }
 
-      // Prepare receipt data
-      const receiptData = await this._prepareReceiptData(completeTransaction, fiscalLog);
+  /**
+   * Loads a finished transaction with its lines, payments and fiscal log entry as receipt data,
+   * e.g. to print a copy of the receipt.
+   * @param {number} transactionId - The ID of the finished transaction
+   * @returns {Promise<Object>} Receipt data, see _prepareReceiptData
+   */
+  async loadReceiptData(transactionId) {
+    if (!transactionId || isNaN(parseInt(transactionId))) {
+      throw new Error('Invalid transaction ID provided');
+    }
 
-      // Print the receipt
-      const printResult = await this.printReceipt(receiptData);
+    const transaction = await db('active_transactions')
+      .where('id', transactionId)
+      .first();
 
-      if (printResult.status === 'success') {
-        console.log(`[PrinterService] ✅ Receipt reprinted successfully for transaction ${transactionId}`);
-        return {
-          status: 'success',
-          message: 'Receipt reprinted successfully',
-          transaction_id: transactionId,
-          receipt_number: receiptData.receipt_number,
-          printer: printResult.printer,
-          bytesSize: printResult.bytesSize
-        };
-      } else {
-        console.error(`[PrinterService] ❌ Reprint failed for transaction ${transactionId}:`, printResult.message);
-        return {
-          status: 'error',
-          message: `Reprint failed: ${printResult.message}`,
-          transaction_id: transactionId,
-          error_details: printResult.error_details || 'Unknown printer error'
-        };
-      }
+    if (!transaction) {
+      throw new Error(`Transaction with ID ${transactionId} not found`);
+    }
 
-    } catch (error) {
-      console.error(`[PrinterService] ❌ Receipt reprint error for transaction ${transactionId}:`, error);
-      return {
-        status: 'error',
-        message: error.message,
-        transaction_id: transactionId,
-        error: error.name
-      };
+    if (transaction.status !== 'finished') {
+      throw new Error(`Transaction ${transactionId} is not completed (status: ${transaction.status})`);
     }
+
+    const items = await db('active_transaction_items')
+      .leftJoin('items', 'active_transaction_items.item_id', 'items.id')
+      .select(
+        'active_transaction_items.*',
+        'items.display_names',
+        'items.item_price_value'
+      )
+      .where('active_transaction_items.active_transaction_id', transactionId)
+      .orderBy('active_transaction_items.id', 'asc');
+
+    const payments = await db('transaction_payments')
+      .where('active_transaction_id', transactionId)
+      .orderBy('position', 'asc');
+
+    // The receipt's entry in the fiscal log names the transaction in its TSE payload
+    const fiscalLog = await db('fiscal_log')
+      .where('event_type', 'finishTransaction')
+      .whereRaw('CAST(payload_for_tse AS TEXT) LIKE ?', [`%${transaction.uuid}%`])
+      .orderBy('id', 'desc')
+      .first();
+
+    return this._prepareReceiptData({
+      ...transaction,
+      payments,
+      items: items.map(item => ({
+        ...item,
+        display_names: parseJsonIfNeeded(item.display_names)
+      }))
+    }, fiscalLog || null);
   }
 }
 
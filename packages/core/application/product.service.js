@@ -3,6 +3,7 @@
 const logger = require('../config/logger');
 const { generateEmbedding, embeddingToBuffer } = require('./embedding.service');
 const loggingService = require('./logging.service');
+const scheduleService = require('./schedule.service');
 const { parseJsonIfNeeded } = require('../utils/db-helper');
 
 // In-memory lock mechanism to prevent race conditions during product updates
@@ -299,6 +300,11 @@ class ProductService {
             }
         }
 
+        // Handle modifier group assignments (the order is the order in the picker)
+        if (Array.isArray(updates.modifier_group_ids)) {
+            await this.setProductModifierGroups(trx, id, updates.modifier_group_ids.map(Number));
+        }
+
         // Update audit trail
         updateData.audit_trail = JSON.stringify({
             last_modified_at: new Date().toISOString(),
@@ -454,6 +460,18 @@ class ProductService {
                 .where('items.associated_category_unique_identifier', categoryId)
                 .select('items.*', 'categories.category_names as category_names_raw');
 
+            // Items with modifier groups of their own or of their category open the modifier picker
+            const assignments = await this.db('modifier_group_assignments')
+                .where('category_id', categoryId)
+                .orWhereIn('item_id', products.map(product => product.id))
+                .select('item_id', 'category_id');
+            const categoryHasModifiers = assignments.some(assignment => assignment.category_id);
+            const itemsWithModifiers = new Set(assignments.filter(assignment => assignment.item_id).map(assignment => assignment.item_id));
+
+            // Price and availability now, so the grid can show the scheduled price and grey out unavailable items
+            const branchId = await scheduleService.getCurrentBranchId(this.db);
+            const now = new Date();
+
             // Process the products to add category name
             const processedProducts = products.map(product => {
                 let categoryName = 'Unknown Category';
@@ -470,10 +488,16 @@ class ProductService {
                 
                 // Remove the raw category names field and add the processed name
                 const { category_names_raw, ...productData } = product;
+                const schedule = scheduleService.evaluateItem(product, { date: now, branchId });
                 
                 return {
                     ...productData,
-                    category_name: categoryName
+                    category_name: categoryName,
+                    has_modifiers: categoryHasModifiers || itemsWithModifiers.has(product.id),
+                    effective_price: schedule.price,
+                    price_rule: schedule.price_rule,
+                    available: schedule.available,
+                    availability_reason: schedule.availability_reason
                 };
             });
 
@@ -487,20 +511,267 @@ class ProductService {
     }
 
     /**
-     * Create a price modifier for products
-     * @param {Object} details - Modifier details (name, type, value, conditions)
-     * @returns {Object} Created modifier data
+     * Check if a user may edit products and modifier groups directly
+     * @param {Object} user - Current user (AuthService.getCurrentUser)
      */
-    async createPriceModifier(details) {
-        console.log(`(SERVICE STUB) Creating price modifier: ${details.name} of type ${details.type}...`);
-        return { 
-            success: true, 
-            modifierId: 'mod_mock_' + Date.now(),
-            name: details.name,
-            type: details.type,
-            value: details.value
+    assertCanEditProducts(user) {
+        const permissions = user && Array.isArray(user.permissions) ? user.permissions : [];
+        if (!user || !(permissions.includes('products.edit') || permissions.includes('system.admin') || user.can_approve_changes)) {
+            throw new Error('Insufficient permissions - products.edit required');
+        }
+    }
+
+    /**
+     * Get all modifier groups with their options and the products and categories they are assigned to
+     * @returns {Array} Modifier groups
+     */
+    async getModifierGroups(trx = this.db) {
+        const groups = await trx('modifier_groups').orderBy('sort_order', 'asc').orderBy('id', 'asc');
+        const options = await trx('modifier_options').orderBy('sort_order', 'asc').orderBy('id', 'asc');
+        const assignments = await trx('modifier_group_assignments').orderBy('sort_order', 'asc').orderBy('id', 'asc');
+
+        return groups.map(group => {
+            const groupAssignments = assignments.filter(assignment => assignment.modifier_group_id === group.id);
+            return {
+                ...group,
+                group_names: parseJsonIfNeeded(group.group_names),
+                options: options
+                    .filter(option => option.modifier_group_id === group.id)
+                    .map(option => ({
+                        ...option,
+                        option_names: parseJsonIfNeeded(option.option_names),
+                        price_delta: parseFloat(option.price_delta),
+                        is_default: !!option.is_default
+                    })),
+                item_ids: groupAssignments.filter(assignment => assignment.item_id).map(assignment => assignment.item_id),
+                category_ids: groupAssignments.filter(assignment => assignment.category_id).map(assignment => assignment.category_id)
+            };
+        });
+    }
+
+    /**
+     * Get the modifier groups offered for a product (assigned to the product or to its category)
+     * @param {Number} itemId - Product ID
+     * @returns {Array} Modifier groups with their options, in the order they are offered
+     */
+    async getModifierGroupsForProduct(itemId) {
+        const item = await this.productRepository.findById(itemId);
+        if (!item) {
+            throw new Error(`Product ${itemId} not found`);
+        }
+        return this.productRepository.findModifierGroupsForItem(item);
+    }
+
+    /**
+     * Create a modifier group with its options
+     * @param {Object} details - name (or group_names), min_selections, max_selections, options
+     *   [{ name (or option_names), price_delta, item_id, is_default }], item_ids, category_ids
+     * @param {Object} initiator - Who creates the group
+     * @returns {Object} Created modifier group
+     */
+    async createModifierGroup(details, initiator = { type: 'system', id: null }) {
+        logger.info({ service: 'ProductService', function: 'createModifierGroup', details, initiator }, 'Creating modifier group...');
+        const group = this._normalizeModifierGroup(details);
+
+        return this.db.transaction(async (trx) => {
+            const now = new Date().toISOString();
+            const [created] = await trx('modifier_groups').insert({
+                group_names: JSON.stringify(group.group_names),
+                min_selections: group.min_selections,
+                max_selections: group.max_selections,
+                sort_order: group.sort_order,
+                created_at: now,
+                updated_at: now
+            }).returning('*');
+
+            await this._saveModifierOptions(trx, created.id, group.options);
+            await this._saveModifierAssignments(trx, created.id, details);
+            const saved = (await this.getModifierGroups(trx)).find(g => g.id === created.id);
+
+            await loggingService.logFiscalEvent('master_data_change_create', initiator.id, {
+                entity: 'modifier_group',
+                modifier_group: saved,
+                initiator
+            }, trx);
+
+            logger.info({ service: 'ProductService', modifierGroupId: created.id }, 'Modifier group created successfully');
+            return { success: true, data: saved };
+        });
+    }
+
+    /**
+     * Update a modifier group; options without an ID are added, options left out are removed
+     * @param {Number} groupId - Modifier group ID
+     * @param {Object} details - See createModifierGroup
+     * @param {Object} initiator - Who changes the group
+     * @returns {Object} Updated modifier group
+     */
+    async updateModifierGroup(groupId, details, initiator = { type: 'system', id: null }) {
+        logger.info({ service: 'ProductService', function: 'updateModifierGroup', groupId, details, initiator }, 'Updating modifier group...');
+        const group = this._normalizeModifierGroup(details);
+
+        return this.db.transaction(async (trx) => {
+            const existing = await trx('modifier_groups').where('id', groupId).first();
+            if (!existing) {
+                throw new Error(`Modifier group ${groupId} not found`);
+            }
+
+            await trx('modifier_groups').where('id', groupId).update({
+                group_names: JSON.stringify(group.group_names),
+                min_selections: group.min_selections,
+                max_selections: group.max_selections,
+                sort_order: group.sort_order,
+                updated_at: new Date().toISOString()
+            });
+            await this._saveModifierOptions(trx, groupId, group.options);
+            await this._saveModifierAssignments(trx, groupId, details);
+            const saved = (await this.getModifierGroups(trx)).find(g => g.id === Number(groupId));
+
+            await loggingService.logFiscalEvent('master_data_change_update', initiator.id, {
+                entity: 'modifier_group',
+                modifier_group_id: Number(groupId),
+                modifier_group: saved,
+                initiator
+            }, trx);
+
+            logger.info({ service: 'ProductService', modifierGroupId: groupId }, 'Modifier group updated successfully');
+            return { success: true, data: saved };
+        });
+    }
+
+    /**
+     * Delete a modifier group; sold modifier lines keep the name of their option
+     * @param {Number} groupId - Modifier group ID
+     * @param {Object} initiator - Who deletes the group
+     */
+    async deleteModifierGroup(groupId, initiator = { type: 'system', id: null }) {
+        logger.info({ service: 'ProductService', function: 'deleteModifierGroup', groupId, initiator }, 'Deleting modifier group...');
+
+        return this.db.transaction(async (trx) => {
+            const deleted = await trx('modifier_groups').where('id', groupId).del();
+            if (!deleted) {
+                throw new Error(`Modifier group ${groupId} not found`);
+            }
+
+            await loggingService.logFiscalEvent('master_data_change_delete', initiator.id, {
+                entity: 'modifier_group',
+                modifier_group_id: Number(groupId),
+                initiator
+            }, trx);
+
+            return { success: true, modifierGroupId: Number(groupId) };
+        });
+    }
+
+    /**
+     * Replace the modifier groups assigned to a product
+     * @param {Object} trx - Database transaction
+     * @param {Number} itemId - Product ID
+     * @param {Array<Number>} groupIds - Modifier groups in the order they are offered
+     */
+    async setProductModifierGroups(trx, itemId, groupIds) {
+        await trx('modifier_group_assignments').where('item_id', itemId).del();
+        for (const [index, groupId] of groupIds.entries()) {
+            await trx('modifier_group_assignments').insert({ modifier_group_id: groupId, item_id: itemId, sort_order: index });
+        }
+    }
+
+    /**
+     * Validate a modifier group from the editor and bring it into table form
+     */
+    _normalizeModifierGroup(details) {
+        const names = (details.group_names && typeof details.group_names === 'object') ? details.group_names : { de: details.name };
+        if (!names.de || !String(names.de).trim()) {
+            throw new Error('Modifier group name is required');
+        }
+
+        const minSelections = Number(details.min_selections || 0);
+        const maxSelections = details.max_selections === undefined || details.max_selections === null || details.max_selections === ''
+            ? null
+            : Number(details.max_selections);
+        if (!Number.isInteger(minSelections) || minSelections < 0) {
+            throw new Error('Minimum selections must be a whole number of 0 or more');
+        }
+        if (maxSelections !== null && (!Number.isInteger(maxSelections) || maxSelections < Math.max(minSelections, 1))) {
+            throw new Error('Maximum selections must be at least 1 and not less than the minimum');
+        }
+
+        if (!Array.isArray(details.options) || details.options.length === 0) {
+            throw new Error('A modifier group needs at least one option');
+        }
+        const options = details.options.map((option, index) => {
+            const optionNames = (option.option_names && typeof option.option_names === 'object') ? option.option_names : { de: option.name };
+            if (!optionNames.de || !String(optionNames.de).trim()) {
+                throw new Error(`Option ${index + 1} has no name`);
+            }
+            const priceDelta = parseFloat(option.price_delta || 0);
+            if (!Number.isFinite(priceDelta)) {
+                throw new Error(`Option '${optionNames.de}' has an invalid price: ${option.price_delta}`);
+            }
+            return {
+                id: option.id || null,
+                option_names: optionNames,
+                price_delta: priceDelta,
+                item_id: option.item_id || null,
+                is_default: !!option.is_default,
+                sort_order: index
+            };
+        });
+
+        const defaults = options.filter(option => option.is_default).length;
+        if (maxSelections !== null && defaults > maxSelections) {
+            throw new Error(`More default options (${defaults}) than the group allows (${maxSelections})`);
+        }
+
+        return {
+            group_names: names,
+            min_selections: minSelections,
+            max_selections: maxSelections,
+            sort_order: Number(details.sort_order) || 0,
+            options
         };
     }
+
+    async _saveModifierOptions(trx, groupId, options) {
+        const existingIds = (await trx('modifier_options').where('modifier_group_id', groupId).select('id')).map(row => row.id);
+        const keptIds = options.filter(option => option.id && existingIds.includes(Number(option.id))).map(option => Number(option.id));
+        const removedIds = existingIds.filter(id => !keptIds.includes(id));
+        if (removedIds.length > 0) {
+            await trx('modifier_options').whereIn('id', removedIds).del();
+        }
+
+        const now = new Date().toISOString();
+        for (const option of options) {
+            const row = {
+                option_names: JSON.stringify(option.option_names),
+                price_delta: option.price_delta,
+                item_id: option.item_id,
+                is_default: option.is_default,
+                sort_order: option.sort_order,
+                updated_at: now
+            };
+            if (option.id && keptIds.includes(Number(option.id))) {
+                await trx('modifier_options').where('id', option.id).update(row);
+            } else {
+                await trx('modifier_options').insert({ ...row, modifier_group_id: groupId, created_at: now });
+            }
+        }
+    }
+
+    async _saveModifierAssignments(trx, groupId, { item_ids: itemIds, category_ids: categoryIds }) {
+        if (Array.isArray(itemIds)) {
+            await trx('modifier_group_assignments').where('modifier_group_id', groupId).whereNotNull('item_id').del();
+            for (const itemId of itemIds) {
+                await trx('modifier_group_assignments').insert({ modifier_group_id: groupId, item_id: itemId });
+            }
+        }
+        if (Array.isArray(categoryIds)) {
+            await trx('modifier_group_assignments').where('modifier_group_id', groupId).whereNotNull('category_id').del();
+            for (const categoryId of categoryIds) {
+                await trx('modifier_group_assignments').insert({ modifier_group_id: groupId, category_id: categoryId });
+            }
+        }
+    }
 }
 
 module.exports = { ProductService };
\ No newline at end of file
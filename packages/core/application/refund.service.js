@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const loggingService = require('./logging.service');
+const transactionService = require('./transaction.service');
+const closingService = require('./closing.service');
+const printerService = require('./printer_service');
+const printQueueService = require('./print_queue.service');
+const cashDrawerService = require('./cash_drawer.service');
+const inventoryService = require('./inventory.service');
+const taxService = require('./tax.service');
+const voucherService = require('./voucher.service');
+const websocketService = require('./websocket.service');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+const { roundAmount } = require('../utils/number-helper');
+const { CASH_PAYMENT_TYPES, VOUCHER_GV_TYPES } = require('../utils/dsfinvk/business_cases');
+
+const REFUND_LINE_NOTE = 'RETOURE';
+
+/**
+ * RefundService implements returns (Retoure / Storno) of finished receipts.
+ *
+ * A refund is a finished transaction of its own (transaction_type 'refund') with negative lines
+ * that reference the original lines, signed by the TSE as a regular 'Beleg'. Taking back the whole
+ * receipt at once is a storno of the receipt (refund_type 'full', BON_STORNO = 1 in DSFinV-K),
+ * anything else is a partial return.
+ * What vouchers paid on the receipt is credited back to them (see VoucherService.creditRefund),
+ * only the rest is paid back in cash or by card.
+ * The refunded amount is charged against the storno credit of the user (see TransactionService);
+ * refunds exceeding the credit are stored as pending stornos and only executed once a manager
+ * approves them.
+ */
+class RefundService {
+
+  /**
+   * Lists the positions of a finished receipt with the quantity that can still be returned.
+   * @param {number} transactionId - Original (sale) transaction
+   * @param {object} [options]
+   * @param {string} [options.excludeStornoId] - Pending storno not to count as reserved (used on approval)
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<{transaction: object, positions: object[], has_refunds: boolean}>}
+   */
+  async getRefundableItems(transactionId, { excludeStornoId = null } = {}, trx = db) {
+    const transaction = await trx('active_transactions').where('id', transactionId).first();
+    if (!transaction) {
+      throw new Error(`Transaction with ID ${transactionId} not found.`);
+    }
+    if (transaction.status !== 'finished') {
+      throw new Error(`Transaction ${transactionId} is not finished (status: ${transaction.status}).`);
+    }
+    if (transaction.transaction_type === 'refund') {
+      throw new Error(`Transaction ${transactionId} is a refund itself and cannot be returned.`);
+    }
+    if (transaction.transaction_type === 'cash_movement') {
+      throw new Error(`Transaction ${transactionId} is a cash movement and cannot be returned.`);
+    }
+
+    const lines = await trx('active_transaction_items as ati')
+      .leftJoin('items as i', 'ati.item_id', 'i.id')
+      .where('ati.active_transaction_id', transaction.id)
+      .select('ati.*', 'i.display_names')
+      .orderBy('ati.id', 'asc');
+
+    const refunded = await trx('active_transaction_items as ati')
+      .join('active_transactions as at', 'ati.active_transaction_id', 'at.id')
+      .where('at.refund_of_transaction_id', transaction.id)
+      .where('at.status', 'finished')
+      .whereNotNull('ati.refunded_transaction_item_id')
+      .groupBy('ati.refunded_transaction_item_id')
+      .select('ati.refunded_transaction_item_id', db.raw('SUM(ati.quantity) as quantity'), db.raw('SUM(ati.total_price) as total'));
+
+    // Quantities of pending refund requests are reserved until the manager decides
+    const pendingStornos = await trx('storno_log')
+      .where('transaction_id', transaction.uuid)
+      .where('approval_status', 'pending');
+    const reserved = new Map();
+    for (const storno of pendingStornos) {
+      if (storno.storno_id === excludeStornoId) continue;
+      const request = (parseJsonIfNeeded(storno.additional_data) || {}).refund_request;
+      if (!request) continue;
+      for (const item of request.items) {
+        reserved.set(item.transaction_item_id, (reserved.get(item.transaction_item_id) || 0) + item.quantity);
+      }
+    }
+
+    // A position is an original line together with its STORNO and DISCOUNT/SURCHARGE lines and its
+    // modifier lines (including those of the STORNO lines); modifiers are taxed at the rate of the line.
+    // Vouchers sold or redeemed are no positions: a voucher keeps its balance (see VoucherService)
+    const descendantsOf = (line) => lines
+      .filter(child => child.parent_transaction_item_id === line.id)
+      .flatMap(child => [child, ...descendantsOf(child)]);
+    const positions = lines
+      .filter(line => !line.parent_transaction_item_id && !VOUCHER_GV_TYPES.includes(line.gv_typ))
+      .map(line => {
+        const children = lines.filter(child => child.parent_transaction_item_id === line.id);
+        const quantity = parseFloat(line.quantity) + children
+          .filter(child => child.notes === 'STORNO')
+          .reduce((sum, child) => sum + parseFloat(child.quantity), 0);
+        const total = [line, ...descendantsOf(line)].reduce((sum, l) => sum + parseFloat(l.total_price), 0);
+        const refundedLine = refunded.find(r => r.refunded_transaction_item_id === line.id);
+        const refundedQuantity = refundedLine ? -parseFloat(refundedLine.quantity) : 0;
+        const refundedTotal = refundedLine ? -parseFloat(refundedLine.total) : 0;
+        const reservedQuantity = reserved.get(line.id) || 0;
+        const displayNames = parseJsonIfNeeded(line.display_names) || {};
+
+        return {
+          transaction_item_id: line.id,
+          item_id: line.item_id,
+          name: displayNames.menu?.de || displayNames.receipt?.de || `Item ${line.item_id}`,
+          quantity,
+          total: roundAmount(total),
+          tax_rate: parseFloat(line.tax_rate),
+          refunded_quantity: refundedQuantity,
+          refunded_total: roundAmount(refundedTotal),
+          pending_quantity: reservedQuantity,
+          refundable_quantity: Math.max(0, quantity - refundedQuantity - reservedQuantity)
+        };
+      })
+      .filter(position => position.quantity > 0);
+
+    return {
+      transaction,
+      positions,
+      has_refunds: refunded.length > 0 || reserved.size > 0
+    };
+  }
+
+  /**
+   * Requests the return of a finished receipt. Within the storno credit of the user the refund is
+   * created, signed and printed immediately; otherwise a pending storno is created for manager approval.
+   * @param {object} options
+   * @param {string} options.sessionId - Session of the user performing the return
+   * @param {number} options.transactionId - Original receipt
+   * @param {Array<{transactionItemId: number, quantity: number}>} [options.items] - Positions to return, all if omitted
+   * @param {string} options.reason - Reason for the return
+   * @param {string} [options.paymentType] - How the money is paid back, defaults to the original (first) payment type;
+   *   not 'Gutschein', vouchers are credited automatically
+   * @param {boolean} [options.isEmergency] - Charge the emergency storno credit
+   * @returns {Promise<{success: boolean, status: 'completed'|'pending_approval', refund?: object, storno: object, message: string}>}
+   */
+  async requestRefund({ sessionId, transactionId, items = null, reason, paymentType = null, isEmergency = false }) {
+    logger.info({ service: 'RefundService', function: 'requestRefund', transactionId, items, paymentType, isEmergency });
+    if (!reason || !String(reason).trim()) {
+      throw new Error('A reason is required for a return.');
+    }
+    if (paymentType === voucherService.paymentType) {
+      throw new Error('Vouchers are credited back automatically; pay the rest back in cash or by card.');
+    }
+
+    let refundId = null;
+    const result = await db.transaction(async (trx) => {
+      const user = await transactionService.getCurrentUserWithLimits(sessionId, trx);
+      if (!user) {
+        throw new Error('Invalid session or user not found');
+      }
+
+      const refundable = await this.getRefundableItems(transactionId, {}, trx);
+      const { refundLines, refundType } = this._buildRefundLines(refundable, items);
+      const amount = roundAmount(refundLines.reduce((sum, line) => sum + line.total, 0));
+      const original = refundable.transaction;
+      const refundPaymentType = paymentType || await this._getOriginalPaymentType(original, trx);
+      const request = {
+        original_transaction_id: original.id,
+        refund_type: refundType,
+        payment_type: refundPaymentType,
+        items: refundLines.map(line => ({ transaction_item_id: line.transaction_item_id, quantity: line.quantity }))
+      };
+
+      const applicableLimit = isEmergency ? user.storno_emergency_limit : user.storno_daily_limit;
+      const availableCredit = applicableLimit - user.storno_used_today;
+      const stornoId = crypto.randomUUID();
+
+      if (amount > availableCredit) {
+        const storno = await transactionService.createPendingStorno(
+          trx, user, stornoId, original.uuid, amount, reason, isEmergency, availableCredit, { refund_request: request }
+        );
+        return { ...storno, status: 'pending_approval' };
+      }
+
+      const refund = await this._createRefundTransaction(trx, {
+        original, refundLines, refundType, paymentType: refundPaymentType, userId: user.id, reason, stornoId
+      });
+      refundId = refund.id;
+      const storno = await transactionService.executeAutomaticStorno(
+        trx, user, stornoId, original.uuid, amount, reason, isEmergency,
+        { refund_request: request, refund_transaction_uuid: refund.uuid }
+      );
+      return { ...storno, status: 'completed', refund };
+    });
+
+    if (refundId) {
+      await this._afterRefund(refundId, result.refund.user_id, result.refund.fiscal_log_id);
+    }
+    logger.info({ service: 'RefundService', transactionId, status: result.status, refundId }, 'Refund request processed');
+    return result;
+  }
+
+  /**
+   * Approves a pending refund (manager action) and executes it.
+   * @param {string} managerSessionId - Session of the approving manager
+   * @param {string} stornoId - Pending storno created by requestRefund
+   * @param {string} [approvalNotes]
+   * @returns {Promise<object>} Approval result with the created refund
+   */
+  async approveRefund(managerSessionId, stornoId, approvalNotes = '') {
+    logger.info({ service: 'RefundService', function: 'approveRefund', stornoId });
+
+    const approval = await transactionService.approveStorno(managerSessionId, stornoId, approvalNotes, async (trx, storno) => {
+      const request = (parseJsonIfNeeded(storno.additional_data) || {}).refund_request;
+      if (!request) {
+        throw new Error(`Storno ${stornoId} is not a refund request.`);
+      }
+      // The receipt may have been returned partially in the meantime
+      const refundable = await this.getRefundableItems(request.original_transaction_id, { excludeStornoId: stornoId }, trx);
+      const { refundLines, refundType } = this._buildRefundLines(refundable, request.items.map(item => ({
+        transactionItemId: item.transaction_item_id,
+        quantity: item.quantity
+      })));
+      return this._createRefundTransaction(trx, {
+        original: refundable.transaction,
+        refundLines,
+        refundType: request.refund_type === 'full' ? refundType : 'partial',
+        // Requests from before vouchers were credited may name 'Gutschein'
+        paymentType: request.payment_type === voucherService.paymentType ? 'Bar' : request.payment_type,
+        userId: storno.user_id,
+        reason: storno.reason,
+        stornoId
+      });
+    });
+    if (!approval.success) {
+      return approval;
+    }
+
+    await this._afterRefund(approval.result.id, approval.result.user_id, approval.result.fiscal_log_id);
+    return { ...approval, refund: approval.result };
+  }
+
+  /**
+   * Selects the lines to return. Without an explicit selection every position is returned with its
+   * remaining quantity; a full return of an untouched receipt is a storno of the receipt.
+   */
+  _buildRefundLines(refundable, items) {
+    const { positions } = refundable;
+    const selection = items && items.length > 0
+      ? items.map(({ transactionItemId, quantity }) => {
+          const position = positions.find(p => p.transaction_item_id === Number(transactionItemId));
+          if (!position) {
+            throw new Error(`Transaction item ${transactionItemId} is not a position of transaction ${refundable.transaction.id}.`);
+          }
+          const refundQuantity = quantity === undefined || quantity === null ? position.refundable_quantity : parseFloat(quantity);
+          if (!(refundQuantity > 0) || refundQuantity > position.refundable_quantity + 0.0005) {
+            throw new Error(`Invalid return quantity ${quantity} for ${position.name} (returnable: ${position.refundable_quantity}).`);
+          }
+          return { position, quantity: refundQuantity };
+        })
+      : positions.filter(p => p.refundable_quantity > 0).map(position => ({ position, quantity: position.refundable_quantity }));
+
+    if (selection.length === 0) {
+      throw new Error(`Nothing left to return on transaction ${refundable.transaction.id}.`);
+    }
+
+    const refundLines = selection.map(({ position, quantity }) => {
+      // The last units take back exactly what is left, so rounding never leaves cents behind
+      const remainingQuantity = position.quantity - position.refunded_quantity;
+      const total = Math.abs(quantity - remainingQuantity) < 0.0005
+        ? roundAmount(position.total - position.refunded_total)
+        : roundAmount(position.total / position.quantity * quantity);
+      return {
+        transaction_item_id: position.transaction_item_id,
+        item_id: position.item_id,
+        name: position.name,
+        quantity,
+        total,
+        tax_rate: position.tax_rate
+      };
+    });
+
+    const isFull = !refundable.has_refunds && positions.every(position =>
+      refundLines.some(line => line.transaction_item_id === position.transaction_item_id && Math.abs(line.quantity - position.quantity) < 0.0005));
+
+    return { refundLines, refundType: isFull ? 'full' : 'partial' };
+  }
+
+  /**
+   * Creates and signs the refund transaction with negative lines, the voucher credits and a negative
+   * payment for the rest (none if the vouchers take back everything).
+   */
+  async _createRefundTransaction(trx, { original, refundLines, refundType, paymentType, userId, reason, stornoId }) {
+    const now = new Date().toISOString();
+    const uuid = crypto.randomUUID();
+    const totalAmount = -roundAmount(refundLines.reduce((sum, line) => sum + line.total, 0));
+    const taxAmount = -refundLines.reduce((sum, line) => sum + taxService.calculateTaxAmount(line.total, line.tax_rate), 0);
+    const originalMetadata = parseJsonIfNeeded(original.metadata) || {};
+    const metadata = {
+      refund_of: original.uuid,
+      refund_reason: reason,
+      storno_id: stornoId,
+      ...(originalMetadata.table ? { table: originalMetadata.table } : {})
+    };
+
+    const [refund] = await trx('active_transactions').insert({
+      uuid,
+      status: 'active',
+      user_id: userId,
+      business_date: await closingService.getOpenBusinessDate(trx),
+      transaction_type: 'refund',
+      refund_of_transaction_id: original.id,
+      refund_type: refundType,
+      metadata: JSON.stringify(metadata),
+      created_at: now,
+      updated_at: now
+    }).returning('*');
+
+    const startLog = await loggingService.logFiscalEvent('startTransaction', userId, { transaction_uuid: uuid, metadata }, trx);
+    if (!startLog.success) {
+      throw new Error(`Failed to create fiscal log for the refund: ${startLog.error}`);
+    }
+
+    for (const line of refundLines) {
+      await trx('active_transaction_items').insert({
+        active_transaction_id: refund.id,
+        item_id: line.item_id,
+        quantity: -line.quantity,
+        unit_price: roundAmount(line.total / line.quantity),
+        total_price: -line.total,
+        tax_rate: line.tax_rate,
+        tax_amount: -taxService.calculateTaxAmount(line.total, line.tax_rate),
+        notes: REFUND_LINE_NOTE,
+        refunded_transaction_item_id: line.transaction_item_id,
+        created_at: now,
+        updated_at: now
+      });
+    }
+
+    const credits = await voucherService.creditRefund(trx, {
+      original, refund, amount: -totalAmount, userId, notes: REFUND_LINE_NOTE
+    });
+    const paymentAmount = roundAmount(totalAmount + credits.reduce((sum, credit) => sum + credit.amount, 0));
+    const refundPaymentType = [
+      ...(credits.length > 0 ? [voucherService.paymentType] : []),
+      ...(paymentAmount !== 0 ? [paymentType] : [])
+    ].join(' + ');
+
+    const zahlartTyp = CASH_PAYMENT_TYPES.includes(paymentType) ? 'Bar' : 'Unbar';
+    const payments = paymentAmount !== 0
+      ? [{ type: paymentType, amount: paymentAmount, tendered: paymentAmount, change: 0 }]
+      : [];
+    for (const payment of payments) {
+      await trx('transaction_payments').insert({
+        active_transaction_id: refund.id,
+        position: 1,
+        payment_type: payment.type,
+        zahlart_typ: zahlartTyp,
+        tendered_amount: payment.amount,
+        amount: payment.amount,
+        change_amount: 0
+      });
+    }
+
+    // processData like a sale (Beleg^<gross per tax rate>^<payments>), with negative amounts;
+    // voucher credits are not taxable lines like the redemptions they reverse
+    const bookedLines = [
+      ...refundLines.map(line => ({ tax_rate: line.tax_rate, gross: -line.total })),
+      ...credits.map(credit => ({ tax_rate: parseFloat(credit.line.tax_rate), gross: credit.amount }))
+    ];
+    const taxRatesOrder = await taxService.getProcessDataTaxRates(trx);
+    const bruttoSteuerumsaetze = taxRatesOrder.map(rate => {
+      const gross = bookedLines.filter(line => line.tax_rate === rate).reduce((sum, line) => sum + line.gross, 0);
+      return gross.toFixed(2);
+    }).join('_');
+    const zahlungen = payments.length > 0 ? `${paymentAmount.toFixed(2)}:${zahlartTyp}` : '0.00:Bar';
+    const processData = `Beleg^${bruttoSteuerumsaetze}^${zahlungen}`;
+
+    const finishLog = await loggingService.logFiscalEvent('finishTransaction', userId, {
+      transaction_uuid: uuid,
+      processType: 'Kassenbeleg-V1',
+      processData,
+      payment_type: refundPaymentType,
+      payments,
+      final_amount: paymentAmount,
+      vouchers_credited: credits.map(credit => ({ code: credit.voucher.code, amount: credit.amount, balance_after: credit.balance_after })),
+      // Only the id of the original: receipts are looked up in fiscal_log by their uuid
+      refund_of_transaction_id: original.id,
+      refund_type: refundType
+    }, trx);
+    if (!finishLog.success) {
+      throw new Error(`Failed to sign the refund: ${finishLog.error}`);
+    }
+    if (finishLog.deferred) {
+      metadata.tse_failed = true;
+    }
+
+    await trx('active_transactions').where('id', refund.id).update({
+      status: 'finished',
+      payment_type: refundPaymentType,
+      payment_amount: paymentAmount,
+      total_amount: paymentAmount,
+      tax_amount: taxAmount,
+      metadata: JSON.stringify(metadata),
+      updated_at: new Date().toISOString()
+    });
+
+    return {
+      ...refund,
+      status: 'finished',
+      total_amount: paymentAmount,
+      tax_amount: taxAmount,
+      payment_type: refundPaymentType,
+      metadata,
+      fiscal_log_id: finishLog.log ? finishLog.log.id : null,
+      tse_failed: !!finishLog.deferred
+    };
+  }
+
+  /**
+   * Logs the refund operationally, prints the return receipt and informs the clients.
+   * Printing problems do not affect the (already committed) refund.
+   */
+  async _afterRefund(refundId, userId, fiscalLogId) {
+    const refund = await db('active_transactions').where('id', refundId).first();
+    const original = await db('active_transactions').where('id', refund.refund_of_transaction_id).first();
+
+    await loggingService.logOperationalEvent('REFUND_CREATED', userId, {
+      transaction_uuid: refund.uuid,
+      refund_of: original.uuid,
+      refund_type: refund.refund_type,
+      total_amount: refund.total_amount
+    });
+    websocketService.broadcast('refundCreated', {
+      id: refund.id,
+      uuid: refund.uuid,
+      refund_of_transaction_id: original.id,
+      refund_type: refund.refund_type,
+      total_amount: refund.total_amount
+    });
+
+    const payments = await db('transaction_payments').where('active_transaction_id', refund.id).orderBy('position', 'asc');
+    if (payments.some(payment => payment.zahlart_typ === 'Bar')) {
+      await cashDrawerService.openDrawer({ userId, reason: 'cash_refund', transactionId: refund.id });
+    }
+    // Goods taken back are in stock again
+    inventoryService.bookTransaction(refund.id, 'return', userId)
+      .catch(error => logger.error({ service: 'RefundService', function: '_afterRefund', refundId: refund.id, error: error.message }));
+
+    try {
+      const items = await db('active_transaction_items as ati')
+        .leftJoin('items as i', 'ati.item_id', 'i.id')
+        .where('ati.active_transaction_id', refund.id)
+        .select('ati.*', 'i.display_names')
+        .orderBy('ati.id', 'asc');
+      const fiscalLog = fiscalLogId ? await db('fiscal_log').where('id', fiscalLogId).first() : null;
+
+      const receiptData = await printerService._prepareReceiptData({
+        ...refund,
+        payments,
+        items: items.map(item => ({ ...item, display_names: parseJsonIfNeeded(item.display_names) }))
+      }, fiscalLog);
+      await printQueueService.printReceipt(receiptData, {
+        transactionId: refund.id,
+        userId,
+        title: `Rückgabebeleg №${refund.id} zu Beleg №${original.id}`
+      });
+    } catch (error) {
+      logger.error({ service: 'RefundService', function: '_afterRefund', refundId, error: error.message });
+      await loggingService.logOperationalEvent('print_failed', userId, { transaction_uuid: refund.uuid, print_error: error.message });
+      websocketService.broadcast('displayAgentMessage', {
+        timestamp: new Date().toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }),
+        type: 'agent',
+        message: `Druckfehler Rückgabebeleg: ${error.message}`,
+        style: 'error'
+      });
+    }
+  }
+
+  // Vouchers are no payments: a receipt paid in full with vouchers has none and the rest is paid back in cash
+  async _getOriginalPaymentType(original, trx) {
+    const payment = await trx('transaction_payments').where('active_transaction_id', original.id).orderBy('position', 'asc').first();
+    if (payment) return payment.payment_type;
+    return original.payment_type && !original.payment_type.includes(voucherService.paymentType) ? original.payment_type : 'Bar';
+  }
+}
+
+module.exports = new RefundService();
@@ -2,60 +2,56 @@
 
 const logger = require('../config/logger');
 const { parseJsonIfNeeded } = require('../utils/db-helper');
+const { SALES_GV_TYPES, VOUCHER_GV_TYPES, getBusinessCaseLabel } = require('../utils/dsfinvk/business_cases');
+
+const SALES_GROUPINGS = ['category', 'hour', 'user', 'payment_type', 'tax_rate'];
 
 class ReportingService {
-    constructor(reportingRepository) {
+    constructor(reportingRepository, closingService) {
         this.reportingRepository = reportingRepository;
+        this.closingService = closingService;
     }
 
     /**
-     * Generate a sales report for a specific period
+     * Generate a sales report over the finished transactions of a period
      * @param {Object} options - Reporting options
-     * @param {string} [options.period='today'] - The time period ('today', 'week', 'month')
-     * @param {string} [options.groupBy='none'] - How to group the data ('category', 'hour', 'none')
+     * @param {string} [options.period='today'] - The time period ('today', 'yesterday', 'week', 'month'), ignored if startDate is given
+     * @param {string} [options.startDate] - First business date (YYYY-MM-DD) of a custom range
+     * @param {string} [options.endDate] - Last business date (YYYY-MM-DD) of a custom range, defaults to startDate
+     * @param {string} [options.groupBy='none'] - How to group the data ('category', 'hour', 'user', 'payment_type', 'tax_rate', 'none')
      * @returns {Promise<Object>} Sales report data
      */
-    async generateSalesReport({ period = 'today', groupBy = 'none' } = {}) {
-    logger.info({ service: 'ReportingService', function: 'generateSalesReport', period, groupBy }, 'Generating sales report...');
+    async generateSalesReport({ period = 'today', startDate = null, endDate = null, groupBy = 'none' } = {}) {
+        logger.info({ service: 'ReportingService', function: 'generateSalesReport', period, startDate, endDate, groupBy }, 'Generating sales report...');
 
-    try {
-        const now = new Date();
-        let startDate;
+        try {
+            if (groupBy !== 'none' && !SALES_GROUPINGS.includes(groupBy)) {
+                throw new Error(`Unsupported groupBy '${groupBy}', expected one of: none, ${SALES_GROUPINGS.join(', ')}`);
+            }
+            const range = await this._resolveDateRange({ period, startDate, endDate });
+            const summary = await this.reportingRepository.getSalesSummary(range);
 
-        // Calculate start date based on period
-        switch (period) {
-            case 'week':
-                startDate = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-                break;
-            case 'month':
-                startDate = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
-                break;
-            case 'today':
-            default:
-                startDate = new Date();
-                startDate.setHours(0, 0, 0, 0);
-                break;
-        }
+            const totalRevenue = parseFloat(summary.revenue || 0);
+            const totalTax = parseFloat(summary.tax || 0);
+            const transactionCount = parseInt(summary.transaction_count || 0);
+            const averageSale = transactionCount > 0 ? (totalRevenue / transactionCount) : 0;
 
-        // For now, we'll use items table as a proxy for transactions
-        // In a real POS system, this would query an orders/transactions table
-        const result = await this.reportingRepository.getSalesReport(startDate);
-
-        const totalRevenue = parseFloat(result.totalRevenue || 0);
-        const transactionCount = parseInt(result.transactionCount || 0);
-        const averageSale = transactionCount > 0 ? (totalRevenue / transactionCount) : 0;
-
-        const reportData = {
-            period,
-            totalRevenue: totalRevenue.toFixed(2),
-            transactionCount,
-            averageSale: averageSale.toFixed(2),
-            groupBy,
-            generatedAt: new Date().toISOString(),
-            startDate: startDate.toISOString()
-        };
+            const reportData = {
+                period: startDate ? 'custom' : period,
+                startDate: range.startDate,
+                endDate: range.endDate,
+                totalRevenue: totalRevenue.toFixed(2),
+                totalNet: (totalRevenue - totalTax).toFixed(2),
+                totalTax: totalTax.toFixed(2),
+                transactionCount,
+                averageSale: averageSale.toFixed(2),
+                itemsSold: parseFloat(summary.quantity || 0),
+                groupBy,
+                groups: groupBy === 'none' ? [] : await this._buildSalesGroups(groupBy, range, totalRevenue),
+                generatedAt: new Date().toISOString()
+            };
 
-            logger.info({ service: 'ReportingService', reportData }, 'Sales report generated successfully.');
+            logger.info({ service: 'ReportingService', period: reportData.period, startDate: range.startDate, endDate: range.endDate, transactionCount }, 'Sales report generated successfully.');
             return { success: true, data: reportData };
 
         } catch (error) {
@@ -70,37 +66,149 @@ class ReportingService {
 
     /**
      * Get top selling items for a specific period
-     * @param {string} period - The time period ('today', 'week', 'month')
+     * @param {string} period - The time period ('today', 'yesterday', 'week', 'month')
      * @param {number} limit - Maximum number of items to return
-     * @returns {Object} Top selling items data
+     * @returns {Promise<Object>} Top selling items data
      */
     async getTopSellingItems(period, limit = 10) {
-        console.log(`(SERVICE STUB) Getting top ${limit} selling items for ${period}...`);
-        return { 
-            success: true, 
-            items: [
-                { name: 'Mock Coffee', sales: 45, revenue: 135.00 },
-                { name: 'Mock Sandwich', sales: 32, revenue: 160.00 },
-                { name: 'Mock Pastry', sales: 28, revenue: 84.00 }
-            ]
-        };
+        logger.info({ service: 'ReportingService', function: 'getTopSellingItems', period, limit });
+
+        try {
+            const range = await this._resolveDateRange({ period });
+            const items = (await this._getItemSales(range))
+                .filter(item => item.sales > 0)
+                .sort((a, b) => b.sales - a.sales || b.revenue - a.revenue)
+                .slice(0, limit);
+            return { success: true, startDate: range.startDate, endDate: range.endDate, items };
+        } catch (error) {
+            logger.error({ service: 'ReportingService', function: 'getTopSellingItems', error: error.message });
+            return { success: false, message: 'Error fetching top selling items: ' + error.message, error: error.message };
+        }
     }
 
     /**
-     * Get slow moving items for a specific period
-     * @param {string} period - The time period ('today', 'week', 'month')
+     * Get slow moving items for a specific period, including items that were not sold at all
+     * @param {string} period - The time period ('today', 'yesterday', 'week', 'month')
      * @param {number} threshold - Sales threshold to consider an item slow moving
-     * @returns {Object} Slow moving items data
+     * @returns {Promise<Object>} Slow moving items data
      */
     async getSlowMovingItems(period, threshold = 5) {
-        console.log(`(SERVICE STUB) Getting items with less than ${threshold} sales for ${period}...`);
-        return { 
-            success: true, 
-            items: [
-                { name: 'Mock Specialty Item', sales: 2, revenue: 10.00 },
-                { name: 'Mock Seasonal Product', sales: 1, revenue: 8.50 }
-            ]
+        logger.info({ service: 'ReportingService', function: 'getSlowMovingItems', period, threshold });
+
+        try {
+            const range = await this._resolveDateRange({ period });
+            const items = (await this._getItemSales(range))
+                .filter(item => item.sales < threshold)
+                .sort((a, b) => a.sales - b.sales || a.revenue - b.revenue);
+            return { success: true, startDate: range.startDate, endDate: range.endDate, items };
+        } catch (error) {
+            logger.error({ service: 'ReportingService', function: 'getSlowMovingItems', error: error.message });
+            return { success: false, message: 'Error fetching slow moving items: ' + error.message, error: error.message };
+        }
+    }
+
+    async _getItemSales(range) {
+        const rows = await this.reportingRepository.getItemSales(range);
+        return rows.map(row => {
+            const displayNames = parseJsonIfNeeded(row.display_names) || {};
+            return {
+                id: row.id,
+                name: displayNames.menu?.de || displayNames.button?.de || `Item ${row.id}`,
+                sales: parseFloat(row.quantity),
+                revenue: parseFloat(parseFloat(row.revenue).toFixed(2)),
+                transactionCount: parseInt(row.transaction_count)
+            };
+        });
+    }
+
+    async _buildSalesGroups(groupBy, range, totalRevenue) {
+        const rows = await this.reportingRepository.getSalesGroupedBy(groupBy, range);
+
+        // Legacy payment rows are merged into the split payment row of the same type;
+        // transactions finished without a stored payment type were paid in cash
+        const groups = new Map();
+        for (const row of rows) {
+            const groupKey = groupBy === 'payment_type' && !row.group_key ? 'Bar' : row.group_key;
+            const key = groupKey === null || groupKey === undefined ? null : String(groupKey);
+            const existing = groups.get(key);
+            if (existing) {
+                existing.revenue += parseFloat(row.revenue || 0);
+                existing.transactionCount += parseInt(row.transaction_count || 0);
+                continue;
+            }
+            groups.set(key, {
+                key,
+                label: this._salesGroupLabel(groupBy, { ...row, group_key: groupKey }),
+                revenue: parseFloat(row.revenue || 0),
+                transactionCount: parseInt(row.transaction_count || 0),
+                ...(row.quantity !== undefined ? { quantity: parseFloat(row.quantity || 0) } : {})
+            });
+        }
+
+        const sorted = [...groups.values()].sort((a, b) =>
+            groupBy === 'hour' ? Number(a.key) - Number(b.key) : b.revenue - a.revenue);
+        return sorted.map(group => ({
+            ...group,
+            revenue: group.revenue.toFixed(2),
+            share: totalRevenue > 0 ? parseFloat((group.revenue / totalRevenue * 100).toFixed(1)) : 0
+        }));
+    }
+
+    _salesGroupLabel(groupBy, row) {
+        switch (groupBy) {
+            case 'category': {
+                const names = parseJsonIfNeeded(row.label);
+                return names ? (names.de || names.en || Object.values(names)[0]) : 'Ohne Kategorie';
+            }
+            case 'hour':
+                return `${String(row.group_key).padStart(2, '0')}:00`;
+            case 'user':
+                return row.label || (row.group_key ? `User ${row.group_key}` : 'Unbekannt');
+            case 'payment_type':
+                return row.group_key;
+            case 'tax_rate':
+                return `${parseFloat(row.group_key).toFixed(2)}%`;
+            default:
+                return String(row.group_key);
+        }
+    }
+
+    /**
+     * Resolves a period name or a custom range to inclusive business dates (YYYY-MM-DD).
+     * Periods are relative to the open business day.
+     */
+    async _resolveDateRange({ period = 'today', startDate = null, endDate = null }) {
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+        if (startDate) {
+            const end = endDate || startDate;
+            if (!isDate(startDate) || !isDate(end)) {
+                throw new Error('startDate and endDate must be given as YYYY-MM-DD');
+            }
+            if (end < startDate) {
+                throw new Error('endDate must not be before startDate');
+            }
+            return { startDate, endDate: end };
+        }
+
+        const today = await this.closingService.getOpenBusinessDate();
+        const daysBefore = (days) => {
+            const date = new Date(`${today}T00:00:00.000Z`);
+            date.setUTCDate(date.getUTCDate() - days);
+            return date.toISOString().split('T')[0];
         };
+
+        switch (period) {
+            case 'yesterday':
+                return { startDate: daysBefore(1), endDate: daysBefore(1) };
+            case 'week':
+                return { startDate: daysBefore(6), endDate: today };
+            case 'month':
+                return { startDate: daysBefore(29), endDate: today };
+            case 'today':
+                return { startDate: today, endDate: today };
+            default:
+                throw new Error(`Unsupported period '${period}', expected today, yesterday, week or month`);
+        }
     }
 
     /**
@@ -156,6 +264,157 @@ class ReportingService {
         }
     }
 
+    /**
+     * Build the X-report: running totals of the open business day, nothing is closed or stored
+     * @param {Object} [options]
+     * @param {number} [options.countedCash] - Counted cash drawer amount, if the drawer was counted
+     * @returns {Promise<Object>} Report data for the report template
+     */
+    async generateXReport({ countedCash = null } = {}) {
+        logger.info({ service: 'ReportingService', function: 'generateXReport', countedCash });
+
+        try {
+            const totals = await this.closingService.calculateOpenTotals();
+            const tseRanges = await this.reportingRepository.getTseSignatureRange(totals.last_fiscal_log_id, null);
+
+            const report = this._buildCashReport('X', totals, {
+                zNr: totals.last_z_nr ? totals.last_z_nr + 1 : 1,
+                periodStart: totals.period_start,
+                periodEnd: new Date(),
+                cashCounted: countedCash === null || countedCash === undefined || countedCash === '' ? null : parseFloat(countedCash),
+                tseRanges
+            });
+            return { success: true, data: report };
+        } catch (error) {
+            logger.error({ service: 'ReportingService', function: 'generateXReport', error: error.message, stack: error.stack });
+            return { success: false, message: 'Error generating X-report: ' + error.message, error: error.message };
+        }
+    }
+
+    /**
+     * Build the Z-report of a stored closing
+     * @param {Object} [options]
+     * @param {number} [options.zNr] - Z number of the closing, defaults to the latest closing
+     * @returns {Promise<Object>} Report data for the report template
+     */
+    async generateZReport({ zNr = null } = {}) {
+        logger.info({ service: 'ReportingService', function: 'generateZReport', zNr });
+
+        try {
+            const closings = await this.closingService.listClosings();
+            const index = zNr ? closings.findIndex(c => c.z_nr === Number(zNr)) : closings.length - 1;
+            if (index < 0) {
+                throw new Error(zNr ? `Closing with Z_NR ${zNr} not found` : 'No business day has been closed yet');
+            }
+            const closing = closings[index];
+            const previous = index > 0 ? closings[index - 1] : null;
+            const tseRanges = await this.reportingRepository.getTseSignatureRange(
+                previous ? previous.last_fiscal_log_id : null,
+                closing.last_fiscal_log_id
+            );
+
+            const report = this._buildCashReport('Z', {
+                ...closing,
+                total_gross: parseFloat(closing.total_gross),
+                total_net: parseFloat(closing.total_net),
+                total_tax: parseFloat(closing.total_tax),
+                total_cash: parseFloat(closing.total_cash),
+                storno_total: parseFloat(closing.storno_total),
+                active_count: 0
+            }, {
+                zNr: closing.z_nr,
+                periodStart: previous ? previous.closed_at : null,
+                periodEnd: closing.closed_at,
+                cashCounted: closing.cash_counted === null ? null : parseFloat(closing.cash_counted),
+                tseRanges
+            });
+            return { success: true, data: report };
+        } catch (error) {
+            logger.error({ service: 'ReportingService', function: 'generateZReport', error: error.message, stack: error.stack });
+            return { success: false, message: 'Error generating Z-report: ' + error.message, error: error.message };
+        }
+    }
+
+    /**
+     * Formats closing totals (stored or running) as report_template.json data
+     */
+    _buildCashReport(type, totals, { zNr, periodStart, periodEnd, cashCounted, tseRanges }) {
+        const money = (value) => parseFloat(value || 0).toFixed(2);
+        const dateTime = (value) => value
+            ? new Date(value).toLocaleString('de-DE', { timeZone: 'Europe/Berlin', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+            : '-';
+        const cashExpected = parseFloat(totals.total_cash || 0);
+        const hasCashCount = cashCounted !== null && Number.isFinite(cashCounted);
+        // Cash movements (opening float, withdrawals, differences...) per business case
+        // and vouchers sold and redeemed, which are neither sales nor cash movements
+        const cashMovements = new Map();
+        const vouchers = new Map();
+        for (const bc of totals.business_cases || []) {
+            if (SALES_GV_TYPES.includes(bc.gv_typ)) continue;
+            const target = VOUCHER_GV_TYPES.includes(bc.gv_typ) ? vouchers : cashMovements;
+            target.set(bc.gv_typ, (target.get(bc.gv_typ) || 0) + parseFloat(bc.gross));
+        }
+        const toLines = (amounts) => [...amounts.entries()].map(([gvTyp, amount]) => ({
+            gv_typ: gvTyp,
+            label: getBusinessCaseLabel(gvTyp),
+            amount: money(amount)
+        }));
+        const cashMovementLines = toLines(cashMovements);
+        const voucherLines = toLines(vouchers);
+        const tse = tseRanges.map(range => ({
+            tse_serial: range.tse_serial_number || '-',
+            tse_serial_short: range.tse_serial_number ? String(range.tse_serial_number).slice(0, 16) : '-',
+            first_signature_counter: Number(range.first_signature_counter),
+            last_signature_counter: Number(range.last_signature_counter),
+            first_transaction_number: Number(range.first_transaction_number),
+            last_transaction_number: Number(range.last_transaction_number),
+            signature_count: Number(range.signature_count)
+        }));
+
+        return {
+            report_type: type,
+            is_z_report: type === 'Z',
+            title: type === 'Z' ? 'Z-BERICHT' : 'X-BERICHT',
+            z_nr: zNr,
+            kasse_id: totals.kasse_id || 'kasse_1',
+            business_date: totals.business_date,
+            period_start: dateTime(periodStart),
+            period_end: dateTime(periodEnd),
+            printed_at: dateTime(new Date()),
+            transaction_count: totals.transaction_count,
+            cancelled_count: totals.cancelled_count,
+            parked_count: totals.parked_count,
+            active_count: totals.active_count,
+            total_gross: money(totals.total_gross),
+            total_net: money(totals.total_net),
+            total_tax: money(totals.total_tax),
+            vat_lines: totals.vat.map(v => ({
+                tax_rate: parseFloat(v.tax_rate).toFixed(2),
+                gross: money(v.gross),
+                net: money(v.net),
+                tax: money(v.tax)
+            })),
+            payment_lines: totals.payments.map(p => ({
+                payment_type: p.payment_type,
+                zahlart_typ: p.zahlart_typ,
+                amount: money(p.amount)
+            })),
+            storno_count: totals.storno_count,
+            storno_total: money(totals.storno_total),
+            cash_movement_lines: cashMovementLines,
+            has_cash_movements: cashMovementLines.length > 0,
+            voucher_lines: voucherLines,
+            has_vouchers: voucherLines.length > 0,
+            cash_expected: money(cashExpected),
+            cash_counted: hasCashCount ? money(cashCounted) : '-',
+            cash_difference: hasCashCount ? money(cashCounted - cashExpected) : '-',
+            has_cash_count: hasCashCount,
+            tse_ranges: tse,
+            has_tse_range: tse.length > 0,
+            tse_failed: !!totals.tse_failed
+        };
+    }
+
 }
 
 module.exports = { ReportingService };
\ No newline at end of file
@@ -0,0 +1,156 @@
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+const { toLocalDateString } = require('../utils/date-helper');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * ScheduleService evaluates the time rules of an item at the moment of sale, in the local time of
+ * the register and for its branch (the branch of the first POS device, as in the DSFinV-K master data).
+ *
+ * A rule (an entry of pricing_schedules or of availability_schedule.schedules) may restrict:
+ * - valid_days: weekdays ('monday' ... 'sunday'), all days if omitted,
+ * - start_time / end_time: 'HH:MM', end exclusive; a window ending before it starts runs past
+ *   midnight and belongs to the weekday it starts on (Friday 22:00-02:00 is valid early on Saturday),
+ * - valid_from / valid_to: dates (YYYY-MM-DD), both inclusive,
+ * - branch_ids: branches the rule applies in.
+ *
+ * Pricing: { schedule_id, label, price, priority, ...restrictions }. Of the matching rules the one
+ * with the highest priority wins, then the first in the list; its label (or schedule_id) is printed
+ * with the line. Entries that restrict nothing (e.g. the size variants of the menu parser) are no
+ * time rules and never replace item_price_value.
+ *
+ * Availability: { always_available, schedules: [...restrictions] }. An item is available if
+ * always_available is true, otherwise if one of the schedules matches; without schedules it is
+ * available unless always_available is false. item_flags.is_sellable false always makes it unavailable.
+ */
+class ScheduleService {
+
+  /**
+   * Branch of the register, null if the register has no branch.
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<number|null>}
+   */
+  async getCurrentBranchId(trx = db) {
+    const register = await trx('pos_devices').orderBy('id', 'asc').first();
+    return register && register.branch_id ? register.branch_id : null;
+  }
+
+  /**
+   * Effective price and availability of an item.
+   * @param {object} item - Item row
+   * @param {object} [options]
+   * @param {Date} [options.date] - Moment of sale (defaults to now)
+   * @param {number|null} [options.branchId] - Branch, see getCurrentBranchId
+   * @returns {{price: number, base_price: number, price_rule: object|null, available: boolean, availability_reason: string|null}}
+   *   price_rule is { schedule_id, label } of the rule that produced the price, null for the base price
+   */
+  evaluateItem(item, { date = new Date(), branchId = null } = {}) {
+    const basePrice = parseFloat(item.item_price_value);
+    const pricingRule = this._findPricingRule(parseJsonIfNeeded(item.pricing_schedules), date, branchId);
+    const availability = this._evaluateAvailability(item, date, branchId);
+
+    return {
+      price: pricingRule ? parseFloat(pricingRule.price) : basePrice,
+      base_price: basePrice,
+      price_rule: pricingRule
+        ? { schedule_id: pricingRule.schedule_id || null, label: pricingRule.label || pricingRule.schedule_id || 'Sonderpreis' }
+        : null,
+      ...availability
+    };
+  }
+
+  /**
+   * Evaluates an item for the register at the current time; throws if the item cannot be sold now.
+   * @param {object} item - Item row
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<object>} See evaluateItem
+   */
+  async evaluateForSale(item, trx = db) {
+    const evaluation = this.evaluateItem(item, { branchId: await this.getCurrentBranchId(trx) });
+    if (!evaluation.available) {
+      const names = parseJsonIfNeeded(item.display_names) || {};
+      const name = (names.menu && names.menu.de) || `Item ${item.id}`;
+      logger.info({ service: 'ScheduleService', itemId: item.id, reason: evaluation.availability_reason }, 'Item not available');
+      throw new Error(evaluation.availability_reason === 'not_sellable'
+        ? `${name} is not for sale.`
+        : `${name} is not available at this time.`);
+    }
+    return evaluation;
+  }
+
+  /**
+   * Whether a rule with the restrictions above is valid at a moment, e.g. the schedule of a promotion.
+   * @param {object|null} rule - No rule is always valid
+   * @param {object} [options] - date and branchId as for evaluateItem
+   * @returns {boolean}
+   */
+  isRuleActive(rule, { date = new Date(), branchId = null } = {}) {
+    return !rule || this._matches(rule, date, branchId);
+  }
+
+  _evaluateAvailability(item, date, branchId) {
+    const flags = parseJsonIfNeeded(item.item_flags) || {};
+    if (flags.is_sellable === false) {
+      return { available: false, availability_reason: 'not_sellable' };
+    }
+
+    const schedule = parseJsonIfNeeded(item.availability_schedule) || {};
+    const schedules = Array.isArray(schedule.schedules) ? schedule.schedules : [];
+    const available = schedule.always_available === true
+      || (schedules.length > 0 ? schedules.some(rule => this._matches(rule, date, branchId)) : schedule.always_available !== false);
+    return { available, availability_reason: available ? null : 'outside_schedule' };
+  }
+
+  _findPricingRule(schedules, date, branchId) {
+    if (!Array.isArray(schedules)) return null;
+    const matching = schedules.filter(rule =>
+      rule && rule.price !== undefined && rule.price !== null && !isNaN(parseFloat(rule.price))
+      && this._isRestricted(rule) && this._matches(rule, date, branchId));
+    if (matching.length === 0) return null;
+    // Stable: equal priorities keep the order of the list
+    return matching.reduce((best, rule) => ((Number(rule.priority) || 0) > (Number(best.priority) || 0) ? rule : best));
+  }
+
+  _isRestricted(rule) {
+    const days = Array.isArray(rule.valid_days) ? rule.valid_days : null;
+    return !!(rule.start_time || rule.end_time || rule.valid_from || rule.valid_to
+      || (Array.isArray(rule.branch_ids) && rule.branch_ids.length > 0)
+      || (days && WEEKDAYS.some(day => !days.map(d => String(d).toLowerCase()).includes(day))));
+  }
+
+  _matches(rule, date, branchId) {
+    if (Array.isArray(rule.branch_ids) && rule.branch_ids.length > 0
+      && !rule.branch_ids.map(Number).includes(Number(branchId))) {
+      return false;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = this._parseTime(rule.start_time, 0);
+    const end = this._parseTime(rule.end_time, 24 * 60);
+    // Past midnight the window belongs to the day before
+    let day = new Date(date);
+    if (end <= start) {
+      if (minutes >= end && minutes < start) return false;
+      if (minutes < end) day.setDate(day.getDate() - 1);
+    } else if (minutes < start || minutes >= end) {
+      return false;
+    }
+
+    const days = Array.isArray(rule.valid_days) ? rule.valid_days.map(d => String(d).toLowerCase()) : null;
+    if (days && !days.includes(WEEKDAYS[day.getDay()])) return false;
+
+    const dayString = toLocalDateString(day);
+    if (rule.valid_from && dayString < toLocalDateString(rule.valid_from)) return false;
+    if (rule.valid_to && dayString > toLocalDateString(rule.valid_to)) return false;
+    return true;
+  }
+
+  _parseTime(value, fallback) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : fallback;
+  }
+}
+
+module.exports = new ScheduleService();
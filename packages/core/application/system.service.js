@@ -1,4 +1,5 @@
 // Placeholder for system health and diagnostics logic
+const tseService = require('./tse.service');
 
 /**
  * Check overall system health
@@ -6,11 +7,12 @@
  */
 async function checkSystemHealth() {
     console.log(`(SERVICE STUB) Performing system health check...`);
+    const tseStatus = await checkTSEStatus();
     return { 
         success: true, 
         status: {
             database: 'OK',
-            tse: 'OK',
+            tse: tseStatus.status,
             version: '0.1.0',
             uptime: '2 hours 15 minutes',
             timestamp: new Date().toISOString()
@@ -32,17 +34,11 @@ async function checkDatabaseConnection() {
 }
 
 /**
- * Check TSE (Technical Security Equipment) status
- * @returns {Object} TSE status
+ * Check TSE (Technical Security Equipment) status by running the provider self test
+ * @returns {Object} TSE status (status: 'OK' | 'ERROR' | 'UNAVAILABLE')
  */
 async function checkTSEStatus() {
-    console.log(`(SERVICE STUB) Checking TSE status...`);
-    return { 
-        success: true, 
-        status: 'OK',
-        serialNumber: 'TSE-MOCK-001',
-        certificateValid: true
-    };
+    return tseService.getStatus();
 }
 
 module.exports = { 
@@ -0,0 +1,137 @@
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+const { toLocalDateString } = require('../utils/date-helper');
+
+const CONSUMPTION_CONTEXTS = ['in_house', 'takeaway'];
+const DEFAULT_CONSUMPTION_CONTEXT = 'in_house';
+
+// Order of the DSFinV-K / KassenSichV tax keys used in processData (Beleg^A_B_C_D_E^...)
+const PROCESS_DATA_UST_SCHLUESSEL = [1, 2, 3, 4, 5];
+const DEFAULT_PROCESS_DATA_RATES = [19.00, 7.00, 10.70, 5.50, 0.00];
+
+/**
+ * TaxService resolves the tax rate of a line item.
+ * Resolution order: item rule > category rule > category type rule, where a rule for the
+ * concrete consumption context wins over an 'any' rule and the most recent valid_from wins.
+ * If no rule matches, the legacy rule (drinks 19%, everything else 7%) is applied.
+ */
+class TaxService {
+
+  /**
+   * Returns the consumption context ('in_house' | 'takeaway') stored in the transaction metadata.
+   * @param {object} transaction - Active transaction row
+   * @returns {string}
+   */
+  getConsumptionContext(transaction) {
+    const metadata = parseJsonIfNeeded(transaction && transaction.metadata) || {};
+    return CONSUMPTION_CONTEXTS.includes(metadata.consumption_context)
+      ? metadata.consumption_context
+      : DEFAULT_CONSUMPTION_CONTEXT;
+  }
+
+  isValidConsumptionContext(context) {
+    return CONSUMPTION_CONTEXTS.includes(context);
+  }
+
+  /**
+   * Resolves the tax rate for an item.
+   * @param {object} params
+   * @param {object} params.item - Item row (needs id and associated_category_unique_identifier)
+   * @param {object} [params.category] - Category row, loaded if omitted
+   * @param {string} [params.context] - Consumption context
+   * @param {string|Date} [params.date] - Date the rule must be valid on (defaults to today)
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<{tax_rate: number, ust_schluessel: number|null, rule_id: number|null, source: string}>}
+   */
+  async resolveTaxRate({ item, category = null, context = DEFAULT_CONSUMPTION_CONTEXT, date = new Date() }, trx = db) {
+    if (!category && item.associated_category_unique_identifier) {
+      category = await trx('categories').where({ id: item.associated_category_unique_identifier }).first();
+    }
+    const onDate = toLocalDateString(date);
+
+    const rules = await trx('tax_rules')
+      .where(function() {
+        this.where('item_id', item.id);
+        if (category) {
+          this.orWhere('category_id', category.id);
+          if (category.category_type) this.orWhere('category_type', category.category_type);
+        }
+      })
+      .whereIn('consumption_context', ['any', context])
+      .andWhere(function() { this.whereNull('valid_from').orWhere('valid_from', '<=', onDate); })
+      .andWhere(function() { this.whereNull('valid_to').orWhere('valid_to', '>=', onDate); });
+
+    const scopeRank = (rule) => (rule.item_id ? 0 : rule.category_id ? 1 : 2);
+    const bestRule = rules.sort((a, b) =>
+      scopeRank(a) - scopeRank(b) ||
+      (a.consumption_context === 'any') - (b.consumption_context === 'any') ||
+      (b.valid_from ? toLocalDateString(b.valid_from) : '').localeCompare(a.valid_from ? toLocalDateString(a.valid_from) : '')
+    )[0];
+
+    let taxRate, source;
+    if (bestRule) {
+      taxRate = parseFloat(bestRule.tax_rate);
+      source = bestRule.item_id ? 'item' : bestRule.category_id ? 'category' : 'category_type';
+    } else {
+      taxRate = category && category.category_type === 'drink' ? 19.00 : 7.00;
+      source = 'default';
+    }
+
+    const mapping = await trx('dsfinvk_vat_mapping').where('internal_tax_rate', taxRate).first();
+    if (!mapping) {
+      logger.warn({ service: 'TaxService', function: 'resolveTaxRate', itemId: item.id, taxRate }, 'Resolved tax rate has no DSFinV-K mapping');
+    }
+
+    return {
+      tax_rate: taxRate,
+      ust_schluessel: mapping ? mapping.dsfinvk_ust_schluessel : null,
+      rule_id: bestRule ? bestRule.id : null,
+      source
+    };
+  }
+
+  /**
+   * Calculates the tax part contained in a gross amount.
+   * @param {number} grossAmount
+   * @param {number} taxRate - Percentage, e.g. 19
+   * @returns {number}
+   */
+  calculateTaxAmount(grossAmount, taxRate) {
+    return grossAmount - (grossAmount / (1 + taxRate / 100));
+  }
+
+  /**
+   * Returns the internal tax rates in processData order (USt keys 1-5) from dsfinvk_vat_mapping.
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<number[]>}
+   */
+  async getProcessDataTaxRates(trx = db) {
+    const mappings = await trx('dsfinvk_vat_mapping').whereIn('dsfinvk_ust_schluessel', PROCESS_DATA_UST_SCHLUESSEL);
+    return PROCESS_DATA_UST_SCHLUESSEL.map((key, index) => {
+      const mapping = mappings.find(m => m.dsfinvk_ust_schluessel === key);
+      return mapping ? parseFloat(mapping.internal_tax_rate) : DEFAULT_PROCESS_DATA_RATES[index];
+    });
+  }
+
+  /**
+   * Builds the gross/net/tax breakdown per tax rate for a list of line items.
+   * @param {Array<{tax_rate: number|string, total_price: number|string}>} items
+   * @returns {Array<{tax_rate: number, gross: number, net: number, tax: number}>}
+   */
+  buildTaxBreakdown(items) {
+    const byRate = new Map();
+    for (const item of items) {
+      const rate = parseFloat(item.tax_rate);
+      byRate.set(rate, (byRate.get(rate) || 0) + parseFloat(item.total_price));
+    }
+    return [...byRate.entries()]
+      .sort((a, b) => b[0] - a[0])
+      .map(([rate, gross]) => {
+        const tax = this.calculateTaxAmount(gross, rate);
+        return { tax_rate: rate, gross, net: gross - tax, tax };
+      });
+  }
+}
+
+module.exports = new TaxService();
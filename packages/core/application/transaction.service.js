@@ -3,6 +3,7 @@ const crypto = require('crypto');
 const db = require('../db/knex');
 const logger = require('../config/logger');
 const loggingService = require('./logging.service');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
 
 /**
  * TransactionService handles financial operations, especially storno (void) operations
@@ -84,9 +85,10 @@ class TransactionService {
      * @param {number} amount - Storno amount
      * @param {string} reason - Reason for storno
      * @param {boolean} isEmergency - Emergency storno flag
+     * @param {Object} additionalData - Extra context stored with the storno (e.g. the refund it belongs to)
      * @returns {Object} Storno result
      */
-    async executeAutomaticStorno(trx, user, stornoId, transactionId, amount, reason, isEmergency) {
+    async executeAutomaticStorno(trx, user, stornoId, transactionId, amount, reason, isEmergency, additionalData = {}) {
         // Update user's storno credit usage
         const newUsedAmount = parseFloat(user.storno_used_today) + amount;
         await trx('users')
@@ -107,6 +109,7 @@ class TransactionService {
             approval_status: 'automatic',
             approved_at: new Date(),
             additional_data: JSON.stringify({
+                ...additionalData,
                 processed_automatically: true,
                 credit_limit_used: isEmergency ? 'emergency' : 'daily'
             }),
@@ -125,7 +128,7 @@ class TransactionService {
             amount: amount,
             reason: reason,
             type: isEmergency ? 'emergency' : 'daily_credit'
-        });
+        }, trx);
 
         // Update trust score for successful automatic storno
         await this.updateTrustScore(trx, user.id, 1); // Small positive increase
@@ -162,9 +165,10 @@ class TransactionService {
      * @param {string} reason - Reason for storno
      * @param {boolean} isEmergency - Emergency storno flag
      * @param {number} availableCredit - Available credit amount
+     * @param {Object} additionalData - Extra context stored with the storno (e.g. the refund request)
      * @returns {Object} Storno result
      */
-    async createPendingStorno(trx, user, stornoId, transactionId, amount, reason, isEmergency, availableCredit) {
+    async createPendingStorno(trx, user, stornoId, transactionId, amount, reason, isEmergency, availableCredit, additionalData = {}) {
         const exceedsBy = amount - availableCredit;
 
         // Log the pending storno
@@ -180,6 +184,7 @@ class TransactionService {
             remaining_credit_after: availableCredit,
             approval_status: 'pending',
             additional_data: JSON.stringify({
+                ...additionalData,
                 exceeds_credit_by: exceedsBy,
                 available_credit: availableCredit,
                 requires_manager_approval: true,
@@ -253,9 +258,11 @@ class TransactionService {
      * @param {string} managerSessionId - Manager's session ID
      * @param {string} stornoId - Storno ID to approve
      * @param {string} approvalNotes - Manager's approval notes
+     * @param {Function} [onApproved] - Called as onApproved(trx, storno, manager) within the approval
+     *   transaction to execute what the storno was requested for; its result is returned as `result`
      * @returns {Object} Approval result
      */
-    async approveStorno(managerSessionId, stornoId, approvalNotes = '') {
+    async approveStorno(managerSessionId, stornoId, approvalNotes = '', onApproved = null) {
         logger.info({ 
             service: 'TransactionService', 
             function: 'approveStorno',
@@ -326,7 +333,9 @@ class TransactionService {
                     requested_by: originalUser.id,
                     approved_by: manager.id,
                     notes: approvalNotes
-                });
+                }, trx);
+
+                const result = onApproved ? await onApproved(trx, storno, manager) : null;
 
                 // Increase trust score for approved storno (smaller increase than automatic)
                 await this.updateTrustScore(trx, originalUser.id, 0.5);
@@ -347,7 +356,8 @@ class TransactionService {
                         status: 'approved',
                         approved_by: manager.full_name,
                         approved_at: new Date().toISOString()
-                    }
+                    },
+                    result
                 };
             });
 
@@ -496,7 +506,7 @@ class TransactionService {
                         full_name: storno.full_name
                     },
                     requested_at: storno.created_at,
-                    additional_data: JSON.parse(storno.additional_data || '{}')
+                    additional_data: parseJsonIfNeeded(storno.additional_data) || {}
                 }))
             };
 
@@ -612,7 +622,7 @@ class TransactionService {
             full_name: session.full_name,
             email: session.email,
             role_name: session.role_name,
-            permissions: JSON.parse(session.permissions),
+            permissions: parseJsonIfNeeded(session.permissions),
             storno_daily_limit: parseFloat(session.storno_daily_limit),
             storno_emergency_limit: parseFloat(session.storno_emergency_limit),
             storno_used_today: parseFloat(session.storno_used_today),
@@ -1,14 +1,181 @@
 const logger = require('../config/logger');
 const crypto = require('crypto');
 const { parseJsonIfNeeded } = require('../utils/db-helper');
+const { GV_TYP, CASH_PAYMENT_TYPES } = require('../utils/dsfinvk/business_cases');
 
 class TransactionManagementService {
-  constructor(transactionRepository, productRepository, loggingService, printerService, websocketService) {
+  /**
+   * @param {Object} dependencies - Repositories of the database adapter and the core services, by name
+   */
+  constructor({
+    transactionRepository,
+    productRepository,
+    loggingService,
+    printerService,
+    websocketService,
+    taxService,
+    closingService,
+    printQueueService,
+    cashDrawerService,
+    scheduleService,
+    inventoryService,
+    discountService,
+    voucherService
+  }) {
     this.transactionRepository = transactionRepository;
     this.productRepository = productRepository;
     this.loggingService = loggingService;
     this.printerService = printerService;
     this.websocketService = websocketService;
+    this.taxService = taxService;
+    this.closingService = closingService;
+    this.printQueueService = printQueueService;
+    this.cashDrawerService = cashDrawerService;
+    this.scheduleService = scheduleService;
+    this.inventoryService = inventoryService;
+    this.discountService = discountService;
+    this.voucherService = voucherService;
+  }
+
+  /**
+   * Transactions of a closed business day (Kassenabschluss) must not be changed anymore.
+   */
+  async _assertBusinessDayOpen(transaction, trx) {
+    await this.closingService.assertBusinessDayOpen(transaction.business_date, trx);
+  }
+
+  /**
+   * Resolves the tax rate for an item in the context (in-house/takeaway, business date) of a transaction.
+   */
+  async _resolveTaxRate(transaction, item, category, trx) {
+    const resolved = await this.taxService.resolveTaxRate({
+      item,
+      category,
+      context: this.taxService.getConsumptionContext(transaction),
+      date: transaction.business_date || new Date()
+    }, trx);
+    return resolved.tax_rate;
+  }
+
+  /**
+   * Resolves a modifier selection against the modifier groups offered for the item (see
+   * ProductRepository.findModifierGroupsForItem) and checks the min/max selections of every group.
+   * Without a selection the default options of the groups are selected.
+   * @param {Object} item - Catalog item
+   * @param {Array<{optionId: number, quantity?: number}>} [selections]
+   * @returns {Promise<Array<{group: Object, option: Object, quantity: number}>>}
+   */
+  async _resolveModifiers(item, selections, trx) {
+    const groups = await this.productRepository.findModifierGroupsForItem(item, trx);
+    if (selections === undefined || selections === null) {
+      selections = groups.flatMap(group => group.options
+        .filter(option => option.is_default)
+        .map(option => ({ optionId: option.id })));
+    }
+    if (!Array.isArray(selections)) throw new Error('Modifiers must be a list of selected options.');
+
+    const modifiers = selections.map(({ optionId, quantity = 1 }) => {
+      const group = groups.find(g => g.options.some(option => option.id === Number(optionId)));
+      if (!group) throw new Error(`Modifier option ${optionId} is not offered for item ${item.id}.`);
+      const selectedQuantity = Number(quantity);
+      if (!Number.isInteger(selectedQuantity) || selectedQuantity <= 0) {
+        throw new Error(`Invalid quantity ${quantity} for modifier option ${optionId}.`);
+      }
+      return { group, option: group.options.find(option => option.id === Number(optionId)), quantity: selectedQuantity };
+    });
+
+    for (const group of groups) {
+      const name = (group.group_names && group.group_names.de) || `Group ${group.id}`;
+      const selected = modifiers
+        .filter(modifier => modifier.group.id === group.id)
+        .reduce((sum, modifier) => sum + modifier.quantity, 0);
+      if (selected < group.min_selections) {
+        throw new Error(`"${name}" requires at least ${group.min_selections} selection(s).`);
+      }
+      if (group.max_selections !== null && selected > group.max_selections) {
+        throw new Error(`"${name}" allows at most ${group.max_selections} selection(s).`);
+      }
+    }
+    return modifiers;
+  }
+
+  /**
+   * Adds the selected modifiers as child lines of a line. A modifier is taxed with the rate of the
+   * line it belongs to and keeps its number per unit of that line (modifier_quantity).
+   * @returns {Promise<{lines: Object[], total_price: number, tax_amount: number}>}
+   */
+  async _addModifierLines(line, modifiers, trx) {
+    const taxRate = parseFloat(line.tax_rate);
+    const lines = [];
+    for (const { option, quantity } of modifiers) {
+      const lineQuantity = parseFloat(line.quantity) * quantity;
+      const totalPrice = option.price_delta * lineQuantity;
+      lines.push(await this.transactionRepository.addItem({
+        active_transaction_id: line.active_transaction_id,
+        item_id: option.item_id || null,
+        quantity: lineQuantity,
+        unit_price: option.price_delta,
+        total_price: totalPrice,
+        tax_rate: taxRate,
+        tax_amount: this.taxService.calculateTaxAmount(totalPrice, taxRate),
+        course: line.course || null,
+        parent_transaction_item_id: line.id,
+        modifier_option_id: option.id,
+        modifier_name: (option.option_names && option.option_names.de) || `Option ${option.id}`,
+        modifier_quantity: quantity
+      }, trx));
+    }
+    return {
+      lines,
+      total_price: lines.reduce((sum, modifierLine) => sum + parseFloat(modifierLine.total_price), 0),
+      tax_amount: lines.reduce((sum, modifierLine) => sum + parseFloat(modifierLine.tax_amount), 0)
+    };
+  }
+
+  /**
+   * Derives the discount lines of a transaction again after its lines changed (see DiscountService)
+   * and stores the new totals.
+   * @returns {Promise<Object>} The updated transaction
+   */
+  async _applyDiscounts(transactionId, trx) {
+    const totals = await this.discountService.recalculate(transactionId, trx);
+    return this.transactionRepository.update(transactionId, { ...totals, updated_at: new Date().toISOString() }, trx);
+  }
+
+  async _getModifierLines(line, trx) {
+    const items = await this.transactionRepository.getItemsWithDetailsByTransactionId(line.active_transaction_id, trx);
+    return items.filter(child => child.parent_transaction_item_id === line.id && child.modifier_name);
+  }
+
+  /**
+   * Sets the modifier lines of a line to a new quantity of the line.
+   * @returns {Promise<{price: number, tax: number}>} Change of the totals
+   */
+  async _scaleModifierLines(line, newQuantity, trx) {
+    const difference = { price: 0, tax: 0 };
+    for (const modifierLine of await this._getModifierLines(line, trx)) {
+      const quantity = newQuantity * parseFloat(modifierLine.modifier_quantity);
+      const totalPrice = parseFloat(modifierLine.unit_price) * quantity;
+      const taxAmount = this.taxService.calculateTaxAmount(totalPrice, parseFloat(modifierLine.tax_rate));
+      difference.price += totalPrice - parseFloat(modifierLine.total_price);
+      difference.tax += taxAmount - parseFloat(modifierLine.tax_amount);
+      await this.transactionRepository.updateTransactionItem(modifierLine.id, {
+        quantity,
+        total_price: totalPrice,
+        tax_amount: taxAmount,
+        updated_at: new Date().toISOString()
+      }, trx);
+    }
+    return difference;
+  }
+
+  _modifierLogEntries(modifierLines) {
+    return modifierLines.map(line => ({
+      modifier_option_id: line.modifier_option_id,
+      name: line.modifier_name,
+      quantity: parseFloat(line.quantity),
+      total_price: parseFloat(line.total_price)
+    }));
   }
 
   async findOrCreateActiveTransaction(criteria, userId, correlationId) {
@@ -27,7 +194,7 @@ class TransactionManagementService {
       uuid: newTransactionUUID,
       status: 'active',
       user_id: userId,
-      business_date: nowUTC.split('T')[0],
+      business_date: await this.closingService.getOpenBusinessDate(),
       metadata: JSON.stringify(criteria.metadata || {}),
       created_at: nowUTC,
       updated_at: nowUTC
@@ -56,11 +223,15 @@ class TransactionManagementService {
     const result = await this.transactionRepository.db.transaction(async (trx) => {
       const transaction = await this.transactionRepository.findActiveById(transactionId, trx);
       if (!transaction) throw new Error(`Active transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(transaction, trx);
       item = await this.productRepository.findById(itemId, trx);
       if (!item) throw new Error(`Item with ID ${itemId} not found.`);
       const category = await this.productRepository.findCategoryById(item.associated_category_unique_identifier, trx);
-      const taxRate = category.category_type === 'drink' ? 19.00 : 7.00;
-      const unit_price = parseFloat(item.item_price_value);
+      const taxRate = await this._resolveTaxRate(transaction, item, category, trx);
+      const modifiers = await this._resolveModifiers(item, options.modifiers, trx);
+      // Happy hour, lunch menu etc.: the price of the pricing schedule valid now, if any
+      const schedule = await this.scheduleService.evaluateForSale(item, trx);
+      const unit_price = schedule.price;
       const total_price = unit_price * quantity;
       const tax_amount = total_price - (total_price / (1 + taxRate / 100));
       const itemData = {
@@ -71,19 +242,23 @@ class TransactionManagementService {
         total_price: total_price,
         tax_rate: taxRate,
         tax_amount: tax_amount,
-        notes: options.notes || null
+        notes: options.notes || null,
+        course: options.course || null,
+        price_rule: schedule.price_rule ? schedule.price_rule.label : null
       };
       const newItem = await this.transactionRepository.addItem(itemData, trx);
-      const newTotalAmount = parseFloat(transaction.total_amount) + total_price;
-      const newTaxAmount = parseFloat(transaction.tax_amount) + tax_amount;
+      const modifierLines = await this._addModifierLines(newItem, modifiers, trx);
+      const newTotalAmount = parseFloat(transaction.total_amount) + total_price + modifierLines.total_price;
+      const newTaxAmount = parseFloat(transaction.tax_amount) + tax_amount + modifierLines.tax_amount;
       const updateData = {
         total_amount: newTotalAmount,
         tax_amount: newTaxAmount,
         updated_at: new Date().toISOString()
       };
-      updatedTransaction = await this.transactionRepository.update(transactionId, updateData, trx);
+      await this.transactionRepository.update(transactionId, updateData, trx);
+      updatedTransaction = await this._applyDiscounts(transactionId, trx);
       const updatedItems = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
-      return { transaction: updatedTransaction, newItem, items: updatedItems, total_price };
+      return { transaction: updatedTransaction, newItem, items: updatedItems, total_price: total_price + modifierLines.total_price, modifierLines: modifierLines.lines };
     });
     
     const fiscalPayload = {
@@ -92,7 +267,9 @@ class TransactionManagementService {
             item_id: itemId,
             name: item.display_names.menu.de,
             quantity,
-            total_price: result.total_price
+            total_price: result.total_price,
+            ...(result.newItem.price_rule ? { price_rule: result.newItem.price_rule } : {}),
+            ...(result.modifierLines.length > 0 ? { modifiers: this._modifierLogEntries(result.modifierLines) } : {})
         },
         new_total: updatedTransaction.total_amount
     };
@@ -106,6 +283,66 @@ class TransactionManagementService {
     return { ...result.transaction, items: result.items };
   }
 
+  /**
+   * Normalizes the payment data of finishTransaction into a list of tenders.
+   * Accepts an array of tenders, { tenders: [...] } or the legacy single { type, amount }.
+   */
+  _parseTenders(paymentData, totalAmount) {
+    if (Array.isArray(paymentData)) {
+      return paymentData;
+    }
+    if (paymentData && Array.isArray(paymentData.tenders)) {
+      return paymentData.tenders;
+    }
+    // Legacy single payment: a missing amount means "exact amount"
+    return [{ type: paymentData.type, amount: parseFloat(paymentData.amount) || totalAmount, voucher_code: paymentData.voucher_code }];
+  }
+
+  /**
+   * Turns the tenders into payments and calculates the change.
+   * Overpayment is only allowed with cash; the change is deducted from the last cash tender.
+   */
+  _buildTenders(tenders, totalAmount) {
+    if (tenders.length === 0) throw new Error('At least one payment is required.');
+
+    const payments = tenders.map((tender, index) => {
+      const tenderedAmount = Math.round(parseFloat(tender.amount) * 100) / 100;
+      if (!tender.type) throw new Error(`Payment ${index + 1} has no payment type.`);
+      if (isNaN(tenderedAmount) || tenderedAmount <= 0) throw new Error(`Payment ${index + 1} has an invalid amount: ${tender.amount}`);
+      return {
+        position: index + 1,
+        payment_type: tender.type,
+        zahlart_typ: CASH_PAYMENT_TYPES.includes(tender.type) ? 'Bar' : 'Unbar',
+        tendered_amount: tenderedAmount,
+        amount: tenderedAmount,
+        change_amount: 0
+      };
+    });
+
+    const totalDue = Math.round(totalAmount * 100) / 100;
+    const totalTendered = payments.reduce((sum, p) => sum + p.tendered_amount, 0);
+    let change = Math.round((totalTendered - totalDue) * 100) / 100;
+    if (change < 0) {
+      throw new Error(`Insufficient payment: ${totalTendered.toFixed(2)} tendered, ${totalDue.toFixed(2)} due.`);
+    }
+
+    const cashTendered = payments.filter(p => p.zahlart_typ === 'Bar').reduce((sum, p) => sum + p.tendered_amount, 0);
+    if (change > cashTendered + 0.001) {
+      throw new Error('Non-cash payments must not exceed the amount due.');
+    }
+
+    for (const payment of [...payments].reverse()) {
+      if (change <= 0) break;
+      if (payment.zahlart_typ !== 'Bar') continue;
+      const changeFromTender = Math.min(change, payment.tendered_amount);
+      payment.change_amount = changeFromTender;
+      payment.amount = Math.round((payment.tendered_amount - changeFromTender) * 100) / 100;
+      change = Math.round((change - changeFromTender) * 100) / 100;
+    }
+
+    return payments;
+  }
+
   async finishTransaction(transactionId, paymentData, userId, correlationId) {
     let transaction, processData, finishedTransaction;
 
@@ -113,6 +350,7 @@ class TransactionManagementService {
     const fiscalLogResult = await this.transactionRepository.db.transaction(async (trx) => {
       transaction = await this.transactionRepository.findActiveById(transactionId, trx);
       if (!transaction) throw new Error(`Active transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(transaction, trx);
 
       // Get the initial items before fiscal compliance to preserve display order
       const initialItems = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
@@ -120,25 +358,61 @@ class TransactionManagementService {
       
       // Create fiscal compliance records based on operational logs FIRST - this reconstructs the transaction
       await this.createFiscalComplianceRecords(transactionId, transaction.uuid, trx, initialItems);
+      // Lines whose whole quantity was moved to another bill by a split are not part of this receipt
+      await this.transactionRepository.deleteEmptyItems(transactionId, trx);
       
       // Recalculate total amounts after fiscal compliance records are created
-      const allItems = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
-      const totalAmount = allItems.reduce((sum, item) => sum + parseFloat(item.total_price), 0);
-      const taxAmount = allItems.reduce((sum, item) => sum + parseFloat(item.tax_amount), 0);
-      const paymentAmount = parseFloat(paymentData.amount) || totalAmount;
+      let allItems = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
+      const sumOf = (items, field) => items.reduce((sum, item) => sum + parseFloat(item[field]), 0);
+      const tenders = this._parseTenders(paymentData, sumOf(allItems, 'total_price'));
+
+      // Vouchers pay first: each redemption is a (negative) line of the receipt, not a payment, and the
+      // other tenders pay what is left (see VoucherService)
+      const redemptions = [];
+      for (const tender of tenders.filter(t => this.voucherService.isVoucherTender(t))) {
+        const due = Math.round(sumOf(allItems, 'total_price') * 100) / 100;
+        if (!(due > 0)) throw new Error('Nothing left to pay with a voucher.');
+        if (!tender.voucher_code) throw new Error('A voucher payment needs the voucher code.');
+        const requested = parseFloat(tender.amount);
+        redemptions.push(await this.voucherService.redeem(trx, {
+          transaction,
+          code: tender.voucher_code,
+          amount: requested > 0 ? Math.min(requested, due) : due,
+          userId
+        }));
+        allItems = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
+      }
+
+      const totalAmount = sumOf(allItems, 'total_price');
+      const taxAmount = sumOf(allItems, 'tax_amount');
+      const moneyTenders = tenders.filter(t => !this.voucherService.isVoucherTender(t));
+      // Paid in full with vouchers: no payment at all
+      const payments = moneyTenders.length === 0 && redemptions.length > 0 && Math.round(totalAmount * 100) === 0
+        ? []
+        : this._buildTenders(moneyTenders, totalAmount);
+      const paymentAmount = payments.reduce((sum, p) => sum + p.tendered_amount, 0);
+      const changeAmount = payments.reduce((sum, p) => sum + p.change_amount, 0);
+      const paymentType = [...new Set(tenders.map(t => (this.voucherService.isVoucherTender(t) ? this.voucherService.paymentType : t.type)))].join(' + ');
 
       const taxBreakdown = await this.transactionRepository.getTaxBreakdown(transactionId, trx);
-      const taxRatesOrder = [19.00, 7.00, 10.70, 5.50, 0.00];
+      const taxRatesOrder = await this.taxService.getProcessDataTaxRates(trx);
       const bruttoSteuerumsaetze = taxRatesOrder.map(rate => {
         const found = taxBreakdown.find(b => parseFloat(b.tax_rate) === rate);
         return found ? parseFloat(found.total).toFixed(2) : '0.00';
       }).join('_');
-      const zahlungen = `${paymentAmount.toFixed(2)}:${paymentData.type}`;
+      // Zahlungen: applied amount per ZAHLART_TYP (Bar/Unbar), separated by '_'
+      const amountsByZahlart = new Map();
+      for (const payment of payments) {
+        amountsByZahlart.set(payment.zahlart_typ, (amountsByZahlart.get(payment.zahlart_typ) || 0) + payment.amount);
+      }
+      const zahlungen = [...amountsByZahlart.entries()]
+        .map(([zahlart, amount]) => `${amount.toFixed(2)}:${zahlart}`)
+        .join('_') || '0.00:Bar';
       processData = `Beleg^${bruttoSteuerumsaetze}^${zahlungen}`;
 
       const updateData = { 
         status: 'finished', 
-        payment_type: paymentData.type, 
+        payment_type: paymentType, 
         payment_amount: paymentAmount,
         total_amount: totalAmount,
         tax_amount: taxAmount,
@@ -146,12 +420,30 @@ class TransactionManagementService {
       };
       
       finishedTransaction = await this.transactionRepository.update(transactionId, updateData, trx);
+
+      for (const payment of payments) {
+        await this.transactionRepository.addPayment({ ...payment, active_transaction_id: transactionId }, trx);
+      }
+      finishedTransaction.payments = payments;
+      finishedTransaction.change_amount = changeAmount;
+      // Vouchers sold on this receipt can be redeemed from now on
+      finishedTransaction.vouchers = await this.voucherService.activateIssued(trx, transactionId);
+      finishedTransaction.voucher_redemptions = redemptions.map(r => ({ code: r.voucher.code, amount: r.amount, balance_after: r.balance_after }));
       
       // Sort items using sophisticated criteria to preserve display order with compliance records grouped
+      const itemsById = new Map(allItems.map(item => [item.id, item]));
+      const rootOf = (item) => {
+        let line = item;
+        while (line.parent_transaction_item_id && itemsById.has(line.parent_transaction_item_id)) {
+          line = itemsById.get(line.parent_transaction_item_id);
+        }
+        return line.id;
+      };
       const sortedItems = [...allItems].sort((a, b) => {
-        // Get sort keys - original items use their id, compliance items use parent_transaction_item_id
-        const aSortKey = a.parent_transaction_item_id || a.id;
-        const bSortKey = b.parent_transaction_item_id || b.id;
+        // Get sort keys - original items use their id, compliance and modifier lines (also those of
+        // compliance lines) use the original item they belong to
+        const aSortKey = rootOf(a);
+        const bSortKey = rootOf(b);
         
         // Get original indices from display order map
         const aIndex = displayOrderMap.get(aSortKey) ?? 999999;
@@ -172,7 +464,10 @@ class TransactionManagementService {
         transaction_uuid: transaction.uuid,
         processType: 'Kassenbeleg-V1',
         processData: processData,
-        payment_type: paymentData.type,
+        payment_type: paymentType,
+        payments: payments.map(p => ({ type: p.payment_type, amount: p.amount, tendered: p.tendered_amount, change: p.change_amount })),
+        vouchers_sold: finishedTransaction.vouchers.map(v => ({ code: v.code, amount: v.initial_amount, expires_at: v.expires_at })),
+        vouchers_redeemed: finishedTransaction.voucher_redemptions,
         final_amount: totalAmount,
         metadata: parseJsonIfNeeded(transaction.metadata) || {}
       };
@@ -181,42 +476,46 @@ class TransactionManagementService {
       if (!fiscalLog.success) {
         throw new Error(`Failed to create fiscal log: ${fiscalLog.error}`);
       }
+      if (fiscalLog.deferred) {
+        // Sold during a TSE outage: the receipt must state that the TSE failed
+        const metadata = { ...(parseJsonIfNeeded(transaction.metadata) || {}), tse_failed: true };
+        await this.transactionRepository.update(transactionId, { metadata: JSON.stringify(metadata) }, trx);
+        finishedTransaction.metadata = metadata;
+      }
       return fiscalLog;
     });
 
-    // --- Step 2: Schedule Asynchronous Receipt Printing ---
+    // --- Step 2: Open the cash drawer for cash tenders (without waiting for the printer) ---
+    if (finishedTransaction.payments.some(p => p.zahlart_typ === 'Bar')) {
+      this.cashDrawerService.openDrawer({ userId, reason: 'cash_tender', transactionId: finishedTransaction.id })
+        .catch(error => logger.error({ msg: 'Failed to open the cash drawer', transactionId: finishedTransaction.id, error: error.message }));
+    }
+
+    // --- Step 3: Book the stock used (see InventoryService) ---
+    this.inventoryService.bookTransaction(finishedTransaction.id, 'sale', userId)
+      .catch(error => logger.error({ msg: 'Failed to book the stock of the transaction', transactionId: finishedTransaction.id, error: error.message }));
+
+    // --- Step 4: Schedule Asynchronous Receipt Printing ---
     // Receipt printing is now handled asynchronously to avoid blocking the transaction completion
     logger.info(`Receipt printing for transaction ${finishedTransaction.id} will be handled asynchronously.`);
     this._prepareAndPrintReceiptAsync(finishedTransaction, fiscalLogResult.log, userId, correlationId);
 
-    return { success: true, fiscal_log: fiscalLogResult.log, transaction: finishedTransaction };
+    return { success: true, fiscal_log: fiscalLogResult.log, tse_failed: !!fiscalLogResult.deferred, transaction: finishedTransaction };
   }
 
   /**
-   * Asynchronously prepares and prints receipt data
+   * Prepares the receipt data and queues the receipt (see PrintQueueService).
    * This method runs in the background without blocking transaction completion
    */
   async _prepareAndPrintReceiptAsync(transaction, fiscalLog, userId, correlationId) {
     try {
       logger.info(`Asynchronously preparing receipt data for transaction ID: ${transaction.id}`);
       const receiptData = await this.printerService._prepareReceiptData(transaction, fiscalLog);
-      
-      logger.info(`Receipt data prepared. Sending to printer for transaction ID: ${transaction.id}`);
-      const printResult = await this.printerService.printReceipt(receiptData);
-      
-      if (printResult.status === 'success') {
-        logger.info(`Asynchronous print job completed successfully for transaction ID: ${transaction.id}`);
-        this.websocketService.broadcast('displayAgentMessage', {
-          timestamp: new Date().toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }),
-          type: 'agent',
-          message: `Beleg №${transaction.id} erfolgreich gedruckt`,
-          style: 'print'
-        });
-      } else {
-        throw new Error(printResult.message || 'Unknown printer error');
-      }
+
+      const job = await this.printQueueService.printReceipt(receiptData, { transactionId: transaction.id, userId });
+      logger.info(`Receipt for transaction ID: ${transaction.id} queued as print job ${job.id}`);
     } catch (error) {
-      logger.error(`An error occurred during the asynchronous printing process for transaction ID: ${transaction.id}`, {
+      logger.error(`An error occurred while queueing the receipt for transaction ID: ${transaction.id}`, {
         message: error.message,
         stack: error.stack,
         correlationId,
@@ -277,6 +576,198 @@ class TransactionManagementService {
     return { ...activatedTransaction, items: items };
   }
 
+  /**
+   * Splits a bill: moves the selected items (or part of their quantity) of an active or parked
+   * transaction into a new parked transaction on the same table.
+   * Moved quantities are recorded as 'split_transfer' operational events so that the fiscal
+   * compliance reconstruction of the source transaction does not treat them as storno.
+   * @param {number} transactionId - Source transaction
+   * @param {Array<{transactionItemId: number, quantity: number}>} splitItems - Lines and quantities to move
+   * @returns {Promise<{source: object, target: object}>}
+   */
+  async splitTransaction(transactionId, splitItems, userId, correlationId) {
+    logger.info({ service: 'TransactionManagementService', function: 'splitTransaction', transactionId, splitItems, correlationId });
+    if (!Array.isArray(splitItems) || splitItems.length === 0) {
+      throw new Error('At least one item must be selected to split the transaction.');
+    }
+
+    let source, target;
+    const movedItems = [];
+    const result = await this.transactionRepository.db.transaction(async (trx) => {
+      source = await this.transactionRepository.findActiveById(transactionId, trx)
+        || await this.transactionRepository.findParkedById(transactionId, trx);
+      if (!source) throw new Error(`Active or parked transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(source, trx);
+
+      const sourceMetadata = parseJsonIfNeeded(source.metadata) || {};
+      const nowUTC = new Date().toISOString();
+      const targetMetadata = {
+        ...sourceMetadata,
+        split_from: source.uuid
+      };
+      target = await this.transactionRepository.create({
+        uuid: crypto.randomUUID(),
+        status: 'parked',
+        user_id: userId,
+        business_date: source.business_date || nowUTC.split('T')[0],
+        metadata: JSON.stringify(targetMetadata),
+        created_at: nowUTC,
+        updated_at: nowUTC
+      }, trx);
+
+      let movedTotal = 0;
+      let movedTax = 0;
+      for (const { transactionItemId, quantity } of splitItems) {
+        const line = await this.transactionRepository.getTransactionItemById(transactionItemId, trx);
+        if (!line || line.active_transaction_id !== source.id) {
+          throw new Error(`Transaction item with ID ${transactionItemId} not found in transaction ${transactionId}.`);
+        }
+        if (line.parent_transaction_item_id) {
+          throw new Error(`Transaction item ${transactionItemId} is a dependent line and cannot be split on its own.`);
+        }
+        if (line.voucher_id) {
+          throw new Error(`Transaction item ${transactionItemId} is a voucher and stays on its bill.`);
+        }
+        const lineQuantity = parseFloat(line.quantity);
+        const moveQuantity = quantity === undefined || quantity === null ? lineQuantity : parseFloat(quantity);
+        if (!(moveQuantity > 0) || moveQuantity > lineQuantity) {
+          throw new Error(`Invalid split quantity ${quantity} for transaction item ${transactionItemId} (available: ${lineQuantity}).`);
+        }
+
+        const unitPrice = parseFloat(line.unit_price);
+        const taxRate = parseFloat(line.tax_rate);
+        const movedPrice = unitPrice * moveQuantity;
+        const movedTaxAmount = this.taxService.calculateTaxAmount(movedPrice, taxRate);
+        // What the kitchen already got moves along, so neither bill prints it again or cancels it
+        const sentQuantity = parseFloat(line.kitchen_sent_quantity) || 0;
+        const movedSentQuantity = Math.min(moveQuantity, sentQuantity);
+
+        const newLine = await this.transactionRepository.addItem({
+          active_transaction_id: target.id,
+          item_id: line.item_id,
+          quantity: moveQuantity,
+          unit_price: unitPrice,
+          total_price: movedPrice,
+          tax_rate: taxRate,
+          tax_amount: movedTaxAmount,
+          notes: line.notes,
+          course: line.course,
+          price_rule: line.price_rule,
+          kitchen_sent_quantity: movedSentQuantity,
+          kitchen_sent_at: movedSentQuantity > 0 ? line.kitchen_sent_at : null
+        }, trx);
+
+        const remainingQuantity = lineQuantity - moveQuantity;
+        if (remainingQuantity > 0) {
+          const remainingPrice = unitPrice * remainingQuantity;
+          await this.transactionRepository.updateTransactionItem(line.id, {
+            quantity: remainingQuantity,
+            total_price: remainingPrice,
+            tax_amount: this.taxService.calculateTaxAmount(remainingPrice, taxRate),
+            kitchen_sent_quantity: sentQuantity - movedSentQuantity,
+            updated_at: nowUTC
+          }, trx);
+        } else {
+          // Keep the line (quantity 0) so operational logs referencing it stay resolvable
+          await this.transactionRepository.updateTransactionItem(line.id, {
+            quantity: 0,
+            total_price: 0,
+            tax_amount: 0,
+            kitchen_sent_quantity: sentQuantity - movedSentQuantity,
+            updated_at: nowUTC
+          }, trx);
+        }
+
+        await this.loggingService.logOperationalEvent('split_transfer', userId, {
+          transaction_uuid: source.uuid,
+          target_transaction_uuid: target.uuid,
+          transaction_item_id: line.id,
+          target_transaction_item_id: newLine.id,
+          original_quantity: lineQuantity,
+          new_quantity: remainingQuantity,
+          item_id: line.item_id
+        });
+
+        movedTotal += parseFloat(line.total_price) - unitPrice * remainingQuantity;
+        movedTax += parseFloat(line.tax_amount) - this.taxService.calculateTaxAmount(unitPrice * remainingQuantity, taxRate);
+        movedItems.push({ item_id: line.item_id, quantity: moveQuantity, total_price: movedPrice, tax_rate: taxRate });
+
+        // Modifier lines move along with their line
+        for (const modifierLine of await this._getModifierLines(line, trx)) {
+          const modifierQuantity = parseFloat(modifierLine.modifier_quantity);
+          const modifierUnitPrice = parseFloat(modifierLine.unit_price);
+          const movedModifierPrice = modifierUnitPrice * moveQuantity * modifierQuantity;
+          const movedModifier = await this.transactionRepository.addItem({
+            active_transaction_id: target.id,
+            item_id: modifierLine.item_id,
+            quantity: moveQuantity * modifierQuantity,
+            unit_price: modifierUnitPrice,
+            total_price: movedModifierPrice,
+            tax_rate: taxRate,
+            tax_amount: this.taxService.calculateTaxAmount(movedModifierPrice, taxRate),
+            course: modifierLine.course,
+            parent_transaction_item_id: newLine.id,
+            modifier_option_id: modifierLine.modifier_option_id,
+            modifier_name: modifierLine.modifier_name,
+            modifier_quantity: modifierQuantity
+          }, trx);
+          movedItems.push({ item_id: modifierLine.item_id, modifier: modifierLine.modifier_name, quantity: parseFloat(movedModifier.quantity), total_price: movedModifierPrice, tax_rate: taxRate });
+        }
+        const remainingModifiers = await this._scaleModifierLines(line, remainingQuantity, trx);
+        movedTotal -= remainingModifiers.price;
+        movedTax -= remainingModifiers.tax;
+      }
+
+      await this.transactionRepository.update(source.id, {
+        total_amount: parseFloat(source.total_amount) - movedTotal,
+        tax_amount: parseFloat(source.tax_amount) - movedTax,
+        updated_at: nowUTC
+      }, trx);
+      await this.transactionRepository.update(target.id, {
+        total_amount: movedItems.reduce((sum, item) => sum + item.total_price, 0),
+        tax_amount: movedItems.reduce((sum, item) => sum + this.taxService.calculateTaxAmount(item.total_price, item.tax_rate), 0)
+      }, trx);
+      // Discounts of the staff stay on the source bill, promotions apply to both bills anew
+      const updatedSource = await this._applyDiscounts(source.id, trx);
+      const updatedTarget = await this._applyDiscounts(target.id, trx);
+
+      return {
+        source: { ...updatedSource, items: await this.transactionRepository.getItemsWithDetailsByTransactionId(source.id, trx) },
+        target: { ...updatedTarget, items: await this.transactionRepository.getItemsWithDetailsByTransactionId(target.id, trx) }
+      };
+    });
+
+    // Fiscal trail: the new sub-bill is a TSE transaction of its own, the source loses the moved items
+    const startLog = await this.loggingService.logFiscalEvent('startTransaction', userId, {
+      transaction_uuid: target.uuid,
+      metadata: parseJsonIfNeeded(result.target.metadata) || {}
+    });
+    if (!startLog.success) {
+      logger.error({ msg: 'Failed to create fiscal log for split transaction start', error: startLog.error });
+    }
+    const sourceLog = await this.loggingService.logFiscalEvent('updateTransaction', userId, {
+      transaction_uuid: source.uuid,
+      items_split_out: movedItems,
+      split_target_uuid: target.uuid,
+      new_total: result.source.total_amount
+    });
+    if (!sourceLog.success) {
+      logger.error({ msg: 'Failed to create fiscal log for split source', error: sourceLog.error });
+    }
+    const targetLog = await this.loggingService.logFiscalEvent('updateTransaction', userId, {
+      transaction_uuid: target.uuid,
+      items_split_in: movedItems,
+      split_source_uuid: source.uuid,
+      new_total: result.target.total_amount
+    });
+    if (!targetLog.success) {
+      logger.error({ msg: 'Failed to create fiscal log for split target', error: targetLog.error });
+    }
+
+    logger.info({ msg: 'Transaction split successfully', sourceId: source.id, targetId: target.id, movedItems: movedItems.length });
+    return result;
+  }
+
   async getParkedTransactions() {
     const parkedTransactions = await this.transactionRepository.getParkedTransactions();
     return parkedTransactions.map(transaction => ({ ...transaction, metadata: transaction.metadata, created_at: new Date(transaction.created_at).toISOString(), updated_at: new Date(transaction.updated_at).toISOString() }));
@@ -296,6 +787,70 @@ class TransactionManagementService {
     return { ...updatedTransaction, metadata: updatedTransaction.metadata };
   }
 
+  /**
+   * Switches a transaction between in-house and takeaway consumption and re-applies the
+   * tax rules to all of its lines, since the resolved rate may depend on the context.
+   */
+  async setConsumptionContext(transactionId, consumptionContext, userId) {
+    logger.info({ service: 'TransactionManagementService', function: 'setConsumptionContext', transactionId, consumptionContext });
+    if (!this.taxService.isValidConsumptionContext(consumptionContext)) {
+      throw new Error(`Invalid consumption context: ${consumptionContext}`);
+    }
+
+    let previousContext;
+    const result = await this.transactionRepository.db.transaction(async (trx) => {
+      const transaction = await this.transactionRepository.findActiveById(transactionId, trx);
+      if (!transaction) throw new Error(`Active transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(transaction, trx);
+
+      previousContext = this.taxService.getConsumptionContext(transaction);
+      const metadata = { ...(parseJsonIfNeeded(transaction.metadata) || {}), consumption_context: consumptionContext };
+      const contextTransaction = { ...transaction, metadata };
+
+      const items = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
+      let newTaxAmount = 0;
+      const lineTaxRates = new Map();
+      for (const line of [...items].sort((a, b) => a.id - b.id)) {
+        let taxRate = parseFloat(line.tax_rate);
+        if ((line.modifier_name || line.notes === 'DISCOUNT') && lineTaxRates.has(line.parent_transaction_item_id)) {
+          // Modifiers and discounts are taxed with the line they belong to
+          taxRate = lineTaxRates.get(line.parent_transaction_item_id);
+        } else {
+          const item = await this.productRepository.findById(line.item_id, trx);
+          if (item) {
+            const category = await this.productRepository.findCategoryById(item.associated_category_unique_identifier, trx);
+            taxRate = await this._resolveTaxRate(contextTransaction, item, category, trx);
+          }
+        }
+        lineTaxRates.set(line.id, taxRate);
+        const taxAmount = this.taxService.calculateTaxAmount(parseFloat(line.total_price), taxRate);
+        newTaxAmount += taxAmount;
+        await this.transactionRepository.updateTransactionItem(line.id, { tax_rate: taxRate, tax_amount: taxAmount }, trx);
+      }
+
+      const updatedTransaction = await this.transactionRepository.update(transactionId, {
+        metadata: JSON.stringify(metadata),
+        tax_amount: newTaxAmount,
+        updated_at: new Date().toISOString()
+      }, trx);
+      const updatedItems = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
+      return { transaction: updatedTransaction, items: updatedItems };
+    });
+
+    if (previousContext !== consumptionContext) {
+      const fiscalLogResult = await this.loggingService.logFiscalEvent('updateTransaction', userId, {
+        transaction_uuid: result.transaction.uuid,
+        consumption_context_changed: { from: previousContext, to: consumptionContext },
+        new_total: result.transaction.total_amount
+      });
+      if (!fiscalLogResult.success) {
+        logger.error({ msg: 'Failed to create fiscal log for consumption context change', error: fiscalLogResult.error });
+      }
+    }
+
+    return { ...result.transaction, items: result.items };
+  }
+
   async checkTableNumberInUse(tableNumber, excludeTransactionId = null) {
     return this.transactionRepository.isTableInUse(tableNumber, excludeTransactionId);
   }
@@ -313,12 +868,16 @@ class TransactionManagementService {
     const result = await this.transactionRepository.db.transaction(async (trx) => {
       const transaction = await this.transactionRepository.findActiveById(transactionId, trx);
       if (!transaction) throw new Error(`Active transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(transaction, trx);
       
       // Get the transaction item to update
       transactionItem = await this.transactionRepository.getTransactionItemById(transactionItemId, trx);
       if (!transactionItem || transactionItem.active_transaction_id !== transactionId) {
         throw new Error(`Transaction item with ID ${transactionItemId} not found in transaction ${transactionId}.`);
       }
+      if (transactionItem.parent_transaction_item_id) {
+        throw new Error(`Transaction item ${transactionItemId} is a dependent line; change the quantity of the line it belongs to.`);
+      }
       
       // Get item details for recalculation
       item = await this.productRepository.findById(transactionItem.item_id, trx);
@@ -376,6 +935,11 @@ class TransactionManagementService {
         await this.transactionRepository.updateTransactionItem(transactionItemId, itemUpdateData, trx);
       }
       
+      // Modifier lines keep their number per unit of the line
+      const modifierDifference = await this._scaleModifierLines(transactionItem, newQuantity, trx);
+      priceDifference += modifierDifference.price;
+      taxDifference += modifierDifference.tax;
+      
       // Update transaction totals
       const newTransactionTotal = parseFloat(transaction.total_amount) + priceDifference;
       const newTransactionTax = parseFloat(transaction.tax_amount) + taxDifference;
@@ -385,7 +949,8 @@ class TransactionManagementService {
         tax_amount: newTransactionTax,
         updated_at: new Date().toISOString()
       };
-      updatedTransaction = await this.transactionRepository.update(transactionId, transactionUpdateData, trx);
+      await this.transactionRepository.update(transactionId, transactionUpdateData, trx);
+      updatedTransaction = await this._applyDiscounts(transactionId, trx);
       
       const updatedItems = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
       return { transaction: updatedTransaction, items: updatedItems, priceDifference };
@@ -421,12 +986,16 @@ class TransactionManagementService {
     const result = await this.transactionRepository.db.transaction(async (trx) => {
       const transaction = await this.transactionRepository.findActiveById(transactionId, trx);
       if (!transaction) throw new Error(`Active transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(transaction, trx);
       
       item = await this.productRepository.findById(itemId, trx);
       if (!item) throw new Error(`Item with ID ${itemId} not found.`);
       
       const category = await this.productRepository.findCategoryById(item.associated_category_unique_identifier, trx);
-      const taxRate = category.category_type === 'drink' ? 19.00 : 7.00;
+      const taxRate = await this._resolveTaxRate(transaction, item, category, trx);
+      const modifiers = await this._resolveModifiers(item, options.modifiers, trx);
+      // A custom price replaces any scheduled price, but the item must still be available now
+      await this.scheduleService.evaluateForSale(item, trx);
       
       const unit_price = parseFloat(customPrice);
       const total_price = unit_price * quantity;
@@ -440,13 +1009,15 @@ class TransactionManagementService {
         total_price: total_price,
         tax_rate: taxRate,
         tax_amount: tax_amount,
-        notes: options.notes || `Custom price: ${customPrice}€`
+        notes: options.notes || `Custom price: ${customPrice}€`,
+        course: options.course || null
       };
       
       const newItem = await this.transactionRepository.addItem(itemData, trx);
+      const modifierLines = await this._addModifierLines(newItem, modifiers, trx);
       
-      const newTotalAmount = parseFloat(transaction.total_amount) + total_price;
-      const newTaxAmount = parseFloat(transaction.tax_amount) + tax_amount;
+      const newTotalAmount = parseFloat(transaction.total_amount) + total_price + modifierLines.total_price;
+      const newTaxAmount = parseFloat(transaction.tax_amount) + tax_amount + modifierLines.tax_amount;
       
       const updateData = {
         total_amount: newTotalAmount,
@@ -454,10 +1025,11 @@ class TransactionManagementService {
         updated_at: new Date().toISOString()
       };
       
-      updatedTransaction = await this.transactionRepository.update(transactionId, updateData, trx);
+      await this.transactionRepository.update(transactionId, updateData, trx);
+      updatedTransaction = await this._applyDiscounts(transactionId, trx);
       const updatedItems = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
       
-      return { transaction: updatedTransaction, newItem, items: updatedItems, total_price };
+      return { transaction: updatedTransaction, newItem, items: updatedItems, total_price: total_price + modifierLines.total_price, modifierLines: modifierLines.lines };
     });
     
     const fiscalPayload = {
@@ -468,7 +1040,8 @@ class TransactionManagementService {
         quantity,
         custom_price: customPrice,
         original_price: item.item_price_value,
-        total_price: result.total_price
+        total_price: result.total_price,
+        ...(result.modifierLines.length > 0 ? { modifiers: this._modifierLogEntries(result.modifierLines) } : {})
       },
       new_total: updatedTransaction.total_amount
     };
@@ -490,12 +1063,16 @@ class TransactionManagementService {
     const result = await this.transactionRepository.db.transaction(async (trx) => {
       const transaction = await this.transactionRepository.findActiveById(transactionId, trx);
       if (!transaction) throw new Error(`Active transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(transaction, trx);
       
       // Get the transaction item to update
       transactionItem = await this.transactionRepository.getTransactionItemById(transactionItemId, trx);
       if (!transactionItem || transactionItem.active_transaction_id !== transactionId) {
         throw new Error(`Transaction item with ID ${transactionItemId} not found in transaction ${transactionId}.`);
       }
+      if (transactionItem.parent_transaction_item_id) {
+        throw new Error(`Transaction item ${transactionItemId} is a dependent line; modifiers are priced by their option.`);
+      }
       
       // Get item details for fiscal logging
       item = await this.productRepository.findById(transactionItem.item_id, trx);
@@ -556,7 +1133,8 @@ class TransactionManagementService {
         tax_amount: newTransactionTax,
         updated_at: new Date().toISOString()
       };
-      updatedTransaction = await this.transactionRepository.update(transactionId, transactionUpdateData, trx);
+      await this.transactionRepository.update(transactionId, transactionUpdateData, trx);
+      updatedTransaction = await this._applyDiscounts(transactionId, trx);
       
       const updatedItems = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
       return { transaction: updatedTransaction, items: updatedItems, priceDifference, effectiveDiscountOrSurcharge };
@@ -587,6 +1165,167 @@ class TransactionManagementService {
     return { ...result.transaction, items: result.items };
   }
 
+  /**
+   * Gives a discount on a line or on the whole transaction (see DiscountService).
+   * @param {number} transactionId
+   * @param {object} discount
+   * @param {string} discount.type - 'percent', 'amount' or 'staff_meal'
+   * @param {number} [discount.value] - Percent or amount
+   * @param {string} discount.reason
+   * @param {number|null} [discount.transactionItemId] - Line, null for the whole receipt
+   * @param {object} user - Current user (AuthService.getCurrentUser), needs the permission of the discount type
+   * @returns {Promise<Object>} The transaction with its items
+   */
+  async applyDiscount(transactionId, discount, user) {
+    logger.info({ service: 'TransactionManagementService', function: 'applyDiscount', transactionId, type: discount.type, value: discount.value, transactionItemId: discount.transactionItemId });
+    this.discountService.assertCanApplyDiscount(user, discount.type);
+
+    const result = await this.transactionRepository.db.transaction(async (trx) => {
+      const transaction = await this.transactionRepository.findActiveById(transactionId, trx);
+      if (!transaction) throw new Error(`Active transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(transaction, trx);
+
+      const transactionDiscount = await this.discountService.addTransactionDiscount(trx, {
+        transaction,
+        transactionItemId: discount.transactionItemId ? Number(discount.transactionItemId) : null,
+        discount,
+        userId: user.id
+      });
+      const updatedTransaction = await this._applyDiscounts(transactionId, trx);
+      const items = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
+      const amount = items
+        .filter(line => line.transaction_discount_id === transactionDiscount.id)
+        .reduce((sum, line) => sum - parseFloat(line.total_price), 0);
+      return { transaction: updatedTransaction, items, transactionDiscount, amount };
+    });
+
+    const { transactionDiscount } = result;
+    const fiscalLogResult = await this.loggingService.logFiscalEvent('updateTransaction', user.id, {
+      transaction_uuid: result.transaction.uuid,
+      discount_applied: {
+        transaction_discount_id: transactionDiscount.id,
+        transaction_item_id: transactionDiscount.transaction_item_id,
+        discount_type: transactionDiscount.discount_type,
+        value: transactionDiscount.value,
+        name: transactionDiscount.name,
+        reason: transactionDiscount.reason,
+        amount: result.amount
+      },
+      new_total: result.transaction.total_amount
+    });
+    if (!fiscalLogResult.success) {
+      logger.error({ msg: 'Failed to create fiscal log for discount', error: fiscalLogResult.error });
+    }
+    return { ...result.transaction, items: result.items };
+  }
+
+  /**
+   * Takes back a discount given with applyDiscount.
+   * @param {number} transactionId
+   * @param {number} discountId - transaction_discounts.id
+   * @param {number} userId
+   * @returns {Promise<Object>} The transaction with its items
+   */
+  async removeDiscount(transactionId, discountId, userId) {
+    logger.info({ service: 'TransactionManagementService', function: 'removeDiscount', transactionId, discountId });
+    const result = await this.transactionRepository.db.transaction(async (trx) => {
+      const transaction = await this.transactionRepository.findActiveById(transactionId, trx);
+      if (!transaction) throw new Error(`Active transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(transaction, trx);
+
+      const transactionDiscount = await this.discountService.removeTransactionDiscount(trx, transactionId, discountId);
+      const updatedTransaction = await this._applyDiscounts(transactionId, trx);
+      const items = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
+      return { transaction: updatedTransaction, items, transactionDiscount };
+    });
+
+    const fiscalLogResult = await this.loggingService.logFiscalEvent('updateTransaction', userId, {
+      transaction_uuid: result.transaction.uuid,
+      discount_removed: {
+        transaction_discount_id: result.transactionDiscount.id,
+        name: result.transactionDiscount.name,
+        reason: result.transactionDiscount.reason
+      },
+      new_total: result.transaction.total_amount
+    });
+    if (!fiscalLogResult.success) {
+      logger.error({ msg: 'Failed to create fiscal log for discount removal', error: fiscalLogResult.error });
+    }
+    return { ...result.transaction, items: result.items };
+  }
+
+  /**
+   * Sells a multi-purpose voucher on the transaction (see VoucherService); it can be redeemed once
+   * the transaction is paid.
+   * @param {number} transactionId
+   * @param {object} voucher
+   * @param {number} voucher.amount
+   * @param {string} [voucher.expiresAt] - YYYY-MM-DD, end of the third year by default
+   * @param {number} userId
+   * @returns {Promise<Object>} The transaction with its items
+   */
+  async addVoucherToTransaction(transactionId, { amount, expiresAt }, userId) {
+    logger.info({ service: 'TransactionManagementService', function: 'addVoucherToTransaction', transactionId, amount, expiresAt });
+    const result = await this.transactionRepository.db.transaction(async (trx) => {
+      const transaction = await this.transactionRepository.findActiveById(transactionId, trx);
+      if (!transaction) throw new Error(`Active transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(transaction, trx);
+
+      const { voucher, line } = await this.voucherService.addVoucherLine(trx, { transaction, amount, expiresAt, userId });
+      const updatedTransaction = await this._applyDiscounts(transactionId, trx);
+      const items = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
+      return { transaction: updatedTransaction, items, voucher, line };
+    });
+
+    const fiscalLogResult = await this.loggingService.logFiscalEvent('updateTransaction', userId, {
+      transaction_uuid: result.transaction.uuid,
+      voucher_added: {
+        transaction_item_id: result.line.id,
+        amount: result.voucher.initial_amount,
+        expires_at: result.voucher.expires_at
+      },
+      new_total: result.transaction.total_amount
+    });
+    if (!fiscalLogResult.success) {
+      logger.error({ msg: 'Failed to create fiscal log for voucher sale', error: fiscalLogResult.error });
+    }
+    return { ...result.transaction, items: result.items };
+  }
+
+  /**
+   * Takes a voucher sold with addVoucherToTransaction back while the transaction is open.
+   * @param {number} transactionId
+   * @param {number} transactionItemId - The voucher line
+   * @param {number} userId
+   * @returns {Promise<Object>} The transaction with its items
+   */
+  async removeVoucherFromTransaction(transactionId, transactionItemId, userId) {
+    logger.info({ service: 'TransactionManagementService', function: 'removeVoucherFromTransaction', transactionId, transactionItemId });
+    const result = await this.transactionRepository.db.transaction(async (trx) => {
+      const transaction = await this.transactionRepository.findActiveById(transactionId, trx);
+      if (!transaction) throw new Error(`Active transaction with ID ${transactionId} not found.`);
+      await this._assertBusinessDayOpen(transaction, trx);
+
+      const voucher = await this.voucherService.removeVoucherLine(trx, transactionId, transactionItemId);
+      const updatedTransaction = await this._applyDiscounts(transactionId, trx);
+      const items = await this.transactionRepository.getItemsWithDetailsByTransactionId(transactionId, trx);
+      return { transaction: updatedTransaction, items, voucher };
+    });
+
+    const fiscalLogResult = await this.loggingService.logFiscalEvent('updateTransaction', userId, {
+      transaction_uuid: result.transaction.uuid,
+      voucher_removed: {
+        transaction_item_id: transactionItemId,
+        amount: result.voucher ? result.voucher.initial_amount : null
+      },
+      new_total: result.transaction.total_amount
+    });
+    if (!fiscalLogResult.success) {
+      logger.error({ msg: 'Failed to create fiscal log for voucher removal', error: fiscalLogResult.error });
+    }
+    return { ...result.transaction, items: result.items };
+  }
+
   async createFiscalComplianceRecords(transactionId, transactionUuid, trx, initialItems = []) {
     // Get operational logs for this transaction to reconstruct fiscal compliance records
     // Use database-agnostic JSON search
@@ -597,13 +1336,13 @@ class TransactionManagementService {
       // PostgreSQL with JSONB - use JSON containment operator
       operationalLogs = await trx('operational_log')
         .whereRaw('details::text LIKE ?', [`%${transactionUuid}%`])
-        .andWhere('event_type', 'in', ['partial_storno', 'price_override'])
+        .andWhere('event_type', 'in', ['partial_storno', 'price_override', 'split_transfer'])
         .orderBy('timestamp_utc', 'asc');
     } else {
       // SQLite with TEXT - use regular LIKE
       operationalLogs = await trx('operational_log')
         .where('details', 'like', `%${transactionUuid}%`)
-        .andWhere('event_type', 'in', ['partial_storno', 'price_override'])
+        .andWhere('event_type', 'in', ['partial_storno', 'price_override', 'split_transfer'])
         .orderBy('timestamp_utc', 'asc');
     }
 
@@ -615,15 +1354,37 @@ class TransactionManagementService {
       trueInitialState.set(item.id, {
         id: item.id,
         quantity: parseFloat(item.quantity),
-        unit_price: parseFloat(item.unit_price)
+        unit_price: parseFloat(item.unit_price),
+        tax_rate: parseFloat(item.tax_rate)
       });
     }
+
+    // Compliance lines keep the tax rate of their original line; resolve it only if the line is unknown
+    const transaction = await this.transactionRepository.findById(transactionId, trx);
+    const getTaxRate = async (transactionItemId, catalogItem) => {
+      const state = trueInitialState.get(transactionItemId);
+      if (state && !isNaN(state.tax_rate)) return state.tax_rate;
+      const category = await this.productRepository.findCategoryById(catalogItem.associated_category_unique_identifier, trx);
+      return this._resolveTaxRate(transaction, catalogItem, category, trx);
+    };
     
+    // Quantities moved to another bill by a split; they are not part of this receipt and not storno
+    const transferredQuantities = new Map();
+
     // Work backwards through logs to find original values
     for (const log of operationalLogs.reverse()) {
       const payload = parseJsonIfNeeded(log.details);
       const itemId = payload.transaction_item_id;
       
+      if (log.event_type === 'split_transfer') {
+        if (payload.transaction_uuid !== transactionUuid) continue; // Log of the target bill
+        const transferred = parseFloat(payload.original_quantity) - parseFloat(payload.new_quantity);
+        transferredQuantities.set(itemId, (transferredQuantities.get(itemId) || 0) + transferred);
+        if (trueInitialState.has(itemId)) {
+          trueInitialState.get(itemId).quantity = parseFloat(payload.original_quantity);
+        }
+      }
+
       if (log.event_type === 'partial_storno') {
         // This log shows: original_quantity -> new_quantity
         // So the TRUE original was original_quantity
@@ -646,6 +1407,12 @@ class TransactionManagementService {
     // Convert back to array and restore chronological order
     operationalLogs.reverse();
 
+    for (const [itemId, transferred] of transferredQuantities) {
+      if (trueInitialState.has(itemId)) {
+        trueInitialState.get(itemId).quantity -= transferred;
+      }
+    }
+
     // Process logs to reconstruct transaction history
     for (const log of operationalLogs) {
       const payload = parseJsonIfNeeded(log.details);
@@ -659,8 +1426,8 @@ class TransactionManagementService {
           ? trueInitialState.get(transactionItemId).quantity 
           : parseFloat(payload.original_quantity);
         
-        const newQuantity = parseFloat(payload.new_quantity);
-        const stornoQuantity = trueOriginalQuantity - newQuantity;
+        // Each storno log covers only its own reduction, so several stornos on one line add up correctly
+        const stornoQuantity = parseFloat(payload.original_quantity) - parseFloat(payload.new_quantity);
         
         if (stornoQuantity > 0) {
           // Get the original item from catalog to get original price
@@ -668,9 +1435,7 @@ class TransactionManagementService {
           if (catalogItem) {
             const originalUnitPrice = parseFloat(catalogItem.item_price_value);
             
-            // Get category for tax rate calculation
-            const category = await this.productRepository.findCategoryById(catalogItem.associated_category_unique_identifier, trx);
-            const taxRate = category.category_type === 'drink' ? 19.00 : 7.00;
+            const taxRate = await getTaxRate(transactionItemId, catalogItem);
             
             // STEP 2: UPDATE the original transaction item back to original quantity and original price
             const originalTotalPrice = originalUnitPrice * trueOriginalQuantity;
@@ -699,7 +1464,28 @@ class TransactionManagementService {
               parent_transaction_item_id: transactionItemId // Add parent reference
             };
             
-            await this.transactionRepository.addItem(stornoItemData, trx);
+            const stornoLine = await this.transactionRepository.addItem(stornoItemData, trx);
+
+            // STEP 4: Restore the modifier lines too; the cancelled modifiers are the modifier lines of the STORNO line
+            const originalLine = { id: transactionItemId, active_transaction_id: transactionId };
+            await this._scaleModifierLines(originalLine, trueOriginalQuantity, trx);
+            for (const modifierLine of await this._getModifierLines(originalLine, trx)) {
+              const modifierQuantity = parseFloat(modifierLine.modifier_quantity);
+              const stornoModifierPrice = parseFloat(modifierLine.unit_price) * stornoQuantity * modifierQuantity;
+              await this.transactionRepository.addItem({
+                active_transaction_id: transactionId,
+                item_id: modifierLine.item_id,
+                quantity: -stornoQuantity * modifierQuantity,
+                unit_price: modifierLine.unit_price,
+                total_price: -stornoModifierPrice,
+                tax_rate: modifierLine.tax_rate,
+                tax_amount: -this.taxService.calculateTaxAmount(stornoModifierPrice, parseFloat(modifierLine.tax_rate)),
+                parent_transaction_item_id: stornoLine.id,
+                modifier_option_id: modifierLine.modifier_option_id,
+                modifier_name: modifierLine.modifier_name,
+                modifier_quantity: modifierQuantity
+              }, trx);
+            }
           }
         }
       } else if (log.event_type === 'price_override') {
@@ -721,8 +1507,7 @@ class TransactionManagementService {
         if (Math.abs(actualPriceDifference) > 0.001) { // Only create if there's a significant difference
           const catalogItem = await this.productRepository.findById(payload.item_id, trx);
           if (catalogItem) {
-            const category = await this.productRepository.findCategoryById(catalogItem.associated_category_unique_identifier, trx);
-            const taxRate = category.category_type === 'drink' ? 19.00 : 7.00;
+            const taxRate = await getTaxRate(transactionItemId, catalogItem);
 
             // STEP 2: Revert the original item line to its state before this modification, using the ORIGINAL quantity
             const originalTotalPrice = parseFloat(catalogItem.item_price_value) * originalQuantity;
@@ -749,6 +1534,7 @@ class TransactionManagementService {
               tax_rate: taxRate,
               tax_amount: taxAmountForDifference,
               notes: label,
+              gv_typ: isDiscount ? GV_TYP.RABATT : GV_TYP.AUFSCHLAG,
               parent_transaction_item_id: transactionItemId
             };
 
@@ -0,0 +1,350 @@
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const fs = require('fs').promises;
+const path = require('path');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+const SimulatorTseProvider = require('../utils/tse/providers/simulator_provider');
+const CloudRestTseProvider = require('../utils/tse/providers/cloud_rest_provider');
+
+const PROCESS_TYPE_KASSENBELEG = 'Kassenbeleg-V1';
+const PROCESS_TYPE_SONSTIGER_VORGANG = 'SonstigerVorgang';
+const MAX_COUNTER_ATTEMPTS = 5;
+
+/**
+ * TseService is the single entry point to the TSE (technical security equipment).
+ * It selects the configured provider (TSE_PROVIDER = 'simulator' | 'cloud'), maps fiscal events
+ * to TSE transactions (start/update/finish), persists the signature counters and guarantees they
+ * are monotonic, and keeps dsfinvk_tse in sync with the provider's metadata.
+ */
+class TseService {
+  constructor() {
+    this.provider = null;
+    this.deviceId = null;
+    this.clientId = process.env.TSE_CLIENT_ID || 'kasse_1';
+  }
+
+  /**
+   * Returns the configured provider instance.
+   * @returns {import('../utils/tse/tse_provider')}
+   */
+  getProvider() {
+    if (!this.provider) {
+      const providerName = process.env.TSE_PROVIDER || 'simulator';
+      switch (providerName) {
+        case 'simulator':
+          this.provider = new SimulatorTseProvider({ db });
+          break;
+        case 'cloud':
+          this.provider = new CloudRestTseProvider({
+            baseUrl: process.env.TSE_BASE_URL,
+            apiKey: process.env.TSE_API_KEY,
+            apiSecret: process.env.TSE_API_SECRET,
+            tssId: process.env.TSE_TSS_ID,
+            timeoutMs: parseInt(process.env.TSE_TIMEOUT_MS) || undefined
+          });
+          break;
+        default:
+          throw new Error(`Unknown TSE provider '${providerName}'. Use 'simulator' or 'cloud'.`);
+      }
+    }
+    return this.provider;
+  }
+
+  /**
+   * Initializes the provider, stores/updates the TSE device and its DSFinV-K master data and
+   * registers this cash register as TSE client if necessary.
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<object>} The tse_devices row
+   */
+  async initialize(trx = db) {
+    const provider = this.getProvider();
+    const existing = await trx('tse_devices').where({ provider: provider.name }).orderBy('id', 'desc').first();
+    const state = await provider.initialize(existing ? parseJsonIfNeeded(existing.provider_state) : null);
+    const metadata = await provider.getMetadata(state);
+    const dsfinvkTseId = await this._syncDsfinvkTse(metadata, trx);
+    const now = new Date().toISOString();
+
+    if (existing && existing.tse_serial === metadata.serial_number) {
+      await trx('tse_devices').where({ id: existing.id }).update({
+        provider_state: JSON.stringify(state),
+        dsfinvk_tse_id: dsfinvkTseId,
+        updated_at: now
+      });
+    } else {
+      // A new TSE (or a swapped one) gets a new device record, the old one stays for the audit trail
+      await trx('tse_devices').insert({
+        provider: provider.name,
+        tse_serial: metadata.serial_number,
+        provider_state: JSON.stringify(state),
+        dsfinvk_tse_id: dsfinvkTseId,
+        created_at: now,
+        updated_at: now
+      });
+    }
+
+    let device = await trx('tse_devices').where({ tse_serial: metadata.serial_number }).first();
+
+    if (device.client_id !== this.clientId) {
+      const registration = await provider.registerClient(this.clientId, state);
+      await trx('tse_devices').where({ id: device.id }).update({
+        client_id: registration.client_id,
+        client_registered_at: registration.registered_at,
+        updated_at: now
+      });
+      device = await trx('tse_devices').where({ id: device.id }).first();
+    }
+
+    this.deviceId = device.id;
+    logger.info({ service: 'TseService', function: 'initialize', provider: provider.name, serial: device.tse_serial, clientId: device.client_id }, 'TSE initialized');
+    return device;
+  }
+
+  /**
+   * Signs a fiscal event. Transaction events (start/update/finishTransaction with a transaction_uuid)
+   * are mapped onto one TSE transaction per POS transaction, every other event is signed as a
+   * 'SonstigerVorgang' of its own.
+   * @param {string} eventType - Fiscal event type
+   * @param {object} payload - Payload sent to the fiscal log
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+   */
+  async signFiscalEvent(eventType, payload, trx = db) {
+    try {
+      const transactionUuid = payload && payload.transaction_uuid;
+      let response;
+
+      if (transactionUuid && eventType === 'startTransaction') {
+        ({ response } = await this._startTransaction(eventType, transactionUuid, PROCESS_TYPE_KASSENBELEG, '', trx));
+      } else if (transactionUuid && (eventType === 'updateTransaction' || eventType === 'finishTransaction')) {
+        let tseTransaction = await this._findOpenTransaction(transactionUuid, trx);
+        if (!tseTransaction) {
+          logger.warn({ service: 'TseService', function: 'signFiscalEvent', eventType, transactionUuid }, 'No open TSE transaction found, starting a new one');
+          ({ tseTransaction } = await this._startTransaction(eventType, transactionUuid, PROCESS_TYPE_KASSENBELEG, '', trx));
+        }
+        response = eventType === 'finishTransaction'
+          ? await this._finishTransaction(tseTransaction, payload.processType || PROCESS_TYPE_KASSENBELEG, payload.processData || '', trx)
+          : await this._updateTransaction(tseTransaction, trx);
+      } else {
+        const { tseTransaction } = await this._startTransaction(eventType, transactionUuid || null, PROCESS_TYPE_SONSTIGER_VORGANG, '', trx);
+        response = await this._finishTransaction(tseTransaction, PROCESS_TYPE_SONSTIGER_VORGANG, eventType, trx);
+      }
+
+      return { success: true, data: response };
+    } catch (error) {
+      logger.error({ service: 'TseService', function: 'signFiscalEvent', eventType, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Runs the provider self test and records the result on the device.
+   * @returns {Promise<{success: boolean, details: object}>}
+   */
+  async runSelfTest() {
+    const device = await this._getDevice(db);
+    const result = await this.getProvider().selfTest(parseJsonIfNeeded(device.provider_state));
+    await db('tse_devices').where({ id: device.id }).update({
+      last_self_test_at: new Date().toISOString(),
+      last_self_test_success: result.success,
+      updated_at: new Date().toISOString()
+    });
+    logger.info({ service: 'TseService', function: 'runSelfTest', success: result.success });
+    return result;
+  }
+
+  /**
+   * Exports the TSE log data of a period to the tmp directory.
+   * @param {{startDate: string, endDate: string}} options
+   * @returns {Promise<{success: boolean, filePath: string, filename: string, size: number}>}
+   */
+  async exportData({ startDate, endDate }) {
+    if (!startDate || !endDate) {
+      throw new Error('Start date and end date are required for the TSE export.');
+    }
+    const device = await this._getDevice(db);
+    const { filename, content } = await this.getProvider().exportData({ startDate, endDate }, parseJsonIfNeeded(device.provider_state));
+
+    const exportDir = path.join(__dirname, '../../../../tmp/tse_exports');
+    await fs.mkdir(exportDir, { recursive: true });
+    const filePath = path.join(exportDir, filename);
+    await fs.writeFile(filePath, content);
+
+    logger.info({ service: 'TseService', function: 'exportData', filePath, size: content.length });
+    return { success: true, filePath, filename, size: content.length };
+  }
+
+  /**
+   * Returns the current TSE status including a fresh self test.
+   * @returns {Promise<object>}
+   */
+  async getStatus() {
+    const providerName = process.env.TSE_PROVIDER || 'simulator';
+    try {
+      const selfTest = await this.runSelfTest();
+      const device = await this._getDevice(db);
+      const dsfinvkTse = device.dsfinvk_tse_id ? await db('dsfinvk_tse').where({ id: device.dsfinvk_tse_id }).first() : null;
+      return {
+        success: true,
+        status: selfTest.success ? 'OK' : 'ERROR',
+        provider: device.provider,
+        serialNumber: device.tse_serial,
+        clientId: device.client_id,
+        transactionNumber: Number(device.last_transaction_number),
+        signatureCounter: Number(device.last_signature_counter),
+        signatureAlgorithm: dsfinvkTse ? dsfinvkTse.tse_sig_algo : null,
+        certificateAvailable: !!(dsfinvkTse && dsfinvkTse.tse_zertifikat_i),
+        lastSelfTestAt: device.last_self_test_at
+      };
+    } catch (error) {
+      logger.error({ service: 'TseService', function: 'getStatus', error: error.message });
+      return { success: false, status: 'UNAVAILABLE', provider: providerName, error: error.message };
+    }
+  }
+
+  async _getDevice(trx) {
+    const device = this.deviceId ? await trx('tse_devices').where({ id: this.deviceId }).first() : null;
+    return device || this.initialize(trx);
+  }
+
+  async _findOpenTransaction(transactionUuid, trx) {
+    const device = await this._getDevice(trx);
+    return trx('tse_transactions')
+      .where({ tse_device_id: device.id, transaction_uuid: transactionUuid, state: 'ACTIVE' })
+      .orderBy('id', 'desc')
+      .first();
+  }
+
+  async _startTransaction(eventType, transactionUuid, processType, processData, trx) {
+    const { response, device } = await this._signWithCounters(trx, true, (provider, state) =>
+      provider.startTransaction({ clientId: this.clientId, processType, processData }, state));
+
+    const now = new Date().toISOString();
+    await trx('tse_transactions').insert({
+      tse_device_id: device.id,
+      transaction_uuid: transactionUuid,
+      event_type: eventType,
+      tx_id: response.tx_id,
+      transaction_number: response.transaction_number,
+      state: 'ACTIVE',
+      revision: response.revision || 1,
+      process_type: processType,
+      process_data: processData,
+      start_time: response.start_time,
+      start_signature_counter: response.signature_counter,
+      start_signature: response.signature,
+      created_at: now,
+      updated_at: now
+    });
+    const tseTransaction = await trx('tse_transactions')
+      .where({ tse_device_id: device.id, transaction_number: response.transaction_number })
+      .first();
+    return { tseTransaction, response };
+  }
+
+  async _updateTransaction(tseTransaction, trx) {
+    const { response } = await this._signWithCounters(trx, false, (provider, state) =>
+      provider.updateTransaction(tseTransaction, { clientId: this.clientId, processType: tseTransaction.process_type, processData: '' }, state));
+
+    await trx('tse_transactions').where({ id: tseTransaction.id }).update({
+      revision: response.revision || tseTransaction.revision + 1,
+      updated_at: new Date().toISOString()
+    });
+    return response;
+  }
+
+  async _finishTransaction(tseTransaction, processType, processData, trx) {
+    const { response } = await this._signWithCounters(trx, false, (provider, state) =>
+      provider.finishTransaction(tseTransaction, { clientId: this.clientId, processType, processData }, state));
+
+    await trx('tse_transactions').where({ id: tseTransaction.id }).update({
+      state: 'FINISHED',
+      revision: response.revision || tseTransaction.revision + 1,
+      process_type: processType,
+      process_data: processData,
+      finish_time: response.log_time,
+      finish_signature_counter: response.signature_counter,
+      finish_signature: response.signature,
+      updated_at: new Date().toISOString()
+    });
+    return response;
+  }
+
+  /**
+   * Runs a signing operation and persists the counters it returned. The update only succeeds if
+   * the counter is greater than the persisted one, so counters can never go backwards. Operations
+   * of a local TSE are retried when a concurrent operation used the same counter.
+   */
+  async _signWithCounters(trx, isStart, operation) {
+    const provider = this.getProvider();
+
+    for (let attempt = 1; attempt <= MAX_COUNTER_ATTEMPTS; attempt++) {
+      const device = await this._getDevice(trx);
+      const lastSignatureCounter = Number(device.last_signature_counter);
+      const lastTransactionNumber = Number(device.last_transaction_number);
+
+      const { response, state } = await operation(provider, parseJsonIfNeeded(device.provider_state));
+      const signatureCounter = Number(response.signature_counter);
+      const transactionNumber = Number(response.transaction_number);
+
+      const isMonotonic = signatureCounter > lastSignatureCounter &&
+        (isStart ? transactionNumber > lastTransactionNumber : transactionNumber <= lastTransactionNumber);
+
+      let updated = 0;
+      if (isMonotonic) {
+        const query = trx('tse_devices').where({ id: device.id });
+        if (provider.usesLocalState) {
+          query.andWhere('last_signature_counter', lastSignatureCounter);
+        } else {
+          query.andWhere('last_signature_counter', '<', signatureCounter);
+        }
+        updated = await query.update({
+          last_signature_counter: signatureCounter,
+          last_transaction_number: Math.max(lastTransactionNumber, transactionNumber),
+          provider_state: JSON.stringify(state),
+          updated_at: new Date().toISOString()
+        });
+      }
+
+      if (updated) {
+        return { response, device };
+      }
+      if (!provider.usesLocalState) {
+        throw new Error(`TSE counters are not monotonic (signature counter ${signatureCounter}, transaction ${transactionNumber}; last persisted ${lastSignatureCounter}/${lastTransactionNumber}).`);
+      }
+      logger.warn({ service: 'TseService', function: '_signWithCounters', attempt, signatureCounter, lastSignatureCounter }, 'TSE counter conflict, retrying');
+    }
+
+    throw new Error('TSE counters could not be persisted after repeated conflicts.');
+  }
+
+  async _syncDsfinvkTse(metadata, trx) {
+    const tseData = {
+      tse_serial: metadata.serial_number,
+      tse_sig_algo: metadata.signature_algorithm,
+      tse_zeitformat: metadata.time_format,
+      tse_pd_encoding: metadata.pd_encoding,
+      tse_public_key: metadata.public_key,
+      tse_zertifikat_i: metadata.certificate || '',
+      tse_zertifikat_ii: metadata.certificate_ii || null,
+      updated_at: new Date().toISOString()
+    };
+
+    const existing = await trx('dsfinvk_tse').where({ tse_id: metadata.serial_number }).first();
+    if (existing) {
+      await trx('dsfinvk_tse').where({ id: existing.id }).update(tseData);
+      return existing.id;
+    }
+
+    const posDevice = await trx('pos_devices').orderBy('id', 'asc').first();
+    await trx('dsfinvk_tse').insert({
+      ...tseData,
+      tse_id: metadata.serial_number,
+      pos_device_id: posDevice ? posDevice.id : null,
+      created_at: tseData.updated_at
+    });
+    const inserted = await trx('dsfinvk_tse').where({ tse_id: metadata.serial_number }).first();
+    return inserted.id;
+  }
+}
+
+module.exports = new TseService();
@@ -0,0 +1,244 @@
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const tseService = require('./tse.service');
+const { parseJsonIfNeeded } = require('../utils/db-helper');
+
+const DEFAULT_CHECK_INTERVAL_MS = 30000;
+const MAX_RESIGN_ATTEMPTS = 3;
+
+/**
+ * TseOutageService implements the degraded mode for TSE outages (KassenSichV allows selling
+ * during an outage as long as it is documented):
+ * - fiscal operations that cannot be signed are queued in pending_fiscal_operations (TSE_FAILED)
+ *   instead of failing the sale, receipts are marked "TSE ausgefallen",
+ * - the outage window is recorded in the operational log (TSE_OUTAGE_START / TSE_OUTAGE_END),
+ * - a background job re-signs the queued operations once the TSE is back, or documents them
+ *   as unsigned if they cannot be signed,
+ * - every state change is broadcast as 'tseStatus' so the UI can show an outage banner.
+ */
+class TseOutageService {
+  constructor() {
+    this.outage = null; // { started_at, error, deferred_operations }
+    this.loggingService = null;
+    this.websocketService = null;
+    this.monitorInterval = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Injects the services used for logging and broadcasting (they depend on this service).
+   * @param {object} services
+   * @param {object} services.loggingService
+   * @param {object} services.websocketService
+   */
+  init({ loggingService, websocketService }) {
+    this.loggingService = loggingService;
+    this.websocketService = websocketService;
+  }
+
+  /**
+   * Restores an outage that was still open when the server stopped, based on the operational log.
+   */
+  async restoreState() {
+    const lastEvent = await db('operational_log')
+      .whereIn('event_type', ['TSE_OUTAGE_START', 'TSE_OUTAGE_END'])
+      .orderBy('id', 'desc')
+      .first();
+
+    if (lastEvent && lastEvent.event_type === 'TSE_OUTAGE_START') {
+      const details = parseJsonIfNeeded(lastEvent.details) || {};
+      const queued = await db('pending_fiscal_operations').where('status', 'TSE_FAILED').count('* as count').first();
+      this.outage = {
+        started_at: details.started_at || lastEvent.timestamp_utc,
+        error: details.error || null,
+        deferred_operations: Number(queued.count)
+      };
+      logger.warn({ service: 'TseOutageService', function: 'restoreState', outage: this.outage }, 'Resuming TSE outage mode from previous run');
+    }
+  }
+
+  isActive() {
+    return !!this.outage;
+  }
+
+  getStatus() {
+    return {
+      outage: !!this.outage,
+      started_at: this.outage ? this.outage.started_at : null,
+      error: this.outage ? this.outage.error : null,
+      deferred_operations: this.outage ? this.outage.deferred_operations : 0
+    };
+  }
+
+  /**
+   * Called by the LoggingService for every fiscal operation that was queued instead of signed.
+   * Starts the outage on the first failure.
+   * @param {string} error - Error reported by the TSE
+   */
+  recordDeferredOperation(error) {
+    if (!this.outage) {
+      this._startOutage(error);
+    }
+    this.outage.deferred_operations += 1;
+    this._broadcastStatus();
+  }
+
+  /**
+   * Starts the background job that checks the TSE and resolves queued operations.
+   * @param {number} [intervalMs]
+   */
+  startMonitor(intervalMs = parseInt(process.env.TSE_RECOVERY_INTERVAL_MS) || DEFAULT_CHECK_INTERVAL_MS) {
+    if (this.monitorInterval) return;
+    this.monitorInterval = setInterval(() => {
+      this.checkAndRecover().catch(error => {
+        logger.error({ service: 'TseOutageService', function: 'checkAndRecover', error: error.message });
+      });
+    }, intervalMs);
+    logger.info({ service: 'TseOutageService', function: 'startMonitor', intervalMs }, 'TSE outage monitor started');
+  }
+
+  stopMonitor() {
+    if (this.monitorInterval) {
+      clearInterval(this.monitorInterval);
+      this.monitorInterval = null;
+    }
+  }
+
+  /**
+   * Checks the TSE and, if it is available, resolves all queued operations and ends the outage.
+   * @returns {Promise<{outage: boolean, resigned: number, documented: number, remaining: number}>}
+   */
+  async checkAndRecover() {
+    if (this.isChecking) return { outage: this.isActive(), resigned: 0, documented: 0, remaining: null };
+    this.isChecking = true;
+
+    try {
+      const queued = await db('pending_fiscal_operations').where('status', 'TSE_FAILED').count('* as count').first();
+      if (!this.outage && Number(queued.count) === 0) {
+        return { outage: false, resigned: 0, documented: 0, remaining: 0 };
+      }
+
+      const tseStatus = await tseService.getStatus();
+      if (tseStatus.status !== 'OK') {
+        if (!this.outage) {
+          this._startOutage(tseStatus.error || `TSE status: ${tseStatus.status}`);
+          this._broadcastStatus();
+        }
+        return { outage: true, resigned: 0, documented: 0, remaining: Number(queued.count) };
+      }
+
+      const result = await this.resolveDeferredOperations();
+      if (this.outage && result.remaining === 0) {
+        await this._endOutage(result);
+      }
+      return { outage: this.isActive(), ...result };
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Signs the queued operations in their original order. An operation that still cannot be signed
+   * after MAX_RESIGN_ATTEMPTS runs is committed to the fiscal log as unsigned (DOCUMENTED).
+   * @returns {Promise<{resigned: number, documented: number, remaining: number}>}
+   */
+  async resolveDeferredOperations() {
+    const operations = await db('pending_fiscal_operations').where('status', 'TSE_FAILED').orderBy('id', 'asc');
+    let resigned = 0;
+    let documented = 0;
+
+    for (const operation of operations) {
+      const eventType = operation.event_type || 'recovered_transaction';
+      const payload = parseJsonIfNeeded(operation.payload_for_tse);
+      const tseResponse = await tseService.signFiscalEvent(eventType, payload);
+
+      if (tseResponse.success) {
+        await db('pending_fiscal_operations').where('id', operation.id).update({
+          status: 'TSE_SUCCESS',
+          tse_response: JSON.stringify({ ...tseResponse.data, deferred: true, original_operation_time: operation.created_at }),
+          updated_at: new Date().toISOString()
+        });
+        await this.loggingService.commitFiscalOperation(operation.id, eventType, operation.user_id);
+        resigned++;
+        continue;
+      }
+
+      const retryCount = (operation.retry_count || 0) + 1;
+      if (retryCount < MAX_RESIGN_ATTEMPTS) {
+        await db('pending_fiscal_operations').where('id', operation.id).update({
+          retry_count: retryCount,
+          last_error: tseResponse.error,
+          updated_at: new Date().toISOString()
+        });
+        // Keep the original order: later operations wait for this one
+        break;
+      }
+
+      await db('pending_fiscal_operations').where('id', operation.id).update({
+        status: 'DOCUMENTED',
+        retry_count: retryCount,
+        last_error: tseResponse.error,
+        tse_response: JSON.stringify({
+          tse_failed: true,
+          transaction_number: 0,
+          error: tseResponse.error,
+          outage_started_at: this.outage ? this.outage.started_at : null,
+          original_operation_time: operation.created_at
+        }),
+        updated_at: new Date().toISOString()
+      });
+      await this.loggingService.commitFiscalOperation(operation.id, eventType, operation.user_id);
+      documented++;
+      logger.warn({ service: 'TseOutageService', function: 'resolveDeferredOperations', operation_id: operation.operation_id, error: tseResponse.error }, 'Fiscal operation documented as unsigned');
+    }
+
+    const remaining = await db('pending_fiscal_operations').where('status', 'TSE_FAILED').count('* as count').first();
+    logger.info({ service: 'TseOutageService', function: 'resolveDeferredOperations', resigned, documented, remaining: Number(remaining.count) });
+    return { resigned, documented, remaining: Number(remaining.count) };
+  }
+
+  _startOutage(error) {
+    const startedAt = new Date().toISOString();
+    this.outage = { started_at: startedAt, error, deferred_operations: 0 };
+    logger.error({ service: 'TseOutageService', started_at: startedAt, error }, 'TSE outage detected, switching to degraded mode');
+
+    // Not awaited: the failed operation may still hold the database transaction
+    this._logOperationalEvent('TSE_OUTAGE_START', {
+      started_at: startedAt,
+      error,
+      provider: process.env.TSE_PROVIDER || 'simulator'
+    });
+  }
+
+  async _endOutage({ resigned, documented }) {
+    const endedAt = new Date().toISOString();
+    const { started_at, deferred_operations } = this.outage;
+    await this._logOperationalEvent('TSE_OUTAGE_END', {
+      started_at,
+      ended_at: endedAt,
+      duration_seconds: Math.round((new Date(endedAt) - new Date(started_at)) / 1000),
+      deferred_operations,
+      resigned,
+      documented
+    });
+    this.outage = null;
+    logger.info({ service: 'TseOutageService', started_at, ended_at: endedAt, resigned, documented }, 'TSE outage ended');
+    this._broadcastStatus();
+  }
+
+  async _logOperationalEvent(eventType, details) {
+    if (!this.loggingService) return;
+    const result = await this.loggingService.logOperationalEvent(eventType, null, details);
+    if (!result.success) {
+      logger.error({ service: 'TseOutageService', eventType, error: result.error }, 'Failed to record TSE outage in operational log');
+    }
+  }
+
+  _broadcastStatus() {
+    if (this.websocketService) {
+      this.websocketService.broadcast('tseStatus', this.getStatus());
+    }
+  }
+}
+
+module.exports = new TseOutageService();
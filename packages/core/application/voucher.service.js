@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const db = require('../db/knex');
+const logger = require('../config/logger');
+const { GV_TYP } = require('../utils/dsfinvk/business_cases');
+const { toLocalDateString } = require('../utils/date-helper');
+const { roundAmount } = require('../utils/number-helper');
+
+// Tender type of a voucher redemption in finishTransaction
+const VOUCHER_PAYMENT_TYPE = 'Gutschein';
+// Without 0/O and 1/I, which are mixed up when a code is typed
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+// Regular limitation period (§§ 195, 199 BGB): end of the third year after the year of sale
+const DEFAULT_VALIDITY_YEARS = 3;
+
+/**
+ * VoucherService sells and redeems multi-purpose vouchers (Mehrzweckgutscheine).
+ *
+ * Selling a voucher is no sale for VAT: the receipt gets a line of GV_TYP 'MehrzweckgutscheinKauf'
+ * at 0 % (not taxable) and the voucher gets a unique code, printed with a QR code on a voucher slip.
+ * The voucher is 'pending' until the receipt is paid. When it is redeemed, the goods are sold as
+ * usual and the voucher pays for them: a tender of type 'Gutschein' books a negative, not taxable
+ * line of GV_TYP 'MehrzweckgutscheinEinloesung', so the other tenders only pay what is left. A
+ * voucher can be redeemed in parts until its balance is used up or it expires. When a receipt paid
+ * with a voucher is returned, the voucher gets back what it paid (creditRefund).
+ */
+class VoucherService {
+
+  get paymentType() {
+    return VOUCHER_PAYMENT_TYPE;
+  }
+
+  /**
+   * @param {object} tender - Tender of finishTransaction
+   * @returns {boolean} Whether the tender redeems a voucher
+   */
+  isVoucherTender(tender) {
+    return !!tender && (tender.type === VOUCHER_PAYMENT_TYPE || !!tender.voucher_code);
+  }
+
+  /**
+   * @param {string} code - Voucher code as printed or typed
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<object>} The voucher with its balance and whether it can be redeemed today
+   */
+  async getVoucher(code, trx = db) {
+    const voucher = await trx('vouchers').where('code', this.normalizeCode(code)).first();
+    if (!voucher) {
+      throw new Error(`Voucher ${code} not found.`);
+    }
+    return this._toVoucher(voucher);
+  }
+
+  /**
+   * Sells a voucher on an active transaction: a pending voucher and its not taxable line.
+   * @param {object} trx - Knex transaction
+   * @param {object} options
+   * @param {object} options.transaction - Active transaction
+   * @param {number} options.amount - Value of the voucher
+   * @param {string} [options.expiresAt] - Last day the voucher can be redeemed (YYYY-MM-DD)
+   * @param {number} options.userId
+   * @returns {Promise<{voucher: object, line: object}>}
+   */
+  async addVoucherLine(trx, { transaction, amount, expiresAt, userId }) {
+    const value = roundAmount(parseFloat(amount));
+    if (!(value > 0)) {
+      throw new Error(`Invalid voucher amount '${amount}'.`);
+    }
+    const today = toLocalDateString(new Date());
+    const expiry = expiresAt ? toLocalDateString(expiresAt) : `${new Date().getFullYear() + DEFAULT_VALIDITY_YEARS}-12-31`;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(expiry) || expiry < today) {
+      throw new Error(`Invalid expiry date '${expiresAt}'.`);
+    }
+
+    const now = new Date().toISOString();
+    const [voucher] = await trx('vouchers').insert({
+      code: await this._generateCode(trx),
+      initial_amount: value,
+      balance: value,
+      status: 'pending',
+      expires_at: expiry,
+      issued_transaction_id: transaction.id,
+      user_id: userId,
+      created_at: now,
+      updated_at: now
+    }).returning('*');
+    const [line] = await trx('active_transaction_items').insert({
+      active_transaction_id: transaction.id,
+      item_id: null,
+      quantity: 1,
+      unit_price: value,
+      total_price: value,
+      tax_rate: 0,
+      tax_amount: 0,
+      gv_typ: GV_TYP.MEHRZWECKGUTSCHEIN_KAUF,
+      voucher_id: voucher.id,
+      created_at: now,
+      updated_at: now
+    }).returning('*');
+    return { voucher: this._toVoucher(voucher), line };
+  }
+
+  /**
+   * Takes a voucher sold on an active transaction back before the receipt is paid.
+   * @param {object} trx - Knex transaction
+   * @param {number} transactionId
+   * @param {number} transactionItemId - The MehrzweckgutscheinKauf line
+   * @returns {Promise<object>} The voucher, which no longer exists
+   */
+  async removeVoucherLine(trx, transactionId, transactionItemId) {
+    const line = await trx('active_transaction_items')
+      .where({ id: transactionItemId, active_transaction_id: transactionId, gv_typ: GV_TYP.MEHRZWECKGUTSCHEIN_KAUF })
+      .first();
+    if (!line) {
+      throw new Error(`Voucher line ${transactionItemId} not found in transaction ${transactionId}.`);
+    }
+    const voucher = await trx('vouchers').where({ id: line.voucher_id, status: 'pending' }).first();
+    await trx('active_transaction_items').where('id', line.id).del();
+    if (voucher) {
+      await trx('vouchers').where('id', voucher.id).del();
+    }
+    return voucher ? this._toVoucher(voucher) : null;
+  }
+
+  /**
+   * Redeems a voucher on a transaction being finished: books the MehrzweckgutscheinEinloesung line
+   * and lowers the balance. More than the balance is not redeemed; the caller caps the amount at
+   * what is due.
+   * @param {object} trx - Knex transaction
+   * @param {object} options
+   * @param {object} options.transaction
+   * @param {string} options.code
+   * @param {number} options.amount - Amount to pay with the voucher
+   * @param {number} options.userId
+   * @returns {Promise<{voucher: object, amount: number, balance_after: number, line: object}>}
+   */
+  async redeem(trx, { transaction, code, amount, userId }) {
+    const voucher = await trx('vouchers').where('code', this.normalizeCode(code)).first();
+    if (!voucher) {
+      throw new Error(`Voucher ${code} not found.`);
+    }
+    const { status, balance, expires_at: expiresAt, is_expired: isExpired } = this._toVoucher(voucher);
+    if (status === 'pending') {
+      throw new Error(`Voucher ${voucher.code} has not been paid yet.`);
+    }
+    if (isExpired) {
+      throw new Error(`Voucher ${voucher.code} expired on ${expiresAt}.`);
+    }
+    const value = roundAmount(Math.min(parseFloat(amount), balance));
+    if (!(value > 0)) {
+      throw new Error(`Voucher ${voucher.code} has no balance left.`);
+    }
+
+    const now = new Date().toISOString();
+    const [line] = await trx('active_transaction_items').insert({
+      active_transaction_id: transaction.id,
+      item_id: null,
+      quantity: 1,
+      unit_price: -value,
+      total_price: -value,
+      tax_rate: 0,
+      tax_amount: 0,
+      gv_typ: GV_TYP.MEHRZWECKGUTSCHEIN_EINLOESUNG,
+      voucher_id: voucher.id,
+      created_at: now,
+      updated_at: now
+    }).returning('*');
+
+    const balanceAfter = roundAmount(balance - value);
+    await trx('vouchers').where('id', voucher.id).update({
+      balance: balanceAfter,
+      status: balanceAfter === 0 ? 'redeemed' : 'active',
+      updated_at: now
+    });
+    await trx('voucher_redemptions').insert({
+      voucher_id: voucher.id,
+      active_transaction_id: transaction.id,
+      transaction_item_id: line.id,
+      amount: value,
+      balance_after: balanceAfter,
+      user_id: userId,
+      created_at: now
+    });
+    logger.info({ service: 'VoucherService', transactionId: transaction.id, voucherId: voucher.id, amount: value, balanceAfter }, 'Voucher redeemed');
+    return { voucher: this._toVoucher(voucher), amount: value, balance_after: balanceAfter, line };
+  }
+
+  /**
+   * Credits the vouchers that paid a receipt when it is returned: each voucher gets back up to what
+   * it paid on the receipt, less what earlier returns credited, in the order of the redemptions.
+   * The refund gets a positive, not taxable MehrzweckgutscheinEinloesung line per voucher and the
+   * redemption is reversed by a voucher_redemptions row with a negative amount.
+   * @param {object} trx - Knex transaction
+   * @param {object} options
+   * @param {object} options.original - Returned receipt
+   * @param {object} options.refund - Refund transaction (refund_of_transaction_id = original.id)
+   * @param {number} options.amount - Amount returned, at most this much is credited
+   * @param {number} options.userId
+   * @param {string} [options.notes] - Notes of the credit lines
+   * @returns {Promise<Array<{voucher: object, amount: number, balance_after: number, line: object}>>}
+   */
+  async creditRefund(trx, { original, refund, amount, userId, notes = null }) {
+    const redemptions = await trx('voucher_redemptions')
+      .where('active_transaction_id', original.id)
+      .orderBy('id', 'asc');
+    const credited = await trx('voucher_redemptions as vr')
+      .join('active_transactions as at', 'vr.active_transaction_id', 'at.id')
+      .where('at.refund_of_transaction_id', original.id)
+      .groupBy('vr.voucher_id')
+      .select('vr.voucher_id', db.raw('SUM(vr.amount) as amount'));
+    const creditedByVoucher = new Map(credited.map(c => [c.voucher_id, -parseFloat(c.amount)]));
+
+    const credits = [];
+    let left = roundAmount(amount);
+    for (const redemption of redemptions) {
+      const alreadyCredited = creditedByVoucher.get(redemption.voucher_id) || 0;
+      const open = roundAmount(parseFloat(redemption.amount) - alreadyCredited);
+      creditedByVoucher.set(redemption.voucher_id, Math.max(0, alreadyCredited - parseFloat(redemption.amount)));
+      const value = roundAmount(Math.min(open, left));
+      if (!(value > 0)) continue;
+
+      const voucher = await trx('vouchers').where('id', redemption.voucher_id).first();
+      const now = new Date().toISOString();
+      const [line] = await trx('active_transaction_items').insert({
+        active_transaction_id: refund.id,
+        item_id: null,
+        quantity: -1,
+        unit_price: -value,
+        total_price: value,
+        tax_rate: 0,
+        tax_amount: 0,
+        gv_typ: GV_TYP.MEHRZWECKGUTSCHEIN_EINLOESUNG,
+        voucher_id: voucher.id,
+        notes,
+        created_at: now,
+        updated_at: now
+      }).returning('*');
+
+      const balanceAfter = roundAmount(parseFloat(voucher.balance) + value);
+      await trx('vouchers').where('id', voucher.id).update({ balance: balanceAfter, status: 'active', updated_at: now });
+      await trx('voucher_redemptions').insert({
+        voucher_id: voucher.id,
+        active_transaction_id: refund.id,
+        transaction_item_id: line.id,
+        amount: -value,
+        balance_after: balanceAfter,
+        user_id: userId,
+        created_at: now
+      });
+      logger.info({ service: 'VoucherService', transactionId: refund.id, voucherId: voucher.id, amount: value, balanceAfter }, 'Voucher credited');
+      credits.push({ voucher: this._toVoucher(voucher), amount: value, balance_after: balanceAfter, line });
+      left = roundAmount(left - value);
+    }
+    return credits;
+  }
+
+  /**
+   * Activates the vouchers sold on a transaction once it is paid.
+   * @param {object} trx - Knex transaction
+   * @param {number} transactionId
+   * @returns {Promise<object[]>} The vouchers sold
+   */
+  async activateIssued(trx, transactionId) {
+    const now = new Date().toISOString();
+    await trx('vouchers')
+      .where({ issued_transaction_id: transactionId, status: 'pending' })
+      .update({ status: 'active', issued_at: now, updated_at: now });
+    const vouchers = await trx('vouchers').where('issued_transaction_id', transactionId).orderBy('id', 'asc');
+    return vouchers.map(voucher => this._toVoucher(voucher));
+  }
+
+  /**
+   * Vouchers sold and redeemed on a finished receipt, for printing it.
+   * @param {number} transactionId
+   * @param {object} [trx] - Knex transaction
+   * @returns {Promise<{issued: object[], redemptions: object[]}>}
+   */
+  async getReceiptVouchers(transactionId, trx = db) {
+    const issued = await trx('vouchers')
+      .where('issued_transaction_id', transactionId)
+      .whereNot('status', 'pending')
+      .orderBy('id', 'asc');
+    const redemptions = await trx('voucher_redemptions as vr')
+      .join('vouchers as v', 'vr.voucher_id', 'v.id')
+      .where('vr.active_transaction_id', transactionId)
+      .select('vr.*', 'v.code', 'v.expires_at')
+      .orderBy('vr.id', 'asc');
+    return {
+      issued: issued.map(voucher => this._toVoucher(voucher)),
+      redemptions: redemptions.map(redemption => ({
+        transaction_item_id: redemption.transaction_item_id,
+        code: redemption.code,
+        amount: parseFloat(redemption.amount),
+        balance_after: parseFloat(redemption.balance_after),
+        expires_at: toLocalDateString(redemption.expires_at)
+      }))
+    };
+  }
+
+  /**
+   * @param {string} code - As typed or scanned, case and separators do not matter
+   * @returns {string} The code as stored, e.g. 'AB3D-EF7H-JK9M'
+   */
+  normalizeCode(code) {
+    const characters = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return characters.match(new RegExp(`.{1,${CODE_GROUP_LENGTH}}`, 'g'))?.join('-') || '';
+  }
+
+  async _generateCode(trx) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const characters = Array.from({ length: CODE_GROUPS * CODE_GROUP_LENGTH },
+        () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+      const code = this.normalizeCode(characters);
+      if (!(await trx('vouchers').where('code', code).first())) {
+        return code;
+      }
+    }
+    throw new Error('Could not generate a unique voucher code.');
+  }
+
+  _toVoucher(voucher) {
+    const expiresAt = toLocalDateString(voucher.expires_at);
+    return {
+      id: voucher.id,
+      code: voucher.code,
+      initial_amount: parseFloat(voucher.initial_amount),
+      balance: parseFloat(voucher.balance),
+      status: voucher.status,
+      expires_at: expiresAt,
+      is_expired: expiresAt < toLocalDateString(new Date()),
+      issued_at: voucher.issued_at || null,
+      issued_transaction_id: voucher.issued_transaction_id
+    };
+  }
+}
+
+module.exports = new VoucherService();
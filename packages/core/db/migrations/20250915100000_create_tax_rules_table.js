@@ -0,0 +1,35 @@
+/**
+ * Migration to create the tax_rules table used by the TaxService.
+ * A rule assigns an internal tax rate (see dsfinvk_vat_mapping) to an item, a category
+ * or a category type, optionally restricted to a consumption context (in-house/takeaway)
+ * and a validity period.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('tax_rules', function(table) {
+    table.increments('id').primary();
+    table.integer('item_id').unsigned().nullable().references('id').inTable('items').onDelete('CASCADE');
+    table.integer('category_id').unsigned().nullable().references('id').inTable('categories').onDelete('CASCADE');
+    table.string('category_type').nullable(); // Fallback rules by categories.category_type ('food', 'drink')
+    table.enum('consumption_context', ['any', 'in_house', 'takeaway']).notNullable().defaultTo('any');
+    table.decimal('tax_rate', 5, 2).notNullable(); // Must exist in dsfinvk_vat_mapping.internal_tax_rate
+    table.date('valid_from').nullable();
+    table.date('valid_to').nullable();
+    table.string('description').nullable();
+    table.timestamps(true, true);
+
+    table.index(['item_id']);
+    table.index(['category_id']);
+    table.index(['category_type']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('tax_rules');
+};
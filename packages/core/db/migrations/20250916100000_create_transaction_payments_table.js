@@ -0,0 +1,32 @@
+/**
+ * Creates the transaction_payments table: one row per tender used to settle a transaction
+ * (split payments / mixed tender). active_transactions.payment_type and payment_amount are
+ * kept as a summary of all tenders.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('transaction_payments', (table) => {
+    table.increments('id').primary();
+    table.integer('active_transaction_id').unsigned().notNullable().references('id').inTable('active_transactions').onDelete('RESTRICT');
+    table.integer('position').notNullable(); // Order in which the tenders were given
+    table.string('payment_type').notNullable(); // e.g., 'Bar', 'Karte'
+    table.string('zahlart_typ').notNullable(); // DSFinV-K ZAHLART_TYP: 'Bar' or 'Unbar'
+    table.decimal('tendered_amount', 12, 2).notNullable(); // Amount handed over by the guest
+    table.decimal('amount', 12, 2).notNullable(); // Amount applied to the transaction (tendered - change)
+    table.decimal('change_amount', 12, 2).notNullable().defaultTo(0); // Change returned (cash only)
+    table.string('currency_code', 3).notNullable().defaultTo('EUR');
+    table.timestamps(true, true);
+
+    table.index('active_transaction_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('transaction_payments');
+};
@@ -0,0 +1,61 @@
+/**
+ * Creates the tables used by the TseService:
+ * - tse_devices: one row per TSE (provider + serial) with the persisted provider state and the
+ *   last transaction number / signature counter seen, which must only ever increase.
+ * - tse_transactions: TSE transactions with their start/finish signatures, mapped to the POS
+ *   transaction (transaction_uuid) they belong to.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('tse_devices', (table) => {
+      table.increments('id').primary();
+      table.string('provider').notNullable(); // 'simulator' or 'cloud'
+      table.string('tse_serial').notNullable().unique();
+      table.string('client_id').nullable();
+      table.timestamp('client_registered_at').nullable();
+      table.bigInteger('last_transaction_number').notNullable().defaultTo(0);
+      table.bigInteger('last_signature_counter').notNullable().defaultTo(0);
+      table.text('provider_state').nullable(); // JSON, e.g. the key of the simulator
+      table.timestamp('last_self_test_at').nullable();
+      table.boolean('last_self_test_success').nullable();
+      table.integer('dsfinvk_tse_id').unsigned().nullable().references('id').inTable('dsfinvk_tse').onDelete('SET NULL');
+      table.timestamps(true, true);
+
+      table.index('provider');
+    })
+    .createTable('tse_transactions', (table) => {
+      table.increments('id').primary();
+      table.integer('tse_device_id').unsigned().notNullable().references('id').inTable('tse_devices').onDelete('RESTRICT');
+      table.uuid('transaction_uuid').nullable(); // active_transactions.uuid, null for other processes (SonstigerVorgang)
+      table.string('event_type').notNullable(); // Fiscal event that started the TSE transaction
+      table.string('tx_id').notNullable(); // Provider-side transaction ID
+      table.bigInteger('transaction_number').notNullable();
+      table.string('state').notNullable(); // ACTIVE, FINISHED
+      table.integer('revision').notNullable().defaultTo(1);
+      table.string('process_type').nullable();
+      table.text('process_data').nullable();
+      table.timestamp('start_time').notNullable();
+      table.timestamp('finish_time').nullable();
+      table.bigInteger('start_signature_counter').notNullable();
+      table.bigInteger('finish_signature_counter').nullable();
+      table.text('start_signature').notNullable();
+      table.text('finish_signature').nullable();
+      table.timestamps(true, true);
+
+      table.index('transaction_uuid');
+      table.unique(['tse_device_id', 'transaction_number']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists('tse_transactions')
+    .dropTableIfExists('tse_devices');
+};
@@ -0,0 +1,28 @@
+/**
+ * Stores event type and user on pending fiscal operations, so operations queued during a
+ * TSE outage can be signed and committed later with their original context.
+ * New statuses: TSE_FAILED operations are queued for deferred signing, DOCUMENTED marks
+ * operations that could not be signed and were committed as unsigned with the outage documented.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('pending_fiscal_operations', (table) => {
+    table.string('event_type').nullable();
+    table.integer('user_id').unsigned().nullable();
+    table.boolean('tse_outage').notNullable().defaultTo(false); // Deferred because the TSE was unavailable
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('pending_fiscal_operations', (table) => {
+    table.dropColumn('event_type');
+    table.dropColumn('user_id');
+    table.dropColumn('tse_outage');
+  });
+};
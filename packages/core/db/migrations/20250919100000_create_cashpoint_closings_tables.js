@@ -0,0 +1,89 @@
+/**
+ * Creates the tables for the daily cash point closing (Kassenabschluss / Z closing):
+ * - cashpoint_closings: one row per closing with its sequential Z_NR and the overall totals,
+ * - cashpoint_closing_vat: totals per tax rate (DSFinV-K Z_Bonkopf_USt level),
+ * - cashpoint_closing_payments: totals per payment type (Z_Zahlart),
+ * - cashpoint_closing_business_cases: totals per business case and tax rate (Z_GV_Typ).
+ * Finished transactions are frozen by assigning them to a closing (active_transactions.closing_id).
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('cashpoint_closings', (table) => {
+      table.increments('id').primary();
+      table.integer('z_nr').notNullable().unique(); // DSFinV-K Z_NR, sequential per cash register
+      table.string('kasse_id').notNullable();
+      table.date('business_date').notNullable().unique();
+      table.timestamp('closed_at', { useTz: true }).notNullable();
+      table.integer('closed_by').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.integer('transaction_count').notNullable().defaultTo(0);
+      table.integer('cancelled_count').notNullable().defaultTo(0);
+      table.decimal('total_gross', 14, 2).notNullable().defaultTo(0);
+      table.decimal('total_net', 14, 5).notNullable().defaultTo(0);
+      table.decimal('total_tax', 14, 5).notNullable().defaultTo(0);
+      table.decimal('total_payments', 14, 2).notNullable().defaultTo(0); // Z_SE_ZAHLUNGEN
+      table.decimal('total_cash', 14, 2).notNullable().defaultTo(0); // Z_SE_BARZAHLUNGEN
+      table.timestamp('first_transaction_at', { useTz: true }).nullable();
+      table.timestamp('last_transaction_at', { useTz: true }).nullable();
+      table.integer('last_fiscal_log_id').nullable(); // Last fiscal_log entry covered by this closing
+      table.integer('pending_fiscal_operation_id').nullable(); // Set if the closing was signed deferred (TSE outage)
+      table.boolean('tse_failed').notNullable().defaultTo(false);
+      table.timestamps(true, true);
+    })
+    .createTable('cashpoint_closing_vat', (table) => {
+      table.increments('id').primary();
+      table.integer('closing_id').unsigned().notNullable().references('id').inTable('cashpoint_closings').onDelete('CASCADE');
+      table.integer('ust_schluessel').notNullable();
+      table.decimal('tax_rate', 5, 2).notNullable();
+      table.decimal('gross', 14, 5).notNullable().defaultTo(0);
+      table.decimal('net', 14, 5).notNullable().defaultTo(0);
+      table.decimal('tax', 14, 5).notNullable().defaultTo(0);
+
+      table.index('closing_id');
+    })
+    .createTable('cashpoint_closing_payments', (table) => {
+      table.increments('id').primary();
+      table.integer('closing_id').unsigned().notNullable().references('id').inTable('cashpoint_closings').onDelete('CASCADE');
+      table.string('payment_type').notNullable(); // ZAHLART_NAME, e.g. 'Bar', 'Karte'
+      table.string('zahlart_typ').notNullable(); // ZAHLART_TYP: 'Bar' or 'Unbar'
+      table.string('currency_code', 3).notNullable().defaultTo('EUR');
+      table.decimal('amount', 14, 2).notNullable().defaultTo(0);
+
+      table.index('closing_id');
+    })
+    .createTable('cashpoint_closing_business_cases', (table) => {
+      table.increments('id').primary();
+      table.integer('closing_id').unsigned().notNullable().references('id').inTable('cashpoint_closings').onDelete('CASCADE');
+      table.string('gv_typ').notNullable(); // DSFinV-K GV_TYP, e.g. 'Umsatz'
+      table.integer('ust_schluessel').notNullable();
+      table.decimal('tax_rate', 5, 2).notNullable();
+      table.decimal('gross', 14, 5).notNullable().defaultTo(0);
+      table.decimal('net', 14, 5).notNullable().defaultTo(0);
+      table.decimal('tax', 14, 5).notNullable().defaultTo(0);
+
+      table.index('closing_id');
+    })
+    .alterTable('active_transactions', (table) => {
+      table.integer('closing_id').unsigned().nullable().references('id').inTable('cashpoint_closings').onDelete('RESTRICT');
+      table.index('closing_id');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('active_transactions', (table) => {
+      table.dropIndex('closing_id');
+      table.dropForeign('closing_id');
+      table.dropColumn('closing_id');
+    })
+    .dropTableIfExists('cashpoint_closing_business_cases')
+    .dropTableIfExists('cashpoint_closing_payments')
+    .dropTableIfExists('cashpoint_closing_vat')
+    .dropTableIfExists('cashpoint_closings');
+};
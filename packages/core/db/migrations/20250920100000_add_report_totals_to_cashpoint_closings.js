@@ -0,0 +1,28 @@
+/**
+ * Adds the figures printed on the Z-report that are not part of the DSFinV-K totals:
+ * parked orders carried over, storno totals from storno_log and the counted cash drawer amount.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('cashpoint_closings', (table) => {
+    table.integer('parked_count').notNullable().defaultTo(0); // Parked orders carried over to the next business day
+    table.integer('storno_count').notNullable().defaultTo(0);
+    table.decimal('storno_total', 14, 2).notNullable().defaultTo(0);
+    table.decimal('cash_counted', 14, 2).nullable(); // Counted cash drawer amount, null if not counted
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('cashpoint_closings', (table) => {
+    table.dropColumn('parked_count');
+    table.dropColumn('storno_count');
+    table.dropColumn('storno_total');
+    table.dropColumn('cash_counted');
+  });
+};
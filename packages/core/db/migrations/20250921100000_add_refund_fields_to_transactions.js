@@ -0,0 +1,44 @@
+/**
+ * Adds return (refund) transactions: a refund is a finished transaction of its own with negative
+ * lines that references the original receipt (BON_ID) and the original lines it takes back.
+ * - active_transactions.transaction_type: 'sale' or 'refund'
+ * - active_transactions.refund_of_transaction_id: original receipt of a refund
+ * - active_transactions.refund_type: 'full' (storno of the whole receipt, BON_STORNO = 1) or 'partial'
+ * - active_transaction_items.refunded_transaction_item_id: original line of a refund line
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('active_transactions', (table) => {
+      table.string('transaction_type').notNullable().defaultTo('sale');
+      table.integer('refund_of_transaction_id').unsigned().nullable().references('id').inTable('active_transactions').onDelete('RESTRICT');
+      table.string('refund_type').nullable();
+      table.index('refund_of_transaction_id');
+    })
+    .alterTable('active_transaction_items', (table) => {
+      table.integer('refunded_transaction_item_id').unsigned().nullable().references('id').inTable('active_transaction_items').onDelete('RESTRICT');
+      table.index('refunded_transaction_item_id');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('active_transaction_items', (table) => {
+      table.dropIndex('refunded_transaction_item_id');
+      table.dropForeign('refunded_transaction_item_id');
+      table.dropColumn('refunded_transaction_item_id');
+    })
+    .alterTable('active_transactions', (table) => {
+      table.dropIndex('refund_of_transaction_id');
+      table.dropForeign('refund_of_transaction_id');
+      table.dropColumn('refund_of_transaction_id');
+      table.dropColumn('transaction_type');
+      table.dropColumn('refund_type');
+    });
+};
@@ -0,0 +1,45 @@
+/**
+ * Master data needed for the complete DSFinV-K export:
+ * - dsfinvk_locations.loc_stnr: tax number of the operator (STNR in Stamm_Abschluss),
+ * - dsfinvk_agencies: principals of agency sales (Stamm_Agenturen, pa.csv),
+ * - items.dsfinvk_agency_id: items sold on behalf of an agency (AGENTUR_ID in Bonpos).
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('dsfinvk_locations', (table) => {
+      table.string('loc_stnr').nullable();
+    })
+    .createTable('dsfinvk_agencies', (table) => {
+      table.increments('id').primary(); // DSFinV-K AGENTUR_ID
+      table.string('agentur_name').notNullable();
+      table.string('agentur_strasse').notNullable();
+      table.string('agentur_plz').notNullable();
+      table.string('agentur_ort').notNullable();
+      table.string('agentur_land', 3).notNullable().defaultTo('DEU');
+      table.string('agentur_stnr').nullable();
+      table.string('agentur_ustid').nullable();
+      table.timestamps(true, true);
+    })
+    .alterTable('items', (table) => {
+      table.integer('dsfinvk_agency_id').unsigned().nullable().references('id').inTable('dsfinvk_agencies').onDelete('SET NULL');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('items', (table) => {
+      table.dropForeign('dsfinvk_agency_id');
+      table.dropColumn('dsfinvk_agency_id');
+    })
+    .dropTableIfExists('dsfinvk_agencies')
+    .alterTable('dsfinvk_locations', (table) => {
+      table.dropColumn('loc_stnr');
+    });
+};
@@ -0,0 +1,22 @@
+/**
+ * Stores the self-check report of a DSFinV-K export (schema, references and totals) with its job,
+ * so it can be shown before the export is downloaded.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('export_jobs', (table) => {
+    table.json('validation_report').nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('export_jobs', (table) => {
+    table.dropColumn('validation_report');
+  });
+};
@@ -0,0 +1,23 @@
+/**
+ * Progress of a running export job, written while the files are generated, validated and packaged.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('export_jobs', (table) => {
+    table.integer('progress').notNullable().defaultTo(0); // Percent
+    table.string('progress_step').nullable(); // File or phase being worked on, e.g. 'lines.csv'
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('export_jobs', (table) => {
+    table.dropColumn('progress_step');
+    table.dropColumn('progress');
+  });
+};
@@ -0,0 +1,38 @@
+/**
+ * Kitchen and bar order tickets (Bonierung):
+ * - categories.printer_role: printer role the items of the category are sent to (e.g. 'kitchen', 'bar'),
+ *   categories without a role are not sent,
+ * - active_transaction_items.course: course (Gang) the line is served with,
+ * - active_transaction_items.kitchen_sent_quantity / kitchen_sent_at: quantity already printed on a
+ *   ticket, so a line is not sent twice and later changes are printed as delta or cancel slips.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable('categories', (table) => {
+      table.string('printer_role').nullable();
+    })
+    .alterTable('active_transaction_items', (table) => {
+      table.integer('course').nullable();
+      table.decimal('kitchen_sent_quantity', 10, 3).notNullable().defaultTo(0);
+      table.timestamp('kitchen_sent_at').nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('active_transaction_items', (table) => {
+      table.dropColumn('kitchen_sent_at');
+      table.dropColumn('kitchen_sent_quantity');
+      table.dropColumn('course');
+    })
+    .alterTable('categories', (table) => {
+      table.dropColumn('printer_role');
+    });
+};
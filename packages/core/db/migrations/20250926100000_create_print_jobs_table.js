@@ -0,0 +1,38 @@
+/**
+ * Persistent print queue (see PrintQueueService). A job holds the document data rather than the
+ * printer commands, so it can be rendered again by the driver of another printer when redirected.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('print_jobs', (table) => {
+    table.increments('id').primary();
+    table.string('document_type').notNullable(); // receipt, kitchen_ticket
+    table.string('title').nullable(); // Shown to the staff, e.g. "Beleg №42"
+    table.string('printer_role').notNullable();
+    table.string('target_printer_id').nullable(); // Redirected by the staff to this printer
+    table.string('printer_id').nullable(); // Printer the job was printed on
+    table.jsonb('payload').notNullable();
+    table.boolean('is_copy').notNullable().defaultTo(false);
+    table.integer('active_transaction_id').unsigned().nullable().references('id').inTable('active_transactions').onDelete('SET NULL');
+    table.integer('user_id').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+    table.string('status').notNullable().defaultTo('queued'); // queued, sending, done, failed
+    table.integer('attempts').notNullable().defaultTo(0);
+    table.timestamp('next_attempt_at').nullable();
+    table.text('last_error').nullable();
+    table.timestamp('printed_at').nullable();
+    table.timestamps(true, true);
+
+    table.index(['status', 'next_attempt_at']);
+    table.index('active_transaction_id');
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('print_jobs');
+};
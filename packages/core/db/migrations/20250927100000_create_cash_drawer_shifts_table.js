@@ -0,0 +1,62 @@
+/**
+ * Cash drawer shifts and cash movements (see CashDrawerService).
+ * - cash_drawer_shifts: a shift starts with the count of the opening float and ends with a blind
+ *   count; both counts are stored by denomination (cents => number of coins/notes).
+ * - Cash movements (Anfangsbestand, Privatentnahme, Privateinlage, Geldtransit, TrinkgeldAN,
+ *   DifferenzSollIst) are receipts of their own (transaction_type 'cash_movement') with one line
+ *   without an item, so active_transaction_items.item_id becomes nullable.
+ * - active_transaction_items.gv_typ: DSFinV-K business case of a line, 'Umsatz' for sales
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('cash_drawer_shifts', (table) => {
+      table.increments('id').primary();
+      table.string('status').notNullable().defaultTo('open'); // open, closed
+      table.date('business_date').notNullable();
+      table.integer('opened_by').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('opened_at').notNullable();
+      table.decimal('opening_count', 14, 2).notNullable(); // Counted opening float
+      table.jsonb('opening_denominations').notNullable();
+      table.decimal('opening_expected', 14, 2).notNullable(); // Cash in the drawer by the books before the count
+      table.integer('opening_transaction_id').unsigned().nullable().references('id').inTable('active_transactions').onDelete('RESTRICT');
+      table.integer('closed_by').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('closed_at').nullable();
+      table.decimal('expected_cash', 14, 2).nullable();
+      table.decimal('counted_cash', 14, 2).nullable();
+      table.jsonb('counted_denominations').nullable();
+      table.decimal('cash_difference', 14, 2).nullable();
+      table.integer('difference_transaction_id').unsigned().nullable().references('id').inTable('active_transactions').onDelete('RESTRICT');
+      table.timestamps(true, true);
+
+      table.index('status');
+    })
+    .alterTable('active_transactions', (table) => {
+      table.integer('cash_drawer_shift_id').unsigned().nullable().references('id').inTable('cash_drawer_shifts').onDelete('RESTRICT');
+      table.index('cash_drawer_shift_id');
+    })
+    .alterTable('active_transaction_items', (table) => {
+      table.integer('item_id').unsigned().nullable().alter();
+      table.string('gv_typ').notNullable().defaultTo('Umsatz');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('active_transaction_items', (table) => {
+      table.dropColumn('gv_typ');
+      table.integer('item_id').unsigned().notNullable().alter();
+    })
+    .alterTable('active_transactions', (table) => {
+      table.dropIndex('cash_drawer_shift_id');
+      table.dropForeign('cash_drawer_shift_id');
+      table.dropColumn('cash_drawer_shift_id');
+    })
+    .dropTableIfExists('cash_drawer_shifts');
+};
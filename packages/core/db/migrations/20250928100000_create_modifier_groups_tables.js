@@ -0,0 +1,69 @@
+/**
+ * Modifier groups (extras, sides, "ohne Zwiebeln") and the modifier lines of a transaction:
+ * - modifier_groups: min/max selections; a group with min_selections > 0 is a forced choice
+ *   (e.g. "Beilage wählen"), max_selections null means any number,
+ * - modifier_options: options of a group with their price (0 for free options), optionally linked
+ *   to an item; is_default options are selected when an item is added without a selection,
+ * - modifier_group_assignments: groups offered for an item or for all items of a category,
+ * - active_transaction_items.modifier_option_id / modifier_name / modifier_quantity: a selected
+ *   option is a child line (parent_transaction_item_id) of the item it modifies, with the name of
+ *   the option at the time of sale and the number selected per unit of the parent line.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('modifier_groups', (table) => {
+      table.increments('id').primary();
+      table.jsonb('group_names').notNullable(); // { de, en }
+      table.integer('min_selections').notNullable().defaultTo(0);
+      table.integer('max_selections').nullable();
+      table.integer('sort_order').notNullable().defaultTo(0);
+      table.timestamps(true, true);
+    })
+    .createTable('modifier_options', (table) => {
+      table.increments('id').primary();
+      table.integer('modifier_group_id').unsigned().notNullable().references('id').inTable('modifier_groups').onDelete('CASCADE');
+      table.jsonb('option_names').notNullable(); // { de, en }
+      table.decimal('price_delta', 10, 2).notNullable().defaultTo(0);
+      table.integer('item_id').unsigned().nullable().references('id').inTable('items').onDelete('SET NULL');
+      table.boolean('is_default').notNullable().defaultTo(false);
+      table.integer('sort_order').notNullable().defaultTo(0);
+      table.timestamps(true, true);
+
+      table.index('modifier_group_id');
+    })
+    .createTable('modifier_group_assignments', (table) => {
+      table.increments('id').primary();
+      table.integer('modifier_group_id').unsigned().notNullable().references('id').inTable('modifier_groups').onDelete('CASCADE');
+      table.integer('item_id').unsigned().nullable().references('id').inTable('items').onDelete('CASCADE');
+      table.integer('category_id').unsigned().nullable().references('id').inTable('categories').onDelete('CASCADE');
+      table.integer('sort_order').notNullable().defaultTo(0);
+
+      table.index('item_id');
+      table.index('category_id');
+    })
+    .alterTable('active_transaction_items', (table) => {
+      table.integer('modifier_option_id').unsigned().nullable().references('id').inTable('modifier_options').onDelete('SET NULL');
+      table.string('modifier_name').nullable();
+      table.decimal('modifier_quantity', 10, 3).nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('active_transaction_items', (table) => {
+      table.dropForeign('modifier_option_id');
+      table.dropColumn('modifier_quantity');
+      table.dropColumn('modifier_name');
+      table.dropColumn('modifier_option_id');
+    })
+    .dropTableIfExists('modifier_group_assignments')
+    .dropTableIfExists('modifier_options')
+    .dropTableIfExists('modifier_groups');
+};
@@ -0,0 +1,23 @@
+/**
+ * Time based prices (happy hour, lunch menu):
+ * - active_transaction_items.price_rule: label of the pricing schedule of the item that produced the
+ *   unit price at the time of sale (see ScheduleService), null for the base price; printed with the line.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.alterTable('active_transaction_items', (table) => {
+    table.string('price_rule').nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.alterTable('active_transaction_items', (table) => {
+    table.dropColumn('price_rule');
+  });
+};
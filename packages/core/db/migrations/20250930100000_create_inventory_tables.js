@@ -0,0 +1,66 @@
+/**
+ * Inventory (Warenwirtschaft) with recipe based depletion:
+ * - stock_items: goods in stock with their unit ('kg', 'l', 'Stk', ...), the quantity on hand and
+ *   the threshold below which the staff is warned,
+ * - item_recipes: quantity of each stock item used per unit sold of an item,
+ * - stock_movements: every change of a stock quantity (sale, return, goods receipt, count) with the
+ *   quantity after it; counts keep the expected and the counted quantity, the variance is the change,
+ * - items.disable_when_out_of_stock: the item is not sellable while a stock item of its recipe is used up.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('stock_items', (table) => {
+      table.increments('id').primary();
+      table.string('name').notNullable();
+      table.string('unit').notNullable().defaultTo('Stk');
+      table.decimal('quantity', 14, 3).notNullable().defaultTo(0);
+      table.decimal('low_stock_threshold', 14, 3).nullable();
+      table.timestamps(true, true);
+    })
+    .createTable('item_recipes', (table) => {
+      table.increments('id').primary();
+      table.integer('item_id').unsigned().notNullable().references('id').inTable('items').onDelete('CASCADE');
+      table.integer('stock_item_id').unsigned().notNullable().references('id').inTable('stock_items').onDelete('CASCADE');
+      table.decimal('quantity', 14, 3).notNullable();
+
+      table.unique(['item_id', 'stock_item_id']);
+      table.index('stock_item_id');
+    })
+    .createTable('stock_movements', (table) => {
+      table.increments('id').primary();
+      table.integer('stock_item_id').unsigned().notNullable().references('id').inTable('stock_items').onDelete('CASCADE');
+      table.string('movement_type').notNullable(); // 'sale', 'return', 'goods_receipt', 'count'
+      table.decimal('quantity', 14, 3).notNullable(); // change, negative when stock is used
+      table.decimal('quantity_after', 14, 3).notNullable();
+      table.decimal('expected_quantity', 14, 3).nullable(); // counts only
+      table.decimal('counted_quantity', 14, 3).nullable(); // counts only
+      table.integer('active_transaction_id').unsigned().nullable().references('id').inTable('active_transactions').onDelete('SET NULL');
+      table.string('reference').nullable(); // e.g. supplier and delivery note number
+      table.text('note').nullable();
+      table.integer('user_id').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index('stock_item_id');
+      table.index('active_transaction_id');
+    })
+    .alterTable('items', (table) => {
+      table.boolean('disable_when_out_of_stock').notNullable().defaultTo(false);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('items', (table) => {
+      table.dropColumn('disable_when_out_of_stock');
+    })
+    .dropTableIfExists('stock_movements')
+    .dropTableIfExists('item_recipes')
+    .dropTableIfExists('stock_items');
+};
@@ -0,0 +1,64 @@
+/**
+ * Discounts and promotions (see DiscountService):
+ * - promotions: automatic rules, '2 für 1' (buy_x_pay_y), combos at a fixed price and a percentage
+ *   off the items of categories; config holds the rule, schedule the optional time restrictions
+ *   (valid_days, start_time, end_time, valid_from, valid_to, branch_ids as in ScheduleService),
+ * - transaction_discounts: discounts given by the staff with their reason, on a line
+ *   (transaction_item_id) or on the whole receipt (null), as percentage, fixed amount or staff meal,
+ * - active_transaction_items.discount_name / discount_reason / transaction_discount_id / promotion_id:
+ *   a discount is a DISCOUNT child line (GV_TYP 'Rabatt') of the line it reduces, at its tax rate;
+ *   a receipt discount has a line for each line of the receipt.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('promotions', (table) => {
+      table.increments('id').primary();
+      table.string('name').notNullable();
+      table.string('promotion_type').notNullable(); // 'buy_x_pay_y', 'combo', 'category_percent'
+      table.jsonb('config').notNullable();
+      table.jsonb('schedule').nullable();
+      table.boolean('is_active').notNullable().defaultTo(true);
+      table.integer('priority').notNullable().defaultTo(0);
+      table.timestamps(true, true);
+    })
+    .createTable('transaction_discounts', (table) => {
+      table.increments('id').primary();
+      table.integer('active_transaction_id').unsigned().notNullable().references('id').inTable('active_transactions').onDelete('CASCADE');
+      table.integer('transaction_item_id').unsigned().nullable().references('id').inTable('active_transaction_items').onDelete('CASCADE');
+      table.string('discount_type').notNullable(); // 'percent', 'amount', 'staff_meal'
+      table.decimal('value', 10, 2).notNullable(); // percent or amount
+      table.string('name').notNullable();
+      table.string('reason').notNullable();
+      table.integer('user_id').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index('active_transaction_id');
+    })
+    .alterTable('active_transaction_items', (table) => {
+      table.string('discount_name').nullable();
+      table.string('discount_reason').nullable();
+      table.integer('transaction_discount_id').unsigned().nullable().references('id').inTable('transaction_discounts').onDelete('SET NULL');
+      table.integer('promotion_id').unsigned().nullable().references('id').inTable('promotions').onDelete('SET NULL');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('active_transaction_items', (table) => {
+      table.dropForeign('promotion_id');
+      table.dropForeign('transaction_discount_id');
+      table.dropColumn('promotion_id');
+      table.dropColumn('transaction_discount_id');
+      table.dropColumn('discount_reason');
+      table.dropColumn('discount_name');
+    })
+    .dropTableIfExists('transaction_discounts')
+    .dropTableIfExists('promotions');
+};
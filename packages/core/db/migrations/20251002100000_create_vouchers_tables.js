@@ -0,0 +1,58 @@
+/**
+ * Multi-purpose vouchers (Mehrzweckgutscheine, see VoucherService):
+ * - vouchers: a unique code with the amount sold, the balance left and the expiry date; 'pending' while
+ *   the receipt selling it is open, 'active' once paid and 'redeemed' when the balance is used up,
+ * - voucher_redemptions: every (partial) redemption with the balance after it,
+ * - active_transaction_items.voucher_id: the voucher a line sells (GV_TYP MehrzweckgutscheinKauf)
+ *   or redeems (GV_TYP MehrzweckgutscheinEinloesung).
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('vouchers', (table) => {
+      table.increments('id').primary();
+      table.string('code').notNullable().unique();
+      table.decimal('initial_amount', 10, 2).notNullable();
+      table.decimal('balance', 10, 2).notNullable();
+      table.string('status').notNullable().defaultTo('pending'); // 'pending', 'active', 'redeemed'
+      table.date('expires_at').notNullable();
+      table.timestamp('issued_at').nullable();
+      table.integer('issued_transaction_id').unsigned().nullable().references('id').inTable('active_transactions').onDelete('SET NULL');
+      table.integer('user_id').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamps(true, true);
+
+      table.index('issued_transaction_id');
+    })
+    .createTable('voucher_redemptions', (table) => {
+      table.increments('id').primary();
+      table.integer('voucher_id').unsigned().notNullable().references('id').inTable('vouchers').onDelete('CASCADE');
+      table.integer('active_transaction_id').unsigned().nullable().references('id').inTable('active_transactions').onDelete('SET NULL');
+      table.integer('transaction_item_id').unsigned().nullable().references('id').inTable('active_transaction_items').onDelete('SET NULL');
+      table.decimal('amount', 10, 2).notNullable();
+      table.decimal('balance_after', 10, 2).notNullable();
+      table.integer('user_id').unsigned().nullable().references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index('voucher_id');
+      table.index('active_transaction_id');
+    })
+    .alterTable('active_transaction_items', (table) => {
+      table.integer('voucher_id').unsigned().nullable().references('id').inTable('vouchers').onDelete('SET NULL');
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema
+    .alterTable('active_transaction_items', (table) => {
+      table.dropForeign(['voucher_id']);
+      table.dropColumn('voucher_id');
+    })
+    .dropTableIfExists('voucher_redemptions')
+    .dropTableIfExists('vouchers');
+};
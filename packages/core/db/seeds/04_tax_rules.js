@@ -0,0 +1,25 @@
+// Rules are only added when missing (same scope, context and valid_from), so a rerun of the seeds
+// keeps the rules the operator maintains
+const TAX_RULES = [
+  { category_type: 'drink', consumption_context: 'any', tax_rate: 19.00, valid_from: null, valid_to: null, description: 'Getränke (Regelsteuersatz)' },
+  { category_type: 'food', consumption_context: 'takeaway', tax_rate: 7.00, valid_from: null, valid_to: null, description: 'Speisen außer Haus' },
+  { category_type: 'food', consumption_context: 'in_house', tax_rate: 5.00, valid_from: '2020-07-01', valid_to: '2020-12-31', description: 'Speisen im Haus (befristet ermäßigt)' },
+  { category_type: 'food', consumption_context: 'in_house', tax_rate: 7.00, valid_from: '2021-01-01', valid_to: '2023-12-31', description: 'Speisen im Haus (befristet ermäßigt)' },
+  { category_type: 'food', consumption_context: 'in_house', tax_rate: 19.00, valid_from: '2024-01-01', valid_to: '2025-12-31', description: 'Speisen im Haus' },
+  { category_type: 'food', consumption_context: 'in_house', tax_rate: 7.00, valid_from: '2026-01-01', valid_to: null, description: 'Speisen im Haus (ermäßigt)' }
+];
+
+exports.seed = async function(knex) {
+  for (const rule of TAX_RULES) {
+    const existing = await knex('tax_rules')
+      .where({ category_type: rule.category_type, consumption_context: rule.consumption_context })
+      .where(function() {
+        if (rule.valid_from) this.where('valid_from', rule.valid_from);
+        else this.whereNull('valid_from');
+      })
+      .first();
+    if (!existing) {
+      await knex('tax_rules').insert(rule);
+    }
+  }
+};
@@ -23,6 +23,19 @@ const hieroService = require('./application/hiero.service');
 const systemService = require('./application/system.service');
 const categoryService = require('./application/category.service');
 const dsfinvkService = require('./application/dsfinvk.service');
+const taxService = require('./application/tax.service');
+const tseService = require('./application/tse.service');
+const tseOutageService = require('./application/tse_outage.service');
+const logIntegrityService = require('./application/log_integrity.service');
+const closingService = require('./application/closing.service');
+const refundService = require('./application/refund.service');
+const kitchenTicketService = require('./application/kitchen_ticket.service');
+const printQueueService = require('./application/print_queue.service');
+const cashDrawerService = require('./application/cash_drawer.service');
+const scheduleService = require('./application/schedule.service');
+const inventoryService = require('./application/inventory.service');
+const discountService = require('./application/discount.service');
+const voucherService = require('./application/voucher.service');
 
 // LLM services
 const llmProvider = require('./application/llm.provider');
@@ -52,6 +65,19 @@ module.exports = {
     system: systemService,
     category: categoryService,
     dsfinvk: dsfinvkService,
+    tax: taxService,
+    tse: tseService,
+    tseOutage: tseOutageService,
+    logIntegrity: logIntegrityService,
+    closing: closingService,
+    refund: refundService,
+    kitchenTicket: kitchenTicketService,
+    printQueue: printQueueService,
+    cashDrawer: cashDrawerService,
+    schedule: scheduleService,
+    inventory: inventoryService,
+    discount: discountService,
+    voucher: voucherService,
     llm: llmService,
   },
   
@@ -87,6 +113,19 @@ module.exports = {
   systemService,
   categoryService,
   dsfinvkService,
+  taxService,
+  tseService,
+  tseOutageService,
+  logIntegrityService,
+  closingService,
+  refundService,
+  kitchenTicketService,
+  printQueueService,
+  cashDrawerService,
+  scheduleService,
+  inventoryService,
+  discountService,
+  voucherService,
   llmProvider,
   llmService,
   dbInit,
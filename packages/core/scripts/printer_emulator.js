@@ -0,0 +1,307 @@
+/**
+ * Virtual ESC/POS network printer for development and automated tests. Listens like a LAN receipt
+ * printer on a RAW port, answers the status (DLE EOT, ESC v) and identification (GS I) queries of
+ * the drivers and stores every print job on disk, with a text rendering next to it
+ * (utils/printers/escpos_renderer.js). Paper-out, cover-open and offline can be simulated, so the
+ * auto-configuration (PrinterService.startAutoConfiguration) and the print queue can be run end to
+ * end without a printer.
+ *
+ * Usage:
+ *   node packages/core/scripts/printer_emulator.js
+ *   node packages/core/scripts/test_printers.js 127.0.0.0/30 9100
+ *
+ *   While running, type a state on stdin to switch to it: online, paper_out, cover_open, offline.
+ *   Jobs received while out of paper or with the cover open are held and stored once back online,
+ *   like a printer printing its buffer after the paper was changed. Offline closes the port.
+ *
+ * Environment:
+ *   PRINTER_EMULATOR_PORT          RAW port to listen on (default 9100)
+ *   PRINTER_EMULATOR_HOST          Address to listen on (default 127.0.0.1)
+ *   PRINTER_EMULATOR_JOBS_DIR      Directory for the print jobs (default packages/core/db/printer_emulator_jobs)
+ *   PRINTER_EMULATOR_MANUFACTURER  Manufacturer reported on identification (default HPRT)
+ *   PRINTER_EMULATOR_MODEL         Model reported on identification (default TP80K)
+ *   PRINTER_EMULATOR_STATE         State to start in (default online)
+ *   PRINTER_EMULATOR_PAPER_WIDTH   Paper width in mm of the text rendering, 58 or 80 (default 80)
+ */
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const escposRenderer = require('../utils/printers/escpos_renderer');
+
+const STATES = ['online', 'paper_out', 'cover_open', 'offline'];
+const DLE = 0x10;
+const EOT = 0x04;
+const ESC = 0x1B;
+const GS = 0x1D;
+
+/**
+ * Status bytes as sent by Epson compatible printers; bit 1 and bit 4 are always set.
+ */
+function statusByte(n, state) {
+  const paperOut = state === 'paper_out';
+  const coverOpen = state === 'cover_open';
+  switch (n) {
+    case 1: // Printer status: bit 3 offline
+      return 0x12 | (paperOut || coverOpen ? 0x08 : 0);
+    case 2: // Offline cause: bit 2 cover open, bit 5 printing stopped by paper end
+      return 0x12 | (coverOpen ? 0x04 : 0) | (paperOut ? 0x20 : 0);
+    case 3: // Error cause: no cutter or unrecoverable errors are simulated
+      return 0x12;
+    case 4: // Roll paper sensor: bits 5 and 6 paper end
+      return 0x12 | (paperOut ? 0x60 : 0);
+    default:
+      return 0x12;
+  }
+}
+
+/**
+ * Answer to GS I n. The drivers identify a printer by the manufacturer name in the answer to GS I 1
+ * (see system_tools.getPrinterIdentity), so it is answered with the name instead of a model ID byte.
+ */
+function identityReply(n, { manufacturer, model, serialNumber }) {
+  const text = (value) => Buffer.from(`_${value}\0`, 'ascii');
+  switch (n) {
+    case 1:
+    case 49:
+      return Buffer.from(`${manufacturer} ${model}\0`, 'ascii');
+    case 2:
+    case 50:
+      return Buffer.from([0x02]); // Type: auto cutter
+    case 3:
+    case 51:
+      return Buffer.from([0x10]); // ROM version
+    case 65:
+      return text('1.00');
+    case 66:
+      return text(manufacturer);
+    case 67:
+      return text(model);
+    case 68:
+      return text(serialNumber);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Splits the bytes received into print data and the queries to answer. Queries are matched byte by
+ * byte, so image data containing the same bytes is taken for a query too; the drivers' documents
+ * do not contain such images. A query cut off at the end of the chunk is kept for the next one.
+ * @returns {{data: Buffer, replies: Buffer[], rest: Buffer}}
+ */
+function splitQueries(buffer, state, identity) {
+  const data = [];
+  const replies = [];
+  let i = 0;
+  while (i < buffer.length) {
+    const byte = buffer[i];
+    const isQueryStart = byte === DLE || byte === GS || byte === ESC;
+    if (isQueryStart && i + 1 >= buffer.length) break;
+
+    if (byte === DLE && buffer[i + 1] === EOT) {
+      if (i + 2 >= buffer.length) break;
+      replies.push(Buffer.from([statusByte(buffer[i + 2], state)]));
+      i += 3;
+    } else if (byte === GS && buffer[i + 1] === 0x49) { // GS I n
+      if (i + 2 >= buffer.length) break;
+      const reply = identityReply(buffer[i + 2], identity);
+      if (reply) replies.push(reply);
+      i += 3;
+    } else if (byte === ESC && buffer[i + 1] === 0x76) { // ESC v, paper sensor status of HPRT
+      replies.push(Buffer.from([state === 'paper_out' ? 0x0C : 0x00]));
+      i += 2;
+    } else {
+      data.push(byte);
+      i += 1;
+    }
+  }
+  return { data: Buffer.from(data), replies, rest: buffer.subarray(i) };
+}
+
+/**
+ * Creates the emulator (not yet listening).
+ * @param {object} [options]
+ * @param {string} [options.jobsDir] - Directory the print jobs are stored in
+ * @param {string} [options.manufacturer]
+ * @param {string} [options.model]
+ * @param {string} [options.serialNumber]
+ * @param {string} [options.state] - One of STATES
+ * @param {number} [options.paperWidth] - Paper width in mm of the text rendering
+ * @returns {object} Emulator with listen, close, setState, getState and the jobs stored
+ */
+function createPrinterEmulator({
+  jobsDir = path.resolve(__dirname, '../db/printer_emulator_jobs'),
+  manufacturer = 'HPRT',
+  model = 'TP80K',
+  serialNumber = 'EMU0000001',
+  state = 'online',
+  paperWidth = 80
+} = {}) {
+  if (!STATES.includes(state)) {
+    throw new Error(`Unknown printer state '${state}', expected one of ${STATES.join(', ')}`);
+  }
+  fs.mkdirSync(jobsDir, { recursive: true });
+
+  const identity = { manufacturer, model, serialNumber };
+  const sockets = new Set();
+  const heldJobs = [];
+  const jobs = [];
+  let currentState = state;
+  let address = null;
+  let jobCounter = 0;
+
+  const storeJob = (data, receivedAt) => {
+    jobCounter += 1;
+    const name = `${receivedAt.toISOString().replace(/[:.]/g, '-')}_${String(jobCounter).padStart(4, '0')}`;
+    const binFile = path.join(jobsDir, `${name}.bin`);
+    fs.writeFileSync(binFile, data);
+
+    let textFile = null;
+    try {
+      const preview = escposRenderer.renderPreview(data, { paperWidth, formats: ['text'] });
+      textFile = path.join(jobsDir, `${name}.txt`);
+      fs.writeFileSync(textFile, preview.text);
+    } catch (error) {
+      console.warn(`[PrinterEmulator] Could not render job ${name}: ${error.message}`);
+    }
+
+    const job = { name, bytes: data.length, file: binFile, text_file: textFile, received_at: receivedAt.toISOString() };
+    jobs.push(job);
+    console.log(`[PrinterEmulator] Stored print job ${name} (${data.length} bytes)`);
+    return job;
+  };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    const chunks = [];
+    let pending = Buffer.alloc(0);
+    const receivedAt = new Date();
+    // Print data is printed (or held) in the state the printer was in when receiving it
+    let held = false;
+
+    socket.on('data', (chunk) => {
+      const { data, replies, rest } = splitQueries(Buffer.concat([pending, chunk]), currentState, identity);
+      pending = rest;
+      if (data.length > 0) {
+        if (chunks.length === 0) held = currentState !== 'online';
+        chunks.push(data);
+      }
+      for (const reply of replies) {
+        socket.write(reply);
+      }
+    });
+
+    // The printer service closes the connection after sending, a job ends with its connection
+    socket.on('close', () => {
+      sockets.delete(socket);
+      const data = Buffer.concat([...chunks, pending]);
+      if (data.length === 0) return;
+      if (!held) {
+        storeJob(data, receivedAt);
+      } else {
+        heldJobs.push({ data, receivedAt });
+        console.log(`[PrinterEmulator] Holding print job (${data.length} bytes) while ${currentState}`);
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.warn(`[PrinterEmulator] Connection error: ${error.message}`);
+    });
+  });
+
+  const emulator = {
+    server,
+    jobs,
+
+    /**
+     * @param {number} [port=9100]
+     * @param {string} [host='127.0.0.1']
+     * @returns {Promise<void>}
+     */
+    listen(port = 9100, host = '127.0.0.1') {
+      address = { port, host };
+      if (currentState === 'offline') return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.removeListener('error', reject);
+          resolve();
+        });
+      });
+    },
+
+    /**
+     * Stops listening and drops open connections.
+     * @returns {Promise<void>}
+     */
+    close() {
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+      if (!server.listening) return Promise.resolve();
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+
+    getState() {
+      return currentState;
+    },
+
+    /**
+     * Switches the simulated state. Going offline closes the port like a printer switched off,
+     * coming back online stores the jobs held meanwhile.
+     * @param {string} newState - One of STATES
+     * @returns {Promise<void>}
+     */
+    async setState(newState) {
+      if (!STATES.includes(newState)) {
+        throw new Error(`Unknown printer state '${newState}', expected one of ${STATES.join(', ')}`);
+      }
+      const wasOffline = currentState === 'offline';
+      currentState = newState;
+      console.log(`[PrinterEmulator] State: ${newState}`);
+
+      if (newState === 'offline') {
+        await emulator.close();
+      } else if (wasOffline && address) {
+        await emulator.listen(address.port, address.host);
+      }
+      if (newState === 'online') {
+        while (heldJobs.length > 0) {
+          const { data, receivedAt } = heldJobs.shift();
+          storeJob(data, receivedAt);
+        }
+      }
+    }
+  };
+
+  return emulator;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.PRINTER_EMULATOR_PORT) || 9100;
+  const host = process.env.PRINTER_EMULATOR_HOST || '127.0.0.1';
+  const emulator = createPrinterEmulator({
+    jobsDir: process.env.PRINTER_EMULATOR_JOBS_DIR || undefined,
+    manufacturer: process.env.PRINTER_EMULATOR_MANUFACTURER || undefined,
+    model: process.env.PRINTER_EMULATOR_MODEL || undefined,
+    state: process.env.PRINTER_EMULATOR_STATE || undefined,
+    paperWidth: parseInt(process.env.PRINTER_EMULATOR_PAPER_WIDTH) || undefined
+  });
+
+  emulator.listen(port, host).then(() => {
+    console.log(`Printer emulator listening on ${host}:${port} (state: ${emulator.getState()})`);
+    console.log(`States: ${STATES.join(', ')} - type one and press enter to switch`);
+  }).catch((error) => {
+    console.error(`Printer emulator could not listen on ${host}:${port}: ${error.message}`);
+    process.exit(1);
+  });
+
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', (input) => {
+    const newState = input.trim();
+    if (!newState) return;
+    emulator.setState(newState).catch(error => console.error(error.message));
+  });
+}
+
+module.exports = { createPrinterEmulator, STATES };
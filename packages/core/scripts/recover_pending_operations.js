@@ -1,5 +1,5 @@
 const db = require('../db/knex');
-const loggingService = require('../services/logging.service');
+const loggingService = require('../application/logging.service');
 const logger = require('../config/logger');
 
 /**
@@ -19,10 +19,9 @@ async function recoverPendingFiscalOperations() {
       logger.warn({ count: operationsToCommit.length }, `Found ${operationsToCommit.length} pending fiscal operations to recover.`);
       for (const operation of operationsToCommit) {
         try {
-          // The event_type and user_id are not stored in the pending log, which is a design limitation we accept for now.
-          // For recovery, we'll use generic values.
-          const recovered_event_type = 'recovered_transaction';
-          const recovered_user_id = null; // We cannot know the user from the pending log alone.
+          // Operations written before event_type and user_id were stored fall back to generic values.
+          const recovered_event_type = operation.event_type || 'recovered_transaction';
+          const recovered_user_id = operation.user_id || null;
 
           await loggingService.commitFiscalOperation(operation.id, recovered_event_type, recovered_user_id);
           logger.info({ operation_id: operation.operation_id }, `Successfully recovered and committed operation.`);
@@ -38,12 +37,20 @@ async function recoverPendingFiscalOperations() {
       logger.info('No pending fiscal operations found. System is clean.');
     }
 
-    // Additionally, log operations that failed or are stuck in pending for manual review.
+    // Additionally, log operations that are stuck in pending for manual review.
+    // TSE_FAILED operations are queued for deferred signing and resolved by the TseOutageService.
     const failedOperations = await db('pending_fiscal_operations')
-      .whereIn('status', ['PENDING', 'TSE_FAILED']);
+      .where('status', 'PENDING');
     
     if (failedOperations.length > 0) {
-        logger.warn({ count: failedOperations.length }, `Found ${failedOperations.length} failed or stuck operations requiring review.`);
+        logger.warn({ count: failedOperations.length }, `Found ${failedOperations.length} stuck operations requiring review.`);
+    }
+
+    const deferredOperations = await db('pending_fiscal_operations')
+      .where('status', 'TSE_FAILED');
+
+    if (deferredOperations.length > 0) {
+        logger.warn({ count: deferredOperations.length }, `Found ${deferredOperations.length} operations queued during a TSE outage, awaiting deferred signing.`);
     }
 
   } catch (error) {
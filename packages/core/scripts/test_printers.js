@@ -2,13 +2,15 @@ const printerService = require('../services/printer_service');
 
 /**
  * Standalone test script for the printer auto-configuration system.
- * Usage: node test_printers.js [networkRange]
+ * Usage: node test_printers.js [networkRange] [port]
  * Example: node test_printers.js 192.168.0.0/24
+ * Example with the printer emulator (scripts/printer_emulator.js): node test_printers.js 127.0.0.0/30 9100
  */
 async function testPrinterSystem() {
   // Parse command-line arguments
   const args = process.argv.slice(2);
   const networkRange = args[0];
+  const port = parseInt(args[1]) || undefined;
   
   if (networkRange) {
     console.log(`🧪 Starting printer system test with manual network range: ${networkRange}`);
@@ -36,7 +38,7 @@ async function testPrinterSystem() {
 
     // Step 2: Run the full auto-configuration process
     console.log('\n[Step 2] Starting auto-configuration process...');
-    const options = networkRange ? { networkRange } : {};
+    const options = networkRange ? { networkRange, port } : {};
     await printerService.startAutoConfiguration(options);
 
     // Step 3: Check the results
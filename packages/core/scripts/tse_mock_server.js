@@ -0,0 +1,195 @@
+/**
+ * Local mock of a cloud TSE, implementing the REST protocol spoken by the cloud TSE provider
+ * (utils/tse/providers/cloud_rest_provider.js). Allows testing the cloud provider offline.
+ *
+ * Usage:
+ *   node packages/core/scripts/tse_mock_server.js
+ *   TSE_PROVIDER=cloud TSE_BASE_URL=http://localhost:8095/api/v1 TSE_TSS_ID=mock-tss npm run dev:backend
+ *
+ * Environment:
+ *   TSE_MOCK_PORT        Port to listen on (default 8095)
+ *   TSE_MOCK_STATE_FILE  JSON file with key, counters and log (default packages/core/db/tse_mock_state.json)
+ *   TSE_MOCK_API_KEY     If set, /auth only accepts this API key
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const tseCrypto = require('../utils/tse/tse_crypto');
+
+const API_PREFIX = '/api/v1';
+
+function loadState(stateFile) {
+  if (fs.existsSync(stateFile)) {
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  }
+  const { privateKeyPem } = tseCrypto.generateKeyPair();
+  return { private_key: privateKeyPem, transaction_number: 0, signature_counter: 0, clients: {}, transactions: {}, log: [] };
+}
+
+// Counters are written to disk on every change so they stay monotonic across restarts
+function saveState(stateFile, state) {
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Creates the mock server (not yet listening).
+ * @param {object} [options]
+ * @param {string} [options.stateFile]
+ * @param {string} [options.apiKey]
+ * @returns {http.Server}
+ */
+function createMockTseServer({ stateFile = path.resolve(__dirname, '../db/tse_mock_state.json'), apiKey = null } = {}) {
+  const state = loadState(stateFile);
+  saveState(stateFile, state);
+  const tokens = new Set();
+  const serialNumber = tseCrypto.getSerialNumber(state.private_key);
+  const publicKey = tseCrypto.getPublicKeyBase64(state.private_key);
+
+  const signOperation = (operation, tx, body) => {
+    state.signature_counter += 1;
+    const logTime = Math.floor(Date.now() / 1000);
+    const signedData = tseCrypto.buildSignedData({
+      serialNumber,
+      signatureCounter: state.signature_counter,
+      transactionNumber: tx.number,
+      operation,
+      logTime,
+      clientId: body.client_id,
+      processType: body.process_type,
+      processData: body.process_data
+    });
+    const signature = {
+      value: tseCrypto.sign(state.private_key, signedData),
+      algorithm: tseCrypto.SIGNATURE_ALGORITHM,
+      counter: state.signature_counter,
+      public_key: publicKey
+    };
+    state.log.push({ operation, tx_id: tx.tx_id, number: tx.number, revision: tx.revision, log_time: logTime, signature_counter: state.signature_counter, signature: signature.value });
+    return { ...tx, log: { timestamp: logTime, timestamp_format: tseCrypto.TIME_FORMAT }, signature, tss_serial_number: serialNumber };
+  };
+
+  const handleTransaction = (txId, revision, body) => {
+    const existing = state.transactions[txId];
+    if (!state.clients[body.client_id]) {
+      return [400, { error: `Client '${body.client_id}' is not registered` }];
+    }
+    if (!existing) {
+      if (revision !== 1) return [404, { error: `Transaction ${txId} not found` }];
+      state.transaction_number += 1;
+      const tx = { tx_id: txId, number: state.transaction_number, state: 'ACTIVE', revision: 1, client_id: body.client_id, time_start: Math.floor(Date.now() / 1000) };
+      state.transactions[txId] = tx;
+      return [200, signOperation('startTransaction', tx, body)];
+    }
+    if (existing.state !== 'ACTIVE') return [409, { error: `Transaction ${txId} is already finished` }];
+    if (revision !== existing.revision + 1) return [409, { error: `Expected tx_revision ${existing.revision + 1}` }];
+    existing.revision = revision;
+    existing.state = body.state === 'FINISHED' ? 'FINISHED' : 'ACTIVE';
+    return [200, signOperation(existing.state === 'FINISHED' ? 'finishTransaction' : 'updateTransaction', existing, body)];
+  };
+
+  return http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const route = url.pathname.startsWith(API_PREFIX) ? url.pathname.substring(API_PREFIX.length) : url.pathname;
+      const parts = route.split('/').filter(Boolean);
+
+      if (req.method === 'POST' && route === '/auth') {
+        const body = await readBody(req);
+        if (apiKey && body.api_key !== apiKey) return sendJson(res, 401, { error: 'Invalid API key' });
+        const token = crypto.randomBytes(24).toString('hex');
+        tokens.add(token);
+        return sendJson(res, 200, { access_token: token, expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+      }
+
+      const authorization = req.headers.authorization || '';
+      if (!tokens.has(authorization.replace(/^Bearer /, ''))) {
+        return sendJson(res, 401, { error: 'Unauthorized' });
+      }
+      if (parts[0] !== 'tss' || !parts[1]) {
+        return sendJson(res, 404, { error: 'Not found' });
+      }
+
+      if (req.method === 'GET' && parts.length === 2) {
+        return sendJson(res, 200, {
+          tss_id: parts[1],
+          state: 'INITIALIZED',
+          serial_number: serialNumber,
+          signature_algorithm: tseCrypto.SIGNATURE_ALGORITHM,
+          time_format: tseCrypto.TIME_FORMAT,
+          pd_encoding: tseCrypto.PD_ENCODING,
+          public_key: publicKey,
+          certificate: '',
+          signature_counter: state.signature_counter,
+          transaction_counter: state.transaction_number
+        });
+      }
+
+      if (req.method === 'PUT' && parts[2] === 'client' && parts[3]) {
+        const clientId = decodeURIComponent(parts[3]);
+        state.clients[clientId] = state.clients[clientId] || { client_id: clientId, registered_at: new Date().toISOString() };
+        saveState(stateFile, state);
+        return sendJson(res, 200, state.clients[clientId]);
+      }
+
+      if (req.method === 'PUT' && parts[2] === 'tx' && parts[3]) {
+        const body = await readBody(req);
+        const [statusCode, result] = handleTransaction(parts[3], parseInt(url.searchParams.get('tx_revision')) || 1, body);
+        saveState(stateFile, state);
+        return sendJson(res, statusCode, result);
+      }
+
+      if (req.method === 'POST' && parts[2] === 'self-test') {
+        return sendJson(res, 200, { success: true, serial_number: serialNumber, signature_counter: state.signature_counter, tested_at: new Date().toISOString() });
+      }
+
+      if (req.method === 'GET' && parts[2] === 'export') {
+        const startTime = Math.floor(new Date(url.searchParams.get('start_date') || 0).getTime() / 1000);
+        const endTime = url.searchParams.get('end_date') ? Math.floor(new Date(url.searchParams.get('end_date')).getTime() / 1000) : Infinity;
+        const entries = state.log.filter(entry => entry.log_time >= startTime && entry.log_time <= endTime);
+        res.writeHead(200, {
+          'Content-Type': 'application/json',
+          'Content-Disposition': `attachment; filename="tse_export_${serialNumber.substring(0, 16)}.json"`
+        });
+        return res.end(JSON.stringify({ serial_number: serialNumber, public_key: publicKey, entries }, null, 2));
+      }
+
+      return sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      return sendJson(res, 500, { error: error.message });
+    }
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.TSE_MOCK_PORT) || 8095;
+  const server = createMockTseServer({
+    stateFile: process.env.TSE_MOCK_STATE_FILE || undefined,
+    apiKey: process.env.TSE_MOCK_API_KEY || null
+  });
+  server.listen(port, () => {
+    console.log(`Mock cloud TSE listening on http://localhost:${port}${API_PREFIX}`);
+  });
+}
+
+module.exports = { createMockTseServer };
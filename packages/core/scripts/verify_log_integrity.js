@@ -0,0 +1,44 @@
+const db = require('../db/knex');
+const logIntegrityService = require('../application/log_integrity.service');
+const logger = require('../config/logger');
+
+/**
+ * Verifies the hash chains of the fiscal and operational log and prints the report.
+ * Exits with code 1 if a chain is broken, so the script can be used in cron jobs or before exports.
+ *
+ * Usage: node scripts/verify_log_integrity.js [--json]
+ */
+async function verifyLogIntegrity({ json = false } = {}) {
+  const report = await logIntegrityService.verifyAll();
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report;
+  }
+
+  for (const chain of [report.fiscal_log, report.operational_log]) {
+    console.log(`\n${chain.chain}: ${chain.ok ? 'OK' : 'FAILED'} (${chain.total_entries} entries)`);
+    for (const [type, count] of Object.entries(chain.issue_counts)) {
+      if (count > 0) console.log(`  ${type}: ${count}`);
+    }
+    if (chain.first_broken_link) {
+      const link = chain.first_broken_link;
+      console.log(`  first broken link: id ${link.id} (${link.log_id}, ${link.event_type}) - ${link.type}`);
+    }
+  }
+  console.log(`\nResult: ${report.ok ? 'all log chains intact' : 'log integrity violated'}`);
+  return report;
+}
+
+// Allow direct execution
+if (require.main === module) {
+  verifyLogIntegrity({ json: process.argv.includes('--json') })
+    .then(report => { process.exitCode = report.ok ? 0 : 1; })
+    .catch(error => {
+      logger.error({ msg: 'Log integrity verification failed.', error: error.message, stack: error.stack });
+      process.exitCode = 2;
+    })
+    .finally(() => db.destroy());
+}
+
+module.exports = { verifyLogIntegrity };
@@ -0,0 +1,17 @@
+/**
+ * Converts a date to its calendar day in local time (YYYY-MM-DD).
+ * Business days, tax rule validity and voucher expiry are local calendar days; toISOString()
+ * would give the UTC day, which differs around midnight. PostgreSQL returns DATE columns as
+ * Date objects at local midnight, SQLite as strings.
+ * @param {Date|string} value - Date object or a string starting with YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function toLocalDateString(value) {
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+module.exports = { toLocalDateString };
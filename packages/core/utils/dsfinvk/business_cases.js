@@ -0,0 +1,60 @@
+/**
+ * DSFinV-K business case types (GV_TYP) of receipt lines and the names printed for them.
+ * Sales are 'Umsatz', discounts on them 'Rabatt' and surcharges 'Aufschlag' (see DiscountService);
+ * multi-purpose vouchers are sold and redeemed as not taxable lines of their own (see VoucherService);
+ * cash drawer movements (see CashDrawerService) are receipts of their own with a single line of
+ * their type, not taxable (UST_SCHLUESSEL 5) and paid in cash.
+ */
+
+const GV_TYP = {
+  UMSATZ: 'Umsatz',
+  RABATT: 'Rabatt',
+  AUFSCHLAG: 'Aufschlag',
+  MEHRZWECKGUTSCHEIN_KAUF: 'MehrzweckgutscheinKauf',
+  MEHRZWECKGUTSCHEIN_EINLOESUNG: 'MehrzweckgutscheinEinloesung',
+  ANFANGSBESTAND: 'Anfangsbestand',
+  PRIVATENTNAHME: 'Privatentnahme',
+  PRIVATEINLAGE: 'Privateinlage',
+  GELDTRANSIT: 'Geldtransit',
+  TRINKGELD_AN: 'TrinkgeldAN',
+  DIFFERENZ_SOLL_IST: 'DifferenzSollIst'
+};
+
+// Line text of lines without an item, e.g. on receipts and as ARTIKELTEXT
+const GV_TYP_LABELS = {
+  [GV_TYP.UMSATZ]: 'Umsatz',
+  [GV_TYP.RABATT]: 'Rabatt',
+  [GV_TYP.AUFSCHLAG]: 'Aufschlag',
+  [GV_TYP.MEHRZWECKGUTSCHEIN_KAUF]: 'Gutschein',
+  [GV_TYP.MEHRZWECKGUTSCHEIN_EINLOESUNG]: 'Gutschein-Einlösung',
+  [GV_TYP.ANFANGSBESTAND]: 'Anfangsbestand',
+  [GV_TYP.PRIVATENTNAHME]: 'Privatentnahme',
+  [GV_TYP.PRIVATEINLAGE]: 'Privateinlage',
+  [GV_TYP.GELDTRANSIT]: 'Geldtransit',
+  [GV_TYP.TRINKGELD_AN]: 'Trinkgeld-Auszahlung',
+  [GV_TYP.DIFFERENZ_SOLL_IST]: 'Kassendifferenz'
+};
+
+// Business cases that make up the sales per tax rate
+const SALES_GV_TYPES = [GV_TYP.UMSATZ, GV_TYP.RABATT, GV_TYP.AUFSCHLAG];
+// Business cases of multi-purpose vouchers; the sale is taxed when the voucher is redeemed
+const VOUCHER_GV_TYPES = [GV_TYP.MEHRZWECKGUTSCHEIN_KAUF, GV_TYP.MEHRZWECKGUTSCHEIN_EINLOESUNG];
+// Payment types that count as cash (ZAHLART_TYP 'Bar'); change can only be given from these
+const CASH_PAYMENT_TYPES = ['Bar'];
+
+/**
+ * @param {string} gvTyp
+ * @returns {string} Name of the business case, the GV_TYP itself if it has none
+ */
+function getBusinessCaseLabel(gvTyp) {
+  return GV_TYP_LABELS[gvTyp] || gvTyp || GV_TYP_LABELS[GV_TYP.UMSATZ];
+}
+
+module.exports = {
+  GV_TYP,
+  GV_TYP_LABELS,
+  SALES_GV_TYPES,
+  VOUCHER_GV_TYPES,
+  CASH_PAYMENT_TYPES,
+  getBusinessCaseLabel
+};
@@ -0,0 +1,84 @@
+/**
+ * Progress of a DSFinV-K export in percent. The export runs in phases (generating the files,
+ * validating them, packaging them) that each cover a fixed range of the percentage. Within a phase
+ * the progress is the share of its expected work done, e.g. rows written for the generation.
+ */
+
+// Progress callbacks update the export job, so they are not called more often than this
+const MIN_REPORT_INTERVAL_MS = 1000;
+
+class ExportProgress {
+  /**
+   * @param {function({percent: number, step: string}): Promise<void>} [onProgress] - Called when the percentage or step changes
+   */
+  constructor(onProgress = null) {
+    this.onProgress = onProgress;
+    this.percent = 0;
+    this.step = null;
+    this.lastReportAt = 0;
+    this.phase = { from: 0, to: 0, total: 1, done: 0 };
+    this.currentStep = { expected: 0, done: 0 };
+  }
+
+  /**
+   * @param {string} step - Name shown with the progress
+   * @param {number} from - Percentage at the start of the phase
+   * @param {number} to - Percentage at the end of the phase
+   * @param {number} [total] - Work expected in the phase
+   */
+  async startPhase(step, from, to, total = 1) {
+    this.phase = { from, to, total: Math.max(total, 1), done: 0 };
+    this.currentStep = { expected: 0, done: 0 };
+    this.step = step;
+    await this.report(true);
+  }
+
+  /**
+   * Starts a step of the phase. The rest of the previous step counts as done, so a step that did
+   * less work than expected does not hold the progress back.
+   * @param {string} step - Name shown with the progress
+   * @param {number} expected - Work expected in this step, part of the phase total
+   */
+  async startStep(step, expected) {
+    this.phase.done += this.currentStep.expected - this.currentStep.done;
+    this.currentStep = { expected, done: 0 };
+    this.step = step;
+    await this.report(true);
+  }
+
+  /**
+   * @param {number} [count] - Work done, capped at what the step expects
+   */
+  async advance(count = 1) {
+    const done = Math.min(count, this.currentStep.expected - this.currentStep.done);
+    if (done <= 0) return;
+    this.currentStep.done += done;
+    this.phase.done += done;
+    await this.report();
+  }
+
+  /**
+   * Sets the progress of phases measured as a fraction rather than in steps (e.g. bytes archived).
+   * @param {number} fraction - Between 0 and 1
+   */
+  async setFraction(fraction) {
+    this.phase.done = this.phase.total * Math.min(Math.max(fraction, 0), 1);
+    await this.report();
+  }
+
+  async report(force = false) {
+    const { from, to, total, done } = this.phase;
+    const percent = Math.min(Math.floor(from + (to - from) * Math.min(done / total, 1)), 100);
+    const now = Date.now();
+    if (!force && (percent === this.percent || now - this.lastReportAt < MIN_REPORT_INTERVAL_MS)) {
+      return;
+    }
+    this.percent = percent;
+    this.lastReportAt = now;
+    if (this.onProgress) {
+      await this.onProgress({ percent, step: this.step });
+    }
+  }
+}
+
+module.exports = { ExportProgress };
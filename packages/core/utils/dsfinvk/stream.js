@@ -0,0 +1,144 @@
+/**
+ * Streaming helpers of the DSFinV-K export. Rows are read from the database in batches and written
+ * through a CSV transform into files of the export directory, and the validator reads the written
+ * files back record by record, so the memory used does not grow with the length of the exported
+ * period. The files are packaged afterwards, see DsfinvkService.writeTable.
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Transform: CsvTransform } = require('json2csv');
+
+const DELIMITER = ';';
+const QUOTE = '"';
+const RECORD_DELIMITER = '\r\n';
+const CURSOR_BATCH_SIZE = 1000;
+
+/**
+ * Cursor over the rows of a query in batches, paging by a unique ascending key (keyset pagination).
+ * Works the same on SQLite and PostgreSQL; knex' .stream() would need pg-query-stream for PostgreSQL.
+ * @param {function(): object} buildQuery - Returns a fresh knex query for every batch
+ * @param {string} keyColumn - Column to page by, e.g. 'at.id'
+ * @param {string} [keyProperty] - Property of the key in the result rows, defaults to the column name
+ * @returns {AsyncGenerator<object[]>} Batches of at most CURSOR_BATCH_SIZE rows
+ */
+async function* queryBatches(buildQuery, keyColumn, keyProperty = keyColumn.split('.').pop()) {
+  let lastKey = null;
+  for (;;) {
+    const query = buildQuery().orderBy(keyColumn, 'asc').limit(CURSOR_BATCH_SIZE);
+    if (lastKey !== null) {
+      query.where(keyColumn, '>', lastKey);
+    }
+    const rows = await query;
+    if (rows.length > 0) {
+      yield rows;
+    }
+    if (rows.length < CURSOR_BATCH_SIZE) {
+      return;
+    }
+    lastKey = rows[rows.length - 1][keyProperty];
+  }
+}
+
+/**
+ * Same as queryBatches, row by row.
+ * @returns {AsyncGenerator<object>}
+ */
+async function* queryCursor(buildQuery, keyColumn, keyProperty) {
+  for await (const rows of queryBatches(buildQuery, keyColumn, keyProperty)) {
+    yield* rows;
+  }
+}
+
+/**
+ * @param {AsyncIterable<object>|object[]} rows
+ * @param {function(object): object} mapRow
+ * @returns {AsyncGenerator<object>}
+ */
+async function* mapRows(rows, mapRow) {
+  for await (const row of rows) {
+    yield mapRow(row);
+  }
+}
+
+/**
+ * Writes rows to a ';' delimited CSV file with '"' encapsulated text and CRLF record delimiters.
+ * @param {string} filePath
+ * @param {AsyncIterable<object>|object[]} rows - Rows keyed by field name
+ * @param {string[]} fields - Columns in file order, the header is always written
+ */
+async function writeCsv(filePath, rows, fields) {
+  await pipeline(
+    Readable.from(rows),
+    new CsvTransform({ fields, delimiter: DELIMITER, quote: QUOTE, eol: RECORD_DELIMITER }, { objectMode: true }),
+    fs.createWriteStream(filePath, { encoding: 'utf8' })
+  );
+}
+
+/**
+ * Reads a CSV file written by writeCsv record by record.
+ * @param {string} filePath
+ * @returns {AsyncGenerator<string[]>} Records with their fields, the header included
+ */
+async function* readCsvRecords(filePath) {
+  let record = [];
+  let field = '';
+  let quoted = false;
+  // A quote inside a quoted field either escapes a quote or ends the field, decided by the next char
+  let quotePending = false;
+  let skipLineFeed = false;
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    const records = [];
+    for (const char of chunk) {
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+      if (quotePending) {
+        quotePending = false;
+        if (char === QUOTE) {
+          field += QUOTE;
+          continue;
+        }
+        quoted = false;
+      }
+      if (quoted) {
+        if (char === QUOTE) {
+          quotePending = true;
+        } else {
+          field += char;
+        }
+      } else if (char === QUOTE) {
+        quoted = true;
+      } else if (char === DELIMITER) {
+        record.push(field);
+        field = '';
+      } else if (char === '\r' || char === '\n') {
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+        skipLineFeed = char === '\r';
+      } else {
+        field += char;
+      }
+    }
+    yield* records;
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    yield record;
+  }
+}
+
+module.exports = {
+  CURSOR_BATCH_SIZE,
+  queryBatches,
+  queryCursor,
+  mapRows,
+  writeCsv,
+  readCsvRecords
+};
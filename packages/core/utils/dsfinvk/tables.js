@@ -0,0 +1,423 @@
+/**
+ * Table definitions of the DSFinV-K 2.4 export: file name, table name, columns with their types
+ * and which columns are keys or mandatory. Used to write the CSV headers and to describe the
+ * tables in index.xml.
+ *
+ * Every table is keyed by the closing it belongs to (Z_KASSE_ID, Z_ERSTELLUNG, Z_NR), which
+ * references Stamm_Abschluss (cashpointclosing.csv). Besides these, `mandatory` lists the columns
+ * that must never be empty; key columns the spec allows to be empty (e.g. GV_NAME) are not listed.
+ */
+
+const alnum = (name, maxLength) => ({ name, type: 'AlphaNumeric', maxLength });
+const numeric = (name, accuracy = 0) => ({ name, type: 'Numeric', accuracy });
+const date = (name) => ({ name, type: 'Date' });
+
+const CLOSING_KEY = ['Z_KASSE_ID', 'Z_ERSTELLUNG', 'Z_NR'];
+const CLOSING_COLUMNS = [alnum('Z_KASSE_ID', 50), date('Z_ERSTELLUNG'), numeric('Z_NR')];
+const CLOSING_REFERENCE = { columns: CLOSING_KEY, references: 'cashpointclosing' };
+
+const DSFINVK_TABLES = [
+  // Einzelaufzeichnungsmodul
+  {
+    key: 'lines',
+    file: 'lines.csv',
+    name: 'Bonpos',
+    description: 'Positionen der Belege',
+    primaryKey: [...CLOSING_KEY, 'BON_ID', 'POS_ZEILE'],
+    mandatory: ['BON_ID', 'POS_ZEILE', 'GV_TYP', 'ARTIKELTEXT', 'MENGE', 'STK_BR'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('BON_ID', 40),
+      alnum('POS_ZEILE', 50),
+      alnum('GUTSCHEIN_NR', 50),
+      alnum('ARTIKELTEXT', 255),
+      alnum('POS_TERMINAL_ID', 50),
+      alnum('GV_TYP', 30),
+      alnum('GV_NAME', 40),
+      numeric('INHAUS'),
+      numeric('P_STORNO'),
+      numeric('AGENTUR_ID'),
+      alnum('ART_NR', 50),
+      alnum('GTIN', 50),
+      alnum('WARENGR_ID', 40),
+      alnum('WARENGR', 50),
+      numeric('MENGE', 3),
+      numeric('FAKTOR', 3),
+      alnum('EINHEIT', 50),
+      numeric('STK_BR', 5)
+    ],
+    foreignKeys: [CLOSING_REFERENCE, { columns: [...CLOSING_KEY, 'BON_ID'], references: 'transactions' }]
+  },
+  {
+    key: 'lines_vat',
+    file: 'lines_vat.csv',
+    name: 'Bonpos_USt',
+    description: 'Umsatzsteuer der Belegpositionen',
+    primaryKey: [...CLOSING_KEY, 'BON_ID', 'POS_ZEILE', 'UST_SCHLUESSEL'],
+    mandatory: ['BON_ID', 'POS_ZEILE', 'UST_SCHLUESSEL', 'POS_BRUTTO', 'POS_NETTO', 'POS_UST'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('BON_ID', 40),
+      alnum('POS_ZEILE', 50),
+      numeric('UST_SCHLUESSEL'),
+      numeric('POS_BRUTTO', 5),
+      numeric('POS_NETTO', 5),
+      numeric('POS_UST', 5)
+    ],
+    foreignKeys: [CLOSING_REFERENCE, { columns: [...CLOSING_KEY, 'BON_ID', 'POS_ZEILE'], references: 'lines' }]
+  },
+  {
+    key: 'subitems',
+    file: 'subitems.csv',
+    name: 'Bonpos_Zusatzinfo',
+    description: 'Zusatzinformationen (Bestandteile) der Belegpositionen',
+    primaryKey: [...CLOSING_KEY, 'BON_ID', 'POS_ZEILE', 'ZI_NAME'],
+    mandatory: ['BON_ID', 'POS_ZEILE', 'ZI_NAME', 'ZI_MENGE'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('BON_ID', 40),
+      alnum('POS_ZEILE', 50),
+      alnum('ZI_ART_NR', 50),
+      alnum('ZI_GTIN', 50),
+      alnum('ZI_NAME', 60),
+      alnum('ZI_WARENGR_ID', 40),
+      alnum('ZI_WARENGR', 50),
+      numeric('ZI_MENGE', 3),
+      numeric('ZI_FAKTOR', 3),
+      alnum('ZI_EINHEIT', 50),
+      numeric('ZI_UST_SCHLUESSEL'),
+      numeric('ZI_BASISPREIS_BRUTTO', 5),
+      numeric('ZI_BASISPREIS_NETTO', 5),
+      numeric('ZI_BASISPREIS_UST', 5)
+    ],
+    foreignKeys: [CLOSING_REFERENCE, { columns: [...CLOSING_KEY, 'BON_ID', 'POS_ZEILE'], references: 'lines' }]
+  },
+  {
+    key: 'transactions',
+    file: 'transactions.csv',
+    name: 'Bonkopf',
+    description: 'Belegköpfe',
+    primaryKey: [...CLOSING_KEY, 'BON_ID'],
+    mandatory: ['BON_ID', 'BON_NR', 'BON_TYP', 'BON_STORNO', 'BON_START', 'BON_ENDE', 'BEDIENER_ID', 'UMS_BRUTTO'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('BON_ID', 40),
+      numeric('BON_NR'),
+      alnum('BON_TYP', 30),
+      alnum('BON_NAME', 60),
+      alnum('TERMINAL_ID', 50),
+      numeric('BON_STORNO'),
+      date('BON_START'),
+      date('BON_ENDE'),
+      alnum('BEDIENER_ID', 50),
+      alnum('BEDIENER_NAME', 50),
+      numeric('UMS_BRUTTO', 2),
+      alnum('KUNDE_NAME', 50),
+      alnum('KUNDE_ID', 50),
+      alnum('KUNDE_TYP', 50),
+      alnum('KUNDE_STRASSE', 60),
+      alnum('KUNDE_PLZ', 10),
+      alnum('KUNDE_ORT', 62),
+      alnum('KUNDE_LAND', 3),
+      alnum('KUNDE_USTID', 15),
+      alnum('BON_NOTIZ', 255)
+    ],
+    foreignKeys: [CLOSING_REFERENCE]
+  },
+  {
+    key: 'transactions_vat',
+    file: 'transactions_vat.csv',
+    name: 'Bonkopf_USt',
+    description: 'Umsatzsteuer der Belege',
+    primaryKey: [...CLOSING_KEY, 'BON_ID', 'UST_SCHLUESSEL'],
+    mandatory: ['BON_ID', 'UST_SCHLUESSEL', 'BON_BRUTTO', 'BON_NETTO', 'BON_UST'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('BON_ID', 40),
+      numeric('UST_SCHLUESSEL'),
+      numeric('BON_BRUTTO', 5),
+      numeric('BON_NETTO', 5),
+      numeric('BON_UST', 5)
+    ],
+    foreignKeys: [CLOSING_REFERENCE, { columns: [...CLOSING_KEY, 'BON_ID'], references: 'transactions' }]
+  },
+  {
+    key: 'allocation_groups',
+    file: 'allocation_groups.csv',
+    name: 'Bonkopf_AbrKreis',
+    description: 'Abrechnungskreise (z. B. Tische) der Belege',
+    primaryKey: [...CLOSING_KEY, 'BON_ID', 'ABRECHNUNGSKREIS'],
+    mandatory: ['BON_ID', 'ABRECHNUNGSKREIS'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('BON_ID', 40),
+      alnum('ABRECHNUNGSKREIS', 50)
+    ],
+    foreignKeys: [CLOSING_REFERENCE, { columns: [...CLOSING_KEY, 'BON_ID'], references: 'transactions' }]
+  },
+  {
+    key: 'datapayment',
+    file: 'datapayment.csv',
+    name: 'Bonkopf_Zahlarten',
+    description: 'Zahlarten der Belege',
+    primaryKey: [...CLOSING_KEY, 'BON_ID', 'ZAHLART_TYP', 'ZAHLART_NAME', 'ZAHLWAEH_CODE'],
+    mandatory: ['BON_ID', 'ZAHLART_TYP', 'BASISWAEH_BETRAG'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('BON_ID', 40),
+      alnum('ZAHLART_TYP', 25),
+      alnum('ZAHLART_NAME', 60),
+      alnum('ZAHLWAEH_CODE', 3),
+      numeric('ZAHLWAEH_BETRAG', 2),
+      numeric('BASISWAEH_BETRAG', 2)
+    ],
+    foreignKeys: [CLOSING_REFERENCE, { columns: [...CLOSING_KEY, 'BON_ID'], references: 'transactions' }]
+  },
+  {
+    key: 'references',
+    file: 'references.csv',
+    name: 'Bon_Referenzen',
+    description: 'Referenzen auf andere Belege (z. B. Retouren)',
+    primaryKey: [...CLOSING_KEY, 'BON_ID', 'POS_ZEILE', 'REF_TYP'],
+    mandatory: ['BON_ID', 'REF_TYP', 'REF_BON_ID'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('BON_ID', 40),
+      alnum('POS_ZEILE', 50),
+      alnum('REF_TYP', 20),
+      alnum('REF_NAME', 40),
+      date('REF_DATUM'),
+      alnum('REF_KASSE_ID', 50),
+      numeric('REF_Z_NR'),
+      alnum('REF_BON_ID', 40)
+    ],
+    foreignKeys: [CLOSING_REFERENCE, { columns: [...CLOSING_KEY, 'BON_ID'], references: 'transactions' }]
+  },
+  {
+    key: 'transactions_tse',
+    file: 'transactions_tse.csv',
+    name: 'TSE_Transaktionen',
+    description: 'TSE-Transaktionen der Belege',
+    primaryKey: [...CLOSING_KEY, 'BON_ID', 'TSE_ID', 'TSE_TANR'],
+    mandatory: ['BON_ID', 'TSE_ID', 'TSE_TA_START', 'TSE_TA_ENDE', 'TSE_TA_VORGANGSART'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('BON_ID', 40),
+      numeric('TSE_ID'),
+      numeric('TSE_TANR'),
+      alnum('TSE_TA_START', 30),
+      alnum('TSE_TA_ENDE', 30),
+      alnum('TSE_TA_VORGANGSART', 30),
+      numeric('TSE_TA_SIGZ'),
+      alnum('TSE_TA_SIG', 512),
+      alnum('TSE_TA_FEHLER', 200),
+      alnum('TSE_TA_VORGANGSDATEN', 1000)
+    ],
+    foreignKeys: [
+      CLOSING_REFERENCE,
+      { columns: [...CLOSING_KEY, 'BON_ID'], references: 'transactions' },
+      { columns: [...CLOSING_KEY, 'TSE_ID'], references: 'tse' }
+    ]
+  },
+
+  // Stammdatenmodul
+  {
+    key: 'cashpointclosing',
+    file: 'cashpointclosing.csv',
+    name: 'Stamm_Abschluss',
+    description: 'Kassenabschlüsse',
+    primaryKey: CLOSING_KEY,
+    mandatory: ['Z_BUCHUNGSTAG', 'TAXONOMIE_VERSION', 'NAME', 'STRASSE', 'PLZ', 'ORT', 'LAND', 'Z_SE_ZAHLUNGEN', 'Z_SE_BARZAHLUNGEN'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('Z_BUCHUNGSTAG', 10),
+      alnum('TAXONOMIE_VERSION', 10),
+      alnum('Z_START_ID', 40),
+      alnum('Z_ENDE_ID', 40),
+      alnum('NAME', 60),
+      alnum('STRASSE', 60),
+      alnum('PLZ', 10),
+      alnum('ORT', 62),
+      alnum('LAND', 3),
+      alnum('STNR', 20),
+      alnum('USTID', 15),
+      numeric('Z_SE_ZAHLUNGEN', 2),
+      numeric('Z_SE_BARZAHLUNGEN', 2)
+    ],
+    foreignKeys: []
+  },
+  {
+    key: 'location',
+    file: 'location.csv',
+    name: 'Stamm_Orte',
+    description: 'Standort der Kasse',
+    primaryKey: CLOSING_KEY,
+    mandatory: ['LOC_NAME', 'LOC_STRASSE', 'LOC_PLZ', 'LOC_ORT', 'LOC_LAND'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('LOC_NAME', 60),
+      alnum('LOC_STRASSE', 60),
+      alnum('LOC_PLZ', 10),
+      alnum('LOC_ORT', 62),
+      alnum('LOC_LAND', 3),
+      alnum('LOC_USTID', 15)
+    ],
+    foreignKeys: [CLOSING_REFERENCE]
+  },
+  {
+    key: 'cashregister',
+    file: 'cashregister.csv',
+    name: 'Stamm_Kassen',
+    description: 'Kasse',
+    primaryKey: CLOSING_KEY,
+    mandatory: ['KASSE_BRAND', 'KASSE_MODELL', 'KASSE_SERIENNR', 'KASSE_SW_BRAND', 'KASSE_SW_VERSION', 'KASSE_BASISWAEH_CODE'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('KASSE_BRAND', 50),
+      alnum('KASSE_MODELL', 50),
+      alnum('KASSE_SERIENNR', 70),
+      alnum('KASSE_SW_BRAND', 50),
+      alnum('KASSE_SW_VERSION', 50),
+      alnum('KASSE_BASISWAEH_CODE', 3),
+      numeric('KEINE_UST_ZUORDNUNG')
+    ],
+    foreignKeys: [CLOSING_REFERENCE]
+  },
+  {
+    key: 'slaves',
+    file: 'slaves.csv',
+    name: 'Stamm_Terminals',
+    description: 'Terminals (Slaves) der Kasse',
+    primaryKey: [...CLOSING_KEY, 'TERMINAL_ID'],
+    mandatory: ['TERMINAL_ID', 'TERMINAL_BRAND', 'TERMINAL_MODELL', 'TERMINAL_SERIENNR', 'TERMINAL_SW_BRAND', 'TERMINAL_SW_VERSION'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('TERMINAL_ID', 50),
+      alnum('TERMINAL_BRAND', 50),
+      alnum('TERMINAL_MODELL', 50),
+      alnum('TERMINAL_SERIENNR', 70),
+      alnum('TERMINAL_SW_BRAND', 50),
+      alnum('TERMINAL_SW_VERSION', 50)
+    ],
+    foreignKeys: [CLOSING_REFERENCE]
+  },
+  {
+    key: 'pa',
+    file: 'pa.csv',
+    name: 'Stamm_Agenturen',
+    description: 'Agenturen (Auftraggeber von Agenturgeschäften)',
+    primaryKey: [...CLOSING_KEY, 'AGENTUR_ID'],
+    mandatory: ['AGENTUR_ID', 'AGENTUR_NAME', 'AGENTUR_STRASSE', 'AGENTUR_PLZ', 'AGENTUR_ORT', 'AGENTUR_LAND'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      numeric('AGENTUR_ID'),
+      alnum('AGENTUR_NAME', 60),
+      alnum('AGENTUR_STRASSE', 60),
+      alnum('AGENTUR_PLZ', 10),
+      alnum('AGENTUR_ORT', 62),
+      alnum('AGENTUR_LAND', 3),
+      alnum('AGENTUR_STNR', 20),
+      alnum('AGENTUR_USTID', 15)
+    ],
+    foreignKeys: [CLOSING_REFERENCE]
+  },
+  {
+    key: 'vat',
+    file: 'vat.csv',
+    name: 'Stamm_USt',
+    description: 'Umsatzsteuersätze',
+    primaryKey: [...CLOSING_KEY, 'UST_SCHLUESSEL'],
+    mandatory: ['UST_SCHLUESSEL', 'UST_SATZ', 'UST_BESCHR'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      numeric('UST_SCHLUESSEL'),
+      numeric('UST_SATZ', 2),
+      alnum('UST_BESCHR', 55)
+    ],
+    foreignKeys: [CLOSING_REFERENCE]
+  },
+  {
+    key: 'tse',
+    file: 'tse.csv',
+    name: 'Stamm_TSE',
+    description: 'Technische Sicherheitseinrichtungen',
+    primaryKey: [...CLOSING_KEY, 'TSE_ID'],
+    mandatory: ['TSE_ID', 'TSE_SERIAL', 'TSE_SIG_ALGO', 'TSE_ZEITFORMAT', 'TSE_PD_ENCODING', 'TSE_PUBLIC_KEY', 'TSE_ZERTIFIKAT_I'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      numeric('TSE_ID'),
+      alnum('TSE_SERIAL', 68),
+      alnum('TSE_SIG_ALGO', 21),
+      alnum('TSE_ZEITFORMAT', 31),
+      alnum('TSE_PD_ENCODING', 5),
+      alnum('TSE_PUBLIC_KEY', 512),
+      alnum('TSE_ZERTIFIKAT_I', 1000),
+      alnum('TSE_ZERTIFIKAT_II', 1000)
+    ],
+    foreignKeys: [CLOSING_REFERENCE]
+  },
+
+  // Kassenabschlussmodul
+  {
+    key: 'businesscases',
+    file: 'businesscases.csv',
+    name: 'Z_GV_Typ',
+    description: 'Umsätze je Geschäftsvorfall und Steuersatz',
+    primaryKey: [...CLOSING_KEY, 'GV_TYP', 'GV_NAME', 'AGENTUR_ID', 'UST_SCHLUESSEL'],
+    mandatory: ['GV_TYP', 'UST_SCHLUESSEL', 'Z_UMS_BRUTTO', 'Z_UMS_NETTO', 'Z_UST'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('GV_TYP', 30),
+      alnum('GV_NAME', 40),
+      numeric('AGENTUR_ID'),
+      numeric('UST_SCHLUESSEL'),
+      numeric('Z_UMS_BRUTTO', 5),
+      numeric('Z_UMS_NETTO', 5),
+      numeric('Z_UST', 5)
+    ],
+    foreignKeys: [CLOSING_REFERENCE]
+  },
+  {
+    key: 'payment',
+    file: 'payment.csv',
+    name: 'Z_Zahlart',
+    description: 'Summen je Zahlart',
+    primaryKey: [...CLOSING_KEY, 'ZAHLART_TYP', 'ZAHLART_NAME'],
+    mandatory: ['ZAHLART_TYP', 'Z_ZAHLART_BETRAG'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('ZAHLART_TYP', 25),
+      alnum('ZAHLART_NAME', 60),
+      numeric('Z_ZAHLART_BETRAG', 2)
+    ],
+    foreignKeys: [CLOSING_REFERENCE]
+  },
+  {
+    key: 'cash_per_currency',
+    file: 'cash_per_currency.csv',
+    name: 'Z_Waehrungen',
+    description: 'Bargeld je Währung',
+    primaryKey: [...CLOSING_KEY, 'ZAHLART_WAEH'],
+    mandatory: ['ZAHLART_WAEH', 'ZAHLART_BETRAG_WAEH'],
+    columns: [
+      ...CLOSING_COLUMNS,
+      alnum('ZAHLART_WAEH', 3),
+      numeric('ZAHLART_BETRAG_WAEH', 2)
+    ],
+    foreignKeys: [CLOSING_REFERENCE]
+  }
+];
+
+/**
+ * @param {string} key - Table key, e.g. 'transactions'
+ * @returns {object} Table definition
+ */
+function getTable(key) {
+  const table = DSFINVK_TABLES.find(t => t.key === key);
+  if (!table) {
+    throw new Error(`Unknown DSFinV-K table: ${key}`);
+  }
+  return table;
+}
+
+module.exports = { DSFINVK_TABLES, CLOSING_KEY, getTable };
@@ -0,0 +1,395 @@
+/**
+ * Self-check of a generated DSFinV-K export. Reads the CSV files back from the export directory
+ * and checks them against the table definitions in tables.js:
+ * - schema: header, mandatory columns, field lengths, decimals and date formats,
+ * - references: foreign keys between the tables and UST_SCHLUESSEL values defined in vat.csv,
+ * - totals: lines = Bonkopf per receipt and tax rate, Bonkopf = Kassenabschluss per tax rate
+ *   and payment type.
+ *
+ * Every table lists its rows grouped by closing, in the order of cashpointclosing.csv. All keys
+ * include the closing, so the files are read in parallel and checked one closing at a time.
+ *
+ * The result is a machine-readable report that is stored with the export job.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+const { DSFINVK_TABLES, CLOSING_KEY, getTable } = require('./tables');
+const { readCsvRecords } = require('./stream');
+
+// Amounts are written with up to 5 decimals, differences below one cent are rounding
+const AMOUNT_TOLERANCE = 0.01;
+// Only the first issues are kept in the report, the counts always cover all of them
+const MAX_REPORTED_ISSUES = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|[+-]\d{2}:\d{2})$/;
+// Columns holding a UST_SCHLUESSEL that must be defined in vat.csv
+const UST_SCHLUESSEL_COLUMNS = {
+  lines_vat: 'UST_SCHLUESSEL',
+  transactions_vat: 'UST_SCHLUESSEL',
+  subitems: 'ZI_UST_SCHLUESSEL',
+  businesscases: 'UST_SCHLUESSEL'
+};
+// Only completed receipts are part of the closing totals, aborted ones (AVBelegabbruch) are not
+const CLOSING_BON_TYPES = ['Beleg'];
+const CASH_ZAHLART_TYP = 'Bar';
+
+const toNumber = (value) => (value === undefined || value === '' ? 0 : parseFloat(value));
+const keyOf = (row, columns) => columns.map(column => row[column]).join('|');
+const closingKeyOf = (row) => keyOf(row, CLOSING_KEY);
+const differs = (a, b) => Math.abs(a - b) >= AMOUNT_TOLERANCE;
+const amount = (value) => value.toFixed(2);
+
+function sumBy(rows, keyFn, valueColumn) {
+  const sums = new Map();
+  for (const row of rows) {
+    const key = keyFn(row);
+    sums.set(key, (sums.get(key) || 0) + toNumber(row[valueColumn]));
+  }
+  return sums;
+}
+
+/**
+ * Reads the rows of one table, closing by closing.
+ */
+class TableReader {
+  constructor(table, validator) {
+    this.table = table;
+    this.validator = validator;
+    this.records = null;
+    this.next = null;
+    this.line = 1;
+    this.rowCount = 0;
+  }
+
+  /**
+   * Opens the file and checks its header. A missing file or wrong header is reported and the
+   * table is read as empty.
+   */
+  async open() {
+    const { table, validator } = this;
+    try {
+      await fsp.access(path.join(validator.exportPath, table.file));
+    } catch (error) {
+      validator.addIssue('schema', table.file, null, null, `File is missing: ${error.message}`);
+      return;
+    }
+
+    this.records = readCsvRecords(path.join(validator.exportPath, table.file));
+    const { value: header = [] } = await this.records.next();
+    const expected = table.columns.map(column => column.name);
+    if (header.join(';') !== expected.join(';')) {
+      validator.addIssue('schema', table.file, 1, null, `Header does not match the table definition (expected ${expected.join(';')})`);
+      await this.records.return();
+      this.records = null;
+      return;
+    }
+    await this.advance();
+  }
+
+  /**
+   * Moves to the next well-formed row, records with a wrong number of fields are reported and skipped.
+   */
+  async advance() {
+    const columns = this.table.columns.map(column => column.name);
+    this.next = null;
+    while (this.records) {
+      const { value: record, done } = await this.records.next();
+      if (done) {
+        this.records = null;
+        return;
+      }
+      this.line++;
+      if (record.length !== columns.length) {
+        this.validator.addIssue('schema', this.table.file, this.line, null, `Record has ${record.length} fields, expected ${columns.length}`);
+        continue;
+      }
+      const row = { _line: this.line };
+      columns.forEach((name, i) => { row[name] = record[i]; });
+      this.rowCount++;
+      this.next = row;
+      return;
+    }
+  }
+
+  /**
+   * @param {string} closingKey - Z_KASSE_ID|Z_ERSTELLUNG|Z_NR of the closing
+   * @returns {Promise<object[]>} The rows of the closing at the current position
+   */
+  async takeClosing(closingKey) {
+    const rows = [];
+    while (this.next && closingKeyOf(this.next) === closingKey) {
+      rows.push(this.next);
+      await this.advance();
+    }
+    return rows;
+  }
+
+  /**
+   * @returns {AsyncGenerator<object>} Rows left after all closings were taken
+   */
+  async *remaining() {
+    while (this.next) {
+      yield this.next;
+      await this.advance();
+    }
+  }
+}
+
+class ExportValidator {
+  constructor(exportPath, onProgress) {
+    this.exportPath = exportPath;
+    this.onProgress = onProgress;
+    this.issues = [];
+    this.counts = { schema: 0, references: 0, totals: 0 };
+  }
+
+  addIssue(check, file, row, column, message) {
+    this.counts[check]++;
+    if (this.issues.length < MAX_REPORTED_ISSUES) {
+      this.issues.push({ check, file, row, column, message });
+    }
+  }
+
+  async validate() {
+    const readers = new Map();
+    for (const table of DSFINVK_TABLES) {
+      const reader = new TableReader(table, this);
+      await reader.open();
+      readers.set(table.key, reader);
+    }
+
+    // Stamm_Abschluss has one row per closing and defines the order of the closings
+    const closings = [];
+    for await (const row of readers.get('cashpointclosing').remaining()) {
+      closings.push(row);
+    }
+
+    for (const [index, closing] of closings.entries()) {
+      const group = new Map([['cashpointclosing', [closing]]]);
+      for (const table of DSFINVK_TABLES.filter(t => t.key !== 'cashpointclosing')) {
+        group.set(table.key, await readers.get(table.key).takeClosing(closingKeyOf(closing)));
+      }
+      for (const table of DSFINVK_TABLES) {
+        this.checkSchema(table, group.get(table.key));
+        this.checkReferences(table, group);
+      }
+      this.checkReceiptTotals(group);
+      this.checkClosingTotals(group);
+      if (this.onProgress) {
+        await this.onProgress((index + 1) / closings.length);
+      }
+    }
+
+    // Rows not taken belong to an unknown closing or are not grouped in the order of the closings
+    const closingKeys = new Set(closings.map(closingKeyOf));
+    for (const [tableKey, reader] of readers) {
+      const table = getTable(tableKey);
+      for await (const row of reader.remaining()) {
+        if (closingKeys.has(closingKeyOf(row))) {
+          this.addIssue('schema', table.file, row._line, CLOSING_KEY.join(','), 'Row is not listed with the other rows of its closing');
+        } else {
+          this.addIssue('references', table.file, row._line, CLOSING_KEY.join(','), `${closingKeyOf(row)} does not exist in cashpointclosing.csv`);
+        }
+      }
+    }
+
+    const errorCount = Object.values(this.counts).reduce((sum, count) => sum + count, 0);
+    return {
+      valid: errorCount === 0,
+      checked_at: new Date().toISOString(),
+      tables: Object.fromEntries(DSFINVK_TABLES.map(table => [table.file, readers.get(table.key).rowCount])),
+      error_count: errorCount,
+      errors_by_check: this.counts,
+      errors: this.issues,
+      truncated: errorCount > this.issues.length
+    };
+  }
+
+  checkSchema(table, rows) {
+    const mandatory = new Set([...CLOSING_KEY, ...table.mandatory]);
+    const seenKeys = new Set();
+
+    for (const row of rows) {
+      for (const column of table.columns) {
+        const value = row[column.name];
+        if (value === '') {
+          if (mandatory.has(column.name)) {
+            this.addIssue('schema', table.file, row._line, column.name, 'Mandatory column is empty');
+          }
+          continue;
+        }
+        const problem = this.checkValue(column, value);
+        if (problem) {
+          this.addIssue('schema', table.file, row._line, column.name, problem);
+        }
+      }
+
+      const primaryKey = keyOf(row, table.primaryKey);
+      if (seenKeys.has(primaryKey)) {
+        this.addIssue('schema', table.file, row._line, table.primaryKey.join(','), `Duplicate primary key ${primaryKey}`);
+      }
+      seenKeys.add(primaryKey);
+    }
+  }
+
+  /**
+   * @returns {string|null} Description of the problem, null if the value fits the column
+   */
+  checkValue(column, value) {
+    if (column.type === 'AlphaNumeric') {
+      return value.length > column.maxLength ? `Value exceeds ${column.maxLength} characters (${value.length})` : null;
+    }
+    if (column.type === 'Numeric') {
+      const pattern = column.accuracy > 0 ? new RegExp(`^-?\\d+\\.\\d{${column.accuracy}}$`) : /^-?\d+$/;
+      return pattern.test(value) ? null : `"${value}" is not a number with ${column.accuracy} decimals`;
+    }
+    if (column.type === 'Date') {
+      return DATE_PATTERN.test(value) ? null : `"${value}" is not an ISO 8601 timestamp`;
+    }
+    return null;
+  }
+
+  /**
+   * @param {object} table - Table definition
+   * @param {Map<string, object[]>} group - Rows of all tables of one closing
+   */
+  checkReferences(table, group) {
+    const rows = group.get(table.key);
+
+    for (const foreignKey of table.foreignKeys) {
+      const target = getTable(foreignKey.references);
+      // Foreign key columns have the same names as the key columns of the referenced table
+      const known = new Set(group.get(target.key).map(row => keyOf(row, foreignKey.columns)));
+      for (const row of rows) {
+        const key = keyOf(row, foreignKey.columns);
+        if (!known.has(key)) {
+          this.addIssue('references', table.file, row._line, foreignKey.columns.join(','), `${key} does not exist in ${target.file}`);
+        }
+      }
+    }
+
+    const ustColumn = UST_SCHLUESSEL_COLUMNS[table.key];
+    if (ustColumn) {
+      const known = new Set(group.get('vat').map(row => row.UST_SCHLUESSEL));
+      for (const row of rows.filter(r => r[ustColumn] !== '')) {
+        if (!known.has(row[ustColumn])) {
+          this.addIssue('references', table.file, row._line, ustColumn, `UST_SCHLUESSEL ${row[ustColumn]} does not exist in vat.csv`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Lines against Bonkopf: MENGE * STK_BR = POS_BRUTTO per line, the lines per tax rate = Bonkopf_USt,
+   * Bonkopf_USt = UMS_BRUTTO per receipt.
+   */
+  checkReceiptTotals(group) {
+    const lines = new Map(group.get('lines').map(row => [keyOf(row, ['BON_ID', 'POS_ZEILE']), row]));
+    for (const row of group.get('lines_vat')) {
+      const line = lines.get(keyOf(row, ['BON_ID', 'POS_ZEILE']));
+      if (!line) continue; // reported as a reference error
+      const expected = toNumber(line.MENGE) * toNumber(line.STK_BR);
+      if (differs(expected, toNumber(row.POS_BRUTTO))) {
+        this.addIssue('totals', 'lines_vat.csv', row._line, 'POS_BRUTTO',
+          `POS_BRUTTO ${row.POS_BRUTTO} differs from MENGE x STK_BR ${amount(expected)} of position ${row.POS_ZEILE}`);
+      }
+    }
+
+    const bonVatKey = (row) => `${row.BON_ID}|${row.UST_SCHLUESSEL}`;
+    const linesByVat = sumBy(group.get('lines_vat'), bonVatKey, 'POS_BRUTTO');
+    const bonVat = group.get('transactions_vat');
+    for (const row of bonVat) {
+      const linesTotal = linesByVat.get(bonVatKey(row)) || 0;
+      if (differs(linesTotal, toNumber(row.BON_BRUTTO))) {
+        this.addIssue('totals', 'transactions_vat.csv', row._line, 'BON_BRUTTO',
+          `BON_BRUTTO ${row.BON_BRUTTO} of receipt ${row.BON_ID} differs from its lines ${amount(linesTotal)} (UST_SCHLUESSEL ${row.UST_SCHLUESSEL})`);
+      }
+    }
+    const bonVatKeys = new Set(bonVat.map(bonVatKey));
+    for (const row of group.get('lines_vat').filter(r => !bonVatKeys.has(bonVatKey(r)))) {
+      this.addIssue('totals', 'lines_vat.csv', row._line, 'UST_SCHLUESSEL',
+        `Receipt ${row.BON_ID} has lines with UST_SCHLUESSEL ${row.UST_SCHLUESSEL} but no Bonkopf_USt row for it`);
+    }
+
+    const vatByBon = sumBy(bonVat, row => row.BON_ID, 'BON_BRUTTO');
+    for (const row of group.get('transactions')) {
+      const vatTotal = vatByBon.get(row.BON_ID) || 0;
+      if (differs(vatTotal, toNumber(row.UMS_BRUTTO))) {
+        this.addIssue('totals', 'transactions.csv', row._line, 'UMS_BRUTTO',
+          `UMS_BRUTTO ${row.UMS_BRUTTO} of receipt ${row.BON_ID} differs from Bonkopf_USt ${amount(vatTotal)}`);
+      }
+    }
+  }
+
+  /**
+   * Bonkopf against Kassenabschluss: completed receipts per tax rate = Z_GV_Typ, their payments
+   * per payment type = Z_Zahlart, Z_Zahlart = Z_SE_ZAHLUNGEN / Z_SE_BARZAHLUNGEN of Stamm_Abschluss.
+   */
+  checkClosingTotals(group) {
+    const [closing] = group.get('cashpointclosing');
+    const closingBons = new Set(group.get('transactions')
+      .filter(row => CLOSING_BON_TYPES.includes(row.BON_TYP))
+      .map(row => row.BON_ID));
+    const ofClosingBons = (tableKey) => group.get(tableKey).filter(row => closingBons.has(row.BON_ID));
+
+    this.compareSums({
+      closing,
+      actual: sumBy(ofClosingBons('transactions_vat'), row => row.UST_SCHLUESSEL, 'BON_BRUTTO'),
+      expected: sumBy(group.get('businesscases'), row => row.UST_SCHLUESSEL, 'Z_UMS_BRUTTO'),
+      file: 'businesscases.csv',
+      column: 'Z_UMS_BRUTTO',
+      describe: (key) => `UST_SCHLUESSEL ${key}`
+    });
+
+    const paymentKey = (row) => `${row.ZAHLART_TYP}|${row.ZAHLART_NAME}`;
+    this.compareSums({
+      closing,
+      actual: sumBy(ofClosingBons('datapayment'), paymentKey, 'BASISWAEH_BETRAG'),
+      expected: sumBy(group.get('payment'), paymentKey, 'Z_ZAHLART_BETRAG'),
+      file: 'payment.csv',
+      column: 'Z_ZAHLART_BETRAG',
+      describe: (key) => `Zahlart ${key.split('|').join(' / ')}`
+    });
+
+    const payments = group.get('payment');
+    const total = payments.reduce((sum, p) => sum + toNumber(p.Z_ZAHLART_BETRAG), 0);
+    const cash = payments
+      .filter(p => p.ZAHLART_TYP === CASH_ZAHLART_TYP)
+      .reduce((sum, p) => sum + toNumber(p.Z_ZAHLART_BETRAG), 0);
+    if (differs(total, toNumber(closing.Z_SE_ZAHLUNGEN))) {
+      this.addIssue('totals', 'cashpointclosing.csv', closing._line, 'Z_SE_ZAHLUNGEN',
+        `Z_SE_ZAHLUNGEN ${closing.Z_SE_ZAHLUNGEN} of closing ${closing.Z_NR} differs from Z_Zahlart ${amount(total)}`);
+    }
+    if (differs(cash, toNumber(closing.Z_SE_BARZAHLUNGEN))) {
+      this.addIssue('totals', 'cashpointclosing.csv', closing._line, 'Z_SE_BARZAHLUNGEN',
+        `Z_SE_BARZAHLUNGEN ${closing.Z_SE_BARZAHLUNGEN} of closing ${closing.Z_NR} differs from cash payments ${amount(cash)}`);
+    }
+  }
+
+  /**
+   * Compares sums of the receipts of a closing with the closing table, both keyed by group.
+   */
+  compareSums({ closing, actual, expected, file, column, describe }) {
+    for (const key of new Set([...actual.keys(), ...expected.keys()])) {
+      const receipts = actual.get(key) || 0;
+      const closingTotal = expected.get(key) || 0;
+      if (differs(receipts, closingTotal)) {
+        this.addIssue('totals', file, null, column,
+          `${describe(key)} of closing ${closing.Z_NR}: receipts ${amount(receipts)}, closing ${amount(closingTotal)}`);
+      }
+    }
+  }
+}
+
+/**
+ * Validates the files of an export directory.
+ * @param {string} exportPath - Directory the DSFinV-K files were written to
+ * @param {object} [options]
+ * @param {function(number): Promise<void>} [options.onProgress] - Called with the share of closings checked
+ * @returns {Promise<object>} Report with valid, error counts per check and the first errors
+ */
+async function validateExport(exportPath, { onProgress } = {}) {
+  return new ExportValidator(exportPath, onProgress).validate();
+}
+
+module.exports = { validateExport };
@@ -0,0 +1,20 @@
+/**
+ * Rounds a currency amount to cents. Use it for every stored or compared amount, sums of
+ * floats drift otherwise (0.1 + 0.2).
+ * @param {number} value
+ * @returns {number}
+ */
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Rounds a stock quantity to three decimals (grams of a kilogram, millilitres of a litre).
+ * @param {number} value
+ * @returns {number}
+ */
+function roundQuantity(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = { roundAmount, roundQuantity };
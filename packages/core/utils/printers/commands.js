@@ -13,10 +13,11 @@ const FF = 0x0C;
 
 /**
  * Basic printer initialization and control commands
+ * Command bytes are given as numbers, Buffer.from() turns characters in an array into 0x00
  */
 const COMMANDS = {
   // Printer initialization
-  INIT: Buffer.from([ESC, '@']),
+  INIT: Buffer.from([ESC, 0x40]),
   
   // Line feed and paper control
   LINE_FEED: Buffer.from([LF]),
@@ -24,56 +25,62 @@ const COMMANDS = {
   FORM_FEED: Buffer.from([FF]),
   
   // Paper cutting commands
-  CUT_PARTIAL: Buffer.from([GS, 'V', 66, 0]), // Partial cut (leave connecting points)
-  CUT_FULL: Buffer.from([GS, 'V', 65, 0]),    // Full cut
+  CUT_PARTIAL: Buffer.from([GS, 0x56, 66, 0]), // Partial cut (leave connecting points)
+  CUT_FULL: Buffer.from([GS, 0x56, 65, 0]),    // Full cut
   
   // Text alignment
-  ALIGN_LEFT: Buffer.from([ESC, 'a', 0]),
-  ALIGN_CENTER: Buffer.from([ESC, 'a', 1]),
-  ALIGN_RIGHT: Buffer.from([ESC, 'a', 2]),
+  ALIGN_LEFT: Buffer.from([ESC, 0x61, 0]),
+  ALIGN_CENTER: Buffer.from([ESC, 0x61, 1]),
+  ALIGN_RIGHT: Buffer.from([ESC, 0x61, 2]),
   
   // Text style commands
-  BOLD_ON: Buffer.from([ESC, 'E', 1]),
-  BOLD_OFF: Buffer.from([ESC, 'E', 0]),
-  ITALIC_ON: Buffer.from([ESC, '4', 1]),
-  ITALIC_OFF: Buffer.from([ESC, '4', 0]),
-  UNDERLINE_ON: Buffer.from([ESC, '-', 1]),
-  UNDERLINE_OFF: Buffer.from([ESC, '-', 0]),
+  BOLD_ON: Buffer.from([ESC, 0x45, 1]),
+  BOLD_OFF: Buffer.from([ESC, 0x45, 0]),
+  ITALIC_ON: Buffer.from([ESC, 0x34, 1]),
+  ITALIC_OFF: Buffer.from([ESC, 0x34, 0]),
+  UNDERLINE_ON: Buffer.from([ESC, 0x2D, 1]),
+  UNDERLINE_OFF: Buffer.from([ESC, 0x2D, 0]),
   
   // Font size commands
-  FONT_SIZE_NORMAL: Buffer.from([GS, '!', 0x00]),
-  FONT_SIZE_DOUBLE_HEIGHT: Buffer.from([GS, '!', 0x01]),
-  FONT_SIZE_DOUBLE_WIDTH: Buffer.from([GS, '!', 0x10]),
-  FONT_SIZE_DOUBLE_BOTH: Buffer.from([GS, '!', 0x11]),
+  FONT_SIZE_NORMAL: Buffer.from([GS, 0x21, 0x00]),
+  FONT_SIZE_DOUBLE_HEIGHT: Buffer.from([GS, 0x21, 0x01]),
+  FONT_SIZE_DOUBLE_WIDTH: Buffer.from([GS, 0x21, 0x10]),
+  FONT_SIZE_DOUBLE_BOTH: Buffer.from([GS, 0x21, 0x11]),
   
   // Character set selection
-  CHARSET_USA: Buffer.from([ESC, 'R', 0]),
-  CHARSET_GERMANY: Buffer.from([ESC, 'R', 11]),
+  CHARSET_USA: Buffer.from([ESC, 0x52, 0]),
+  CHARSET_GERMANY: Buffer.from([ESC, 0x52, 11]),
   
   // Code page selection (for special characters)
-  CODEPAGE_CP437: Buffer.from([ESC, 't', 0]),   // US/Standard
-  CODEPAGE_CP850: Buffer.from([ESC, 't', 2]),   // Latin-1
-  CODEPAGE_CP858: Buffer.from([ESC, 't', 19]),  // Latin-1 + Euro
+  CODEPAGE_CP437: Buffer.from([ESC, 0x74, 0]),   // US/Standard
+  CODEPAGE_CP850: Buffer.from([ESC, 0x74, 2]),   // Latin-1
+  CODEPAGE_CP858: Buffer.from([ESC, 0x74, 19]),  // Latin-1 + Euro
   
   // Print and reset text formatting
-  RESET_FORMATTING: Buffer.from([ESC, '!', 0])
+  RESET_FORMATTING: Buffer.from([ESC, 0x21, 0])
 };
 
+// Error correction levels of GS ( k function 169
+const QR_ERROR_CORRECTION = { L: 0x30, M: 0x31, Q: 0x32, H: 0x33 };
+
 /**
  * Generate QR code command for ESC/POS printers
  * Uses GS ( k command sequence for QR code generation
  * @param {string} data - Data to encode in QR code
  * @param {string} size - Size of QR code ('small', 'medium', 'large')
+ * @param {Object} [options] - QR settings of the printer profile
+ * @param {Object} [options.module_sizes] - Module size per size name
+ * @param {string} [options.error_correction='M'] - L, M, Q or H
  * @returns {Buffer} Command buffer for QR code printing
  */
-function generateQRCodeCommand(data, size = 'medium') {
-  const sizeMap = {
+function generateQRCodeCommand(data, size = 'medium', options = {}) {
+  const sizeMap = options.module_sizes || {
     small: 3,   // Module size 3
     medium: 5,  // Module size 5 
     large: 8    // Module size 8
   };
   
-  const moduleSize = sizeMap[size] || 5;
+  const moduleSize = sizeMap[size] || sizeMap.medium || 5;
   const dataBytes = Buffer.from(data, 'utf8');
   const dataLength = dataBytes.length;
   
@@ -83,12 +90,16 @@ function generateQRCodeCommand(data, size = 'medium') {
   
   const commands = [];
   
+  // Select QR code model 2, which holds the long payloads of TSE receipts: GS ( k pL pH cn fn n1 n2
+  commands.push(Buffer.from([GS, 0x28, 0x6B, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]));
+  
   // Set QR code module size: GS ( k pL pH cn fn n
   commands.push(Buffer.from([GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x43, moduleSize]));
   
   // Set QR code error correction level (L=0, M=1, Q=2, H=3)
-  // Using level M (1) for good balance of error correction and data capacity
-  commands.push(Buffer.from([GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, 0x31]));
+  // Level M by default for good balance of error correction and data capacity
+  const errorCorrection = QR_ERROR_CORRECTION[options.error_correction] || QR_ERROR_CORRECTION.M;
+  commands.push(Buffer.from([GS, 0x28, 0x6B, 0x03, 0x00, 0x31, 0x45, errorCorrection]));
   
   // Store QR code data: GS ( k pL pH cn fn m d1...dk
   const storeCommand = Buffer.concat([
@@ -103,13 +114,36 @@ function generateQRCodeCommand(data, size = 'medium') {
   return Buffer.concat(commands);
 }
 
+/**
+ * Generate a CODE128 barcode (code set B) with GS k 73
+ * @param {string} data - ASCII data to encode
+ * @param {Object} options - Barcode settings
+ * @param {number} options.height - Height in dots (default: 162)
+ * @param {number} options.width - Module width 2-6 (default: 3)
+ * @param {number} options.font - HRI font, 0 = A, 1 = B (default: 0)
+ * @param {number} options.position - HRI position, 0 = none, 1 = above, 2 = below, 3 = both (default: 0)
+ * @returns {Buffer} Command buffer for barcode printing
+ */
+function generateBarcodeCommand(data, options = {}) {
+  const content = Buffer.from(`{B${data}`, 'ascii').subarray(0, 255);
+  return Buffer.concat([
+    Buffer.from([GS, 0x68, options.height || 162]),      // GS h n - height
+    Buffer.from([GS, 0x77, options.width || 3]),         // GS w n - module width
+    Buffer.from([GS, 0x66, options.font || 0]),          // GS f n - HRI font
+    Buffer.from([GS, 0x48, options.position || 0]),      // GS H n - HRI position
+    Buffer.from([GS, 0x6B, 73, content.length]),         // GS k m n - CODE128
+    content,
+    Buffer.from([LF])
+  ]);
+}
+
 /**
  * Generate text command with formatting
  * @param {string} text - Text to print
  * @param {Object} options - Formatting options
  * @param {string} options.alignment - 'left', 'center', 'right'
  * @param {string} options.style - 'normal', 'bold', 'italic'
- * @param {string} options.font_size - 'normal', 'large', 'small'
+ * @param {string} options.font_size - 'normal', 'large', 'small', 'tall' (double height only)
  * @returns {Buffer} Command buffer for formatted text
  */
 function generateTextCommand(text, options = {}) {
@@ -142,6 +176,9 @@ function generateTextCommand(text, options = {}) {
       case 'large':
         commands.push(COMMANDS.FONT_SIZE_DOUBLE_BOTH);
         break;
+      case 'tall':
+        commands.push(COMMANDS.FONT_SIZE_DOUBLE_HEIGHT);
+        break;
     }
   }
   
@@ -166,6 +203,11 @@ function generateTextCommand(text, options = {}) {
   
   // Add line feed
   commands.push(COMMANDS.LINE_FEED);
+
+  // Back to the normal size after the line, so the following elements are not enlarged
+  if (options.font_size === 'large' || options.font_size === 'tall') {
+    commands.push(COMMANDS.FONT_SIZE_NORMAL);
+  }
   
   return Buffer.concat(commands);
 }
@@ -212,6 +254,126 @@ function generateCutCommand(cutType = 'partial') {
   return Buffer.concat(commands);
 }
 
+/**
+ * Generate the VAT breakdown block (one justified line per tax rate)
+ * @param {Array<Object>} breakdown - Entries with tax_rate, net, tax and gross
+ * @param {Object} options - Formatting options
+ * @param {string} options.format - Line format with {{ tax_rate }}, {{ net }}, {{ tax }}, {{ gross }}
+ * @param {number} options.width - Line width in characters (default: 32)
+ * @returns {Buffer|null} Command buffer for the breakdown or null if empty
+ */
+function generateTaxBreakdown(breakdown, options = {}) {
+  if (!Array.isArray(breakdown) || breakdown.length === 0) return null;
+
+  const width = options.width || 32;
+  const lines = [];
+  for (const entry of breakdown) {
+    const values = {
+      tax_rate: Number(entry.tax_rate).toFixed(2),
+      net: Number(entry.net).toFixed(2),
+      tax: Number(entry.tax).toFixed(2),
+      gross: Number(entry.gross).toFixed(2)
+    };
+    const leftText = processTemplateVariables(options.format || 'MwSt {{ tax_rate }}% v. {{ net }}', values);
+    const rightText = `${values.tax} EUR`;
+    const spacesNeeded = Math.max(1, width - leftText.length - rightText.length);
+    lines.push(generateTextCommand(leftText + ' '.repeat(spacesNeeded) + rightText, { alignment: 'left' }));
+  }
+  return Buffer.concat(lines);
+}
+
+/**
+ * Generate the payments block: one justified line per tender plus the change line
+ * @param {Array<Object>} payments - Entries with payment_type, tendered_amount and change_amount
+ * @param {Object} options - Formatting options
+ * @param {string} options.change_label - Label of the change line (default: 'Rückgeld')
+ * @param {number} options.width - Line width in characters (default: 32)
+ * @returns {Buffer|null} Command buffer for the payments or null if empty
+ */
+function generatePaymentsList(payments, options = {}) {
+  if (!Array.isArray(payments) || payments.length === 0) return null;
+
+  const width = options.width || 32;
+  const justify = (leftText, rightText) =>
+    leftText + ' '.repeat(Math.max(1, width - leftText.length - rightText.length)) + rightText;
+
+  const lines = payments.map(payment => generateTextCommand(
+    justify(String(payment.payment_type), `${Number(payment.tendered_amount).toFixed(2)} EUR`),
+    { alignment: 'left' }
+  ));
+
+  const change = payments.reduce((sum, payment) => sum + Number(payment.change_amount || 0), 0);
+  if (change > 0) {
+    lines.push(generateTextCommand(justify(options.change_label || 'Rückgeld', `${change.toFixed(2)} EUR`), { alignment: 'left' }));
+  }
+  return Buffer.concat(lines);
+}
+
+/**
+ * Generate a list of justified label/value lines, e.g. for report totals.
+ * Every line definition is rendered once per entry; without a source array the lines are
+ * rendered once against the data object itself.
+ * @param {Array<Object>} entries - Data entries for variable substitution
+ * @param {Array<Object>} lines - Line definitions with label and value templates
+ * @param {Object} options - Formatting options
+ * @param {number} options.width - Line width in characters (default: 32)
+ * @returns {Buffer|null} Command buffer for the lines or null if empty
+ */
+function generateValueList(entries, lines, options = {}) {
+  if (!Array.isArray(entries) || entries.length === 0 || !Array.isArray(lines)) return null;
+
+  const width = options.width || 32;
+  const buffers = [];
+  for (const entry of entries) {
+    for (const line of lines) {
+      const leftText = processTemplateVariables(line.label || '', entry);
+      const rightText = processTemplateVariables(line.value || '', entry);
+      const spacesNeeded = Math.max(1, width - leftText.length - rightText.length);
+      buffers.push(generateTextCommand(rightText ? leftText + ' '.repeat(spacesNeeded) + rightText : leftText, {
+        alignment: 'left',
+        style: line.style || 'normal'
+      }));
+    }
+  }
+  return Buffer.concat(buffers);
+}
+
+/**
+ * Generate the item lines of a kitchen or bar ticket: quantity and name in double height, then the
+ * modifiers and the note of the line indented below. Cancelled quantities are negative.
+ * @param {Array<Object>} items - Entries with quantity, name, course, modifiers (names) and notes
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.group_by_course - Print a heading whenever the course changes (items sorted by course)
+ * @param {string} options.course_label - Label of the course heading (default: 'Gang')
+ * @returns {Buffer|null} Command buffer for the item lines or null if empty
+ */
+function generateTicketItems(items, options = {}) {
+  if (!Array.isArray(items) || items.length === 0) return null;
+
+  const courseLabel = options.course_label || 'Gang';
+  const buffers = [];
+  let currentCourse;
+  for (const item of items) {
+    const course = item.course || null;
+    if (options.group_by_course && course && course !== currentCourse) {
+      buffers.push(generateTextCommand(`-- ${courseLabel} ${course} --`, { alignment: 'center', style: 'bold', font_size: 'normal' }));
+    }
+    currentCourse = course;
+    const quantity = Number(item.quantity);
+    const quantityText = Number.isInteger(quantity) ? String(quantity) : quantity.toFixed(3).replace(/0+$/, '');
+    buffers.push(generateTextCommand(`${quantityText}x ${item.name}`, { alignment: 'left', style: 'bold', font_size: 'tall' }));
+    for (const modifier of item.modifiers || []) {
+      buffers.push(generateTextCommand(`   + ${modifier}`, { alignment: 'left', font_size: 'normal' }));
+    }
+    if (item.notes) {
+      buffers.push(generateTextCommand(`   ! ${item.notes}`, { alignment: 'left', style: 'bold', font_size: 'normal' }));
+    }
+  }
+  // Back to the normal size, the following elements do not all set one
+  buffers.push(COMMANDS.FONT_SIZE_NORMAL);
+  return Buffer.concat(buffers);
+}
+
 /**
  * Process template variable substitution
  * @param {string} template - Template string with {{variable}} placeholders
@@ -235,12 +397,33 @@ function processTemplateVariables(template, data) {
   });
 }
 
+/**
+ * Checks the optional "condition" of a template element against the receipt data.
+ * "condition": "tse_failed" prints the element only if receiptData.tse_failed is truthy,
+ * "condition": "!tse_failed" only if it is falsy.
+ * @param {Object} element - Template element
+ * @param {Object} data - Receipt data
+ * @returns {boolean} True if the element should be printed
+ */
+function isElementVisible(element, data) {
+  if (!element.condition) return true;
+  const negate = element.condition.startsWith('!');
+  const value = !!data[element.condition.replace(/^!/, '')];
+  return negate ? !value : value;
+}
+
 module.exports = {
   COMMANDS,
   generateQRCodeCommand,
+  generateBarcodeCommand,
   generateTextCommand,
   generateLineSeparator,
   generateLineFeed,
   generateCutCommand,
-  processTemplateVariables
+  generateTaxBreakdown,
+  generatePaymentsList,
+  generateValueList,
+  generateTicketItems,
+  processTemplateVariables,
+  isElementVisible
 };
\ No newline at end of file
@@ -1,13 +1,15 @@
 /**
  * Core controller for the printer auto-configuration system.
  * Implements a multi-layered discovery strategy and delegates model-specific tasks to driver modules.
+ * Every driver stands for a capability profile (see driver_registry.js); a discovered printer is
+ * matched to the profile whose identification strings its answer contains.
  */
 class CoreController {
   constructor(printerModules, tools, printerService, options = {}) {
-    this.modules = printerModules; // Array of loaded printer driver modules
+    this.modules = printerModules; // Array of loaded printer driver modules, one per profile
     this.tools = tools;           // API object for system tools
     this.printerService = printerService; // Printer service for configuration persistence
-    this.options = options;       // Configuration options (networkRange, etc.)
+    this.options = options;       // Configuration options (networkRange, port, etc.)
     this.foundPrinter = null;
   }
 
@@ -55,13 +57,38 @@ class CoreController {
    * Discovers printers on the local LAN that may have a DHCP-assigned IP.
    */
   async findInLocalLan() {
-    const discoveredIps = await this.tools.discover_printers(this.options.networkRange);
+    const discoveredIps = await this.tools.discover_printers(this.options.networkRange, this.options.port);
     for (const ip of discoveredIps) {
-      for (const module of this.modules) {
-        const port = { type: 'LAN', ip: ip };
-        if (await module.identify(port)) {
-          return { module, port }; // Found and identified!
-        }
+      const port = { type: 'LAN', ip: ip, port: this.options.port };
+      const module = await this.matchProfile(port);
+      if (module) {
+        return { module, port }; // Found and identified!
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Matches a printer to a profile. The printer is asked for its identity once; if the answer
+   * names no profile, the profiles with identification queries of their own ask again, and a
+   * printer that does not answer at all is taken for the first profile that allows guessing.
+   * @param {object} port - The port object of the printer
+   * @returns {Promise<object|null>} Driver module of the matching profile
+   */
+  async matchProfile(port) {
+    const identity = await this.tools.getPrinterIdentity(port);
+    if (identity.status === 'ERROR') {
+      return null;
+    }
+    const matched = this.modules.find(module => identity.status === 'SUCCESS' && module.matchesIdentity(identity.data));
+    if (matched) {
+      console.log(`🔎 ${port.ip} matches profile ${matched.modelName} ("${identity.data}")`);
+      return matched;
+    }
+    for (const module of this.modules) {
+      if (await module.identify(port, identity)) {
+        console.log(`🔎 ${port.ip} matches profile ${module.modelName}`);
+        return module;
       }
     }
     return null;
@@ -107,12 +134,14 @@ class CoreController {
       // Check if printer was found via DHCP (network discovery)
       const foundViaDhcp = this.foundPrinter.configuredViaUsb !== true && 
                           !this.modules.some(m => m.getDefaultLanConfig()?.ip === port.ip);
+      // Models without an IP command (e.g. Epson, Star) keep the address they were found at
+      const canSetIp = module.getSetIpCommand(port.ip) !== null;
       
-      if (foundViaDhcp) {
+      if (foundViaDhcp || !canSetIp) {
         // For DHCP-found printers, use their existing IP
         newIp = port.ip;
         finalPort = port;
-        console.log(`Using existing DHCP IP for configuration: ${newIp}`);
+        console.log(`Using existing ${foundViaDhcp ? 'DHCP ' : ''}IP for configuration: ${newIp}`);
       } else {
         // For static IP or USB-configured printers, set to target IP
         newIp = '192.168.1.250';
@@ -131,11 +160,14 @@ class CoreController {
       
       // Save the configured printer to the service
       if (this.printerService) {
+        // Same fields as the printers in config/printers.json, which PrinterService prints with
         const printerData = {
           model: module.modelName,
           manufacturer: module.manufacturer,
-          ip: newIp,
-          port: finalPort,
+          profile: module.profile.id,
+          ip_address: newIp,
+          port_type: 'LAN',
+          port: finalPort.port || 9100,
           configuredAt: new Date().toISOString()
         };
         await this.printerService.addPrinter(printerData);
@@ -0,0 +1,66 @@
+/**
+ * Printer drivers: one per capability profile in profiles/. A profile with a module of the same
+ * name in drivers/ uses that module (the profile plus its overrides), every other profile gets the
+ * generic ESC/POS driver, so a new model only needs a profile.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createEscPosDriver } = require('./escpos_driver');
+
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+const DRIVERS_DIR = path.join(__dirname, 'drivers');
+
+let drivers = null;
+
+/**
+ * All drivers, ordered by profile id.
+ * @returns {Object[]} Driver modules
+ */
+function loadDrivers() {
+  if (drivers) return drivers;
+
+  drivers = fs.readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const profile = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), 'utf8'));
+      const driverFile = path.join(DRIVERS_DIR, `${profile.id}.js`);
+      return fs.existsSync(driverFile) ? require(driverFile) : createEscPosDriver(profile);
+    });
+  return drivers;
+}
+
+/**
+ * Finds the driver of a printer model: by model name or profile id, otherwise the first driver
+ * whose model name contains the model or is contained in it.
+ * @param {string} model - e.g. 'HPRT_TP80K' as stored in config/printers.json
+ * @returns {Object|null} Driver module
+ */
+function findDriver(model) {
+  if (!model) return null;
+  const wanted = String(model).toLowerCase();
+  const fileName = wanted.replace(/[^a-z0-9]/g, '_');
+  const all = loadDrivers();
+
+  return all.find(driver => driver.modelName.toLowerCase() === wanted || driver.profile.id === fileName)
+    || all.find(driver => driver.modelName.toLowerCase().includes(wanted) || wanted.includes(driver.modelName.toLowerCase()))
+    || null;
+}
+
+/**
+ * Finds the driver of a printer by its answer to the identification query (GS I 1 / DLE EOT 1),
+ * e.g. of a printer discovered on the network.
+ * @param {Object} identity - Result of systemTools.getPrinterIdentity
+ * @returns {Object|null} Driver module
+ */
+function matchIdentity(identity) {
+  if (!identity || identity.status !== 'SUCCESS') return null;
+  return loadDrivers().find(driver => driver.matchesIdentity(identity.data)) || null;
+}
+
+module.exports = {
+  PROFILES_DIR,
+  loadDrivers,
+  findDriver,
+  matchIdentity
+};
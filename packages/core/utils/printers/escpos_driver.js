@@ -0,0 +1,642 @@
+/**
+ * Generic ESC/POS driver built from a JSON capability profile (utils/printers/profiles).
+ * A profile describes what differs between printer models: paper width, code page, QR code and
+ * barcode support, cutter commands, drawer pins, buzzer, status queries, the identification strings
+ * and the network setup. Models with commands outside the profile pass small overrides (see
+ * drivers/); every other profile works without code of its own, see driver_registry.js.
+ *
+ * The driver implements the interface of the core controller and the printer service:
+ * identify, getDefaultLanConfig, getSetIpCommand, getRestartDelay, generatePrintCommands,
+ * controlCashDrawer, soundBuzzer, getPrinterStatus and the diagnostics.
+ */
+const commands = require('./commands');
+const systemTools = require('./system_tools');
+const { PAPER_WIDTHS } = require('./escpos_renderer');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+
+/**
+ * Creates the driver of a profile.
+ * @param {Object} profile - Capability profile, see profiles/*.json
+ * @param {Object} [overrides] - Replacements for the command builders (overrides.commands) or for
+ *   driver methods, e.g. a model specific buzzer command
+ * @returns {Object} Driver module
+ */
+function createEscPosDriver(profile, overrides = {}) {
+  const tag = `[${profile.manufacturer} Module]`;
+  // Characters per line in font A; separators and right-aligned prices of the templates use it
+  // unless an element sets its own width/length
+  const columnsFor = (paperWidth) => (PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS[58]).columns;
+  const paperColumns = columnsFor(profile.paper.width_mm);
+  const { commands: commandOverrides = {}, ...methodOverrides } = overrides;
+
+  // Command builders of the profile; overrides.commands replaces single builders
+  const builders = {
+    init: () => Buffer.concat([
+      commands.COMMANDS.INIT,
+      Buffer.from([ESC, 0x52, profile.code_page.international_charset]),
+      Buffer.from([ESC, 0x74, profile.code_page.table]),
+      ...(profile.init_commands || []).map(bytes => Buffer.from(bytes))
+    ]),
+
+    cut: (cutType, feedLines = 3) => {
+      const cutter = profile.cutter || { type: 'none' };
+      if (cutter.type === 'none') {
+        return commands.generateLineFeed(feedLines);
+      }
+      const name = cutType in (cutter.commands || {}) || cutType in (cutter.feed_commands || {}) ? cutType : cutter.default;
+      if (cutter.feed_commands && cutter.feed_commands[name]) {
+        return Buffer.from([...cutter.feed_commands[name], feedLines]);
+      }
+      return Buffer.from(cutter.commands[name]);
+    },
+
+    // ESC p m t1 t2 - m selects the drawer connector pin (0: pin 2, 1: pin 5), t1/t2 in 2 ms
+    drawerPulse: (pin, onTime, offTime) => Buffer.from([
+      ESC, 0x70,
+      pin === 0 ? 0x00 : 0x01,
+      Math.min(onTime, 255),
+      Math.min(offTime, 255)
+    ]),
+
+    // ESC B n t - n beeps of t * 100 ms
+    buzzer: (times, onTime) => Buffer.from([ESC, 0x42, Math.min(times, 9), Math.min(onTime, 9)]),
+
+    qrCode: (data, size) => commands.generateQRCodeCommand(data, size, profile.qr_code),
+
+    barcode: (data, options) => commands.generateBarcodeCommand(data, options),
+
+    // GS ( A pL pH n m - Execute test printing (m: 1 hex dump, 2 printer configuration, 4 paper check)
+    selfTest: (type) => {
+      const testTypes = { hex: 0x01, config: 0x02, paper: 0x04 };
+      return Buffer.from([GS, 0x28, 0x41, 0x02, 0x00, 0x00, testTypes[type] || 0x02]);
+    },
+
+    ...commandOverrides
+  };
+
+  // Drawer pin as given in templates and options: 0/1 (ESC p m) or the connector pin 2/5
+  const drawerM = (pin) => {
+    if (pin === undefined || pin === null) pin = profile.drawer.default_pin;
+    return pin === 5 || pin === 1 ? 1 : 0;
+  };
+
+  const driver = {
+    // --- Identity Information ---
+    modelName: profile.model_name,
+    manufacturer: profile.manufacturer,
+    profile,
+    commands: builders,
+
+    // --- Default Configuration ---
+    getDefaultLanConfig: () => (profile.network && profile.network.default_lan) || null,
+
+    /**
+     * Whether the answer of a printer to an identification query names this model.
+     * @param {string} data - Answer to GS I or DLE EOT
+     * @returns {boolean}
+     */
+    matchesIdentity: (data) => {
+      if (!data) return false;
+      const upper = String(data).toUpperCase();
+      return profile.identification.patterns.some(pattern => upper.includes(pattern.toUpperCase()));
+    },
+
+    /**
+     * Identifies the printer: by the answer to the standard identification (GS I 1, DLE EOT 1),
+     * then by the model specific queries of the profile (e.g. GS I 66 for the manufacturer).
+     * @param {object} port - The port object (LAN, COM, or USB).
+     * @param {object} [identity] - Answer of systemTools.getPrinterIdentity if already queried
+     * @returns {Promise<boolean>} - True if the printer is of this profile
+     */
+    identify: async (port, identity = null) => {
+      console.log(`${tag} Identifying device at ${port.type}:${port.ip || port.path}...`);
+
+      try {
+        const identityResult = identity || await systemTools.getPrinterIdentity(port);
+        if (identityResult.status === 'SUCCESS' && driver.matchesIdentity(identityResult.data)) {
+          console.log(`${tag} ✅ Device identified as ${profile.model_name}`);
+          return true;
+        }
+        if (identityResult.status === 'ERROR') {
+          console.log(`${tag} ❌ Identification failed: ${identityResult.message || 'Unknown error'}`);
+          return false;
+        }
+
+        if (port.type === 'LAN') {
+          for (const query of profile.identification.queries || []) {
+            const result = await systemTools.execute_printer_command(port, Buffer.from(query), 2000);
+            if (result.status === 'success' && result.responseData && driver.matchesIdentity(result.responseData.toString('ascii'))) {
+              console.log(`${tag} ✅ Device identified as ${profile.model_name}`);
+              return true;
+            }
+          }
+        }
+
+        if (identityResult.status === 'NO_RESPONSE' && profile.identification.assume_on_no_response) {
+          // If no response, return true as a best-effort guess
+          console.log(`${tag} ⚠️ No response from device, assuming ${profile.model_name} (best-effort guess)`);
+          return true;
+        }
+        console.log(`${tag} ❌ Device is not a ${profile.model_name}`);
+        return false;
+      } catch (error) {
+        console.log(`${tag} ❌ Identification failed: ${error.message}`);
+        return false;
+      }
+    },
+
+    // --- Configuration Methods ---
+    /**
+     * Constructs the binary command to set the printer's IP address.
+     * @param {string} newIp - The target IP address.
+     * @returns {Buffer|null} - The command, null if the model is configured otherwise (web interface)
+     */
+    getSetIpCommand: (newIp) => {
+      if (!profile.network || !profile.network.set_ip_prefix) return null;
+      const ipBytes = Buffer.from(newIp.split('.').map(num => parseInt(num, 10)));
+      return Buffer.concat([Buffer.from(profile.network.set_ip_prefix), ipBytes]);
+    },
+
+    // Returns the required delay in ms for the printer to restart after IP change.
+    getRestartDelay: () => (profile.network && profile.network.restart_delay_ms) || 0,
+
+    /**
+     * Generates ESC/POS print commands from receipt data and template
+     * @param {Object} receiptData - The data to print (items, totals, etc.)
+     * @param {Object} template - The receipt template structure
+     * @param {Object} [options]
+     * @param {number} [options.paperWidth] - Paper width in mm if it differs from the profile (preview)
+     * @returns {Buffer} - Complete ESC/POS command buffer ready for printing
+     */
+    generatePrintCommands: (receiptData, template, options = {}) => {
+      const columns = options.paperWidth ? columnsFor(options.paperWidth) : paperColumns;
+      console.log(`${tag} Generating print commands for receipt...`);
+      const printBuffer = [];
+
+      try {
+        printBuffer.push(builders.init());
+
+        const printSection = (section, data) => {
+          for (const element of section) {
+            if (!commands.isElementVisible(element, data)) continue;
+            try {
+              const elementBuffer = driver.processTemplateElement(element, data, columns);
+              if (elementBuffer) {
+                printBuffer.push(elementBuffer);
+              }
+            } catch (elementError) {
+              console.error(`${tag} Error processing element:`, elementError);
+              // Continue with other elements even if one fails
+            }
+          }
+        };
+
+        for (const sectionName of ['header', 'body', 'footer']) {
+          const section = template.template[sectionName];
+          if (!section || !Array.isArray(section)) continue;
+
+          console.log(`${tag} Processing ${sectionName} section with ${section.length} elements`);
+          printSection(section, receiptData);
+        }
+
+        // Vouchers sold on the receipt: one slip each after the receipt, with the voucher as `voucher`
+        const voucherSlip = template.template.voucher_slip;
+        if (Array.isArray(voucherSlip) && Array.isArray(receiptData.vouchers)) {
+          for (const voucher of receiptData.vouchers) {
+            printSection(voucherSlip, { ...receiptData, voucher });
+          }
+        }
+
+        // Ensure we end with reset formatting
+        printBuffer.push(commands.COMMANDS.RESET_FORMATTING);
+
+        const finalBuffer = Buffer.concat(printBuffer);
+        console.log(`${tag} Generated ${finalBuffer.length} bytes of print commands`);
+        return finalBuffer;
+      } catch (error) {
+        console.error(`${tag} Error generating print commands:`, error);
+        // Return a minimal error message instead of throwing
+        return Buffer.concat([
+          commands.COMMANDS.INIT,
+          commands.generateTextCommand('PRINT ERROR\nPlease check logs', { alignment: 'center' }),
+          commands.generateLineFeed(3),
+          commands.generateCutCommand('partial')
+        ]);
+      }
+    },
+
+    /**
+     * Processes a single template element and returns the corresponding ESC/POS commands.
+     * Elements the printer lacks the hardware for (per profile) are skipped.
+     * @param {Object} element - Template element to process
+     * @param {Object} receiptData - Data for variable substitution
+     * @param {number} [columns] - Characters per line, defaults to the paper width of the profile
+     * @returns {Buffer|null} - ESC/POS commands or null if element should be skipped
+     */
+    processTemplateElement: (element, receiptData, columns = paperColumns) => {
+      if (!element || !element.type) return null;
+
+      switch (element.type) {
+        case 'text': {
+          const content = commands.processTemplateVariables(element.content || '', receiptData);
+          return commands.generateTextCommand(content, {
+            alignment: element.alignment || 'left',
+            style: element.style || 'normal',
+            font_size: element.font_size || 'normal'
+          });
+        }
+
+        case 'line_separator':
+          return commands.generateLineSeparator(element.character || '-', element.length || columns);
+
+        case 'line_feed':
+          return commands.generateLineFeed(element.count || 1);
+
+        case 'qr_code': {
+          if (!profile.qr_code || !profile.qr_code.supported) return null;
+          const qrData = commands.processTemplateVariables(element.content || '', receiptData);
+          return qrData ? builders.qrCode(qrData, element.size || 'medium') : null;
+        }
+
+        case 'barcode': {
+          if (!profile.barcode || !profile.barcode.supported) return null;
+          const barcodeData = commands.processTemplateVariables(element.content || '', receiptData);
+          if (!barcodeData) return null;
+          return builders.barcode(barcodeData, {
+            height: element.height,
+            width: element.width,
+            font: element.font,
+            position: element.position
+          });
+        }
+
+        case 'cut_paper':
+          return builders.cut(element.cut_type || 'partial', element.feed_lines || 3);
+
+        case 'buzzer': {
+          if (!profile.buzzer || !profile.buzzer.supported) return null;
+          return builders.buzzer(
+            element.times || profile.buzzer.times,
+            element.on_time || profile.buzzer.on_time,
+            element.off_time || profile.buzzer.off_time
+          );
+        }
+
+        case 'drawer_pulse': {
+          if (!profile.drawer || !profile.drawer.supported) return null;
+          return builders.drawerPulse(
+            drawerM(element.pin),
+            element.on_time || profile.drawer.on_time,
+            element.off_time || profile.drawer.off_time
+          );
+        }
+
+        case 'test_print':
+          return profile.self_test ? builders.selfTest(element.test_type || 'config') : null;
+
+        case 'items_list': {
+          const items = receiptData.items || [];
+          if (!Array.isArray(items) || items.length === 0) return null;
+
+          const itemBuffers = [];
+          for (const item of items) {
+            // Modifier lines: one indented line below their item, priced options with their total on the right
+            if (item.is_modifier) {
+              const modifierFormat = element.format?.modifier_line || {};
+              const leftText = commands.processTemplateVariables(modifierFormat.format || '  + {{ name }}', item);
+              const rightText = item.total_price !== 0 ? `${item.total_price.toFixed(2)} EUR` : '';
+              const spacesNeeded = Math.max(1, (element.width || columns) - leftText.length - rightText.length);
+              itemBuffers.push(commands.generateTextCommand(rightText ? leftText + ' '.repeat(spacesNeeded) + rightText : leftText, {
+                alignment: 'left',
+                style: modifierFormat.style || 'normal',
+                font_size: modifierFormat.font_size || 'small'
+              }));
+              continue;
+            }
+
+            // Discount lines: one indented line below their item with the (negative) amount on the right
+            if (item.is_discount) {
+              const discountFormat = element.format?.discount_line || {};
+              const leftText = commands.processTemplateVariables(discountFormat.format || '  {{ name }}', item);
+              const rightText = `${item.total_price.toFixed(2)} EUR`;
+              const spacesNeeded = Math.max(1, (element.width || columns) - leftText.length - rightText.length);
+              itemBuffers.push(commands.generateTextCommand(leftText + ' '.repeat(spacesNeeded) + rightText, {
+                alignment: 'left',
+                style: discountFormat.style || 'normal',
+                font_size: discountFormat.font_size || 'small'
+              }));
+              // Reason of a discount of the staff, unless the name already says it (promotions)
+              if (item.discount_reason && item.discount_reason !== item.name) {
+                const reasonFormat = element.format?.discount_reason_line || {};
+                itemBuffers.push(commands.generateTextCommand(
+                  commands.processTemplateVariables(reasonFormat.format || '    {{ discount_reason }}', item), {
+                    alignment: 'left',
+                    style: reasonFormat.style || 'normal',
+                    font_size: reasonFormat.font_size || 'small'
+                  }));
+              }
+              continue;
+            }
+
+            // Item name line
+            itemBuffers.push(commands.generateTextCommand(item.name, {
+              alignment: element.format?.item_name?.alignment || 'left',
+              style: element.format?.item_name?.style || 'normal',
+              font_size: element.format?.item_name?.font_size || 'normal'
+            }));
+
+            // Quantity and price line, justified with the total on the right
+            const leftText = commands.processTemplateVariables(
+              element.format?.quantity_price_line?.format || '{{ quantity }} x {{ unit_price }} EUR',
+              item
+            );
+            const rightText = `${item.total_price.toFixed(2)} EUR`;
+            const spacesNeeded = Math.max(1, (element.width || columns) - leftText.length - rightText.length);
+            itemBuffers.push(commands.generateTextCommand(leftText + ' '.repeat(spacesNeeded) + rightText, {
+              alignment: 'left',
+              style: element.format?.quantity_price_line?.style || 'normal',
+              font_size: element.format?.quantity_price_line?.font_size || 'small'
+            }));
+
+            // Balance left on a voucher after its redemption
+            if (item.voucher_balance) {
+              itemBuffers.push(commands.generateTextCommand(
+                commands.processTemplateVariables(element.format?.voucher_balance_line?.format || '  Restguthaben: {{ voucher_balance }} EUR', item), {
+                  alignment: 'left',
+                  style: element.format?.voucher_balance_line?.style || 'normal',
+                  font_size: element.format?.voucher_balance_line?.font_size || 'small'
+                }));
+            }
+
+            // Pricing schedule the price comes from, e.g. "  Happy Hour"
+            if (item.price_rule) {
+              itemBuffers.push(commands.generateTextCommand(
+                commands.processTemplateVariables(element.format?.price_rule_line?.format || '  {{ price_rule }}', item), {
+                  alignment: 'left',
+                  style: element.format?.price_rule_line?.style || 'normal',
+                  font_size: element.format?.price_rule_line?.font_size || 'small'
+                }));
+            }
+          }
+          return Buffer.concat(itemBuffers);
+        }
+
+        case 'tax_breakdown':
+          return commands.generateTaxBreakdown(receiptData.tax_breakdown, {
+            format: element.format,
+            width: element.width || columns
+          });
+
+        case 'payments_list':
+          return commands.generatePaymentsList(receiptData.payments, {
+            change_label: element.change_label,
+            width: element.width || columns
+          });
+
+        case 'value_list': {
+          const entries = element.source ? receiptData[element.source] : [receiptData];
+          return commands.generateValueList(entries, element.lines, { width: element.width || columns });
+        }
+
+        case 'ticket_items':
+          return commands.generateTicketItems(receiptData.items, {
+            group_by_course: element.group_by_course,
+            course_label: element.course_label
+          });
+
+        default:
+          console.warn(`${tag} Unknown template element type: ${element.type}`);
+          return null;
+      }
+    },
+
+    /**
+     * Real-time status (DLE EOT) before printing, see systemTools.getPrinterStatus.
+     * Printers whose profile has no real-time status are reported as NO_RESPONSE.
+     * @param {Object} port - Port object for communication
+     * @returns {Promise<Object>}
+     */
+    getPrinterStatus: async (port) => {
+      if (!profile.status || !profile.status.real_time) {
+        return { status: 'NO_RESPONSE', message: `${profile.model_name} has no real-time status` };
+      }
+      return systemTools.getPrinterStatus(port);
+    },
+
+    /**
+     * Execute real-time status query
+     * @param {Object} port - Port object for communication
+     * @returns {Promise<Object>} Status query result
+     */
+    queryPrinterStatus: async (port) => {
+      const result = await driver.getPrinterStatus(port);
+      if (result.status !== 'SUCCESS') {
+        return { status: 'error', message: result.message || 'No status response received' };
+      }
+      return {
+        status: 'success',
+        online: result.online,
+        paperOut: result.paperOut,
+        coverOpen: result.coverOpen,
+        rawStatus: result.raw
+      };
+    },
+
+    /**
+     * Identity, status and capabilities of the printer
+     * @param {Object} port - Port object for communication
+     * @returns {Promise<Object>} Detailed printer information
+     */
+    getDetailedPrinterInfo: async (port) => {
+      try {
+        console.log(`${tag} Getting detailed printer information...`);
+
+        const identity = await systemTools.getPrinterIdentity(port);
+        const status = await driver.queryPrinterStatus(port);
+        let paperSensor = null;
+        if (profile.status && profile.status.paper_sensor_command && port.type === 'LAN') {
+          const result = await systemTools.execute_printer_command(port, Buffer.from(profile.status.paper_sensor_command), 3000);
+          if (result.status === 'success' && result.responseData) {
+            const statusByte = result.responseData[0] || 0;
+            paperSensor = {
+              paperNearEnd: (statusByte & 0x03) !== 0,
+              paperOut: (statusByte & 0x0C) !== 0,
+              statusByte
+            };
+          }
+        }
+
+        return {
+          manufacturer: profile.manufacturer,
+          model: profile.model_name,
+          identity,
+          status,
+          paperSensor,
+          capabilities: driver.getCapabilities()
+        };
+      } catch (error) {
+        console.error(`${tag} Error getting detailed info:`, error);
+        return { error: error.message };
+      }
+    },
+
+    /**
+     * @returns {Object} What the printer supports according to its profile
+     */
+    getCapabilities: () => ({
+      paperWidth: profile.paper.width_mm,
+      codePage: profile.code_page.name,
+      cutter: profile.cutter ? profile.cutter.type : 'none',
+      drawer: !!(profile.drawer && profile.drawer.supported),
+      drawerPins: profile.drawer && profile.drawer.supported ? profile.drawer.pins : [],
+      buzzer: !!(profile.buzzer && profile.buzzer.supported),
+      qrCode: !!(profile.qr_code && profile.qr_code.supported),
+      barcode: !!(profile.barcode && profile.barcode.supported),
+      realTimeStatus: !!(profile.status && profile.status.real_time),
+      testPrint: !!profile.self_test
+    }),
+
+    /**
+     * Execute printer self-test and configuration print
+     * @param {Object} port - Port object for communication
+     * @param {String} testType - Type of test ('config', 'hex', 'paper')
+     * @returns {Promise<Object>} Test execution result
+     */
+    executeSelfTest: async (port, testType = 'config') => {
+      if (!profile.self_test) {
+        return { status: 'error', message: `${profile.model_name} has no self-test command` };
+      }
+      try {
+        console.log(`${tag} Executing self-test: ${testType}`);
+        const result = await systemTools.execute_printer_command(port, builders.selfTest(testType), 10000);
+        if (result.status === 'success') {
+          return { status: 'success', message: `${testType} test executed` };
+        }
+        return { status: 'error', message: `Test failed: ${result.message}` };
+      } catch (error) {
+        console.error(`${tag} Self-test error:`, error);
+        return { status: 'error', message: error.message };
+      }
+    },
+
+    /**
+     * Print test page with various test patterns
+     * @param {Object} port - Port object for communication
+     * @param {String} testType - Type of test ('ascii', 'barcode', 'qr', 'full')
+     * @returns {Promise<Object>} Test execution result
+     */
+    executeTestPrint: async (port, testType = 'ascii') => {
+      const title = (text) => commands.generateTextCommand(text, { alignment: 'center', style: 'bold' });
+      const capabilities = driver.getCapabilities();
+      const parts = [builders.init()];
+
+      switch (testType) {
+        case 'ascii':
+          parts.push(
+            title(`=== ${profile.model_name} TEST PAGE ===`),
+            commands.generateLineFeed(1),
+            commands.generateTextCommand('0123456789 ABCDEFGHIJKLMNOPQRSTUVWXYZ'),
+            commands.generateTextCommand('abcdefghijklmnopqrstuvwxyz !@#$%^&*()')
+          );
+          break;
+        case 'barcode':
+          if (!capabilities.barcode) return { status: 'error', message: `${profile.model_name} does not print barcodes` };
+          parts.push(title('=== BARCODE TEST ==='), builders.barcode('TEST123456', { height: 100, width: 2, position: 2 }));
+          break;
+        case 'qr':
+          if (!capabilities.qrCode) return { status: 'error', message: `${profile.model_name} does not print QR codes` };
+          parts.push(title('=== QR CODE TEST ==='), builders.qrCode('https://github.com/xelth/ecKasse', 'medium'));
+          break;
+        case 'full':
+          parts.push(
+            title('=== FULL CAPABILITY TEST ==='),
+            commands.generateTextCommand('Normal Size Text'),
+            commands.generateTextCommand('Double Size', { font_size: 'large' }),
+            commands.generateTextCommand(`Code page ${profile.code_page.name}: äöüß €`)
+          );
+          if (capabilities.qrCode) parts.push(builders.qrCode(`${profile.model_name} Test`, 'small'));
+          if (capabilities.barcode) parts.push(builders.barcode(profile.model_name, { height: 80, position: 2 }));
+          break;
+        default:
+          return { status: 'error', message: `Unknown test type: ${testType}` };
+      }
+      parts.push(builders.cut('partial'));
+
+      try {
+        console.log(`${tag} Executing test print: ${testType}`);
+        const result = await systemTools.execute_printer_command(port, Buffer.concat(parts), 15000);
+        if (result.status === 'success') {
+          return { status: 'success', message: `${testType} test executed` };
+        }
+        return { status: 'error', message: `Test failed: ${result.message}` };
+      } catch (error) {
+        console.error(`${tag} Test print error:`, error);
+        return { status: 'error', message: error.message };
+      }
+    },
+
+    /**
+     * Control cash drawer with configurable pulse
+     * @param {Object} port - Port object for communication
+     * @param {Object} options - Drawer control options: pin (0/1 or connector pin 2/5), onTime, offTime
+     * @returns {Promise<Object>} Operation result
+     */
+    controlCashDrawer: async (port, options = {}) => {
+      if (!profile.drawer || !profile.drawer.supported) {
+        return { status: 'error', message: `${profile.model_name} has no cash drawer port` };
+      }
+      try {
+        const pin = drawerM(options.pin);
+        const onTime = options.onTime || profile.drawer.on_time;
+        const offTime = options.offTime || profile.drawer.off_time;
+
+        console.log(`${tag} Opening cash drawer - Pin:${pin === 0 ? 2 : 5}, On:${onTime * 2}ms, Off:${offTime * 2}ms`);
+
+        const result = await systemTools.execute_printer_command(port, builders.drawerPulse(pin, onTime, offTime), 3000);
+        if (result.status === 'success') {
+          return { status: 'success', message: 'Cash drawer opened' };
+        }
+        return { status: 'error', message: `Drawer operation failed: ${result.message}` };
+      } catch (error) {
+        console.error(`${tag} Cash drawer error:`, error);
+        return { status: 'error', message: error.message };
+      }
+    },
+
+    /**
+     * Sound buzzer with configurable pattern
+     * @param {Object} port - Port object for communication
+     * @param {Object} options - Buzzer options: times, onTime, offTime
+     * @returns {Promise<Object>} Operation result
+     */
+    soundBuzzer: async (port, options = {}) => {
+      if (!profile.buzzer || !profile.buzzer.supported) {
+        return { status: 'error', message: `${profile.model_name} has no buzzer` };
+      }
+      try {
+        const times = options.times || profile.buzzer.times;
+        const onTime = options.onTime || profile.buzzer.on_time;
+        const offTime = options.offTime || profile.buzzer.off_time;
+
+        console.log(`${tag} Sounding buzzer - Times:${times}, On:${onTime * 100}ms, Off:${offTime * 100}ms`);
+
+        const result = await systemTools.execute_printer_command(port, builders.buzzer(times, onTime, offTime), 5000);
+        if (result.status === 'success') {
+          return { status: 'success', message: 'Buzzer activated' };
+        }
+        return { status: 'error', message: `Buzzer operation failed: ${result.message}` };
+      } catch (error) {
+        console.error(`${tag} Buzzer error:`, error);
+        return { status: 'error', message: error.message };
+      }
+    },
+
+    ...methodOverrides
+  };
+
+  return driver;
+}
+
+module.exports = { createEscPosDriver };
@@ -0,0 +1,823 @@
+/**
+ * ESC/POS Preview Renderer
+ * Interprets the byte stream generated by the printer drivers (generatePrintCommands) the way a
+ * thermal printer would and renders it as plain text and as a PNG image, so receipts and templates
+ * can be checked without a printer.
+ *
+ * Supported: text with alignment, bold, underline, italic and character size (ESC !, GS !),
+ * code pages (ESC t), line spacing and feeds, paper cuts, QR codes and barcodes, raster images
+ * (GS v 0). Cash drawer pulses, buzzers and test prints do not mark the paper, they are reported
+ * as events. QR codes and barcodes are not encoded: they are drawn as labelled placeholders of their
+ * printed size and position with their content inside.
+ */
+
+const zlib = require('zlib');
+const { GLYPH_WIDTH, GLYPH_HEIGHT, getGlyph } = require('./bitmap_font');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const DLE = 0x10;
+const DC2 = 0x12;
+const FS = 0x1C;
+const LF = 0x0A;
+const CR = 0x0D;
+const HT = 0x09;
+const FF = 0x0C;
+
+// Printable width at 203 dpi and characters per line in font A (12x24 dots)
+const PAPER_WIDTHS = {
+  58: { dots: 384, columns: 32 },
+  80: { dots: 576, columns: 48 }
+};
+const CHAR_WIDTH = 12;
+const CHAR_HEIGHT = 24;
+const DEFAULT_LINE_SPACING = 30;
+const TAB_WIDTH = 8;
+// Barcode system of GS k m=73
+const CODE128 = 73;
+
+// Upper half (0x80-0xFF) of the code pages selectable with ESC t
+const CODE_PAGES = {
+  0: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0',
+  2: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0',
+  19: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0'
+};
+const CODE_PAGE_NAMES = { 0: 'CP437', 2: 'CP850', 19: 'CP858' };
+
+// Byte mode capacity of QR code versions 1-20 by error correction level
+const QR_CAPACITY = {
+  L: [17, 32, 53, 78, 106, 134, 154, 192, 230, 271, 321, 367, 425, 458, 520, 586, 644, 718, 792, 858],
+  M: [14, 26, 42, 62, 84, 106, 122, 152, 180, 213, 251, 287, 331, 362, 412, 450, 504, 560, 624, 666],
+  Q: [11, 20, 32, 46, 60, 74, 86, 108, 130, 151, 177, 203, 241, 258, 292, 322, 364, 394, 442, 482],
+  H: [7, 14, 24, 34, 44, 58, 64, 84, 98, 119, 137, 155, 177, 194, 220, 250, 280, 310, 338, 382]
+};
+const QR_ERROR_LEVELS = { 48: 'L', 49: 'M', 50: 'Q', 51: 'H' };
+
+// Arguments following ESC / GS commands of a fixed length
+const ESC_ARGUMENTS = {
+  '@': 0, '2': 0, 'i': 0, 'm': 0, '<': 0,
+  '!': 1, 'E': 1, 'G': 1, '-': 1, '4': 1, 'a': 1, 'R': 1, 't': 1, '3': 1, ' ': 1, 'd': 1, 'J': 1,
+  'e': 1, 'M': 1, 'V': 1, '{': 1, 'c': 2, '$': 2, '\\': 2, 'B': 2, 'p': 3
+};
+const GS_ARGUMENTS = {
+  '!': 1, 'h': 1, 'w': 1, 'f': 1, 'H': 1, 'I': 1, 'B': 1, 'a': 1, 'r': 1, '/': 1, 'b': 1,
+  'L': 2, 'W': 2, 'P': 2, '$': 2
+};
+
+function initialState() {
+  return {
+    align: 'left',
+    bold: false,
+    underline: false,
+    italic: false,
+    width: 1,
+    height: 1,
+    codePage: 0,
+    charset: 0,
+    lineSpacing: DEFAULT_LINE_SPACING,
+    qr: { moduleSize: 3, errorLevel: 'L', data: null },
+    barcode: { height: 162, moduleWidth: 3, hriPosition: 0 }
+  };
+}
+
+/**
+ * Interprets an ESC/POS byte stream.
+ * @param {Buffer} data - Output of a driver's generatePrintCommands
+ * @param {Object} [options]
+ * @param {string} [options.encoding='utf8'] - 'utf8' decodes text as UTF-8, the way the drivers
+ *   write it (see commands.generateTextCommand); 'codepage' decodes it with the code page selected
+ *   by ESC t, i.e. shows what a printer without UTF-8 support prints
+ * @returns {{blocks: Object[], events: Object[], warnings: string[]}} The printed blocks in order:
+ *   'text' lines with their styled runs, 'qr', 'barcode', 'image', 'feed' and 'cut'
+ */
+function parseEscPos(data, options = {}) {
+  const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  const encoding = options.encoding || 'utf8';
+  const blocks = [];
+  const events = [];
+  const warnings = [];
+  let state = initialState();
+  let line = null;
+  let runBytes = [];
+
+  const runStyle = () => ({
+    bold: state.bold,
+    underline: state.underline,
+    italic: state.italic,
+    width: state.width,
+    height: state.height,
+    codePage: state.codePage
+  });
+
+  const closeRun = () => {
+    if (runBytes.length === 0) return;
+    const style = line.currentStyle;
+    line.runs.push({
+      text: decodeText(Buffer.from(runBytes), encoding, style.codePage),
+      bold: style.bold,
+      underline: style.underline,
+      italic: style.italic,
+      width: style.width,
+      height: style.height
+    });
+    runBytes = [];
+  };
+
+  const addTextByte = (byte) => {
+    if (!line) {
+      line = { type: 'text', align: state.align, lineSpacing: state.lineSpacing, runs: [], currentStyle: runStyle() };
+    }
+    const style = runStyle();
+    if (Object.keys(style).some(key => style[key] !== line.currentStyle[key])) {
+      closeRun();
+      line.currentStyle = style;
+    }
+    runBytes.push(byte);
+  };
+
+  // Prints the buffered line; an empty buffer feeds one empty line
+  const printLine = () => {
+    if (line) {
+      closeRun();
+      delete line.currentStyle;
+      blocks.push(line);
+      line = null;
+    } else {
+      blocks.push({ type: 'text', align: state.align, lineSpacing: state.lineSpacing, runs: [] });
+    }
+  };
+
+  // Commands that print a block print the buffered line first
+  const flushLine = () => {
+    if (line) printLine();
+  };
+
+  let i = 0;
+  const arg = (offset) => (i + offset < bytes.length ? bytes[i + offset] : 0);
+
+  while (i < bytes.length) {
+    const byte = bytes[i];
+
+    if (byte === LF || byte === FF) {
+      printLine();
+      i += 1;
+    } else if (byte === CR) {
+      i += 1;
+    } else if (byte === HT) {
+      for (let n = 0; n < TAB_WIDTH; n++) addTextByte(0x20);
+      i += 1;
+    } else if (byte === ESC) {
+      const command = String.fromCharCode(arg(1));
+      const length = parseEscCommand(command);
+      i += length;
+    } else if (byte === GS) {
+      const command = String.fromCharCode(arg(1));
+      const length = parseGsCommand(command);
+      i += length;
+    } else if (byte === DLE) {
+      // Real-time requests: DLE EOT n, DLE ENQ n, DLE DC4 fn m t
+      i += arg(1) === 0x14 ? 5 : 3;
+    } else if (byte === DC2) {
+      // DC2 # with the three bytes sent by the Xprinter driver (density, heat time, heat interval)
+      i += arg(1) === 0x23 ? 5 : 2;
+    } else if (byte === FS) {
+      // Kanji modes FS & / FS . and stored logos FS p n m
+      i += arg(1) === 0x70 ? 4 : 2;
+    } else if (byte < 0x20) {
+      warnings.push(`Unknown control byte 0x${hex(byte)} at offset ${i}`);
+      i += 1;
+    } else {
+      addTextByte(byte);
+      i += 1;
+    }
+  }
+  if (line) {
+    // Text without a final line feed stays in the printer's buffer and is not printed
+    warnings.push('Text at the end of the data is not printed without a line feed');
+    line = null;
+  }
+
+  return { blocks, events, warnings };
+
+  function parseEscCommand(command) {
+    switch (command) {
+      case '@':
+        state = initialState();
+        return 2;
+      case '!': {
+        const mode = arg(2);
+        state.bold = (mode & 0x08) !== 0;
+        state.height = (mode & 0x10) ? 2 : 1;
+        state.width = (mode & 0x20) ? 2 : 1;
+        state.underline = (mode & 0x80) !== 0;
+        return 3;
+      }
+      case 'E':
+      case 'G':
+        state.bold = (arg(2) & 0x01) !== 0;
+        return 3;
+      case '-':
+        state.underline = (arg(2) & 0x03) !== 0;
+        return 3;
+      case '4':
+        state.italic = (arg(2) & 0x01) !== 0;
+        return 3;
+      case 'a': {
+        const alignments = ['left', 'center', 'right'];
+        state.align = alignments[arg(2) % 48] || 'left';
+        return 3;
+      }
+      case 'R':
+        state.charset = arg(2);
+        return 3;
+      case 't':
+        state.codePage = arg(2);
+        if (encoding === 'codepage' && !CODE_PAGES[state.codePage]) {
+          warnings.push(`Code page ${state.codePage} is not supported, decoding as CP437`);
+        }
+        return 3;
+      case '2':
+        state.lineSpacing = DEFAULT_LINE_SPACING;
+        return 2;
+      case '3':
+        state.lineSpacing = arg(2);
+        return 3;
+      case 'd': {
+        const count = arg(2);
+        const printed = line ? 1 : 0;
+        printLine();
+        for (let n = printed + 1; n < count; n++) printLine();
+        return 3;
+      }
+      case 'J':
+        flushLine();
+        blocks.push({ type: 'feed', dots: arg(2) });
+        return 3;
+      case 'i':
+      case 'm':
+        flushLine();
+        blocks.push({ type: 'cut', partial: true });
+        return 2;
+      case 'p':
+        events.push({ type: 'drawer_pulse', pin: arg(2) & 0x01 ? 5 : 2 });
+        return 5;
+      case 'B':
+        events.push({ type: 'buzzer', times: arg(2) });
+        return 4;
+      case '*': {
+        // Bit image: m nL nH, 1 byte per column in 8-dot modes, 3 in 24-dot modes
+        const columns = arg(3) + arg(4) * 256;
+        const size = columns * (arg(2) >= 32 ? 3 : 1);
+        warnings.push('Bit images (ESC *) are not rendered');
+        return 5 + size;
+      }
+      case '(': {
+        // ESC ( A pL pH fn ...: beeper of the HPRT driver
+        const size = arg(3) + arg(4) * 256;
+        if (String.fromCharCode(arg(2)) === 'A' && arg(5) === 0x61) {
+          events.push({ type: 'buzzer', times: arg(7) });
+        }
+        return 5 + size;
+      }
+      default: {
+        if (command in ESC_ARGUMENTS) {
+          return 2 + ESC_ARGUMENTS[command];
+        }
+        warnings.push(`Unknown command ESC 0x${hex(command.charCodeAt(0))} at offset ${i}`);
+        return 2;
+      }
+    }
+  }
+
+  function parseGsCommand(command) {
+    switch (command) {
+      case '!': {
+        const size = arg(2);
+        state.width = ((size >> 4) & 0x07) + 1;
+        state.height = (size & 0x07) + 1;
+        return 3;
+      }
+      case 'V': {
+        const mode = arg(2);
+        flushLine();
+        const withFeed = mode >= 65;
+        if (withFeed) {
+          blocks.push({ type: 'feed', dots: arg(3) });
+        }
+        blocks.push({ type: 'cut', partial: [1, 49, 66, 98, 104].includes(mode) });
+        return withFeed ? 4 : 3;
+      }
+      case 'h':
+        state.barcode.height = arg(2);
+        return 3;
+      case 'w':
+        state.barcode.moduleWidth = arg(2);
+        return 3;
+      case 'H':
+        state.barcode.hriPosition = arg(2) % 48;
+        return 3;
+      case 'k': {
+        // GS k m d1...dk NUL (m 0-6) or GS k m n d1...dn (m 65-79)
+        const system = arg(2);
+        let start;
+        let end;
+        let next;
+        if (system <= 6) {
+          start = i + 3;
+          end = bytes.indexOf(0x00, start);
+          if (end === -1) end = bytes.length;
+          next = end + 1;
+        } else {
+          start = i + 4;
+          end = start + arg(3);
+          next = end;
+        }
+        flushLine();
+        blocks.push({
+          type: 'barcode',
+          align: state.align,
+          system,
+          data: bytes.slice(start, end).toString('latin1'),
+          ...state.barcode
+        });
+        return next - i;
+      }
+      case '(': {
+        const size = arg(3) + arg(4) * 256;
+        const kind = String.fromCharCode(arg(2));
+        if (kind === 'k') {
+          parseQrFunction(i + 5, size);
+        } else if (kind === 'A') {
+          events.push({ type: 'test_print', test: arg(6) });
+        }
+        return 5 + size;
+      }
+      case 'v': {
+        // GS v 0 m xL xH yL yH d1...dk: raster image, xL xH bytes per row
+        const bytesPerRow = arg(4) + arg(5) * 256;
+        const rows = arg(6) + arg(7) * 256;
+        const start = i + 8;
+        flushLine();
+        blocks.push({
+          type: 'image',
+          align: state.align,
+          width: bytesPerRow * 8,
+          height: rows,
+          bytesPerRow,
+          data: bytes.slice(start, start + bytesPerRow * rows)
+        });
+        return 8 + bytesPerRow * rows;
+      }
+      default: {
+        if (command in GS_ARGUMENTS) {
+          return 2 + GS_ARGUMENTS[command];
+        }
+        warnings.push(`Unknown command GS 0x${hex(command.charCodeAt(0))} at offset ${i}`);
+        return 2;
+      }
+    }
+  }
+
+  // GS ( k pL pH cn fn ...: QR code functions (cn 49)
+  function parseQrFunction(offset, size) {
+    const symbol = bytes[offset];
+    const fn = bytes[offset + 1];
+    if (symbol !== 0x31) {
+      warnings.push(`Unsupported 2D symbol 0x${hex(symbol)} (GS ( k)`);
+      return;
+    }
+    switch (fn) {
+      case 0x41: // Model
+        break;
+      case 0x43:
+        state.qr.moduleSize = bytes[offset + 2];
+        break;
+      case 0x45:
+        state.qr.errorLevel = QR_ERROR_LEVELS[bytes[offset + 2]] || 'L';
+        break;
+      case 0x50:
+        state.qr.data = bytes.slice(offset + 3, offset + size).toString('utf8');
+        break;
+      case 0x51:
+        flushLine();
+        if (state.qr.data === null) {
+          warnings.push('QR code printed without stored data');
+          break;
+        }
+        blocks.push({ type: 'qr', align: state.align, data: state.qr.data, moduleSize: state.qr.moduleSize, errorLevel: state.qr.errorLevel });
+        break;
+      default:
+        warnings.push(`Unknown QR code function 0x${hex(fn)} (GS ( k)`);
+    }
+  }
+}
+
+function decodeText(buffer, encoding, codePage) {
+  if (encoding !== 'codepage') {
+    return buffer.toString('utf8');
+  }
+  const upperHalf = CODE_PAGES[codePage] || CODE_PAGES[0];
+  let text = '';
+  for (const byte of buffer) {
+    text += byte < 0x80 ? String.fromCharCode(byte) : upperHalf[byte - 0x80];
+  }
+  return text;
+}
+
+function hex(value) {
+  return (value || 0).toString(16).toUpperCase().padStart(2, '0');
+}
+
+function getPaper(paperWidth) {
+  const paper = PAPER_WIDTHS[paperWidth];
+  if (!paper) {
+    throw new Error(`Unsupported paper width: ${paperWidth} mm (supported: ${Object.keys(PAPER_WIDTHS).join(', ')})`);
+  }
+  return paper;
+}
+
+/**
+ * Breaks a text line into printed rows the way the printer wraps it: characters are placed cell by
+ * cell, a character that does not fit starts the next row.
+ * @returns {Array<Array<{char: string, style: Object}>>}
+ */
+function wrapLine(block, columns) {
+  const rows = [[]];
+  let used = 0;
+  for (const run of block.runs) {
+    for (const char of run.text) {
+      if (used + run.width > columns && used > 0) {
+        rows.push([]);
+        used = 0;
+      }
+      rows[rows.length - 1].push({ char, style: run });
+      used += run.width;
+    }
+  }
+  return rows;
+}
+
+function rowColumns(row) {
+  return row.reduce((sum, cell) => sum + cell.style.width, 0);
+}
+
+function alignOffset(align, used, available) {
+  if (align === 'center') return Math.max(Math.floor((available - used) / 2), 0);
+  if (align === 'right') return Math.max(available - used, 0);
+  return 0;
+}
+
+/**
+ * Number of modules per side of the QR code holding the data.
+ */
+function qrModules(data, errorLevel) {
+  const length = Buffer.byteLength(data, 'utf8');
+  const capacities = QR_CAPACITY[errorLevel] || QR_CAPACITY.L;
+  let version = capacities.findIndex(capacity => capacity >= length) + 1;
+  if (version === 0) {
+    // Beyond version 20 estimated by the growth of the capacity per version
+    const perVersion = capacities[19] - capacities[18];
+    version = Math.min(20 + Math.ceil((length - capacities[19]) / perVersion), 40);
+  }
+  return 17 + 4 * version;
+}
+
+/**
+ * Renders the parsed output as text, one printed row per line. Double width characters are
+ * followed by a space so the columns match the paper.
+ * @param {{blocks: Object[]}} document - Result of parseEscPos
+ * @param {Object} [options]
+ * @param {number} [options.paperWidth=80] - Paper width in mm (58 or 80)
+ * @returns {string}
+ */
+function renderText(document, options = {}) {
+  const { columns } = getPaper(options.paperWidth || 80);
+  const lines = [];
+  const placeLine = (text, align) => {
+    const offset = alignOffset(align, [...text].length, columns);
+    lines.push(' '.repeat(offset) + text);
+  };
+
+  for (const block of document.blocks) {
+    switch (block.type) {
+      case 'text': {
+        for (const row of wrapLine(block, columns)) {
+          const text = row.map(cell => cell.char + ' '.repeat(cell.style.width - 1)).join('');
+          lines.push(' '.repeat(alignOffset(block.align, rowColumns(row), columns)) + text);
+        }
+        break;
+      }
+      case 'feed':
+        for (let n = 0; n < Math.round(block.dots / DEFAULT_LINE_SPACING); n++) lines.push('');
+        break;
+      case 'qr': {
+        // The QR code as its content in brackets, wrapped to the paper
+        const modules = qrModules(block.data, block.errorLevel);
+        const text = `[QR ${modules}x${modules}: ${block.data}]`;
+        for (let start = 0; start < text.length; start += columns) {
+          placeLine(text.slice(start, start + columns), block.align);
+        }
+        break;
+      }
+      case 'barcode':
+        placeLine(`[Barcode ${barcodeText(block)}]`, block.align);
+        break;
+      case 'image':
+        placeLine(`[Bild ${block.width}x${block.height}]`, block.align);
+        break;
+      case 'cut':
+        lines.push((block.partial ? '- ' : '= ').repeat(columns / 2).trimEnd());
+        break;
+    }
+  }
+  return lines.map(text => text.trimEnd()).join('\n') + '\n';
+}
+
+/**
+ * Renders the parsed output as a black and white PNG with the paper's width in dots (203 dpi).
+ * @param {{blocks: Object[]}} document - Result of parseEscPos
+ * @param {Object} [options]
+ * @param {number} [options.paperWidth=80] - Paper width in mm (58 or 80)
+ * @returns {Buffer} PNG image
+ */
+function renderPng(document, options = {}) {
+  const { dots: width, columns } = getPaper(options.paperWidth || 80);
+  const margin = 8;
+  const operations = [];
+  let y = margin;
+
+  for (const block of document.blocks) {
+    switch (block.type) {
+      case 'text': {
+        const spacing = Math.max(block.lineSpacing - CHAR_HEIGHT, 0);
+        const rows = block.runs.length > 0 ? wrapLine(block, columns) : [];
+        if (rows.length === 0) {
+          y += Math.max(block.lineSpacing, CHAR_HEIGHT);
+        }
+        for (const row of rows) {
+          const rowHeight = Math.max(...row.map(cell => cell.style.height), 1) * CHAR_HEIGHT;
+          let x = alignOffset(block.align, rowColumns(row), columns) * CHAR_WIDTH;
+          for (const cell of row) {
+            // Characters of a row share the baseline
+            operations.push({ type: 'char', x, y: y + rowHeight - cell.style.height * CHAR_HEIGHT, char: cell.char, style: cell.style });
+            x += cell.style.width * CHAR_WIDTH;
+          }
+          y += rowHeight + spacing;
+        }
+        break;
+      }
+      case 'feed':
+        y += block.dots;
+        break;
+      case 'qr': {
+        const size = qrModules(block.data, block.errorLevel) * Math.max(block.moduleSize, 1);
+        operations.push({ type: 'qr', x: alignOffset(block.align, size, width), y, block });
+        y += size + CHAR_HEIGHT / 2;
+        break;
+      }
+      case 'barcode': {
+        const barcodeWidth = Math.min((block.data.length * 11 + 35) * Math.max(block.moduleWidth, 1), width);
+        const x = alignOffset(block.align, barcodeWidth, width);
+        const hriAbove = block.hriPosition === 1 || block.hriPosition === 3;
+        const hriBelow = block.hriPosition === 2 || block.hriPosition === 3;
+        const hri = barcodeText(block);
+        const hriX = x + alignOffset('center', hri.length * CHAR_WIDTH, barcodeWidth);
+        if (hriAbove) {
+          operations.push({ type: 'label', x: hriX, y, text: hri });
+          y += CHAR_HEIGHT;
+        }
+        operations.push({ type: 'barcode', x, y, width: barcodeWidth, block });
+        y += block.height;
+        if (hriBelow) {
+          operations.push({ type: 'label', x: hriX, y: y + 2, text: hri });
+          y += CHAR_HEIGHT + 2;
+        }
+        break;
+      }
+      case 'image':
+        operations.push({ type: 'image', x: alignOffset(block.align, block.width, width), y, block });
+        y += block.height;
+        break;
+      case 'cut':
+        y += 8;
+        operations.push({ type: 'cut', y, partial: block.partial });
+        y += 8;
+        break;
+    }
+  }
+
+  const height = Math.max(y + margin, 1);
+  const pixels = new Uint8Array(width * height);
+  const setPixel = (px, py) => {
+    if (px >= 0 && px < width && py >= 0 && py < height) pixels[py * width + px] = 1;
+  };
+  const fillRect = (px, py, w, h) => {
+    for (let dy = 0; dy < h; dy++) {
+      for (let dx = 0; dx < w; dx++) setPixel(px + dx, py + dy);
+    }
+  };
+
+  for (const operation of operations) {
+    switch (operation.type) {
+      case 'char':
+        drawChar(fillRect, operation.x, operation.y, operation.char, operation.style);
+        break;
+      case 'label':
+        [...operation.text].forEach((char, index) => {
+          drawChar(fillRect, operation.x + index * CHAR_WIDTH, operation.y, char, { width: 1, height: 1 });
+        });
+        break;
+      case 'qr':
+        drawQrPlaceholder(fillRect, operation.x, operation.y, operation.block);
+        break;
+      case 'barcode':
+        drawBarcodePlaceholder(fillRect, operation.x, operation.y, operation.width, operation.block);
+        break;
+      case 'image': {
+        const { block } = operation;
+        for (let row = 0; row < block.height; row++) {
+          for (let column = 0; column < block.width; column++) {
+            const value = block.data[row * block.bytesPerRow + (column >> 3)] || 0;
+            if (value & (0x80 >> (column & 7))) setPixel(operation.x + column, operation.y + row);
+          }
+        }
+        break;
+      }
+      case 'cut':
+        for (let x = 0; x < width; x += operation.partial ? 12 : 6) {
+          fillRect(x, operation.y, operation.partial ? 6 : 4, 1);
+        }
+        break;
+    }
+  }
+
+  return encodePng(width, height, pixels);
+}
+
+/**
+ * Draws a character in its cell of font A (12x24 dots), the 5x8 glyph scaled by 2.
+ */
+function drawChar(fillRect, x, y, char, style) {
+  const glyph = getGlyph(char);
+  const scaleX = 2 * (style.width || 1);
+  const scaleY = 2 * (style.height || 1);
+  const left = x + (style.width || 1);
+  const top = y + 4 * (style.height || 1);
+  for (let column = 0; column < GLYPH_WIDTH; column++) {
+    for (let row = 0; row < GLYPH_HEIGHT; row++) {
+      if (!(glyph[column] & (1 << row))) continue;
+      const slant = style.italic ? Math.floor((GLYPH_HEIGHT - 1 - row) / 3) * (style.width || 1) : 0;
+      // Bold is printed one dot wider
+      fillRect(left + column * scaleX + slant, top + row * scaleY, scaleX + (style.bold ? 1 : 0), scaleY);
+    }
+  }
+  if (style.underline) {
+    fillRect(x, y + (CHAR_HEIGHT - 2) * (style.height || 1), CHAR_WIDTH * (style.width || 1), style.height || 1);
+  }
+}
+
+/**
+ * Draws a QR code as a placeholder of its printed size: a frame with the content written inside.
+ * The preview does not encode QR codes, so it shows no pattern that could be mistaken for one.
+ */
+function drawQrPlaceholder(fillRect, x, y, block) {
+  const size = qrModules(block.data, block.errorLevel) * Math.max(block.moduleSize, 1);
+  drawPlaceholder(fillRect, x, y, size, size, 'QR', block.data);
+}
+
+/**
+ * Draws a barcode as a placeholder of its printed width and height, like drawQrPlaceholder.
+ */
+function drawBarcodePlaceholder(fillRect, x, y, width, block) {
+  drawPlaceholder(fillRect, x, y, width, block.height, 'BARCODE', barcodeText(block));
+}
+
+// Frame with the label and the content wrapped inside, as far as it fits
+function drawPlaceholder(fillRect, x, y, width, height, label, content) {
+  const border = 2;
+  fillRect(x, y, width, border);
+  fillRect(x, y + height - border, width, border);
+  fillRect(x, y, border, height);
+  fillRect(x + width - border, y, border, height);
+
+  const columns = Math.max(Math.floor((width - 4 * border) / CHAR_WIDTH), 1);
+  const rows = Math.floor((height - 4 * border) / CHAR_HEIGHT);
+  const chars = [...`[${label}] ${content}`];
+  for (let row = 0; row < rows && row * columns < chars.length; row++) {
+    chars.slice(row * columns, (row + 1) * columns).forEach((char, index) => {
+      drawChar(fillRect, x + 2 * border + index * CHAR_WIDTH, y + 2 * border + row * CHAR_HEIGHT, char, { width: 1, height: 1 });
+    });
+  }
+}
+
+// Content as printed in the human readable line: CODE128 without its code set selection ({A, {B, {C)
+function barcodeText(block) {
+  if (block.system !== CODE128) return block.data;
+  return block.data.replace(/\{([ABCS1-4{])/g, (match, code) => (code === '{' ? '{' : ''));
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encodes printed dots (1 = black) as a 1 bit grayscale PNG.
+ */
+function encodePng(width, height, pixels) {
+  const rowBytes = Math.ceil(width / 8);
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  for (let py = 0; py < height; py++) {
+    const rowStart = py * (rowBytes + 1);
+    // Filter type 0, then the row with white (1) and black (0) bits
+    raw[rowStart] = 0;
+    for (let px = 0; px < width; px++) {
+      if (!pixels[py * width + px]) {
+        raw[rowStart + 1 + (px >> 3)] |= 0x80 >> (px & 7);
+      }
+    }
+    for (let px = width; px < rowBytes * 8; px++) {
+      raw[rowStart + 1 + (px >> 3)] |= 0x80 >> (px & 7);
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 1; // Bit depth
+  header[9] = 0; // Grayscale
+  header[10] = 0; // Deflate
+  header[11] = 0; // Adaptive filtering
+  header[12] = 0; // No interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Renders ESC/POS output as text and/or PNG.
+ * @param {Buffer} data - Output of a driver's generatePrintCommands
+ * @param {Object} [options]
+ * @param {number} [options.paperWidth=80] - Paper width in mm (58 or 80)
+ * @param {string} [options.encoding='utf8'] - See parseEscPos
+ * @param {string[]} [options.formats=['text', 'png']] - Previews to render
+ * @returns {{paper_width: number, columns: number, code_page: string|null, text?: string, png?: Buffer, events: Object[], warnings: string[]}}
+ */
+function renderPreview(data, options = {}) {
+  const paperWidth = Number(options.paperWidth) || 80;
+  const formats = options.formats || ['text', 'png'];
+  const { columns } = getPaper(paperWidth);
+  const document = parseEscPos(data, { encoding: options.encoding });
+  const codePageCommand = data.indexOf(Buffer.from([ESC, 0x74]));
+
+  const preview = {
+    paper_width: paperWidth,
+    columns,
+    code_page: codePageCommand === -1 ? null : (CODE_PAGE_NAMES[data[codePageCommand + 2]] || String(data[codePageCommand + 2])),
+    events: document.events,
+    warnings: document.warnings
+  };
+  if (formats.includes('text')) {
+    preview.text = renderText(document, { paperWidth });
+  }
+  if (formats.includes('png')) {
+    preview.png = renderPng(document, { paperWidth });
+  }
+  return preview;
+}
+
+module.exports = {
+  PAPER_WIDTHS,
+  parseEscPos,
+  renderText,
+  renderPng,
+  renderPreview
+};
@@ -25,21 +25,25 @@ const KNOWN_USB_PRINTERS = [
   { vendorId: 0x20d1, productId: 0x7008, name: 'Generic Thermal Printer' }
 ];
 
+// Standard RAW printing port of network printers, a port object may name another one (e.g. an emulator)
+const DEFAULT_RAW_PORT = 9100;
+
 /**
  * A collection of low-level system tools for printer discovery and configuration.
  * NOTE: These are placeholders and require platform-specific implementation and administrative rights.
  */
 const systemTools = {
   /**
-   * Scans all local networks for devices responding on the standard RAW printing port (9100).
+   * Scans all local networks for devices responding on the RAW printing port (9100 by default).
    * @param {string} [networkRange] - Optional CIDR network range to scan (e.g., '192.168.0.0/24')
+   * @param {number} [rawPort=9100] - Port to scan, e.g. the port of scripts/printer_emulator.js
    * @returns {Promise<string[]>} A list of IP addresses.
    */
-  discover_printers: async (networkRange) => {
+  discover_printers: async (networkRange, rawPort = DEFAULT_RAW_PORT) => {
     if (networkRange) {
-      console.log(`[SystemTools] Scanning specified network range: ${networkRange}`);
+      console.log(`[SystemTools] Scanning specified network range: ${networkRange} on port ${rawPort}`);
     } else {
-      console.log('[SystemTools] Scanning all local networks for printers on port 9100...');
+      console.log(`[SystemTools] Scanning all local networks for printers on port ${rawPort}...`);
     }
     
     try {
@@ -169,12 +173,12 @@ const systemTools = {
           
           console.log(`[SystemTools] Scanning ${ipsToScan.length} IP addresses on ${iface.name}...`);
           
-          // Perform TCP ping on port 9100 for all IPs in parallel
+          // Perform TCP ping on the RAW port for all IPs in parallel
           const scanPromises = ipsToScan.map(ip => {
             return new Promise((resolve) => {
               tcpPing.ping({ 
                 address: ip, 
-                port: 9100, 
+                port: rawPort, 
                 timeout: 1000,
                 attempts: 1
               }, (error, data) => {
@@ -235,7 +239,7 @@ const systemTools = {
 
   /**
    * Sends a raw binary command to a specific printer port.
-   * @param {object} port - The port to send the command to.
+   * @param {object} port - The port to send the command to ({type: 'LAN', ip, port?} for network printers).
    * @param {Buffer} command - The binary command buffer.
    * @param {number} timeout - Connection timeout in milliseconds (default: 5000)
    */
@@ -244,8 +248,9 @@ const systemTools = {
       return new Promise((resolve, reject) => {
         const net = require('net');
         const socket = new net.Socket();
+        const rawPort = port.port || DEFAULT_RAW_PORT;
         
-        console.log(`[SystemTools] Connecting to printer at ${port.ip}:9100...`);
+        console.log(`[SystemTools] Connecting to printer at ${port.ip}:${rawPort}...`);
         
         let isConnected = false;
         let dataBuffer = Buffer.alloc(0);
@@ -317,7 +322,7 @@ const systemTools = {
         });
         
         try {
-          socket.connect(9100, port.ip);
+          socket.connect(rawPort, port.ip);
         } catch (connectError) {
           clearTimeout(connectionTimeout);
           console.error(`[SystemTools] Connection error: ${connectError.message}`);
@@ -446,6 +451,11 @@ const systemTools = {
                 console.log('[SystemTools] Configuring printer network settings via USB...');
                 const targetIp = '192.168.1.250';
                 const setIpCommand = module.getSetIpCommand(targetIp);
+                if (!setIpCommand) {
+                  // e.g. Epson and Star printers are configured with their own tools or web interface
+                  console.log(`[SystemTools] ${module.modelName} cannot be configured for network access via USB`);
+                  break;
+                }
                 
                 // Send the IP configuration command via USB
                 await new Promise((resolve, reject) => {
@@ -598,8 +608,9 @@ const systemTools = {
       return new Promise((resolve) => {
         const net = require('net');
         const socket = new net.Socket();
+        const rawPort = port.port || DEFAULT_RAW_PORT;
         
-        console.log(`[SystemTools] Starting network printer identification at ${port.ip}:9100...`);
+        console.log(`[SystemTools] Starting network printer identification at ${port.ip}:${rawPort}...`);
         
         const handleConnection = async () => {
           console.log(`[SystemTools] Connected to printer at ${port.ip} for identification`);
@@ -627,7 +638,7 @@ const systemTools = {
           }
         };
         
-        socket.connect(9100, port.ip, handleConnection);
+        socket.connect(rawPort, port.ip, handleConnection);
         
         socket.on('error', (error) => {
           console.log(`[SystemTools] Network connection error to ${port.ip}: ${error.message}`);
@@ -638,6 +649,63 @@ const systemTools = {
     } else {
       return { status: 'ERROR', message: `Unsupported port type: ${port.type}` };
     }
+  },
+
+  /**
+   * Queries the real-time status of a network printer (DLE EOT 1, 2 and 4) before printing.
+   * Printers not answering real-time status requests are reported as NO_RESPONSE, not as an error.
+   * @param {object} port - The LAN port object ({type: 'LAN', ip, port?}).
+   * @param {number} [timeout=1500] - Milliseconds to wait for the connection and the answers
+   * @returns {Promise<object>} {status: 'SUCCESS', online, paperOut, coverOpen, raw} or
+   *   {status: 'NO_RESPONSE'|'ERROR', message}
+   */
+  getPrinterStatus: async (port, timeout = 1500) => {
+    if (port.type !== 'LAN') {
+      return { status: 'NO_RESPONSE', message: `Status query not supported for port type ${port.type}` };
+    }
+
+    return new Promise((resolve) => {
+      const net = require('net');
+      const socket = new net.Socket();
+      const rawPort = port.port || DEFAULT_RAW_PORT;
+      let responseData = Buffer.alloc(0);
+      let connected = false;
+
+      const finish = (result) => {
+        clearTimeout(timeoutHandle);
+        socket.destroy();
+        resolve(result);
+      };
+
+      const timeoutHandle = setTimeout(() => {
+        finish(connected
+          ? { status: 'NO_RESPONSE', message: `No status response from ${port.ip}:${rawPort}` }
+          : { status: 'ERROR', message: `Connection timeout to ${port.ip}:${rawPort}` });
+      }, timeout);
+
+      socket.on('data', (data) => {
+        responseData = Buffer.concat([responseData, data]);
+        if (responseData.length < 3) return;
+
+        const [printerStatus, offlineCause, paperSensor] = responseData;
+        finish({
+          status: 'SUCCESS',
+          online: (printerStatus & 0x08) === 0,
+          coverOpen: (offlineCause & 0x04) !== 0,
+          paperOut: (offlineCause & 0x20) !== 0 || (paperSensor & 0x60) !== 0,
+          raw: [printerStatus, offlineCause, paperSensor]
+        });
+      });
+
+      socket.on('error', (error) => {
+        finish({ status: 'ERROR', message: `Network connection error: ${error.message}` });
+      });
+
+      socket.connect(rawPort, port.ip, () => {
+        connected = true;
+        socket.write(Buffer.from([0x10, 0x04, 0x01, 0x10, 0x04, 0x02, 0x10, 0x04, 0x04]));
+      });
+    });
   }
 };
 
@@ -0,0 +1,166 @@
+/**
+ * Cloud TSE provider speaking a cloud-TSE style REST protocol:
+ *
+ *   POST /auth                                   -> { access_token, expires_at }
+ *   GET  /tss/:tssId                             -> TSS metadata (serial, algorithm, public key, certificates)
+ *   PUT  /tss/:tssId/client/:clientId            -> register the cash register
+ *   PUT  /tss/:tssId/tx/:txId?tx_revision=n      -> start (n=1), update or finish (state FINISHED) a transaction
+ *   POST /tss/:tssId/self-test                   -> run the TSS self test
+ *   GET  /tss/:tssId/export?start_date&end_date  -> TSE log export (binary)
+ *
+ * The base URL is configurable (TSE_BASE_URL), so the same provider works against a real
+ * cloud TSE gateway or against the bundled mock server (scripts/tse_mock_server.js).
+ */
+const crypto = require('crypto');
+const TseProvider = require('../tse_provider');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class CloudRestTseProvider extends TseProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - e.g. 'http://localhost:8095/api/v1'
+   * @param {string} options.apiKey
+   * @param {string} options.apiSecret
+   * @param {string} options.tssId - ID of the TSS (technical security system) at the provider
+   * @param {number} [options.timeoutMs]
+   */
+  constructor({ baseUrl, apiKey, apiSecret, tssId, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    super('cloud');
+    if (!baseUrl || !tssId) {
+      throw new Error('Cloud TSE provider requires TSE_BASE_URL and TSE_TSS_ID to be configured.');
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.tssId = tssId;
+    this.timeoutMs = timeoutMs;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  async initialize(state) {
+    await this._authenticate();
+    return { ...(state || {}), tss_id: this.tssId };
+  }
+
+  async getMetadata(state) {
+    const tss = await this._request('GET', `/tss/${this.tssId}`);
+    return {
+      serial_number: tss.serial_number,
+      signature_algorithm: tss.signature_algorithm,
+      time_format: tss.time_format,
+      pd_encoding: tss.pd_encoding || 'UTF-8',
+      public_key: tss.public_key,
+      certificate: tss.certificate || '',
+      certificate_ii: tss.certificate_ii || null
+    };
+  }
+
+  async registerClient(clientId, state) {
+    const client = await this._request('PUT', `/tss/${this.tssId}/client/${encodeURIComponent(clientId)}`, { serial_number: clientId });
+    return { client_id: client.client_id || clientId, registered_at: client.registered_at || new Date().toISOString() };
+  }
+
+  async startTransaction(params, state) {
+    return this._upsertTransaction(crypto.randomUUID(), 1, 'ACTIVE', params, state);
+  }
+
+  async updateTransaction(tx, params, state) {
+    return this._upsertTransaction(tx.tx_id, Number(tx.revision) + 1, 'ACTIVE', params, state);
+  }
+
+  async finishTransaction(tx, params, state) {
+    return this._upsertTransaction(tx.tx_id, Number(tx.revision) + 1, 'FINISHED', params, state);
+  }
+
+  async exportData({ startDate, endDate }, state) {
+    const query = new URLSearchParams({ start_date: startDate, end_date: endDate }).toString();
+    const response = await this._fetch('GET', `/tss/${this.tssId}/export?${query}`);
+    const content = Buffer.from(await response.arrayBuffer());
+    const disposition = response.headers.get('content-disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    return { filename: match ? match[1] : `tse_export_${this.tssId}.tar`, content };
+  }
+
+  async selfTest(state) {
+    const result = await this._request('POST', `/tss/${this.tssId}/self-test`, {});
+    return { success: result.success !== false, details: { provider: this.name, ...result } };
+  }
+
+  async _upsertTransaction(txId, revision, txState, { clientId, processType, processData }, state) {
+    const tx = await this._request('PUT', `/tss/${this.tssId}/tx/${txId}?tx_revision=${revision}`, {
+      state: txState,
+      client_id: clientId,
+      process_type: processType,
+      process_data: processData
+    });
+
+    return {
+      response: {
+        tx_id: tx.tx_id || txId,
+        transaction_number: tx.number,
+        signature_counter: tx.signature.counter,
+        start_time: this._toIsoString(tx.time_start),
+        log_time: this._toIsoString(tx.log.timestamp),
+        signature: tx.signature.value,
+        tse_serial_number: tx.tss_serial_number,
+        signature_algorithm: tx.signature.algorithm,
+        time_format: tx.log.timestamp_format || 'unixTime',
+        public_key: tx.signature.public_key,
+        process_type: processType,
+        process_data: processData,
+        client_id: clientId,
+        revision: tx.revision || revision
+      },
+      state
+    };
+  }
+
+  // Cloud TSEs report unixTime (seconds), the POS works with ISO strings
+  _toIsoString(value) {
+    if (typeof value === 'number') return new Date(value * 1000).toISOString();
+    return new Date(value).toISOString();
+  }
+
+  async _authenticate() {
+    const response = await this._fetch('POST', '/auth', { api_key: this.apiKey, api_secret: this.apiSecret }, false);
+    const auth = await response.json();
+    this.accessToken = auth.access_token;
+    this.tokenExpiresAt = auth.expires_at ? new Date(auth.expires_at).getTime() : Date.now() + 10 * 60 * 1000;
+  }
+
+  async _request(method, urlPath, body) {
+    const response = await this._fetch(method, urlPath, body);
+    return response.json();
+  }
+
+  async _fetch(method, urlPath, body, authenticated = true) {
+    if (authenticated && (!this.accessToken || Date.now() > this.tokenExpiresAt - 30000)) {
+      await this._authenticate();
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (authenticated) headers.Authorization = `Bearer ${this.accessToken}`;
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${urlPath}`, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new Error(`Cloud TSE not reachable (${method} ${urlPath}): ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`Cloud TSE request failed (${method} ${urlPath}): HTTP ${response.status} ${text}`);
+    }
+    return response;
+  }
+}
+
+module.exports = CloudRestTseProvider;
@@ -0,0 +1,142 @@
+/**
+ * Local TSE simulator. Signs with a persisted P-256 key and keeps its transaction number and
+ * signature counter in the provider state, so counters survive restarts.
+ * NOT a certified TSE - for development, demo tenants and offline testing only.
+ */
+const crypto = require('crypto');
+const TseProvider = require('../tse_provider');
+const tseCrypto = require('../tse_crypto');
+
+class SimulatorTseProvider extends TseProvider {
+  /**
+   * @param {object} options
+   * @param {object} options.db - Knex instance, used to read the signed transactions for exports
+   */
+  constructor({ db } = {}) {
+    super('simulator');
+    this.db = db;
+  }
+
+  get usesLocalState() {
+    return true;
+  }
+
+  async initialize(state) {
+    if (state && state.private_key) {
+      return state;
+    }
+    const { privateKeyPem } = tseCrypto.generateKeyPair();
+    return {
+      private_key: privateKeyPem,
+      transaction_number: 0,
+      signature_counter: 0,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  async getMetadata(state) {
+    return {
+      serial_number: tseCrypto.getSerialNumber(state.private_key),
+      signature_algorithm: tseCrypto.SIGNATURE_ALGORITHM,
+      time_format: tseCrypto.TIME_FORMAT,
+      pd_encoding: tseCrypto.PD_ENCODING,
+      public_key: tseCrypto.getPublicKeyBase64(state.private_key),
+      // The simulator has no certificate chain, the public key is all it can offer
+      certificate: '',
+      certificate_ii: null
+    };
+  }
+
+  async registerClient(clientId, state) {
+    return { client_id: clientId, registered_at: new Date().toISOString() };
+  }
+
+  async startTransaction(params, state) {
+    const transactionNumber = Number(state.transaction_number) + 1;
+    const tx = { tx_id: crypto.randomUUID(), transaction_number: transactionNumber, start_time: new Date().toISOString() };
+    return this._sign('startTransaction', tx, params, { ...state, transaction_number: transactionNumber });
+  }
+
+  async updateTransaction(tx, params, state) {
+    return this._sign('updateTransaction', tx, params, state);
+  }
+
+  async finishTransaction(tx, params, state) {
+    return this._sign('finishTransaction', tx, params, state);
+  }
+
+  async exportData({ startDate, endDate }, state) {
+    const serialNumber = tseCrypto.getSerialNumber(state.private_key);
+    const transactions = await this.db('tse_transactions as tt')
+      .join('tse_devices as td', 'tt.tse_device_id', 'td.id')
+      .where('td.tse_serial', serialNumber)
+      .whereBetween('tt.start_time', [startDate, endDate])
+      .select('tt.*')
+      .orderBy('tt.transaction_number', 'asc');
+
+    const content = Buffer.from(JSON.stringify({
+      tse_serial_number: serialNumber,
+      public_key: tseCrypto.getPublicKeyBase64(state.private_key),
+      signature_algorithm: tseCrypto.SIGNATURE_ALGORITHM,
+      exported_at: new Date().toISOString(),
+      start_date: startDate,
+      end_date: endDate,
+      transactions
+    }, null, 2), 'utf8');
+
+    return { filename: `tse_export_${serialNumber.substring(0, 16)}.json`, content };
+  }
+
+  async selfTest(state) {
+    const data = `self-test|${Date.now()}`;
+    const signature = tseCrypto.sign(state.private_key, data);
+    const success = tseCrypto.verify(state.private_key, data, signature);
+    return {
+      success,
+      details: {
+        provider: this.name,
+        serial_number: tseCrypto.getSerialNumber(state.private_key),
+        signature_counter: state.signature_counter,
+        transaction_number: state.transaction_number,
+        tested_at: new Date().toISOString()
+      }
+    };
+  }
+
+  _sign(operation, tx, { clientId, processType, processData }, state) {
+    const signatureCounter = Number(state.signature_counter) + 1;
+    const logTime = new Date().toISOString();
+    const serialNumber = tseCrypto.getSerialNumber(state.private_key);
+    const signedData = tseCrypto.buildSignedData({
+      serialNumber,
+      signatureCounter,
+      transactionNumber: tx.transaction_number,
+      operation,
+      logTime,
+      clientId,
+      processType,
+      processData
+    });
+
+    return {
+      response: {
+        tx_id: tx.tx_id,
+        transaction_number: tx.transaction_number,
+        signature_counter: signatureCounter,
+        start_time: tx.start_time,
+        log_time: logTime,
+        signature: tseCrypto.sign(state.private_key, signedData),
+        tse_serial_number: serialNumber,
+        signature_algorithm: tseCrypto.SIGNATURE_ALGORITHM,
+        time_format: tseCrypto.TIME_FORMAT,
+        public_key: tseCrypto.getPublicKeyBase64(state.private_key),
+        process_type: processType,
+        process_data: processData,
+        client_id: clientId
+      },
+      state: { ...state, signature_counter: signatureCounter }
+    };
+  }
+}
+
+module.exports = SimulatorTseProvider;
@@ -0,0 +1,117 @@
+/**
+ * TSE data printed on receipts: the QR code defined in DSFinV-K Anhang I and the same data as text
+ * for receipts that are read without a scanner.
+ *
+ * QR payload:
+ *   V0;kassenSerial;processType;processData;txNumber;sigCounter;start;end;sigAlg;timeFormat;signature;publicKey
+ */
+
+const QR_CODE_VERSION = 'V0';
+
+/**
+ * Formats a point in time the way the TSE logs it (timeFormat of the TSE).
+ * @param {string|Date} value
+ * @param {string} timeFormat - 'unixTime' (seconds), otherwise ISO 8601 (utcTime, generalizedTime)
+ * @returns {string}
+ */
+function formatTseTime(value, timeFormat) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return String(value);
+  if (timeFormat === 'unixTime') return String(Math.floor(date.getTime() / 1000));
+  return date.toISOString();
+}
+
+/**
+ * Builds the QR code payload of a receipt signed by the TSE.
+ * @param {object} tse
+ * @param {string} tse.clientId - Serial number of the cash register (client ID registered at the TSE)
+ * @param {string} tse.processType - e.g. 'Kassenbeleg-V1'
+ * @param {string} tse.processData - e.g. 'Beleg^...'
+ * @param {number} tse.transactionNumber
+ * @param {number} tse.signatureCounter - Signature counter of the finishing signature
+ * @param {string} tse.startTime - Start of the TSE transaction (ISO)
+ * @param {string} tse.logTime - Time of the finishing signature (ISO)
+ * @param {string} tse.signatureAlgorithm
+ * @param {string} tse.timeFormat
+ * @param {string} tse.signature - Base64
+ * @param {string} tse.publicKey - Base64
+ * @returns {string}
+ */
+function buildQrCodePayload(tse) {
+  return [
+    QR_CODE_VERSION,
+    tse.clientId,
+    tse.processType,
+    tse.processData,
+    tse.transactionNumber,
+    tse.signatureCounter,
+    formatTseTime(tse.startTime, tse.timeFormat),
+    formatTseTime(tse.logTime, tse.timeFormat),
+    tse.signatureAlgorithm,
+    tse.timeFormat,
+    tse.signature,
+    tse.publicKey
+  ].map(value => (value === undefined || value === null ? '' : String(value))).join(';');
+}
+
+/**
+ * TSE data of a receipt from the stored TSE response and the master data of the TSE.
+ * @param {object} tseResponse - fiscal_log.tse_response of the finishTransaction event
+ * @param {object} [masterData] - TSE master data, overriding the values reported in the response
+ * @param {string} [masterData.client_id] - tse_devices.client_id
+ * @param {string} [masterData.tse_serial] - dsfinvk_tse.tse_serial
+ * @param {string} [masterData.tse_sig_algo] - dsfinvk_tse.tse_sig_algo
+ * @param {string} [masterData.tse_zeitformat] - dsfinvk_tse.tse_zeitformat
+ * @param {string} [masterData.tse_public_key] - dsfinvk_tse.tse_public_key
+ * @returns {{qr_data: string, info: object}|null} Null if the receipt was not signed (TSE outage)
+ */
+function buildReceiptTseData(tseResponse, masterData = {}) {
+  if (!tseResponse || !tseResponse.signature) return null;
+
+  const tse = {
+    clientId: masterData.client_id || tseResponse.client_id,
+    processType: tseResponse.process_type,
+    processData: tseResponse.process_data,
+    transactionNumber: tseResponse.transaction_number,
+    signatureCounter: tseResponse.signature_counter,
+    startTime: tseResponse.start_time,
+    logTime: tseResponse.log_time,
+    signatureAlgorithm: masterData.tse_sig_algo || tseResponse.signature_algorithm,
+    timeFormat: masterData.tse_zeitformat || tseResponse.time_format,
+    signature: tseResponse.signature,
+    publicKey: masterData.tse_public_key || tseResponse.public_key
+  };
+
+  const toLocalTime = (value) => (value ? new Date(value).toLocaleString('de-DE', {
+    timeZone: 'Europe/Berlin',
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }) : '');
+
+  return {
+    qr_data: buildQrCodePayload(tse),
+    info: {
+      serial_number: masterData.tse_serial || tseResponse.tse_serial_number || '',
+      client_id: tse.clientId || '',
+      transaction_number: tse.transactionNumber,
+      signature_counter: tse.signatureCounter,
+      start_time: toLocalTime(tse.startTime),
+      end_time: toLocalTime(tse.logTime),
+      signature_algorithm: tse.signatureAlgorithm || '',
+      time_format: tse.timeFormat || '',
+      signature: tse.signature
+    }
+  };
+}
+
+module.exports = {
+  QR_CODE_VERSION,
+  formatTseTime,
+  buildQrCodePayload,
+  buildReceiptTseData
+};
@@ -0,0 +1,86 @@
+/**
+ * Signing primitives shared by the TSE simulator provider and the bundled mock cloud-TSE server.
+ * Uses ECDSA on P-256 with plain (r||s) signature encoding, matching the
+ * 'ecdsa-plain-SHA256' algorithm reported by certified TSEs (BSI TR-03151).
+ */
+const crypto = require('crypto');
+
+const SIGNATURE_ALGORITHM = 'ecdsa-plain-SHA256';
+const TIME_FORMAT = 'unixTime';
+const PD_ENCODING = 'UTF-8';
+
+/**
+ * Generates a new P-256 key pair.
+ * @returns {{privateKeyPem: string, publicKeyPem: string}}
+ */
+function generateKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  return {
+    privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+/**
+ * Returns the public key as base64 encoded uncompressed EC point (the format of TSE_PUBLIC_KEY).
+ * @param {string} keyPem - Public or private key in PEM format
+ * @returns {string}
+ */
+function getPublicKeyBase64(keyPem) {
+  const spki = crypto.createPublicKey(keyPem).export({ type: 'spki', format: 'der' });
+  // For P-256 the SPKI structure ends with the 65 byte uncompressed point (0x04 || X || Y)
+  return spki.subarray(spki.length - 65).toString('base64');
+}
+
+/**
+ * The TSE serial number is the hex encoded SHA-256 hash of the public key.
+ * @param {string} keyPem - Public or private key in PEM format
+ * @returns {string}
+ */
+function getSerialNumber(keyPem) {
+  return crypto.createHash('sha256').update(Buffer.from(getPublicKeyBase64(keyPem), 'base64')).digest('hex');
+}
+
+/**
+ * Builds the data covered by a signature. This is a simplified form of the TR-03151 log message:
+ * the process data itself is represented by its SHA-256 hash.
+ * @param {object} params
+ * @returns {string}
+ */
+function buildSignedData({ serialNumber, signatureCounter, transactionNumber, operation, logTime, clientId, processType, processData }) {
+  const processDataHash = crypto.createHash('sha256').update(processData || '', 'utf8').digest('hex');
+  return [serialNumber, signatureCounter, transactionNumber, operation, logTime, clientId || '', processType || '', processDataHash].join('|');
+}
+
+/**
+ * Signs data with the given private key.
+ * @param {string} privateKeyPem
+ * @param {string} data
+ * @returns {string} Base64 encoded plain signature
+ */
+function sign(privateKeyPem, data) {
+  return crypto.sign('sha256', Buffer.from(data, 'utf8'), { key: privateKeyPem, dsaEncoding: 'ieee-p1363' }).toString('base64');
+}
+
+/**
+ * Verifies a signature created by sign().
+ * @param {string} keyPem - Public or private key in PEM format
+ * @param {string} data
+ * @param {string} signature - Base64 encoded plain signature
+ * @returns {boolean}
+ */
+function verify(keyPem, data, signature) {
+  return crypto.verify('sha256', Buffer.from(data, 'utf8'), { key: crypto.createPublicKey(keyPem), dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64'));
+}
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  TIME_FORMAT,
+  PD_ENCODING,
+  generateKeyPair,
+  getPublicKeyBase64,
+  getSerialNumber,
+  buildSignedData,
+  sign,
+  verify
+};
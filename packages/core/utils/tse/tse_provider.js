@@ -0,0 +1,105 @@
+/**
+ * Base class describing the interface every TSE provider has to implement.
+ * Providers are selected by the TseService (see application/tse.service.js).
+ *
+ * Providers are stateless towards the POS: everything that has to survive a restart
+ * (keys of a local TSE, access tokens, ...) is returned as `state` and persisted by the
+ * TseService in tse_devices.provider_state. Signature counters are always taken from the
+ * provider's response, the TseService guarantees they are persisted and monotonic.
+ *
+ * Signing operations resolve to a normalized response:
+ * {
+ *   tx_id, transaction_number, signature_counter, start_time, log_time (ISO strings),
+ *   signature, tse_serial_number, signature_algorithm, time_format, public_key,
+ *   process_type, process_data, client_id
+ * }
+ */
+class TseProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * True if the provider allocates counters from the persisted state (local TSE).
+   * Such operations can safely be retried when a concurrent operation already used the counter.
+   */
+  get usesLocalState() {
+    return false;
+  }
+
+  /**
+   * Prepares the provider (authentication, key loading, ...).
+   * @param {object|null} state - Previously persisted provider state
+   * @returns {Promise<object>} New provider state
+   */
+  async initialize(state) {
+    throw new Error(`${this.name}: initialize() is not implemented`);
+  }
+
+  /**
+   * @param {object} state
+   * @returns {Promise<{serial_number: string, signature_algorithm: string, time_format: string, pd_encoding: string, public_key: string, certificate: string, certificate_ii: string|null}>}
+   */
+  async getMetadata(state) {
+    throw new Error(`${this.name}: getMetadata() is not implemented`);
+  }
+
+  /**
+   * Registers the cash register (client) at the TSE.
+   * @param {string} clientId
+   * @param {object} state
+   * @returns {Promise<{client_id: string, registered_at: string}>}
+   */
+  async registerClient(clientId, state) {
+    throw new Error(`${this.name}: registerClient() is not implemented`);
+  }
+
+  /**
+   * @param {{clientId: string, processType: string, processData: string}} params
+   * @param {object} state
+   * @returns {Promise<{response: object, state: object}>}
+   */
+  async startTransaction(params, state) {
+    throw new Error(`${this.name}: startTransaction() is not implemented`);
+  }
+
+  /**
+   * @param {{tx_id: string, transaction_number: number, revision: number}} tx - Open TSE transaction
+   * @param {{clientId: string, processType: string, processData: string}} params
+   * @param {object} state
+   * @returns {Promise<{response: object, state: object}>}
+   */
+  async updateTransaction(tx, params, state) {
+    throw new Error(`${this.name}: updateTransaction() is not implemented`);
+  }
+
+  /**
+   * @param {{tx_id: string, transaction_number: number, revision: number}} tx - Open TSE transaction
+   * @param {{clientId: string, processType: string, processData: string}} params
+   * @param {object} state
+   * @returns {Promise<{response: object, state: object}>}
+   */
+  async finishTransaction(tx, params, state) {
+    throw new Error(`${this.name}: finishTransaction() is not implemented`);
+  }
+
+  /**
+   * Exports the TSE log data for a period.
+   * @param {{startDate: string, endDate: string}} options
+   * @param {object} state
+   * @returns {Promise<{filename: string, content: Buffer}>}
+   */
+  async exportData(options, state) {
+    throw new Error(`${this.name}: exportData() is not implemented`);
+  }
+
+  /**
+   * @param {object} state
+   * @returns {Promise<{success: boolean, details: object}>}
+   */
+  async selfTest(state) {
+    throw new Error(`${this.name}: selfTest() is not implemented`);
+  }
+}
+
+module.exports = TseProvider;
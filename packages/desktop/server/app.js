@@ -412,8 +412,8 @@ class DesktopServer {
           }
           responseCommand = 'orderUpdated';
         } else if (command === 'addItemToTransaction') {
-          const { transactionId, itemId, quantity, userId } = payload;
-          responsePayload = await this.services.transactionManagement.addItemToTransaction(transactionId, itemId, quantity, userId, {}, correlationId);
+          const { transactionId, itemId, quantity, userId, notes, course, modifiers } = payload;
+          responsePayload = await this.services.transactionManagement.addItemToTransaction(transactionId, itemId, quantity, userId, { notes, course, modifiers }, correlationId);
           if (responsePayload && responsePayload.id) {
               const items = await db('active_transaction_items')
                 .leftJoin('items', 'active_transaction_items.item_id', 'items.id')
@@ -424,6 +424,8 @@ class DesktopServer {
                 display_names: this.parseJsonField(item.display_names)
               }));
           }
+          // Not awaited: the order must not wait for the kitchen printer
+          this.services.kitchenTicket.handleTrigger('item_added', transactionId, userId);
           responseCommand = 'orderUpdated';
         } else if (command === 'finishTransaction') {
           const { transactionId, paymentData, userId } = payload;
@@ -435,31 +437,56 @@ class DesktopServer {
           };
           responseCommand = 'transactionFinished';
         } else if (command === 'reprintReceipt') {
-          const { transactionId } = payload;
+          const { transactionId, userId } = payload;
           if (!transactionId) {
             throw new Error('transactionId is required for reprint');
           }
-          const printResult = await this.services.printer.reprintReceipt(transactionId);
-          
-          // Send feedback via WebSocket instead of returning payload
-          if (printResult.status === 'success') {
-            this.services.websocket.broadcast('displayAgentMessage', {
-              timestamp: new Date().toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }),
-              type: 'agent',
-              message: `Beleg №${transactionId} Nachdruck erfolgreich`,
-              style: 'print-success'
-            });
-          } else {
-            this.services.websocket.broadcast('displayAgentMessage', {
-              timestamp: new Date().toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }),
-              type: 'agent',
-              message: `Nachdruck-Fehler: ${printResult.message}`,
-              style: 'print-error'
-            });
-          }
-          
-          responsePayload = { success: printResult.status === 'success' };
+          // The copy is printed by the print queue, which reports the outcome via WebSocket
+          const job = await this.services.printQueue.reprintReceipt(transactionId, userId);
+          responsePayload = { success: true, job };
           responseCommand = 'reprintResult';
+        } else if (command === 'getPrintJobs') {
+          const { statuses, limit } = payload || {};
+          responsePayload = await this.services.printQueue.getJobs({ statuses, limit });
+          responseCommand = 'printJobs';
+        } else if (command === 'retryPrintJob') {
+          const { jobId, printerId, userId } = payload || {};
+          if (!jobId) {
+            throw new Error('jobId is required');
+          }
+          responsePayload = await this.services.printQueue.retryJob(jobId, { printerId, userId });
+          responseCommand = 'printJobRetried';
+        } else if (command === 'getRefundableItems') {
+          const { transactionId } = payload || {};
+          if (!transactionId) {
+            throw new Error('transactionId is required');
+          }
+          const { transaction, positions, has_refunds } = await this.services.refund.getRefundableItems(transactionId);
+          responsePayload = { transactionId: transaction.id, positions, has_refunds };
+        } else if (command === 'requestRefund') {
+          // Return of a finished receipt; beyond the storno credit of the user it waits for manager approval
+          const { sessionId, transactionId, items, reason, paymentType, isEmergency } = payload || {};
+          if (!transactionId) {
+            throw new Error('transactionId is required');
+          }
+          responsePayload = await this.services.refund.requestRefund({ sessionId, transactionId, items, reason, paymentType, isEmergency });
+        } else if (command === 'approveRefund') {
+          const { sessionId, stornoId, notes } = payload || {};
+          const result = await this.services.refund.approveRefund(sessionId, stornoId, notes);
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          responsePayload = result;
+        } else if (command === 'rejectRefund') {
+          const { sessionId, stornoId, reason } = payload || {};
+          const result = await this.services.transaction.rejectStorno(sessionId, stornoId, reason);
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          responsePayload = result;
+        } else if (command === 'getPendingStornos') {
+          const { sessionId } = payload || {};
+          responsePayload = await this.services.transaction.getPendingStornos(sessionId);
         } else if (command === 'getCategories') {
           console.log('🔍 [Backend] Executing getCategories - fetching from database...');
           const categories = await db('categories').select('*');
@@ -558,6 +585,28 @@ class DesktopServer {
             throw new Error('ProductId, updates, and sessionId are required');
           }
           responsePayload = await this.services.product.updateExistingProduct(productId, updates, sessionId);
+
+        } else if (command === 'getModifierGroups') {
+          responsePayload = await this.services.product.getModifierGroups();
+        } else if (command === 'getItemModifierGroups') {
+          const { itemId } = payload;
+          if (!itemId) {
+            throw new Error('itemId is required');
+          }
+          responsePayload = await this.services.product.getModifierGroupsForProduct(itemId);
+        } else if (command === 'saveModifierGroup') {
+          const { sessionId, groupId, group } = payload;
+          const user = await this.authService.getCurrentUser(sessionId);
+          this.services.product.assertCanEditProducts(user);
+          const initiator = { type: 'user', id: user.id, username: user.username };
+          responsePayload = groupId
+            ? await this.services.product.updateModifierGroup(groupId, group, initiator)
+            : await this.services.product.createModifierGroup(group, initiator);
+        } else if (command === 'deleteModifierGroup') {
+          const { sessionId, groupId } = payload;
+          const user = await this.authService.getCurrentUser(sessionId);
+          this.services.product.assertCanEditProducts(user);
+          responsePayload = await this.services.product.deleteModifierGroup(groupId, { type: 'user', id: user.id, username: user.username });
         
         } else if (command === 'getLoginUsers') {
           responsePayload = await this.authService.getLoginUsers();
@@ -582,10 +631,46 @@ class DesktopServer {
         } else if (command === 'parkTransaction') {
           const { transactionId, tableIdentifier, userId, updateTimestamp } = payload;
           responsePayload = await this.services.transactionManagement.parkTransaction(transactionId, tableIdentifier, userId, updateTimestamp);
+          this.services.kitchenTicket.handleTrigger('parked', transactionId, userId);
           responseCommand = 'parkTransactionResponse';
+        } else if (command === 'sendToKitchen') {
+          const { transactionId, userId } = payload || {};
+          if (!transactionId) {
+            throw new Error('transactionId is required');
+          }
+          responsePayload = await this.services.kitchenTicket.sendToKitchen(transactionId, { userId, trigger: 'manual' });
+        } else if (command === 'previewReceipt') {
+          const { documentType, data, template, model, paperWidth, formats, encoding } = payload || {};
+          responsePayload = await this.services.printer.previewDocument({ documentType, data, template, model, paperWidth, formats, encoding });
+        } else if (command === 'getPrinters') {
+          responsePayload = this.services.printer.printers;
+        } else if (command === 'getPrinterProfiles') {
+          responsePayload = this.services.printer.getPrinterProfiles();
+        } else if (command === 'updatePrinterRoles') {
+          const { sessionId, printerId, roles } = payload || {};
+          const manager = await this.services.manager.validateManagerPermissions(sessionId);
+          if (!manager.success) {
+            throw new Error(manager.error);
+          }
+          responsePayload = await this.services.printer.updatePrinterRoles(printerId, roles);
         } else if (command === 'activateTransaction') {
           const { transactionId, userId, updateTimestamp } = payload;
           responsePayload = await this.services.transactionManagement.activateTransaction(transactionId, userId, updateTimestamp);
+        } else if (command === 'splitTransaction') {
+          const { transactionId, items, userId } = payload;
+          if (!transactionId || !Array.isArray(items) || !userId) {
+            throw new Error('transactionId, items, and userId are required');
+          }
+          const { source, target } = await this.services.transactionManagement.splitTransaction(transactionId, items, userId, correlationId);
+          responsePayload = {
+            ...source,
+            items: source.items.map(item => ({ ...item, display_names: this.parseJsonField(item.display_names) })),
+            splitTarget: {
+              ...target,
+              items: target.items.map(item => ({ ...item, display_names: this.parseJsonField(item.display_names) }))
+            }
+          };
+          responseCommand = 'orderUpdated';
         } else if (command === 'checkTableAvailability') {
           const { tableNumber, excludeTransactionId } = payload;
           const isInUse = await this.services.transactionManagement.checkTableAvailability(tableNumber, excludeTransactionId);
@@ -627,12 +712,76 @@ class DesktopServer {
               }));
           }
           responseCommand = 'orderUpdated';
+        } else if (command === 'applyDiscount') {
+          const { sessionId, transactionId, transactionItemId, type, value, reason } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          if (!transactionId || !type) {
+            throw new Error('transactionId and type are required');
+          }
+          responsePayload = await this.services.transactionManagement.applyDiscount(transactionId, { type, value, reason, transactionItemId }, user);
+          responsePayload.items = responsePayload.items.map(item => ({ ...item, display_names: this.parseJsonField(item.display_names) }));
+          responseCommand = 'orderUpdated';
+        } else if (command === 'removeDiscount') {
+          const { sessionId, transactionId, transactionDiscountId } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          if (!transactionId || !transactionDiscountId) {
+            throw new Error('transactionId and transactionDiscountId are required');
+          }
+          responsePayload = await this.services.transactionManagement.removeDiscount(transactionId, transactionDiscountId, user.id);
+          responsePayload.items = responsePayload.items.map(item => ({ ...item, display_names: this.parseJsonField(item.display_names) }));
+          responseCommand = 'orderUpdated';
+        } else if (command === 'addVoucher') {
+          const { transactionId, amount, expiresAt, userId } = payload || {};
+          if (!transactionId || amount === undefined || !userId) {
+            throw new Error('transactionId, amount, and userId are required');
+          }
+          responsePayload = await this.services.transactionManagement.addVoucherToTransaction(transactionId, { amount, expiresAt }, userId);
+          responsePayload.items = responsePayload.items.map(item => ({ ...item, display_names: this.parseJsonField(item.display_names) }));
+          responseCommand = 'orderUpdated';
+        } else if (command === 'removeVoucher') {
+          const { transactionId, transactionItemId, userId } = payload || {};
+          if (!transactionId || !transactionItemId || !userId) {
+            throw new Error('transactionId, transactionItemId, and userId are required');
+          }
+          responsePayload = await this.services.transactionManagement.removeVoucherFromTransaction(transactionId, transactionItemId, userId);
+          responsePayload.items = responsePayload.items.map(item => ({ ...item, display_names: this.parseJsonField(item.display_names) }));
+          responseCommand = 'orderUpdated';
+        } else if (command === 'getVoucher') {
+          const { code } = payload || {};
+          if (!code) {
+            throw new Error('code is required');
+          }
+          responsePayload = await this.services.voucher.getVoucher(code);
         } else if (command === 'addCustomPriceItem') {
           const { transactionId, itemId, customPrice, quantity, userId, options } = payload;
           if (!transactionId || !itemId || customPrice === undefined || !quantity || !userId) {
             throw new Error('transactionId, itemId, customPrice, quantity, and userId are required');
           }
           responsePayload = await this.services.transactionManagement.addCustomPriceItemToTransaction(transactionId, itemId, customPrice, quantity, userId, options);
+          this.services.kitchenTicket.handleTrigger('item_added', transactionId, userId);
+          if (responsePayload && responsePayload.id) {
+              const items = await db('active_transaction_items')
+                .leftJoin('items', 'active_transaction_items.item_id', 'items.id')
+                .select('active_transaction_items.*', 'items.display_names')
+                .where('active_transaction_items.active_transaction_id', responsePayload.id);
+              responsePayload.items = items.map(item => ({
+                ...item,
+                display_names: this.parseJsonField(item.display_names)
+              }));
+          }
+          responseCommand = 'orderUpdated';
+        } else if (command === 'setConsumptionContext') {
+          const { transactionId, consumptionContext, userId } = payload;
+          if (!transactionId || !consumptionContext || !userId) {
+            throw new Error('transactionId, consumptionContext, and userId are required');
+          }
+          responsePayload = await this.services.transactionManagement.setConsumptionContext(transactionId, consumptionContext, userId);
           if (responsePayload && responsePayload.id) {
               const items = await db('active_transaction_items')
                 .leftJoin('items', 'active_transaction_items.item_id', 'items.id')
@@ -666,6 +815,200 @@ class DesktopServer {
           const { handleGenerateExport } = require('./controllers/export.controller');
           responsePayload = await handleGenerateExport(payload);
           responseCommand = 'generateDsfinvkExportResponse';
+        } else if (command === 'getTseStatus') {
+          responsePayload = await this.services.system.checkTSEStatus();
+        } else if (command === 'getTseOutageStatus') {
+          responsePayload = this.services.tseOutage.getStatus();
+        } else if (command === 'checkTseRecovery') {
+          responsePayload = await this.services.tseOutage.checkAndRecover();
+        } else if (command === 'verifyLogIntegrity') {
+          const { sessionId } = payload;
+          const manager = await this.services.manager.validateManagerPermissions(sessionId);
+          if (!manager.success) {
+            throw new Error(manager.error);
+          }
+          responsePayload = await this.services.logIntegrity.verifyAll();
+          await this.services.logging.logOperationalEvent('LOG_INTEGRITY_VERIFIED', manager.user.id, {
+            ok: responsePayload.ok,
+            fiscal_entries: responsePayload.fiscal_log.total_entries,
+            operational_entries: responsePayload.operational_log.total_entries,
+            fiscal_first_broken_link: responsePayload.fiscal_log.first_broken_link,
+            operational_first_broken_link: responsePayload.operational_log.first_broken_link
+          });
+        } else if (command === 'closeBusinessDay') {
+          const { sessionId, businessDate, countedCash } = payload;
+          const manager = await this.services.manager.validateManagerPermissions(sessionId);
+          if (!manager.success) {
+            throw new Error(manager.error);
+          }
+          responsePayload = await this.services.closing.closeBusinessDay({ businessDate, userId: manager.user.id, countedCash });
+          this.services.websocket.broadcast('businessDayClosed', {
+            z_nr: responsePayload.closing.z_nr,
+            business_date: responsePayload.closing.business_date
+          });
+        } else if (command === 'getClosings') {
+          const { startDate, endDate } = payload || {};
+          responsePayload = await this.services.closing.listClosings({ startDate, endDate });
+        } else if (command === 'getOpenBusinessDate') {
+          responsePayload = { businessDate: await this.services.closing.getOpenBusinessDate() };
+        } else if (command === 'printXReport') {
+          // Running totals of the open business day, allowed for every logged-in user
+          const { sessionId, countedCash, print = true } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          const report = await this.reportingService.generateXReport({ countedCash });
+          if (!report.success) {
+            throw new Error(report.error);
+          }
+          const printStatus = print ? await this.services.printer.printReport(report.data) : null;
+          await this.services.logging.logOperationalEvent('X_REPORT_PRINTED', user.id, {
+            z_nr: report.data.z_nr,
+            total_gross: report.data.total_gross,
+            printed: printStatus ? printStatus.status === 'success' : false
+          });
+          responsePayload = { report: report.data, printStatus };
+        } else if (command === 'printZReport') {
+          // Z-report of a stored closing (latest by default), a reprint never changes the closing
+          const { sessionId, zNr, print = true } = payload || {};
+          const manager = await this.services.manager.validateManagerPermissions(sessionId);
+          if (!manager.success) {
+            throw new Error(manager.error);
+          }
+          const report = await this.reportingService.generateZReport({ zNr });
+          if (!report.success) {
+            throw new Error(report.error);
+          }
+          const printStatus = print ? await this.services.printer.printReport(report.data) : null;
+          await this.services.logging.logOperationalEvent('Z_REPORT_PRINTED', manager.user.id, {
+            z_nr: report.data.z_nr,
+            printed: printStatus ? printStatus.status === 'success' : false
+          });
+          responsePayload = { report: report.data, printStatus };
+        } else if (command === 'getCashDrawerShift') {
+          // The open shift without the expected cash, the count at its end is blind
+          const { sessionId } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          responsePayload = {
+            ...(await this.services.cashDrawer.getCurrentShift()),
+            can_use_drawer: this.services.cashDrawer.canUseDrawer(user)
+          };
+        } else if (command === 'openCashDrawer') {
+          const { sessionId, note } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          responsePayload = await this.services.cashDrawer.openDrawerManually(user, note);
+        } else if (command === 'openCashDrawerShift') {
+          const { sessionId, denominations } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          this.services.cashDrawer.assertPermission(user);
+          responsePayload = await this.services.cashDrawer.openShift({ userId: user.id, denominations });
+        } else if (command === 'recordCashMovement') {
+          const { sessionId, type, amount, direction, reason } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          this.services.cashDrawer.assertPermission(user);
+          responsePayload = await this.services.cashDrawer.recordMovement({ userId: user.id, type, amount, direction, reason });
+        } else if (command === 'closeCashDrawerShift') {
+          const { sessionId, denominations } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          this.services.cashDrawer.assertPermission(user);
+          responsePayload = await this.services.cashDrawer.closeShift({ userId: user.id, denominations });
+        } else if (command === 'getStockItems') {
+          const { sessionId } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          responsePayload = {
+            stock_items: await this.services.inventory.getStockItems(),
+            can_manage_inventory: this.services.inventory.canManageInventory(user)
+          };
+        } else if (command === 'getStockMovements') {
+          const { sessionId, stockItemId, limit } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          responsePayload = await this.services.inventory.getStockMovements({ stockItemId, limit });
+        } else if (command === 'saveStockItem') {
+          const { sessionId, stockItemId, stockItem } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          this.services.inventory.assertPermission(user);
+          responsePayload = await this.services.inventory.saveStockItem(stockItemId || null, stockItem || {}, user.id);
+        } else if (command === 'getItemRecipe') {
+          const { itemId } = payload || {};
+          responsePayload = await this.services.inventory.getRecipe(itemId);
+        } else if (command === 'saveItemRecipe') {
+          const { sessionId, itemId, recipe } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          this.services.inventory.assertPermission(user);
+          responsePayload = await this.services.inventory.setRecipe(itemId, recipe || {}, user.id);
+        } else if (command === 'recordGoodsReceipt') {
+          const { sessionId, lines, reference, note } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          this.services.inventory.assertPermission(user);
+          responsePayload = await this.services.inventory.recordGoodsReceipt({ userId: user.id, lines, reference, note });
+        } else if (command === 'recordStockCount') {
+          const { sessionId, lines, note } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          this.services.inventory.assertPermission(user);
+          responsePayload = await this.services.inventory.recordCount({ userId: user.id, lines, note });
+        } else if (command === 'getPromotions') {
+          const { sessionId } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          responsePayload = {
+            promotions: await this.services.discount.getPromotions(),
+            can_manage_promotions: this.services.discount.canManagePromotions(user)
+          };
+        } else if (command === 'savePromotion') {
+          const { sessionId, promotionId, promotion } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          this.services.discount.assertCanManagePromotions(user);
+          responsePayload = await this.services.discount.savePromotion(promotionId || null, promotion || {}, user.id);
+        } else if (command === 'deletePromotion') {
+          const { sessionId, promotionId } = payload || {};
+          const user = sessionId ? await this.authService.getCurrentUser(sessionId) : null;
+          if (!user) {
+            throw new Error('Invalid session');
+          }
+          this.services.discount.assertCanManagePromotions(user);
+          responsePayload = await this.services.discount.deletePromotion(promotionId, user.id);
+        } else if (command === 'exportTseData') {
+          const { startDate, endDate } = payload;
+          responsePayload = await this.services.tse.exportData({ startDate, endDate });
         } else if (command === 'exportMdf') {
           const { includeEmbeddings } = payload;
           responsePayload = await this.services.export.exportToOopMdf({ includeEmbeddings });
@@ -78,6 +78,9 @@ async function startExport(req, res) {
       
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
       res.setHeader('Content-Type', 'application/zip');
+      // Summary of the validation report, the full report is only kept with async jobs
+      const { valid, error_count, errors_by_check } = result.validation;
+      res.setHeader('X-DSFinVK-Validation', JSON.stringify({ valid, error_count, errors_by_check }));
       
       const fileStream = fs.createReadStream(filePath);
       fileStream.pipe(res);
@@ -124,6 +127,8 @@ async function getJobStatus(req, res) {
       success: true,
       jobId: job.job_id,
       status: job.status,
+      progress: job.progress,
+      progressStep: job.progress_step,
       createdAt: job.created_at,
       updatedAt: job.updated_at
     };
@@ -133,6 +138,7 @@ async function getJobStatus(req, res) {
     } else if (job.status === 'COMPLETE') {
       response.downloadUrl = `/api/export/dsfinvk/download/${job.download_token}`;
       response.expiresAt = job.expires_at;
+      response.validation = job.validation_report;
     }
 
     res.json(response);
@@ -120,6 +120,21 @@ async function startServer() {
     logger.warn('Failed to initialize printer service:', error.message);
   }
 
+  // Resume print jobs left over from the last run
+  try {
+    await services.printQueue.start();
+  } catch (error) {
+    logger.warn('Failed to start print queue:', error.message);
+  }
+
+  // Initialize TSE provider (registers the client and syncs dsfinvk_tse)
+  try {
+    await services.tse.initialize();
+    logger.info('TSE service initialized successfully');
+  } catch (error) {
+    logger.error({ msg: 'Failed to initialize TSE service', error: error.message });
+  }
+
   // ============ DEPENDENCY INJECTION CONTAINER ============
   
   // 1. Initialize database connection (already done via core/db/knex)
@@ -146,13 +161,21 @@ async function startServer() {
   
   // 5. Instantiate TransactionManagementService with repositories and services
   const transactionRepository = databaseAdapter.getTransactionRepository();
-  const transactionManagementService = new TransactionManagementService(
+  const transactionManagementService = new TransactionManagementService({
     transactionRepository,
     productRepository,
-    services.logging,
-    services.printer,
-    websocketService
-  );
+    loggingService: services.logging,
+    printerService: services.printer,
+    websocketService,
+    taxService: services.tax,
+    closingService: services.closing,
+    printQueueService: services.printQueue,
+    cashDrawerService: services.cashDrawer,
+    scheduleService: services.schedule,
+    inventoryService: services.inventory,
+    discountService: services.discount,
+    voucherService: services.voucher
+  });
   logger.info('TransactionManagementService instantiated with TransactionRepository');
   
   // 6. Instantiate AuthService and ReportingService with their repositories
@@ -165,7 +188,7 @@ async function startServer() {
   logger.info('AuthService instantiated with AuthRepository');
   
   const reportingRepository = databaseAdapter.getReportingRepository();
-  const reportingService = new ReportingService(reportingRepository);
+  const reportingService = new ReportingService(reportingRepository, services.closing);
   logger.info('ReportingService instantiated with ReportingRepository');
   
   // 7. Initialize category service with database
@@ -218,6 +241,16 @@ async function startServer() {
   // Initialize WebSocket service for broadcasting (websocketService already required above)
   websocketService.init(wss);
 
+  // TSE outage handling: resume an open outage, resolve operations queued in a previous run, then keep monitoring
+  services.tseOutage.init({ loggingService: services.logging, websocketService });
+  try {
+    await services.tseOutage.restoreState();
+    await services.tseOutage.checkAndRecover();
+  } catch (error) {
+    logger.error({ msg: 'Failed to check TSE outage state on startup', error: error.message });
+  }
+  services.tseOutage.startMonitor();
+
   // WebSocket connection handler
   wss.on('connection', async (ws, req) => {
     ws.id = Date.now() + '_' + Math.random().toString(36).substring(2,7);
@@ -243,6 +276,16 @@ async function startServer() {
       serverTime: new Date().toISOString()
     }));
 
+    // Show the outage banner on clients connecting during a TSE outage
+    if (services.tseOutage.isActive()) {
+      ws.send(JSON.stringify({
+        command: 'tseStatus',
+        payload: services.tseOutage.getStatus(),
+        timestamp: new Date().toISOString(),
+        clientId: ws.id
+      }));
+    }
+
     // Check if this was the first run and send admin credentials if needed
     if (initializationResult.isFirstRun && initializationResult.defaultUser) {
       const firstRunMessage = {
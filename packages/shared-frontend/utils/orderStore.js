@@ -3,6 +3,22 @@ import { wsStore } from './wsStore.js';
 import { addLog } from './logStore.js';
 import { authStore } from './authStore.js';
 import { currentView } from './viewStore.js';
+import { parkedOrdersStore } from './parkedOrdersStore.js';
+
+// Modifier lines (parent_transaction_item_id) are listed under the line they modify as `modifiers`,
+// discount lines under the line they reduce as `discounts`
+function groupModifierLines(lines) {
+	const children = lines.filter(line => line.parent_transaction_item_id);
+	const modifiers = children.filter(line => line.notes !== 'DISCOUNT');
+	const discounts = children.filter(line => line.notes === 'DISCOUNT');
+	return lines
+		.filter(line => !line.parent_transaction_item_id)
+		.map(line => ({
+			...line,
+			modifiers: modifiers.filter(modifier => modifier.parent_transaction_item_id === line.id),
+			discounts: discounts.filter(discount => discount.parent_transaction_item_id === line.id)
+		}));
+}
 
 function createOrderStore() {
 	const { subscribe, set, update } = writable({
@@ -14,6 +30,9 @@ function createOrderStore() {
 		status: 'idle', // idle, initializing, active, finished, error
 		paymentType: null,
 		paymentAmount: null,
+		tenders: [],
+		splitMode: false,
+		splitSelection: {}, // transactionItemId -> quantity to move to a separate bill
 		metadata: {},
 		activeTransactionItemId: null
 	});
@@ -31,6 +50,9 @@ function createOrderStore() {
 			status: 'idle',
 			paymentType: null,
 			paymentAmount: null,
+			tenders: [],
+			splitMode: false,
+			splitSelection: {},
 			metadata: {},
 			activeTransactionItemId: null
 		});
@@ -47,7 +69,8 @@ function createOrderStore() {
 			const updatedTx = state.lastMessage.payload;
 			
 			// Preserve isEdited flags from current state when server sends updates
-			const newItems = (updatedTx.items || []).map(item => {
+			// Lines with quantity 0 were moved completely to a split bill and are not shown
+			const newItems = groupModifierLines((updatedTx.items || []).filter(item => parseFloat(item.quantity) !== 0)).map(item => {
 				// Find existing item in current state to preserve isEdited flag
 				const existingItem = currentStoreState.items.find(existing => existing.id === item.id);
 				return { 
@@ -112,7 +135,7 @@ function createOrderStore() {
 			if (currentStoreState.status === 'initializing' && pendingItems.length > 0) {
 				const itemsToAdd = [...pendingItems];
 				pendingItems = [];
-				itemsToAdd.forEach(({ itemId, quantity, userId }) => {
+				itemsToAdd.forEach(({ itemId, quantity, userId, modifiers }) => {
 					addLog('INFO', `Adding queued item ${itemId} to transaction ${updatedTx.id}`);
 					wsStore.send({
 						command: 'addItemToTransaction',
@@ -120,7 +143,8 @@ function createOrderStore() {
 							transactionId: updatedTx.id,
 							itemId,
 							quantity,
-							userId
+							userId,
+							modifiers
 						}
 					});
 				});
@@ -148,6 +172,7 @@ function createOrderStore() {
 					status: 'finished',
 					paymentType: finishedTx.transaction.payment_type,
 					paymentAmount: parseFloat(finishedTx.transaction.payment_amount),
+					changeAmount: parseFloat(finishedTx.transaction.change_amount || 0),
 					metadata: finishedTx.transaction.metadata ? (typeof finishedTx.transaction.metadata === 'string' ? JSON.parse(finishedTx.transaction.metadata) : finishedTx.transaction.metadata) : {},
 					activeTransactionItemId: null
 				}));
@@ -162,6 +187,10 @@ function createOrderStore() {
 				addLog('INFO', 'Auto-resetting order for next transaction.');
 				resetOrder();
 			}, 2000); // 2 second delay
+		} else if (state.lastMessage?.command === 'finishTransactionResponse' && state.lastMessage.status === 'error') {
+			// Payment was rejected (e.g. insufficient amount) - drop collected tenders so the cashier can start over
+			addLog('ERROR', `Payment failed: ${state.lastMessage.payload?.error || 'unknown error'}`);
+			update(store => ({ ...store, tenders: [] }));
 		}
 	});
 
@@ -206,7 +235,8 @@ function createOrderStore() {
 		return initializationPromise;
 	}
 
-	async function addItem(itemId, quantity = 1) {
+	// modifiers: [{ optionId, quantity }] chosen in the modifier picker, null for the default options
+	async function addItem(itemId, quantity = 1, modifiers = null) {
 		currentView.set('order');
 		const userId = getAuthenticatedUserId();
 		let currentStoreState;
@@ -215,7 +245,7 @@ function createOrderStore() {
 		// If we're idle, initialize the order first and queue this item
 		if (currentStoreState.status === 'idle') {
 			addLog('INFO', `First item click detected. Initializing order and queuing item ${itemId}...`);
-			pendingItems.push({ itemId, quantity, userId });
+			pendingItems.push({ itemId, quantity, userId, modifiers });
 			try {
 				await initializeOrder(userId);
 			} catch (error) {
@@ -229,17 +259,19 @@ function createOrderStore() {
 		// If we're still initializing, queue the item
 		if (currentStoreState.status === 'initializing') {
 			addLog('INFO', `Order initializing. Queuing item ${itemId}...`);
-			pendingItems.push({ itemId, quantity, userId });
+			pendingItems.push({ itemId, quantity, userId, modifiers });
 			return;
 		}
 
 		// If we're active, check for existing item with same ID and default price
 		if (currentStoreState.status === 'active' && currentStoreState.transactionId) {
-			// Find if item with same itemId and default price already exists and is not edited
-			const existingItem = currentStoreState.items.find(item => 
+			// Find if item with same itemId and default price already exists and is not edited;
+			// lines with modifiers are never merged, each selection is a line of its own
+			const existingItem = !modifiers && currentStoreState.items.find(item => 
 				item.item_id === itemId && 
 				!item.notes?.includes('Custom price:') && // Not a custom price item
-				!item.isEdited // Not manually edited
+				!item.isEdited && // Not manually edited
+				!(item.modifiers && item.modifiers.length > 0)
 			);
 
 			if (existingItem) {
@@ -258,7 +290,8 @@ function createOrderStore() {
 					transactionId: currentStoreState.transactionId,
 					itemId,
 					quantity,
-					userId
+					userId,
+					modifiers
 				}
 			});
 			return;
@@ -319,6 +352,127 @@ function createOrderStore() {
 		console.log('🏁 [ORDERSTORE] === finishOrder completed ===');
 	}
 
+	// Collects a (partial) tender for a split payment. Once the tenders cover the total,
+	// the order is finished with all of them; cash overpayment is returned as change by the server.
+	// A voucher tender ('Gutschein') carries the voucher code in details.voucher_code.
+	async function addTender(type, amount, details = {}) {
+		let currentStoreState;
+		subscribe(s => currentStoreState = s)();
+
+		if (!currentStoreState.transactionId || currentStoreState.status !== 'active') {
+			addLog('ERROR', 'No active order to pay.');
+			return;
+		}
+
+		const paid = currentStoreState.tenders.reduce((sum, tender) => sum + tender.amount, 0);
+		const remaining = Math.round((currentStoreState.total - paid) * 100) / 100;
+		const tenderAmount = amount === undefined || amount === null ? remaining : Math.round(amount * 100) / 100;
+
+		if (!(tenderAmount > 0)) {
+			addLog('ERROR', `Invalid payment amount: ${amount}`);
+			return;
+		}
+		if (type !== 'Bar' && tenderAmount > remaining) {
+			addLog('ERROR', `Card payment ${tenderAmount.toFixed(2)} exceeds remaining amount ${remaining.toFixed(2)}`);
+			return;
+		}
+
+		const tenders = [...currentStoreState.tenders, { type, amount: tenderAmount, ...details }];
+		update(store => ({ ...store, tenders }));
+
+		if (tenderAmount >= remaining) {
+			await finishOrder({ tenders });
+		} else {
+			addLog('INFO', `Partial payment ${tenderAmount.toFixed(2)} (${type}), remaining ${(remaining - tenderAmount).toFixed(2)}`);
+		}
+	}
+
+	function clearTenders() {
+		update(store => ({ ...store, tenders: [] }));
+	}
+
+	// Split bill: while split mode is on, tapping an item selects one more unit of it for the new bill
+	function toggleSplitMode() {
+		update(store => ({ ...store, splitMode: !store.splitMode, splitSelection: {} }));
+	}
+
+	function selectForSplit(transactionItemId) {
+		update(store => {
+			const item = store.items.find(i => i.id === transactionItemId);
+			if (!item) return store;
+			const selected = store.splitSelection[transactionItemId] || 0;
+			// Cycle back to 0 once the whole quantity is selected
+			const next = selected + 1 > parseFloat(item.quantity) ? 0 : selected + 1;
+			const splitSelection = { ...store.splitSelection, [transactionItemId]: next };
+			if (next === 0) delete splitSelection[transactionItemId];
+			return { ...store, splitSelection };
+		});
+	}
+
+	async function splitOrder() {
+		const userId = getAuthenticatedUserId();
+		let currentStoreState;
+		subscribe(s => currentStoreState = s)();
+
+		const items = Object.entries(currentStoreState.splitSelection)
+			.map(([transactionItemId, quantity]) => ({ transactionItemId: parseInt(transactionItemId), quantity }));
+		if (!currentStoreState.transactionId || items.length === 0) {
+			addLog('ERROR', 'Nothing selected to split.');
+			return;
+		}
+
+		addLog('INFO', `Splitting ${items.length} line(s) from transaction ${currentStoreState.transactionId} into a new bill`);
+		const response = await wsStore.send({
+			command: 'splitTransaction',
+			payload: {
+				transactionId: currentStoreState.transactionId,
+				items,
+				userId
+			}
+		});
+
+		if (response?.status === 'success') {
+			update(store => ({ ...store, splitMode: false, splitSelection: {} }));
+			addLog('SUCCESS', `Split bill ${response.payload.splitTarget?.id} created for table ${currentStoreState.metadata?.table || '-'}`);
+			await parkedOrdersStore.refreshParkedOrders();
+		} else {
+			addLog('ERROR', `Failed to split transaction: ${response?.payload?.error || response?.error || 'unknown error'}`);
+		}
+	}
+
+	// Prints the lines not yet sent (and changes since) on the kitchen/bar printers of their categories
+	async function sendToKitchen() {
+		const userId = getAuthenticatedUserId();
+		let currentStoreState;
+		subscribe(s => currentStoreState = s)();
+
+		if (!currentStoreState.transactionId) {
+			addLog('ERROR', 'No active order to send to the kitchen.');
+			return;
+		}
+
+		const response = await wsStore.send({
+			command: 'sendToKitchen',
+			payload: {
+				transactionId: currentStoreState.transactionId,
+				userId
+			}
+		});
+
+		if (response?.status !== 'success') {
+			addLog('ERROR', `Failed to send order to the kitchen: ${response?.payload?.error || response?.error || 'unknown error'}`);
+			return;
+		}
+		const tickets = response.payload.tickets || [];
+		if (tickets.length === 0) {
+			addLog('INFO', 'Nothing new to send to the kitchen.');
+		}
+		for (const ticket of tickets) {
+			addLog('SUCCESS', `${ticket.title} (${ticket.station}, ${ticket.items} item(s)) queued for printing`);
+		}
+		return response.payload;
+	}
+
 	async function parkCurrentOrder(tableIdentifier, updateTimestamp = true) {
 		const userId = getAuthenticatedUserId();
 		let currentStoreState;
@@ -366,7 +520,7 @@ function createOrderStore() {
 			...store,
 			transactionId: orderData.id,
 			uuid: orderData.uuid,
-			items: orderData.items || [],
+			items: groupModifierLines(orderData.items || []),
 			total: parseFloat(orderData.total_amount),
 			tax: parseFloat(orderData.tax_amount),
 			status: 'active',
@@ -506,7 +660,7 @@ function createOrderStore() {
 		});
 	}
 
-	function addWithCustomPrice(originalItemId, customPrice, quantity = 1) {
+	function addWithCustomPrice(originalItemId, customPrice, quantity = 1, modifiers = null) {
 		const userId = getAuthenticatedUserId();
 		let currentStoreState;
 		subscribe(s => currentStoreState = s)();
@@ -524,7 +678,8 @@ function createOrderStore() {
 				itemId: originalItemId,
 				customPrice,
 				quantity,
-				userId
+				userId,
+				options: modifiers ? { modifiers } : undefined
 			}
 		});
 	}
@@ -598,6 +753,140 @@ function createOrderStore() {
 		});
 	}
 
+	// Discount on a line or, without transactionItemId, on the whole receipt; needs a reason and the
+	// permission of its type (checked by the server)
+	async function applyDiscount({ type, value, reason, transactionItemId = null }) {
+		let currentStoreState;
+		subscribe(s => currentStoreState = s)();
+
+		if (currentStoreState.status !== 'active' || !currentStoreState.transactionId) {
+			addLog('ERROR', 'Cannot apply discount: no active transaction');
+			return false;
+		}
+
+		addLog('INFO', `Applying ${type} discount ${value ?? ''} to ${transactionItemId ? `item ${transactionItemId}` : 'the receipt'}`);
+		const response = await wsStore.send({
+			command: 'applyDiscount',
+			payload: {
+				sessionId: get(authStore).sessionId,
+				transactionId: currentStoreState.transactionId,
+				transactionItemId,
+				type,
+				value,
+				reason
+			}
+		});
+		if (response?.status !== 'success') {
+			addLog('ERROR', `Failed to apply discount: ${response?.payload?.error || response?.error || 'unknown error'}`);
+			return false;
+		}
+		return true;
+	}
+
+	async function removeDiscount(transactionDiscountId) {
+		let currentStoreState;
+		subscribe(s => currentStoreState = s)();
+
+		if (currentStoreState.status !== 'active' || !currentStoreState.transactionId) {
+			addLog('ERROR', 'Cannot remove discount: no active transaction');
+			return;
+		}
+
+		addLog('INFO', `Removing discount ${transactionDiscountId}`);
+		const response = await wsStore.send({
+			command: 'removeDiscount',
+			payload: {
+				sessionId: get(authStore).sessionId,
+				transactionId: currentStoreState.transactionId,
+				transactionDiscountId
+			}
+		});
+		if (response?.status !== 'success') {
+			addLog('ERROR', `Failed to remove discount: ${response?.payload?.error || response?.error || 'unknown error'}`);
+		}
+	}
+
+	// Sells a multi-purpose voucher; its code is printed on a slip once the order is paid
+	async function addVoucher(amount, expiresAt = null) {
+		const userId = getAuthenticatedUserId();
+		let currentStoreState;
+		subscribe(s => currentStoreState = s)();
+
+		if (currentStoreState.status !== 'active' || !currentStoreState.transactionId) {
+			addLog('ERROR', 'Cannot sell voucher: no active transaction');
+			return false;
+		}
+
+		addLog('INFO', `Selling voucher of ${amount}`);
+		const response = await wsStore.send({
+			command: 'addVoucher',
+			payload: {
+				transactionId: currentStoreState.transactionId,
+				amount,
+				expiresAt,
+				userId
+			}
+		});
+		if (response?.status !== 'success') {
+			addLog('ERROR', `Failed to sell voucher: ${response?.payload?.error || response?.error || 'unknown error'}`);
+			return false;
+		}
+		return true;
+	}
+
+	// Balance and expiry of a voucher before it is taken as a tender; null if it is unknown
+	async function lookupVoucher(code) {
+		const response = await wsStore.send({ command: 'getVoucher', payload: { code } });
+		if (response?.status !== 'success') {
+			addLog('ERROR', `Voucher ${code}: ${response?.payload?.error || response?.error || 'unknown error'}`);
+			return null;
+		}
+		return response.payload;
+	}
+
+	function removeVoucher(transactionItemId) {
+		const userId = getAuthenticatedUserId();
+		let currentStoreState;
+		subscribe(s => currentStoreState = s)();
+
+		if (currentStoreState.status !== 'active' || !currentStoreState.transactionId) {
+			addLog('ERROR', 'Cannot remove voucher: no active transaction');
+			return;
+		}
+
+		addLog('INFO', `Removing voucher line ${transactionItemId}`);
+		wsStore.send({
+			command: 'removeVoucher',
+			payload: {
+				transactionId: currentStoreState.transactionId,
+				transactionItemId,
+				userId
+			}
+		});
+	}
+
+	// Switch between in-house and takeaway consumption; the server re-applies the tax rules
+	function setConsumptionContext(consumptionContext) {
+		const userId = getAuthenticatedUserId();
+		let currentStoreState;
+		subscribe(s => currentStoreState = s)();
+
+		if (currentStoreState.status !== 'active' || !currentStoreState.transactionId) {
+			addLog('ERROR', 'Cannot change consumption context: no active transaction');
+			return;
+		}
+
+		addLog('INFO', `Setting consumption context to ${consumptionContext}`);
+		wsStore.send({
+			command: 'setConsumptionContext',
+			payload: {
+				transactionId: currentStoreState.transactionId,
+				consumptionContext,
+				userId
+			}
+		});
+	}
+
 	// Function to deselect the currently active item
 	function deselectItem() {
 		update(store => ({
@@ -618,12 +907,24 @@ function createOrderStore() {
 		updateItemPrice,
 		addWithCustomPrice,
 		finishOrder,
+		addTender,
+		clearTenders,
+		toggleSplitMode,
+		selectForSplit,
+		splitOrder,
+		sendToKitchen,
 		resetOrder,
 		parkCurrentOrder,
 		assignTableNumber,
 		loadOrder,
 		clearActiveOrderView,
-		deselectItem
+		deselectItem,
+		setConsumptionContext,
+		applyDiscount,
+		removeDiscount,
+		addVoucher,
+		removeVoucher,
+		lookupVoucher
 	};
 }
 
@@ -0,0 +1,80 @@
+import { writable, get } from 'svelte/store';
+import { wsStore } from './wsStore.js';
+import { authStore } from './authStore.js';
+import { addLog } from './logStore.js';
+
+// Jobs not printed yet; done jobs drop out of the list
+const OPEN_STATUSES = ['queued', 'sending', 'failed'];
+
+const initialState = {
+  jobs: [],
+  printers: []
+};
+
+// Tracks the print queue, updated by the jobs broadcast by the backend ('printJobUpdated')
+function createPrintJobsStore() {
+  const { subscribe, update } = writable(initialState);
+  let loaded = false;
+
+  wsStore.subscribe(state => {
+    if (state.connected && !loaded) {
+      loaded = true;
+      load();
+    } else if (!state.connected) {
+      loaded = false;
+    }
+
+    if (state.lastMessage?.command === 'printJobUpdated' && state.lastMessage.payload) {
+      const job = state.lastMessage.payload;
+      if (job.status === 'failed') {
+        addLog('ERROR', `Print job ${job.title || job.id} failed: ${job.last_error}`);
+      }
+      update(s => {
+        const jobs = s.jobs.filter(j => j.id !== job.id);
+        if (OPEN_STATUSES.includes(job.status)) {
+          jobs.unshift(job);
+        }
+        return { ...s, jobs };
+      });
+    }
+  });
+
+  async function load() {
+    try {
+      const [jobsResponse, printersResponse] = await Promise.all([
+        wsStore.send({ command: 'getPrintJobs', payload: { statuses: OPEN_STATUSES } }),
+        wsStore.send({ command: 'getPrinters', payload: {} })
+      ]);
+      update(s => ({
+        ...s,
+        jobs: jobsResponse?.status === 'success' ? jobsResponse.payload : s.jobs,
+        printers: printersResponse?.status === 'success' ? printersResponse.payload : s.printers
+      }));
+    } catch (error) {
+      addLog('ERROR', `Failed to load print jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sends a job again, on the printers of its role or redirected to another printer.
+   * @param {number} jobId
+   * @param {string|null} printerId
+   */
+  async function retry(jobId, printerId = null) {
+    const response = await wsStore.send({
+      command: 'retryPrintJob',
+      payload: { jobId, printerId, userId: get(authStore)?.currentUser?.id }
+    });
+    if (response?.status !== 'success') {
+      addLog('ERROR', `Failed to retry print job ${jobId}: ${response?.payload?.error || 'unknown error'}`);
+    }
+  }
+
+  return {
+    subscribe,
+    load,
+    retry
+  };
+}
+
+export const printJobsStore = createPrintJobsStore();
@@ -0,0 +1,43 @@
+import { writable } from 'svelte/store';
+import { wsStore } from './wsStore.js';
+import { addLog } from './logStore.js';
+
+const initialState = {
+  outage: false,
+  started_at: null,
+  error: null,
+  deferred_operations: 0
+};
+
+// Tracks the TSE outage state broadcast by the backend ('tseStatus')
+function createTseStatusStore() {
+  const { subscribe, set } = writable(initialState);
+
+  wsStore.subscribe(state => {
+    if (state.lastMessage?.command === 'tseStatus' && state.lastMessage.payload) {
+      const status = state.lastMessage.payload;
+      if (status.outage) {
+        addLog('WARNING', `TSE outage since ${status.started_at}: ${status.error} (${status.deferred_operations} deferred operations)`);
+      } else {
+        addLog('INFO', 'TSE available again, deferred operations resolved.');
+      }
+      set({ ...initialState, ...status });
+    }
+  });
+
+  async function checkRecovery() {
+    addLog('INFO', 'Requesting TSE recovery check...');
+    try {
+      await wsStore.send({ command: 'checkTseRecovery', payload: {} });
+    } catch (error) {
+      addLog('ERROR', `TSE recovery check failed: ${error.message}`);
+    }
+  }
+
+  return {
+    subscribe,
+    checkRecovery
+  };
+}
+
+export const tseStatusStore = createTseStatusStore();